@@ -52,23 +52,175 @@ export const timeouts = {
   feedProcess: parseInteger(process.env.FEED_PROCESS_TIMEOUT, 15000),
   feedProcessLong: parseInteger(process.env.FEED_PROCESS_LONG_TIMEOUT, 30000),
   scrapingBee: parseInteger(process.env.SCRAPINGBEE_TIMEOUT, 30000),
+  renderer: parseInteger(process.env.RENDERER_TIMEOUT, 30000),
+  robots: parseInteger(process.env.ROBOTS_TXT_TIMEOUT, 5000),
   llm: parseInteger(process.env.LLM_TIMEOUT, 60000),
 };
 
+/**
+ * Outbound HTTP client (feeds, discovery, scraping, APIs, webhooks)
+ * 5xx responses and timeouts are retried with exponential backoff from retryBaseDelayMs;
+ * at most maxPerHost requests run against one host at a time, started hostDelayMs apart
+ */
+export const httpClient = {
+  userAgent: process.env.HTTP_USER_AGENT ||
+    (process.env.PUBLIC_BASE_URL ? `Genie-RSS/1.0 (+${process.env.PUBLIC_BASE_URL})` : "Genie-RSS/1.0"),
+  retries: parseInteger(process.env.HTTP_RETRIES, server.isTest ? 0 : 2),
+  retryBaseDelayMs: parseInteger(process.env.HTTP_RETRY_BASE_DELAY_MS, 500),
+  maxPerHost: parseInteger(process.env.HTTP_MAX_PER_HOST, 4),
+  hostDelayMs: parseInteger(process.env.HTTP_HOST_DELAY_MS, server.isTest ? 0 : 250),
+  maxResponseBytes: parseInteger(process.env.HTTP_MAX_RESPONSE_BYTES, 5 * 1024 * 1024),
+};
+
+/**
+ * robots.txt compliance for page scraping and discovery probes
+ * Policies are cached per origin for cacheTtl seconds (errorTtl after a 5xx); Crawl-delay is capped at maxCrawlDelaySec
+ */
+export const robots = {
+  enabled: parseBoolean(process.env.ROBOTS_TXT_ENABLED, !server.isTest),
+  cacheTtl: parseInteger(process.env.ROBOTS_CACHE_TTL, 86400),
+  errorTtl: parseInteger(process.env.ROBOTS_ERROR_TTL, 600),
+  maxCrawlDelaySec: parseInteger(process.env.ROBOTS_MAX_CRAWL_DELAY, 10),
+};
+
+/**
+ * Headless-browser rendering of JavaScript-heavy pages (smartFetch and scrapeWebsite)
+ * driver: "http" (self-hosted rendering service at url), "scrapingbee" (SCRAPINGBEE_API_KEY) or "none";
+ * unset picks http when RENDERER_URL is set, else scrapingbee when a ScrapingBee key is set, else none
+ */
+export const renderer = {
+  driver: process.env.RENDERER_DRIVER ||
+    (process.env.RENDERER_URL ? "http" : process.env.SCRAPINGBEE_API_KEY ? "scrapingbee" : "none"),
+  url: process.env.RENDERER_URL ? process.env.RENDERER_URL.replace(/\/+$/, "") : null,
+  token: process.env.RENDERER_TOKEN || null,
+};
+
+/**
+ * Feed collection for processfeed and the MCP fetch_rss_feed tool
+ * Up to concurrency feeds are fetched at once; feeds not done after deadlineMs are reported as failed.
+ * aggregateTitleSimilarity is the word overlap (0-1) at which aggregate mode treats two titles as one story.
+ */
+export const feedProcess = {
+  concurrency: parseInteger(process.env.FEED_PROCESS_CONCURRENCY, 8),
+  deadlineMs: parseInteger(process.env.FEED_PROCESS_DEADLINE_MS, 45000),
+  aggregateTitleSimilarity: parseFloat(process.env.AGGREGATE_TITLE_SIMILARITY) || 0.6,
+};
+
 /**
  * Request body size limits
  */
 export const bodyLimits = {
   json: process.env.BODY_LIMIT_JSON || "1mb",
   transcript: process.env.BODY_LIMIT_TRANSCRIPT || "10mb",
+  opml: process.env.BODY_LIMIT_OPML || "2mb",
 };
 
 /**
- * RSS feed caching
+ * Caching of feeds, discovery results, YouTube lookups and LLM summaries
+ * driver: "memory" (per process), "file" (JSON files under dir) or "redis" (Redis-protocol server at redisUrl)
+ * TTLs are in seconds
  */
 export const cache = {
+  driver: process.env.CACHE_DRIVER || "memory",
+  dir: process.env.CACHE_DIR || "./data/cache",
+  redisUrl: process.env.REDIS_URL || "redis://localhost:6379",
+  keyPrefix: process.env.CACHE_KEY_PREFIX || "genie-rss:",
   rssTtl: parseInteger(process.env.RSS_CACHE_TTL, 3600),
   rssCheckPeriod: parseInteger(process.env.RSS_CACHE_CHECK_PERIOD, 600),
+  discoveryTtl: parseInteger(process.env.DISCOVERY_CACHE_TTL, 86400),
+  youtubeTtl: parseInteger(process.env.YOUTUBE_CACHE_TTL, 604800),
+  summaryTtl: parseInteger(process.env.SUMMARY_CACHE_TTL, 86400),
+};
+
+/**
+ * Full-article extraction (fullText option)
+ * Domains that refuse extraction (401/403/429) are skipped for blockedDomainTtl seconds
+ */
+export const fullText = {
+  concurrency: parseInteger(process.env.FULLTEXT_CONCURRENCY, 4),
+  maxItems: parseInteger(process.env.FULLTEXT_MAX_ITEMS, 20),
+  cacheTtl: parseInteger(process.env.FULLTEXT_CACHE_TTL, 86400),
+  blockedDomainTtl: parseInteger(process.env.FULLTEXT_BLOCKED_DOMAIN_TTL, 3600),
+};
+
+/**
+ * Persistent storage (subscriptions and other tenant data)
+ * driver: "memory" (non-persistent) or "file" (JSON files under dir, written flushDelayMs after a change)
+ */
+export const storage = {
+  driver: process.env.STORAGE_DRIVER || (server.isTest ? "memory" : "file"),
+  dir: process.env.STORAGE_DIR || "./data",
+  flushDelayMs: parseInteger(process.env.STORAGE_FLUSH_DELAY_MS, 200),
+};
+
+/**
+ * Item history used for deduplication and "new since last poll"
+ */
+export const itemStore = {
+  retentionDays: parseInteger(process.env.ITEM_RETENTION_DAYS, 30),
+};
+
+/**
+ * Tenancy
+ * Requests under /api without a bearer token are scoped to the default tenant
+ */
+export const tenancy = {
+  defaultTenantId: process.env.DEFAULT_TENANT_ID || "default",
+};
+
+/**
+ * Background feed polling scheduler
+ * Intervals are in seconds; jitterRatio spreads polls by +/- that fraction.
+ * Up to concurrency due feeds are polled at once.
+ */
+export const scheduler = {
+  enabled: parseBoolean(process.env.SCHEDULER_ENABLED, false),
+  tickMs: parseInteger(process.env.SCHEDULER_TICK_MS, 30000),
+  defaultIntervalSec: parseInteger(process.env.SCHEDULER_DEFAULT_INTERVAL, 3600),
+  minIntervalSec: parseInteger(process.env.SCHEDULER_MIN_INTERVAL, 300),
+  maxIntervalSec: parseInteger(process.env.SCHEDULER_MAX_INTERVAL, 86400),
+  maxBackoffSec: parseInteger(process.env.SCHEDULER_MAX_BACKOFF, 86400),
+  jitterRatio: parseFloat(process.env.SCHEDULER_JITTER_RATIO) || 0.1,
+  concurrency: parseInteger(process.env.SCHEDULER_CONCURRENCY, 4),
+};
+
+/**
+ * Feed health (GET /api/feeds/health), built from the scheduler's polls.
+ * A feed is stale once it has been quiet for staleFactor times its usual gap between
+ * items (at least a day), or for staleAfterDays when that gap is unknown.
+ */
+export const feedHealth = {
+  historySize: parseInteger(process.env.FEED_HEALTH_HISTORY, 20),
+  errorThreshold: parseInteger(process.env.FEED_HEALTH_ERROR_THRESHOLD, 3),
+  staleAfterDays: parseInteger(process.env.FEED_HEALTH_STALE_DAYS, 30),
+  staleFactor: parseFloat(process.env.FEED_HEALTH_STALE_FACTOR) || 3,
+  followPermanentRedirects: parseBoolean(process.env.FEED_HEALTH_FOLLOW_REDIRECTS, false),
+};
+
+/**
+ * Public feed URLs (GET /feeds/:id.xml|.atom|.json) for generated feeds
+ * baseUrl defaults to the host of the incoming request when unset
+ */
+export const publicFeeds = {
+  baseUrl: process.env.PUBLIC_BASE_URL ? process.env.PUBLIC_BASE_URL.replace(/\/+$/, "") : null,
+  ttlSec: parseInteger(process.env.PUBLIC_FEED_TTL, cache.rssTtl),
+};
+
+/**
+ * Sitemap-based feed generation
+ * At most maxFiles sitemap documents (indexes included) are fetched per generated feed
+ */
+export const sitemap = {
+  maxFiles: parseInteger(process.env.SITEMAP_MAX_FILES, 10),
+};
+
+/**
+ * Watched pages (change-detection feeds)
+ * Reading a watch feed re-checks the page at most once per minIntervalSec; the newest maxChanges changes are kept
+ */
+export const watch = {
+  minIntervalSec: parseInteger(process.env.WATCH_MIN_INTERVAL, 300),
+  maxChanges: parseInteger(process.env.WATCH_MAX_CHANGES, 50),
 };
 
 /**
@@ -84,8 +236,10 @@ export const rateLimit = {
  */
 export const limits = {
   maxScrapedItems: parseInteger(process.env.MAX_SCRAPED_ITEMS, 20),
+  maxScrapePages: parseInteger(process.env.MAX_SCRAPE_PAGES, 10),
   maxContentLength: parseInteger(process.env.MAX_CONTENT_LENGTH, 500),
   maxFeedsPerRequest: parseInteger(process.env.MAX_FEEDS_PER_REQUEST, 50),
+  maxOpmlEntries: parseInteger(process.env.MAX_OPML_ENTRIES, 500),
 };
 
 /**
@@ -112,8 +266,21 @@ const config = {
   server,
   credentials,
   timeouts,
+  httpClient,
+  robots,
+  renderer,
+  feedProcess,
   bodyLimits,
   cache,
+  fullText,
+  storage,
+  itemStore,
+  tenancy,
+  scheduler,
+  feedHealth,
+  publicFeeds,
+  sitemap,
+  watch,
   rateLimit,
   limits,
   logging,
@@ -10,12 +10,24 @@ import { swaggerSpec } from "./config/swagger.js";
 import { rateLimitMiddleware } from "./middleware/rateLimit.js";
 import { requestLoggerMiddleware } from "./middleware/requestLogger.js";
 import { apiKeyAuth } from "./middleware/auth.js";
+import { tenantContext, requireAdmin } from "./middleware/tenant.js";
 import rssRoutes from "./routes/rss.js";
 import thirdEyeRoutes from "./routes/feed.js";
 import summarizeRoutes from "./routes/summarize.js";
 import transcriptRoutes from "./routes/transcripts.js";
 import intelRoutes from "./routes/intel.js";
 import youtubeRoutes from "./routes/youtube.js";
+import subscriptionRoutes from "./routes/subscriptions.js";
+import feedRoutes from "./routes/feeds.js";
+import filterRoutes from "./routes/filters.js";
+import adminRoutes from "./routes/admin.js";
+import scraperRoutes from "./routes/scraper.js";
+import publicFeedRoutes from "./routes/publicFeeds.js";
+import opmlRoutes from "./routes/opml.js";
+import watchRoutes from "./routes/watches.js";
+import { startScheduler } from "./services/scheduler.js";
+import { flushAllCollections } from "./services/storage.js";
+import { scheduler as schedulerConfig } from "./config/index.js";
 import { createLogger } from './utils/logger.js';
 
 dotenv.config();
@@ -79,12 +91,19 @@ app.get("/api-docs.json", (_req, res) => {
 
 const apiRouter = express.Router();
 apiRouter.use(rateLimitMiddleware);
-apiRouter.use("/rss/feed", apiKeyAuth, thirdEyeRoutes);
-apiRouter.use("/rss", apiKeyAuth, rssRoutes);
+apiRouter.use("/rss/feed", apiKeyAuth, tenantContext, thirdEyeRoutes);
+apiRouter.use("/rss", apiKeyAuth, tenantContext, rssRoutes);
 apiRouter.use("/summarize", apiKeyAuth, summarizeRoutes);
 apiRouter.use("/transcript", apiKeyAuth, transcriptRoutes);
 apiRouter.use("/intel", apiKeyAuth, intelRoutes);
 apiRouter.use("/youtube", apiKeyAuth, youtubeRoutes);
+apiRouter.use("/subscriptions", apiKeyAuth, tenantContext, subscriptionRoutes);
+apiRouter.use("/feeds", apiKeyAuth, tenantContext, feedRoutes);
+apiRouter.use("/filters", apiKeyAuth, tenantContext, filterRoutes);
+apiRouter.use("/opml", apiKeyAuth, tenantContext, opmlRoutes);
+apiRouter.use("/watches", apiKeyAuth, tenantContext, watchRoutes);
+apiRouter.use("/admin", apiKeyAuth, tenantContext, requireAdmin, adminRoutes);
+apiRouter.use("/scraper", apiKeyAuth, tenantContext, requireAdmin, scraperRoutes);
 apiRouter.use((req, res) => {
   return res.status(404).json({
     success: false,
@@ -98,6 +117,7 @@ app.use("/api", apiRouter);
 app.use("/auth", authRoutes);
 app.use("/audit", auditRoutes);
 app.use("/mcp", mcpRoutes);
+app.use("/feeds", publicFeedRoutes);
 
 app.use((req, res) => {
   return res.status(404).json({
@@ -138,7 +158,19 @@ if (process.env.NODE_ENV !== "test") {
         env: process.env.NODE_ENV || "development",
       })
     );
+
+    if (schedulerConfig.enabled) {
+      startScheduler();
+    }
   });
+
+  // File storage writes changes after a short delay; do not lose them on shutdown
+  for (const signal of ["SIGTERM", "SIGINT"]) {
+    process.once(signal, async () => {
+      await flushAllCollections();
+      process.exit(0);
+    });
+  }
 }
 
 export default app;
@@ -0,0 +1,67 @@
+import { verifyBearerToken } from '../services/auth.js';
+import { getTenantContext } from '../services/context.js';
+import { tenancy } from '../config/index.js';
+
+/**
+ * Resolve the tenant for API-key protected routes.
+ * A bearer token (if sent) selects its tenant; otherwise the default tenant is used.
+ */
+export async function tenantContext(req, res, next) {
+  const authHeader = req.headers.authorization;
+
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    const authResult = await verifyBearerToken(authHeader);
+
+    if (!authResult?.ok || !authResult?.user?.tenantId) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: authResult?.error || 'Invalid token',
+      });
+    }
+
+    req.tenant = authResult.user;
+    req.context = getTenantContext(authResult.user);
+    return next();
+  }
+
+  req.context = getTenantContext(tenancy.defaultTenantId);
+  next();
+}
+
+/**
+ * Require an admin bearer token (role "admin"). Must run after tenantContext.
+ */
+export function requireAdmin(req, res, next) {
+  if (!req.tenant) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Admin bearer token required',
+    });
+  }
+
+  if (req.tenant.role !== 'admin') {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Admin role required',
+    });
+  }
+
+  next();
+}
+
+/**
+ * Only admins may switch off robots.txt compliance with respectRobots: false. Must run after tenantContext.
+ */
+export function restrictRobotsOverride(req, res, next) {
+  const payload = req.body?.body && typeof req.body.body === 'object' ? req.body.body : req.body;
+
+  if (payload?.respectRobots === false && req.tenant?.role !== 'admin') {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Admin role required to ignore robots.txt',
+      code: 'ROBOTS_OVERRIDE_FORBIDDEN',
+    });
+  }
+
+  next();
+}
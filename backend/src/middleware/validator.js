@@ -55,11 +55,61 @@ const urlArraySchema = z.array(urlSchema).min(1, 'At least one URL is required')
 // Route-specific schemas
 // ============================================
 
+/**
+ * Item selection shared by /rss/fetch and processfeed:
+ * onlyNew skips items already returned to the tenant, cursor skips items
+ * first seen at or before a previous response's cursor
+ */
+const itemSelectionSchema = {
+  onlyNew: z.boolean().optional(),
+  cursor: z.string().regex(/^\d+$/, 'cursor must be a cursor from a previous response').optional()
+};
+
+/**
+ * Filter rule: include / exclude / tag the items matching every condition it sets.
+ * keywords match whole words (domains for field domain), regex is case-insensitive.
+ */
+const filterRuleSchema = z.object({
+  action: z.enum(['include', 'exclude', 'tag']),
+  field: z.enum(['any', 'title', 'content', 'categories', 'creator', 'domain']).optional(),
+  keywords: z.array(z.string().trim().min(1).max(200)).min(1).max(100).optional(),
+  regex: z.string().min(1).max(500).optional(),
+  after: z.string().datetime({ offset: true, message: 'after must be a valid ISO datetime' }).optional(),
+  before: z.string().datetime({ offset: true, message: 'before must be a valid ISO datetime' }).optional(),
+  withinHours: z.number().positive().max(24 * 3650).optional(),
+  tags: z.array(z.string().trim().min(1).max(50)).min(1).max(20).optional()
+}).refine(
+  (rule) => rule.keywords || rule.regex || rule.after || rule.before || rule.withinHours,
+  { message: 'A rule needs keywords, regex, after, before or withinHours' }
+).refine(
+  (rule) => rule.action !== 'tag' || rule.tags,
+  { message: 'Tag rules need tags', path: ['tags'] }
+);
+
+const filterRulesSchema = z.array(filterRuleSchema).max(100, 'A maximum of 100 rules is allowed');
+
+/**
+ * Item filtering shared by /rss/fetch and processfeed: inline rules and saved filter sets
+ */
+const itemFilterSchema = {
+  filters: filterRulesSchema.optional(),
+  filterSetIds: z.array(z.string().min(1)).max(20).optional()
+};
+
 /**
  * POST /api/rss/fetch
  */
 export const rssFetchSchema = z.object({
   url: urlSchema,
+  ...itemSelectionSchema,
+  ...itemFilterSchema,
+  fullText: z.boolean().optional(),
+  respectRobots: z.boolean().optional(),
+  format: z.enum(['json', 'rss2', 'atom', 'jsonfeed']).optional(),
+  pages: z.number().int().min(1).optional(),
+  strategy: z.enum(['auto', 'scrape', 'sitemap']).optional(),
+  fetchTitles: z.boolean().optional(),
+  render: z.boolean().optional(),
   since: z.union([
     z.string().datetime({ offset: true, message: 'since must be a valid ISO datetime' }),
     z.null()
@@ -68,26 +118,183 @@ export const rssFetchSchema = z.object({
     .transform(value => value ?? undefined)
 });
 
+/**
+ * String or array of strings (e.g. url, subscriptionId, tag)
+ */
+const stringOrArraySchema = z.union([z.string(), z.array(z.string())]);
+
 /**
  * POST /api/rss/feed/processfeed
- * Accepts either feeds[] or url (string or array)
+ * Accepts feeds[], url (string or array), or stored subscriptions by subscriptionId / tag
  */
-export const feedProcessSchema = z.object({
+const feedProcessPayloadSchema = z.object({
   feeds: z.array(z.string()).optional(),
-  url: z.union([z.string(), z.array(z.string())]).optional(),
+  url: stringOrArraySchema.optional(),
+  subscriptionId: stringOrArraySchema.optional(),
+  tag: stringOrArraySchema.optional(),
+  ...itemSelectionSchema,
+  ...itemFilterSchema,
+  fullText: z.boolean().optional(),
+  respectRobots: z.boolean().optional(),
+  aggregate: z.boolean().optional(),
+  format: z.enum(['json', 'rss2', 'atom', 'jsonfeed']).optional()
+});
+
+export const feedProcessSchema = feedProcessPayloadSchema.extend({
   // Handle nested body (some clients send { body: { ... } })
-  body: z.object({
-    feeds: z.array(z.string()).optional(),
-    url: z.union([z.string(), z.array(z.string())]).optional()
-  }).optional()
+  body: feedProcessPayloadSchema.optional()
 }).refine(
   (data) => {
     const payload = data.body || data;
-    return payload.feeds?.length > 0 || payload.url;
+    return payload.feeds?.length > 0 || payload.url ||
+      payload.subscriptionId?.length > 0 || payload.tag?.length > 0;
   },
-  { message: 'You must provide feeds[] or url (string or array)' }
+  { message: 'You must provide feeds[], url (string or array), subscriptionId or tag' }
+);
+
+/**
+ * Subscription tags
+ */
+const tagsSchema = z.array(
+  z.string().trim().min(1, 'Tag cannot be empty').max(50, 'Tag must be at most 50 characters')
+).max(20, 'A maximum of 20 tags is allowed');
+
+/**
+ * POST /api/subscriptions
+ */
+export const subscriptionCreateSchema = z.object({
+  url: urlSchema,
+  title: z.string().trim().max(200).optional(),
+  tags: tagsSchema.optional(),
+  enabled: z.boolean().optional(),
+  pollIntervalSec: z.number().int().min(60).max(7 * 86400).nullable().optional()
+});
+
+/**
+ * PATCH /api/subscriptions/:id
+ */
+export const subscriptionUpdateSchema = subscriptionCreateSchema.partial().refine(
+  (data) => Object.keys(data).length > 0,
+  { message: 'At least one of url, title, tags, enabled or pollIntervalSec is required' }
+);
+
+/**
+ * GET /api/subscriptions (query)
+ */
+export const subscriptionListQuerySchema = z.object({
+  tag: z.string().trim().min(1).optional(),
+  enabled: z.enum(['true', 'false'])
+    .optional()
+    .transform(value => (value === undefined ? undefined : value === 'true'))
+});
+
+/**
+ * POST /api/filters
+ */
+export const filterSetCreateSchema = z.object({
+  name: z.string().trim().min(1, 'name is required').max(100),
+  rules: filterRulesSchema.min(1, 'At least one rule is required')
+});
+
+/**
+ * PATCH /api/filters/:id
+ */
+export const filterSetUpdateSchema = filterSetCreateSchema.partial().refine(
+  (data) => Object.keys(data).length > 0,
+  { message: 'At least one of name or rules is required' }
 );
 
+/**
+ * GET /api/feeds/health
+ */
+export const feedHealthQuerySchema = z.object({
+  status: z.enum(['erroring', 'moved', 'stale', 'healthy', 'unchecked']).optional()
+});
+
+/**
+ * POST /api/opml/import (JSON body, or raw OPML normalized by the route)
+ */
+export const opmlImportSchema = z.object({
+  opml: z.string().trim().min(1, 'opml is required'),
+  discover: z.boolean().optional().default(false),
+  tags: tagsSchema.optional()
+});
+
+/**
+ * GET / DELETE /api/admin/cache (query)
+ * url narrows the listing or purge to one feed (all of its since variants)
+ */
+export const adminCacheQuerySchema = z.object({
+  url: z.string().trim().url('Invalid URL format').optional()
+});
+
+/**
+ * Scraper recipe fields (POST / PATCH /api/scraper/recipes)
+ */
+const selectorSchema = z.string().trim().min(1).max(500);
+
+const recipeFieldsSchema = {
+  domain: z.string().trim().toLowerCase()
+    .regex(/^(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/, 'domain must be a hostname such as example.com'),
+  itemSelector: selectorSchema,
+  titleSelector: selectorSchema.optional(),
+  linkSelector: selectorSchema.optional(),
+  dateSelector: selectorSchema.optional(),
+  summarySelector: selectorSchema.optional(),
+  imageSelector: selectorSchema.optional(),
+  dateFormat: z.string().trim().min(1).max(50).optional(),
+  excludeSelectors: z.array(selectorSchema).max(20).optional()
+};
+
+/**
+ * POST /api/scraper/recipes
+ */
+export const scraperRecipeCreateSchema = z.object(recipeFieldsSchema);
+
+/**
+ * PATCH /api/scraper/recipes/:id
+ */
+export const scraperRecipeUpdateSchema = scraperRecipeCreateSchema.partial().refine(
+  (data) => Object.keys(data).length > 0,
+  { message: 'At least one recipe field is required' }
+);
+
+/**
+ * POST /api/scraper/recipes/dry-run
+ * recipe is an unsaved recipe to try; without it the saved recipe of the URL's domain is used
+ */
+export const scraperRecipeDryRunSchema = z.object({
+  url: urlSchema,
+  recipe: scraperRecipeCreateSchema.omit({ domain: true }).optional()
+});
+
+/**
+ * POST /api/watches
+ */
+export const watchCreateSchema = z.object({
+  url: urlSchema,
+  name: z.string().trim().min(1).max(200).optional(),
+  selector: selectorSchema.optional()
+});
+
+/**
+ * PATCH /api/watches/:id
+ * selector null watches the whole page again
+ */
+export const watchUpdateSchema = watchCreateSchema.extend({
+  selector: selectorSchema.nullable().optional()
+}).partial().refine(
+  (data) => Object.keys(data).length > 0,
+  { message: 'At least one of url, name or selector is required' }
+);
+
+/**
+ * GET /api/watches/:id/feed (query)
+ */
+export const watchFeedQuerySchema = z.object({
+  format: z.enum(['json', 'rss2', 'atom', 'jsonfeed']).optional()
+});
+
 /**
  * POST /api/summarize/
  */
@@ -177,6 +384,20 @@ export const validateTranscriptSummarize = validate(transcriptSummarizeSchema);
 export const validateIntelUrls = validate(intelUrlsSchema);
 export const validateDailyIntel = validate(dailyIntelSchema);
 export const validateYoutubeChannelLookup = validate(youtubeChannelLookupSchema);
+export const validateSubscriptionCreate = validate(subscriptionCreateSchema);
+export const validateSubscriptionUpdate = validate(subscriptionUpdateSchema);
+export const validateSubscriptionListQuery = validate(subscriptionListQuerySchema, 'query');
+export const validateFeedHealthQuery = validate(feedHealthQuerySchema, 'query');
+export const validateFilterSetCreate = validate(filterSetCreateSchema);
+export const validateFilterSetUpdate = validate(filterSetUpdateSchema);
+export const validateOpmlImport = validate(opmlImportSchema);
+export const validateAdminCacheQuery = validate(adminCacheQuerySchema, 'query');
+export const validateScraperRecipeCreate = validate(scraperRecipeCreateSchema);
+export const validateScraperRecipeUpdate = validate(scraperRecipeUpdateSchema);
+export const validateScraperRecipeDryRun = validate(scraperRecipeDryRunSchema);
+export const validateWatchCreate = validate(watchCreateSchema);
+export const validateWatchUpdate = validate(watchUpdateSchema);
+export const validateWatchFeedQuery = validate(watchFeedQuerySchema, 'query');
 
 // Export schemas for testing
 export const schemas = {
@@ -186,5 +407,19 @@ export const schemas = {
   transcriptSummarize: transcriptSummarizeSchema,
   intelUrls: intelUrlsSchema,
   dailyIntel: dailyIntelSchema,
-  youtubeChannelLookup: youtubeChannelLookupSchema
+  youtubeChannelLookup: youtubeChannelLookupSchema,
+  subscriptionCreate: subscriptionCreateSchema,
+  subscriptionUpdate: subscriptionUpdateSchema,
+  subscriptionListQuery: subscriptionListQuerySchema,
+  feedHealthQuery: feedHealthQuerySchema,
+  filterSetCreate: filterSetCreateSchema,
+  filterSetUpdate: filterSetUpdateSchema,
+  opmlImport: opmlImportSchema,
+  adminCacheQuery: adminCacheQuerySchema,
+  scraperRecipeCreate: scraperRecipeCreateSchema,
+  scraperRecipeUpdate: scraperRecipeUpdateSchema,
+  scraperRecipeDryRun: scraperRecipeDryRunSchema,
+  watchCreate: watchCreateSchema,
+  watchUpdate: watchUpdateSchema,
+  watchFeedQuery: watchFeedQuerySchema
 };
@@ -0,0 +1,342 @@
+import express from 'express';
+import { getSchedulerStatus } from '../services/scheduler.js';
+import { getCacheStats, purgeAllCaches } from '../services/cache.js';
+import { listFeedCacheEntries, invalidateFeedCache } from '../services/rssFetcher.js';
+import { safeLogAudit } from '../services/audit.js';
+import { getConditionalStats, clearConditionalStores } from '../utils/conditionalRequest.js';
+import { getHttpMetrics } from '../utils/httpClient.js';
+import { createLogger } from '../utils/logger.js';
+import { validateAdminCacheQuery } from '../middleware/validator.js';
+
+const router = express.Router();
+const logger = createLogger('routes:admin');
+
+/**
+ * Record an admin cache action in the audit log
+ */
+function auditCacheAction(req, action, details, result) {
+  safeLogAudit({
+    auditId: req.auditId,
+    tenantId: req.context?.tenantId || null,
+    userId: req.tenant?.id || null,
+    email: req.tenant?.email || null,
+    endpoint: req.originalUrl,
+    method: req.method,
+    request: { action, ...details },
+    response: result,
+    status: 'success',
+    httpStatus: 200
+  });
+}
+
+/**
+ * @swagger
+ * /admin/scheduler:
+ *   get:
+ *     summary: Feed polling scheduler status
+ *     description: Returns per-feed schedule state (next run, last success, last error, consecutive failures) of the background poller. Requires an admin bearer token in addition to the API key.
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *         BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Scheduler status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 running:
+ *                   type: boolean
+ *                 tickMs:
+ *                   type: integer
+ *                 feedCount:
+ *                   type: integer
+ *                 feeds:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       subscriptionId:
+ *                         type: string
+ *                       tenantId:
+ *                         type: string
+ *                       url:
+ *                         type: string
+ *                       intervalSec:
+ *                         type: integer
+ *                       nextRunAt:
+ *                         type: string
+ *                         format: date-time
+ *                       lastRunAt:
+ *                         type: string
+ *                         nullable: true
+ *                       lastSuccessAt:
+ *                         type: string
+ *                         nullable: true
+ *                       lastError:
+ *                         type: string
+ *                         nullable: true
+ *                       lastStatus:
+ *                         type: integer
+ *                         nullable: true
+ *                       consecutiveFailures:
+ *                         type: integer
+ *       401:
+ *         description: Missing API key or admin bearer token
+ *       403:
+ *         description: Bearer token is not an admin
+ */
+router.get('/scheduler', (_req, res) => {
+  return res.json(getSchedulerStatus());
+});
+
+/**
+ * @swagger
+ * /admin/http:
+ *   get:
+ *     summary: Outbound HTTP metrics
+ *     description: |
+ *       Request counts of the shared outbound HTTP client since start, in total and per host.
+ *       `requests` counts attempts, so a request retried twice counts three times; `statuses` counts HTTP status codes.
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *         BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: HTTP client metrics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 totals:
+ *                   type: object
+ *                   properties:
+ *                     requests:
+ *                       type: integer
+ *                     succeeded:
+ *                       type: integer
+ *                     failed:
+ *                       type: integer
+ *                     retries:
+ *                       type: integer
+ *                     avgDurationMs:
+ *                       type: integer
+ *                     statuses:
+ *                       type: object
+ *                       additionalProperties:
+ *                         type: integer
+ *                 hosts:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: object
+ *       401:
+ *         description: Missing API key or admin bearer token
+ *       403:
+ *         description: Bearer token is not an admin
+ */
+router.get('/http', (_req, res) => {
+  return res.json(getHttpMetrics());
+});
+
+/**
+ * @swagger
+ * /admin/cache/stats:
+ *   get:
+ *     summary: Cache statistics
+ *     description: |
+ *       Returns the configured cache driver and, per namespace (feeds, discovery, youtube, summaries, articles,
+ *       blockedDomains), the number of cached entries and this instance's hit/miss counters. Entry counts come from
+ *       the backend and are shared between instances on the file and redis drivers; counters are per process.
+ *       Also includes the ETag / Last-Modified validator stores used for conditional requests.
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *         BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Cache statistics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 driver:
+ *                   type: string
+ *                   enum: [memory, file, redis]
+ *                 namespaces:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: object
+ *                     properties:
+ *                       keys:
+ *                         type: integer
+ *                       hits:
+ *                         type: integer
+ *                       misses:
+ *                         type: integer
+ *                       hitRate:
+ *                         type: string
+ *                       sets:
+ *                         type: integer
+ *                       errors:
+ *                         type: integer
+ *                 conditional:
+ *                   type: object
+ *       401:
+ *         description: Missing API key or admin bearer token
+ *       403:
+ *         description: Bearer token is not an admin
+ */
+router.get('/cache/stats', async (_req, res) => {
+  try {
+    const stats = await getCacheStats();
+    return res.json({ ...stats, conditional: getConditionalStats() });
+  } catch (error) {
+    logger.error('Failed to read cache statistics', { error });
+    return res.status(500).json({
+      error: 'Failed to read cache statistics',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/cache:
+ *   get:
+ *     summary: List cached feeds
+ *     description: Lists parsed feeds in the cache, one entry per feed and `since` filter, soonest expiry first.
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *         BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: url
+ *         schema:
+ *           type: string
+ *           format: uri
+ *         description: Only entries of this feed URL
+ *     responses:
+ *       200:
+ *         description: Cached feed entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 count:
+ *                   type: integer
+ *                 entries:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       key:
+ *                         type: string
+ *                       feedUrl:
+ *                         type: string
+ *                       since:
+ *                         type: string
+ *                         nullable: true
+ *                       expiresAt:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                       ttlMs:
+ *                         type: integer
+ *                         nullable: true
+ *       401:
+ *         description: Missing API key or admin bearer token
+ *       403:
+ *         description: Bearer token is not an admin
+ */
+router.get('/cache', validateAdminCacheQuery, async (req, res) => {
+  try {
+    const entries = await listFeedCacheEntries({ feedUrl: req.query.url });
+    return res.json({ count: entries.length, entries });
+  } catch (error) {
+    logger.error('Failed to list cache entries', { error });
+    return res.status(500).json({
+      error: 'Failed to list cache entries',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/cache:
+ *   delete:
+ *     summary: Purge the cache
+ *     description: |
+ *       With `url`, drops every cached variant (all `since` filters) of that feed and its ETag / Last-Modified
+ *       validators, so the next fetch downloads it in full. Without `url`, empties every cache namespace and all
+ *       validators. The action is written to the audit log.
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *         BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: url
+ *         schema:
+ *           type: string
+ *           format: uri
+ *         description: Feed URL to purge (omit to purge everything)
+ *     responses:
+ *       200:
+ *         description: Purge result
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 scope:
+ *                   type: string
+ *                   enum: [feed, all]
+ *                 url:
+ *                   type: string
+ *                 purged:
+ *                   type: integer
+ *                   description: Number of cache entries deleted
+ *                 namespaces:
+ *                   type: object
+ *                   description: Entries deleted per namespace (scope all)
+ *       401:
+ *         description: Missing API key or admin bearer token
+ *       403:
+ *         description: Bearer token is not an admin
+ */
+router.delete('/cache', validateAdminCacheQuery, async (req, res) => {
+  try {
+    const { url } = req.query;
+
+    if (url) {
+      const result = { scope: 'feed', url, purged: await invalidateFeedCache(url) };
+      auditCacheAction(req, 'cache.purge_feed', { url }, result);
+      logger.info('Feed cache purged', { url, purged: result.purged });
+      return res.json(result);
+    }
+
+    const namespaces = await purgeAllCaches();
+    clearConditionalStores();
+    const purged = Object.values(namespaces).reduce((sum, count) => sum + count, 0);
+    const result = { scope: 'all', purged, namespaces };
+    auditCacheAction(req, 'cache.purge_all', {}, result);
+    logger.info('All caches purged', { purged });
+    return res.json(result);
+  } catch (error) {
+    logger.error('Failed to purge cache', { error });
+    return res.status(500).json({
+      error: 'Failed to purge cache',
+      message: error.message
+    });
+  }
+});
+
+export default router;
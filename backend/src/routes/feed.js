@@ -1,12 +1,103 @@
 import express from "express";
 import { processFeeds } from "../services/feedprocess.js";
 import { validateUrls, UrlValidationError } from "../utils/urlValidator.js";
+import { SubscriptionError } from "../services/subscriptions.js";
+import { FilterError } from "../services/itemFilters.js";
+import { buildCombinedFeed } from "../services/feedAggregator.js";
+import { renderFeed, formatForMediaType, NEGOTIABLE_MEDIA_TYPES } from "../services/feedFormatter.js";
+import { RobotsDisallowedError } from "../utils/robots.js";
 import { createLogger } from "../utils/logger.js";
 import { validateFeedProcess } from "../middleware/validator.js";
+import { restrictRobotsOverride } from "../middleware/tenant.js";
+import { createEventStream } from "../utils/sse.js";
 
 const router = express.Router();
 const logger = createLogger('routes:feed');
 
+/**
+ * Turn a processfeed body into processFeeds input
+ * @param {object} req - Express request
+ * @returns {object} - { input, rejectedUrls } or { status, body } for an unusable request
+ */
+function buildProcessInput(req) {
+  const payload =
+    req.body?.body && typeof req.body.body === "object"
+      ? req.body.body
+      : req.body;
+
+  let { feeds, url, subscriptionId, tag, onlyNew, cursor, fullText, respectRobots, filters, filterSetIds, aggregate } = payload;
+  const selection = {
+    tenantId: req.context?.tenantId,
+    ...(onlyNew !== undefined && { onlyNew }),
+    ...(cursor !== undefined && { cursor }),
+    ...(filters && { filters }),
+    ...(filterSetIds && { filterSetIds }),
+    ...(fullText && { fullText }),
+    ...(respectRobots === false && { respectRobots }),
+    ...(aggregate && { aggregate }),
+  };
+
+  if (!feeds && !url && (subscriptionId || tag)) {
+    return { input: { subscriptionId, tag, ...selection }, rejectedUrls: [] };
+  }
+
+  // ✅ NORMALIZATION FIX
+  let normalizedFeeds = [];
+
+  if (Array.isArray(feeds)) {
+    normalizedFeeds = feeds;
+  } else if (Array.isArray(url)) {
+    normalizedFeeds = url;
+  } else if (typeof url === "string") {
+    normalizedFeeds = [url];
+  }
+
+  if (normalizedFeeds.length === 0) {
+    return {
+      status: 400,
+      body: { error: "You must provide feeds[] or url (string or array)" },
+    };
+  }
+
+  // Validate URLs with SSRF protection
+  const { valid: validFeeds, invalid: invalidFeeds } = validateUrls(normalizedFeeds);
+
+  if (validFeeds.length === 0) {
+    return {
+      status: 400,
+      body: { error: "No valid URLs provided", invalidUrls: invalidFeeds },
+    };
+  }
+
+  return { input: { feeds: validFeeds, ...selection }, rejectedUrls: invalidFeeds };
+}
+
+/**
+ * Status and body for a processfeed failure
+ */
+function errorResponse(err) {
+  if (err instanceof UrlValidationError) {
+    return { status: 400, body: { error: err.message, code: err.code } };
+  }
+  if (err instanceof RobotsDisallowedError) {
+    return { status: 403, body: { error: err.message, code: err.code } };
+  }
+  if (err instanceof SubscriptionError || err instanceof FilterError) {
+    return { status: err.statusCode, body: { error: err.message, code: err.code } };
+  }
+  return { status: 500, body: { error: err.message } };
+}
+
+/**
+ * Output format of a processfeed response: explicit `format` wins, then the Accept header
+ * @param {object} req - Express request
+ * @returns {string} - json, rss2, atom or jsonfeed
+ */
+function negotiateFormat(req) {
+  const payload = req.body?.body && typeof req.body.body === "object" ? req.body.body : req.body;
+  return payload.format || formatForMediaType(req.accepts(NEGOTIABLE_MEDIA_TYPES));
+}
+
 /**
  * @swagger
  * /rss/feed/processfeed:
@@ -37,10 +128,65 @@ const logger = createLogger('routes:feed');
  *                       type: string
  *                       format: uri
  *                 description: Alternative to feeds - single URL or array of URLs
+ *               subscriptionId:
+ *                 oneOf:
+ *                   - type: string
+ *                   - type: array
+ *                     items:
+ *                       type: string
+ *                 description: Process stored subscriptions by id (tenant-scoped)
+ *               tag:
+ *                 oneOf:
+ *                   - type: string
+ *                   - type: array
+ *                     items:
+ *                       type: string
+ *                 description: Process all enabled subscriptions carrying the tag(s)
+ *               onlyNew:
+ *                 type: boolean
+ *                 description: Only return items never returned to this tenant before
+ *               cursor:
+ *                 type: string
+ *                 description: Only return items first seen after this cursor (from a previous response)
+ *               fullText:
+ *                 type: boolean
+ *                 description: Follow each item link and add the extracted article (fullText.text / fullText.html), keeping the original content
+ *               respectRobots:
+ *                 type: boolean
+ *                 description: Set to false to scrape pages that robots.txt disallows when a URL is not a feed. Admin bearer token only.
+ *               filters:
+ *                 type: array
+ *                 description: Inline filter rules, applied to each feed's items before selection
+ *                 items:
+ *                   $ref: '#/components/schemas/FilterRule'
+ *               filterSetIds:
+ *                 type: array
+ *                 description: Saved filter sets of the tenant to apply (before the inline rules)
+ *                 items:
+ *                   type: string
+ *               aggregate:
+ *                 type: boolean
+ *                 description: |
+ *                   Merge the same story across feeds: items sharing a canonical link (tracking parameters, www./AMP
+ *                   variants removed) or a near-identical title (AGGREGATE_TITLE_SIMILARITY) become one item with
+ *                   publishedAt, clusterSize and sources, sorted newest first
+ *               format:
+ *                 type: string
+ *                 enum: [json, rss2, atom, jsonfeed]
+ *                 description: Return the combined items as a feed document instead of JSON (overrides the Accept header)
  *     responses:
  *       200:
- *         description: Feeds processed successfully
+ *         description: Feeds processed successfully. Non-JSON formats return the combined feed document, with the cursor in X-Feed-Cursor.
  *         content:
+ *           application/rss+xml:
+ *             schema:
+ *               type: string
+ *           application/atom+xml:
+ *             schema:
+ *               type: string
+ *           application/feed+json:
+ *             schema:
+ *               type: object
  *           application/json:
  *             schema:
  *               type: object
@@ -49,6 +195,94 @@ const logger = createLogger('routes:feed');
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/FeedItem'
+ *                 cursor:
+ *                   type: string
+ *                   description: Pass back as cursor to get only items first seen after this response
+ *                 aggregation:
+ *                   type: object
+ *                   description: With aggregate, the number of items before and after merging
+ *                   properties:
+ *                     itemCount:
+ *                       type: integer
+ *                     clusterCount:
+ *                       type: integer
+ *                 sources:
+ *                   type: array
+ *                   description: Outcome of each feed, in request order, then the newsletter inbox when configured
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       url:
+ *                         type: string
+ *                       ok:
+ *                         type: boolean
+ *                         description: False for dead feeds, pages without a feed and timeouts; an empty feed is ok with itemCount 0
+ *                       tier:
+ *                         type: string
+ *                         nullable: true
+ *                         enum: [direct, html-discovery, scrapingbee-discovery, scrapingbee-rss, newsletter]
+ *                         description: Fetch strategy that produced the feed. The scrapingbee-* tiers load the page through whichever renderer is configured (see renderer).
+ *                       renderer:
+ *                         type: string
+ *                         nullable: true
+ *                         example: http
+ *                         description: Renderer driver used by the scrapingbee-* tiers; null when they did not run
+ *                       feedUrl:
+ *                         type: string
+ *                         nullable: true
+ *                         description: Feed the items came from (differs from url when discovered)
+ *                       discoveredFeeds:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       httpStatus:
+ *                         type: integer
+ *                         nullable: true
+ *                         description: Status of the successful fetch, or of the direct fetch when none succeeded
+ *                       itemCount:
+ *                         type: integer
+ *                       durationMs:
+ *                         type: integer
+ *                       error:
+ *                         type: string
+ *                       code:
+ *                         type: string
+ *                         example: NO_FEED_FOUND
+ *                       attempts:
+ *                         type: array
+ *                         description: Every request made for this URL, in order
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             tier:
+ *                               type: string
+ *                             url:
+ *                               type: string
+ *                             httpStatus:
+ *                               type: integer
+ *                               nullable: true
+ *                             itemCount:
+ *                               type: integer
+ *                             error:
+ *                               type: string
+ *                 errors:
+ *                   type: array
+ *                   description: Feeds that failed; items of the other feeds are still returned
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       url:
+ *                         type: string
+ *                       error:
+ *                         type: string
+ *                       code:
+ *                         type: string
+ *                         example: DEADLINE_EXCEEDED
+ *                 partial:
+ *                   type: boolean
+ *                   description: True when the request deadline (FEED_PROCESS_DEADLINE_MS) cut off feeds still being fetched
+ *                 durationMs:
+ *                   type: integer
  *                 rejectedUrls:
  *                   type: array
  *                   items:
@@ -67,61 +301,112 @@ const logger = createLogger('routes:feed');
  *               $ref: '#/components/schemas/Error'
  *       401:
  *         description: Missing or invalid API key
+ *       403:
+ *         description: robots.txt disallows scraping a page that is not a feed (code ROBOTS_DISALLOWED), or respectRobots was false without an admin token
+ *       404:
+ *         description: Unknown subscription or no enabled subscriptions match
  *       500:
  *         description: Server error
  */
-router.post("/processfeed", validateFeedProcess, async (req, res) => {
+router.post("/processfeed", validateFeedProcess, restrictRobotsOverride, async (req, res) => {
   try {
-    const payload =
-      req.body?.body && typeof req.body.body === "object"
-        ? req.body.body
-        : req.body;
-
-    let { feeds, url } = payload;
-
-    // ✅ NORMALIZATION FIX
-    let normalizedFeeds = [];
-
-    if (Array.isArray(feeds)) {
-      normalizedFeeds = feeds;
-    } else if (Array.isArray(url)) {
-      normalizedFeeds = url;
-    } else if (typeof url === "string") {
-      normalizedFeeds = [url];
-    }
-
-    if (normalizedFeeds.length === 0) {
-      return res.status(400).json({
-        error: "You must provide feeds[] or url (string or array)",
-      });
+    const request = buildProcessInput(req);
+    if (!request.input) {
+      return res.status(request.status).json(request.body);
     }
 
-    // Validate URLs with SSRF protection
-    const { valid: validFeeds, invalid: invalidFeeds } = validateUrls(normalizedFeeds);
+    const feedResult = await processFeeds(request.input);
 
-    if (validFeeds.length === 0) {
-      return res.status(400).json({
-        error: "No valid URLs provided",
-        invalidUrls: invalidFeeds
-      });
+    const format = negotiateFormat(req);
+    if (format !== "json") {
+      const { contentType, body } = renderFeed(buildCombinedFeed(feedResult.feed.items), format);
+      if (feedResult.cursor) res.set("X-Feed-Cursor", feedResult.cursor);
+      return res.type(contentType).send(body);
     }
 
-    const feedResult = await processFeeds({ feeds: validFeeds });
-
     // Include info about rejected URLs in response
-    if (invalidFeeds.length > 0) {
-      feedResult.rejectedUrls = invalidFeeds;
+    if (request.rejectedUrls.length > 0) {
+      feedResult.rejectedUrls = request.rejectedUrls;
     }
 
     res.json(feedResult);
   } catch (err) {
     logger.error('Feed process error', { error: err });
-    if (err instanceof UrlValidationError) {
-      return res.status(400).json({ error: err.message, code: err.code });
-    }
-    res.status(500).json({ error: err.message });
+    const { status, body } = errorResponse(err);
+    res.status(status).json(body);
   }
 });
 
+/**
+ * @swagger
+ * /rss/feed/processfeed/stream:
+ *   post:
+ *     summary: Process feeds, streaming results as Server-Sent Events
+ *     description: |
+ *       Same request body as `/rss/feed/processfeed`. The response is a `text/event-stream` with one event per finished feed:
+ *
+ *       - `feed`: `{ source, items }` for one input URL (or the newsletter inbox), in completion order
+ *       - `progress`: `{ completed, total }` after each `feed` event
+ *       - `summary`: the processfeed response without `feed.items` (sources, errors, partial, cursor, rejectedUrls...);
+ *         with `aggregate` it carries the merged `feed.items`, since clusters span feeds
+ *       - `error`: `{ error, code }` if processing failed after the stream started
+ *
+ *       Invalid requests and unknown subscriptions are still answered with a JSON error before the stream starts.
+ *       Disconnecting stops the remaining fetches.
+ *     tags: [Feed Processing]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: See /rss/feed/processfeed
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: No valid URLs provided
+ *       401:
+ *         description: Missing or invalid API key
+ *       403:
+ *         description: respectRobots was false without an admin token
+ *       404:
+ *         description: Unknown subscription or no enabled subscriptions match
+ */
+router.post("/processfeed/stream", validateFeedProcess, restrictRobotsOverride, async (req, res) => {
+  const request = buildProcessInput(req);
+  if (!request.input) {
+    return res.status(request.status).json(request.body);
+  }
+
+  const stream = createEventStream(req, res);
+  try {
+    const { feed, ...summary } = await processFeeds(request.input, {
+      signal: stream.signal,
+      onFeed: async ({ source, items, completed, total }) => {
+        stream.send("feed", { source, items });
+        stream.send("progress", { completed, total });
+      },
+    });
+
+    stream.send("summary", {
+      ...summary,
+      ...(request.input.aggregate && { feed }),
+      ...(request.rejectedUrls.length > 0 && { rejectedUrls: request.rejectedUrls }),
+    });
+  } catch (err) {
+    logger.error('Feed stream error', { error: err });
+    const { status, body } = errorResponse(err);
+    if (!stream.started) {
+      return res.status(status).json(body);
+    }
+    stream.send("error", body);
+  }
+  stream.end();
+});
 
 export default router;
@@ -0,0 +1,113 @@
+import express from 'express';
+import { getFeedHealth } from '../services/feedHealth.js';
+import { createLogger } from '../utils/logger.js';
+import { validateFeedHealthQuery } from '../middleware/validator.js';
+
+const router = express.Router();
+const logger = createLogger('routes:feeds');
+
+/**
+ * @swagger
+ * /feeds/health:
+ *   get:
+ *     summary: Health of followed feeds
+ *     description: |
+ *       Classifies each subscription of the current tenant from the background poller's fetch history:
+ *       `erroring` (FEED_HEALTH_ERROR_THRESHOLD consecutive failures), `moved` (the feed answers with a
+ *       301/308 redirect), `stale` (quiet for FEED_HEALTH_STALE_FACTOR times its usual gap between items,
+ *       or FEED_HEALTH_STALE_DAYS), `healthy`, or `unchecked` (not polled yet).
+ *       With FEED_HEALTH_FOLLOW_REDIRECTS the poller updates the stored URL of moved feeds itself.
+ *     tags: [Subscriptions]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [erroring, moved, stale, healthy, unchecked]
+ *         description: Only feeds in this state
+ *     responses:
+ *       200:
+ *         description: Feed health
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 counts:
+ *                   type: object
+ *                   description: Number of feeds per state (before the status filter)
+ *                   additionalProperties:
+ *                     type: integer
+ *                 feeds:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       subscriptionId:
+ *                         type: string
+ *                       title:
+ *                         type: string
+ *                       url:
+ *                         type: string
+ *                         description: URL the poller fetches
+ *                       status:
+ *                         type: string
+ *                       reasons:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       lastCheckedAt:
+ *                         type: string
+ *                         nullable: true
+ *                       lastSuccessAt:
+ *                         type: string
+ *                         nullable: true
+ *                       lastStatus:
+ *                         type: integer
+ *                         nullable: true
+ *                       lastError:
+ *                         type: string
+ *                         nullable: true
+ *                       consecutiveFailures:
+ *                         type: integer
+ *                       lastNewItemAt:
+ *                         type: string
+ *                         nullable: true
+ *                         description: When an item was last seen for the first time
+ *                       latestItemPublishedAt:
+ *                         type: string
+ *                         nullable: true
+ *                       avgItemIntervalSec:
+ *                         type: integer
+ *                         nullable: true
+ *                         description: Average gap between item publication dates
+ *                       movedTo:
+ *                         type: string
+ *                         nullable: true
+ *                       movedFrom:
+ *                         type: string
+ *                         nullable: true
+ *                         description: Previous URL, once a permanent redirect was followed
+ *                       history:
+ *                         type: array
+ *                         description: Latest checks first ({ at, ok, status, code, error, itemCount, newItemCount, durationMs }); parse failures have code PARSE_FAILED
+ *                         items:
+ *                           type: object
+ *       400:
+ *         description: Unknown status
+ *       401:
+ *         description: Missing or invalid API key
+ */
+router.get('/health', validateFeedHealthQuery, async (req, res) => {
+  try {
+    return res.json(await getFeedHealth(req.context.tenantId, req.query));
+  } catch (error) {
+    logger.error('Failed to get feed health', { error });
+    return res.status(500).json({
+      error: 'Failed to get feed health',
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,286 @@
+import express from 'express';
+import {
+  listFilterSets,
+  getFilterSet,
+  createFilterSet,
+  updateFilterSet,
+  deleteFilterSet,
+  FilterError
+} from '../services/itemFilters.js';
+import { createLogger } from '../utils/logger.js';
+import { validateFilterSetCreate, validateFilterSetUpdate } from '../middleware/validator.js';
+
+const router = express.Router();
+const logger = createLogger('routes:filters');
+
+/**
+ * Map service errors to HTTP responses
+ * @param {Error} error - Error thrown by the filter service
+ * @param {object} res - Express response
+ * @param {string} action - Action description for logging
+ */
+function handleError(error, res, action) {
+  if (error instanceof FilterError) {
+    return res.status(error.statusCode).json({ error: error.message, code: error.code });
+  }
+
+  logger.error(`Failed to ${action}`, { error });
+  return res.status(500).json({
+    error: `Failed to ${action}`,
+    message: error.message
+  });
+}
+
+function notFound(res, id) {
+  return res.status(404).json({
+    error: `Filter set not found: ${id}`,
+    code: 'FILTER_SET_NOT_FOUND'
+  });
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     FilterRule:
+ *       type: object
+ *       description: |
+ *         Matches an item when every condition it sets holds. When a request has include rules, only items
+ *         matching one of them are kept; items matching an exclude rule are dropped; tag rules add their tags
+ *         to the item's `tags`.
+ *       required:
+ *         - action
+ *       properties:
+ *         action:
+ *           type: string
+ *           enum: [include, exclude, tag]
+ *         field:
+ *           type: string
+ *           enum: [any, title, content, categories, creator, domain]
+ *           default: any
+ *           description: Item field to match; any is title and content
+ *         keywords:
+ *           type: array
+ *           description: Matches if any keyword appears as a whole word (case-insensitive). For field domain, link domains including their subdomains.
+ *           items:
+ *             type: string
+ *         regex:
+ *           type: string
+ *           description: Case-insensitive regular expression in RE2 syntax (no backreferences or lookaround). Repeated groups may not contain quantifiers or alternatives.
+ *         after:
+ *           type: string
+ *           format: date-time
+ *           description: Published at or after this time
+ *         before:
+ *           type: string
+ *           format: date-time
+ *           description: Published before this time
+ *         withinHours:
+ *           type: number
+ *           description: Published within this many hours
+ *         tags:
+ *           type: array
+ *           description: Tags added by a tag rule
+ *           items:
+ *             type: string
+ *       example:
+ *         action: exclude
+ *         field: title
+ *         keywords: [sponsored, webinar]
+ *     FilterSet:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         rules:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/FilterRule'
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /filters:
+ *   get:
+ *     summary: List saved filter sets
+ *     description: Filter sets of the current tenant, to reference as filterSetIds in /rss/fetch and processfeed.
+ *     tags: [Filters]
+ *     responses:
+ *       200:
+ *         description: Filter sets
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 filterSets:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/FilterSet'
+ *                 total:
+ *                   type: integer
+ *       401:
+ *         description: Missing or invalid API key
+ */
+router.get('/', async (req, res) => {
+  try {
+    const filterSets = await listFilterSets(req.context.tenantId);
+    return res.json({ filterSets, total: filterSets.length });
+  } catch (error) {
+    return handleError(error, res, 'list filter sets');
+  }
+});
+
+/**
+ * @swagger
+ * /filters:
+ *   post:
+ *     summary: Save a filter set
+ *     tags: [Filters]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - rules
+ *             properties:
+ *               name:
+ *                 type: string
+ *               rules:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/FilterRule'
+ *     responses:
+ *       201:
+ *         description: Filter set created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 filterSet:
+ *                   $ref: '#/components/schemas/FilterSet'
+ *       400:
+ *         description: Validation error or invalid regex (code INVALID_REGEX)
+ */
+router.post('/', validateFilterSetCreate, async (req, res) => {
+  try {
+    const filterSet = await createFilterSet(req.context.tenantId, req.body);
+    return res.status(201).json({ filterSet });
+  } catch (error) {
+    return handleError(error, res, 'create filter set');
+  }
+});
+
+/**
+ * @swagger
+ * /filters/{id}:
+ *   get:
+ *     summary: Get a saved filter set
+ *     tags: [Filters]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Filter set found
+ *       404:
+ *         description: Filter set not found
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const filterSet = await getFilterSet(req.context.tenantId, req.params.id);
+    if (!filterSet) return notFound(res, req.params.id);
+    return res.json({ filterSet });
+  } catch (error) {
+    return handleError(error, res, 'get filter set');
+  }
+});
+
+/**
+ * @swagger
+ * /filters/{id}:
+ *   patch:
+ *     summary: Update a saved filter set
+ *     description: Replaces the name and/or the whole rule list.
+ *     tags: [Filters]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               rules:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/FilterRule'
+ *     responses:
+ *       200:
+ *         description: Filter set updated
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Filter set not found
+ */
+router.patch('/:id', validateFilterSetUpdate, async (req, res) => {
+  try {
+    const filterSet = await updateFilterSet(req.context.tenantId, req.params.id, req.body);
+    if (!filterSet) return notFound(res, req.params.id);
+    return res.json({ filterSet });
+  } catch (error) {
+    return handleError(error, res, 'update filter set');
+  }
+});
+
+/**
+ * @swagger
+ * /filters/{id}:
+ *   delete:
+ *     summary: Delete a saved filter set
+ *     tags: [Filters]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Filter set deleted
+ *       404:
+ *         description: Filter set not found
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const deleted = await deleteFilterSet(req.context.tenantId, req.params.id);
+    if (!deleted) return notFound(res, req.params.id);
+    return res.json({ success: true, id: req.params.id });
+  } catch (error) {
+    return handleError(error, res, 'delete filter set');
+  }
+});
+
+export default router;
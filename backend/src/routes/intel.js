@@ -1,5 +1,5 @@
 import express from 'express';
-import axios from 'axios';
+import { httpPost } from '../utils/httpClient.js';
 import { validateUrls } from '../utils/urlValidator.js';
 import { createLogger } from '../utils/logger.js';
 import { validateIntelUrls, validateDailyIntel } from '../middleware/validator.js';
@@ -9,6 +9,9 @@ const logger = createLogger('routes:intel');
 
 const WEBHOOK_URL = process.env.WEBHOOK_URL;
 
+// The webhook is operator-configured and often on a private network, so it bypasses the SSRF guard
+const WEBHOOK_REQUEST_OPTIONS = { ssrfGuard: false };
+
 /**
  * Forward URLs to webhook endpoint in parallel
  * @param {string[]} urls - Array of URLs to forward
@@ -20,7 +23,7 @@ async function forwardToWebhook(urls, endpoint) {
 
     const results = await Promise.allSettled(
         urls.map(url =>
-            axios.post(`${WEBHOOK_URL}/${endpoint}`, { url })
+            httpPost(`${WEBHOOK_URL}/${endpoint}`, { url }, WEBHOOK_REQUEST_OPTIONS)
                 .then(response => ({
                     url,
                     success: true,
@@ -246,9 +249,10 @@ router.post('/getdailyintel', validateDailyIntel, async (req, res) => {
         // Zod validation ensures date is in YYYY-MM-DD format
         const { date } = req.body;
 
-        const response = await axios.post(
+        const response = await httpPost(
             `${WEBHOOK_URL}/getdailyintel`,
-            { params: { date } }
+            { params: { date } },
+            WEBHOOK_REQUEST_OPTIONS
         );
 
         return res.json(response.data);
@@ -3,6 +3,7 @@ import { verifyBearerToken } from "../services/auth.js";
 import { getTenantContext } from "../services/context.js";
 import { processFeeds } from "../services/feedprocess.js";
 import { summarizeFeeds } from "../services/feedSummarizer.js";
+import { createEventStream } from "../utils/sse.js";
 
 const router = express.Router();
 
@@ -58,6 +59,42 @@ router.use(async (req, res, next) => {
   }
 });
 
+/**
+ * Answer a fetch_rss_feed call as an SSE stream (MCP Streamable HTTP): each finished feed is
+ * sent as a notifications/message (and notifications/progress when the client passed a
+ * progressToken), followed by the JSON-RPC response carrying the complete result.
+ */
+async function streamFetchRssFeed(req, res, { jsonrpc, id, input, progressToken }) {
+  const stream = createEventStream(req, res);
+  const notify = (method, notificationParams) =>
+    stream.send(undefined, { jsonrpc, method, params: notificationParams });
+
+  try {
+    const result = await processFeeds(input, {
+      signal: stream.signal,
+      onFeed: async ({ source, items, completed, total }) => {
+        notify("notifications/message", {
+          level: source.ok ? "info" : "warning",
+          logger: "fetch_rss_feed",
+          data: { source, items },
+        });
+        if (progressToken !== undefined) {
+          notify("notifications/progress", {
+            progressToken,
+            progress: completed,
+            total,
+            message: source.ok ? `${source.url}: ${items.length} items` : `${source.url}: ${source.error}`,
+          });
+        }
+      },
+    });
+    stream.send(undefined, { jsonrpc, id, result });
+  } catch (error) {
+    stream.send(undefined, jsonRpcError(id, -32000, error?.message || "Internal server error"));
+  }
+  stream.end();
+}
+
 /**
  * GET /mcp/health
  */
@@ -95,7 +132,11 @@ router.get("/health", (req, res) => {
  * /mcp:
  *   post:
  *     summary: MCP JSON-RPC endpoint
- *     description: Supports `tools/list` and `tools/call` methods for RSS processing and summarization.
+ *     description: |
+ *       Supports `tools/list` and `tools/call` methods for RSS processing and summarization.
+ *       A `fetch_rss_feed` call with `stream: true` or a `_meta.progressToken`, from a client that accepts `text/event-stream`,
+ *       is answered as an event stream: a `notifications/message` per finished feed (plus `notifications/progress` for a
+ *       progressToken), then the JSON-RPC response.
  *     tags: [MCP]
  *     security:
  *       - BearerAuth: []
@@ -176,6 +217,18 @@ router.post("/", async (req, res) => {
                     items: { type: "string" },
                     description: "Array of RSS or site URLs",
                   },
+                  fullText: {
+                    type: "boolean",
+                    description: "Add the extracted article text of each item link",
+                  },
+                  aggregate: {
+                    type: "boolean",
+                    description: "Merge the same story from several feeds into one item listing all its sources, newest first",
+                  },
+                  stream: {
+                    type: "boolean",
+                    description: "Stream each feed as a notifications/message as soon as it is fetched (needs Accept: text/event-stream)",
+                  },
                 },
                 anyOf: [{ required: ["url"] }, { required: ["feeds"] }],
               },
@@ -223,12 +276,16 @@ router.post("/", async (req, res) => {
 
       // fetch_rss_feed
       if (toolName === "fetch_rss_feed") {
-        let result;
+        let input;
+        const options = {
+          ...(args.fullText === true && { fullText: true }),
+          ...(args.aggregate === true && { aggregate: true }),
+        };
 
         if (Array.isArray(args.feeds) && args.feeds.length > 0) {
-          result = await processFeeds({ feeds: args.feeds });
+          input = { feeds: args.feeds, ...options };
         } else if (typeof args.url === "string" && args.url.trim()) {
-          result = await processFeeds({ url: args.url.trim() });
+          input = { url: args.url.trim(), ...options };
         } else {
           return res.status(400).json(
             jsonRpcError(
@@ -239,6 +296,14 @@ router.post("/", async (req, res) => {
           );
         }
 
+        const progressToken = params?._meta?.progressToken;
+        const wantsStream = args.stream === true || progressToken !== undefined;
+        if (wantsStream && req.accepts("text/event-stream")) {
+          return streamFetchRssFeed(req, res, { jsonrpc, id, input, progressToken });
+        }
+
+        const result = await processFeeds(input);
+
         return res.status(200).json({
           jsonrpc,
           id,
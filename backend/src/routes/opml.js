@@ -0,0 +1,185 @@
+import express from 'express';
+import { importOpml, buildOpml, OpmlError } from '../services/opml.js';
+import { listSubscriptions } from '../services/subscriptions.js';
+import { createLogger } from '../utils/logger.js';
+import { bodyLimits } from '../config/index.js';
+import { validateOpmlImport, validateSubscriptionListQuery } from '../middleware/validator.js';
+
+const router = express.Router();
+const logger = createLogger('routes:opml');
+
+const OPML_MEDIA_TYPES = ['text/x-opml', 'text/xml', 'application/xml', 'application/octet-stream'];
+
+/**
+ * Accept the OPML file as the raw request body, with options in the query string
+ */
+function rawOpmlBody(req, res, next) {
+  if (typeof req.body === 'string') {
+    req.body = {
+      opml: req.body,
+      discover: req.query.discover === 'true',
+      tags: req.query.tag ? [].concat(req.query.tag) : undefined
+    };
+  }
+  next();
+}
+
+/**
+ * @swagger
+ * /opml/import:
+ *   post:
+ *     summary: Import subscriptions from OPML
+ *     description: |
+ *       Imports an OPML 1.0/2.0 feed list (e.g. a Feedly or Inoreader export) as subscriptions of the current tenant.
+ *       Nested folder outlines and OPML 2.0 `category` attributes become tags, truncated to 50 characters and at most 20 per
+ *       feed like in the subscriptions API (reported in `tagWarnings`). Every `xmlUrl` is checked with SSRF
+ *       protection. Entries with only an `htmlUrl` are skipped unless `discover` is set, in which case RSS discovery
+ *       is run on the site. The OPML can be sent as JSON (`opml` field) or as the raw request body (`text/x-opml`,
+ *       `text/xml`, `application/xml`) with `discover` and `tag` as query parameters.
+ *     tags: [Subscriptions]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - opml
+ *             properties:
+ *               opml:
+ *                 type: string
+ *                 description: OPML document
+ *               discover:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Run RSS discovery on entries without xmlUrl
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Extra tags applied to every imported feed
+ *         text/x-opml:
+ *           schema:
+ *             type: string
+ *     responses:
+ *       200:
+ *         description: Per-entry import report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     created:
+ *                       type: integer
+ *                     duplicate:
+ *                       type: integer
+ *                     invalid:
+ *                       type: integer
+ *                     skipped:
+ *                       type: integer
+ *                     failed:
+ *                       type: integer
+ *                 entries:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       title:
+ *                         type: string
+ *                       xmlUrl:
+ *                         type: string
+ *                         nullable: true
+ *                       htmlUrl:
+ *                         type: string
+ *                         nullable: true
+ *                       tags:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       tagWarnings:
+ *                         type: array
+ *                         description: Tags truncated or dropped to fit the limits, when any were
+ *                         items:
+ *                           type: string
+ *                       status:
+ *                         type: string
+ *                         enum: [created, duplicate, invalid, skipped, failed]
+ *                       subscriptionId:
+ *                         type: string
+ *                       error:
+ *                         type: string
+ *       400:
+ *         description: Validation error or malformed OPML
+ */
+router.post(
+  '/import',
+  express.text({ type: OPML_MEDIA_TYPES, limit: bodyLimits.opml }),
+  rawOpmlBody,
+  validateOpmlImport,
+  async (req, res) => {
+    try {
+      const { opml, discover, tags } = req.body;
+      const report = await importOpml(req.context.tenantId, opml, { discover, tags });
+      return res.json(report);
+    } catch (error) {
+      if (error instanceof OpmlError) {
+        return res.status(400).json({ error: error.message, code: error.code });
+      }
+
+      logger.error('Failed to import OPML', { error });
+      return res.status(500).json({
+        error: 'Failed to import OPML',
+        message: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /opml/export:
+ *   get:
+ *     summary: Export subscriptions as OPML
+ *     description: Renders the current tenant's subscriptions as an OPML 2.0 document, grouped in folders by first tag.
+ *     tags: [Subscriptions]
+ *     parameters:
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         description: Only subscriptions carrying this tag
+ *       - in: query
+ *         name: enabled
+ *         schema:
+ *           type: string
+ *           enum: ['true', 'false']
+ *     responses:
+ *       200:
+ *         description: OPML document
+ *         content:
+ *           text/x-opml:
+ *             schema:
+ *               type: string
+ */
+router.get('/export', validateSubscriptionListQuery, async (req, res) => {
+  try {
+    const subscriptions = await listSubscriptions(req.context.tenantId, req.query);
+    const opml = buildOpml(subscriptions);
+
+    res.set('Content-Disposition', 'attachment; filename="subscriptions.opml"');
+    return res.type('text/x-opml').send(opml);
+  } catch (error) {
+    logger.error('Failed to export OPML', { error });
+    return res.status(500).json({
+      error: 'Failed to export OPML',
+      message: error.message
+    });
+  }
+});
+
+export default router;
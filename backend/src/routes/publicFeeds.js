@@ -0,0 +1,75 @@
+import express from 'express';
+import { getPublicFeed, getPublicBaseUrl, PUBLIC_FEED_EXTENSIONS } from '../services/publicFeeds.js';
+import { renderFeed } from '../services/feedFormatter.js';
+import { publicFeeds as publicFeedsConfig } from '../config/index.js';
+import { createLogger } from '../utils/logger.js';
+
+const router = express.Router();
+const logger = createLogger('routes:publicFeeds');
+
+const FEED_FILE_PATTERN = /^([A-Za-z0-9_-]+)\.(xml|atom|json)$/;
+
+/**
+ * @swagger
+ * /feeds/{file}:
+ *   get:
+ *     summary: Public URL of a generated feed
+ *     description: Serves a feed generated by POST /api/rss/fetch under its stable id, so feed readers can subscribe without an API key. Use `.xml` for RSS 2.0, `.atom` for Atom 1.0 and `.json` for JSON Feed 1.1. The feed is regenerated from the site once the cached copy expires (PUBLIC_FEED_TTL).
+ *     tags: [RSS]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: file
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: 3q2-7wAAAAB5Xj0aTQpUxA.xml
+ *     responses:
+ *       200:
+ *         description: Feed document
+ *         content:
+ *           application/rss+xml:
+ *             schema:
+ *               type: string
+ *           application/atom+xml:
+ *             schema:
+ *               type: string
+ *           application/feed+json:
+ *             schema:
+ *               type: object
+ *       404:
+ *         description: Unknown feed id or extension
+ *       502:
+ *         description: Feed could not be regenerated from the site
+ */
+router.get('/:file', async (req, res) => {
+  const match = FEED_FILE_PATTERN.exec(req.params.file);
+  if (!match) {
+    return res.status(404).json({ error: 'Feed not found', code: 'FEED_NOT_FOUND' });
+  }
+
+  const [, id, ext] = match;
+  const baseUrl = getPublicBaseUrl(req);
+
+  try {
+    const feed = await getPublicFeed(id, baseUrl);
+    if (!feed) {
+      return res.status(404).json({ error: 'Feed not found', code: 'FEED_NOT_FOUND' });
+    }
+
+    const { contentType, body } = renderFeed(feed, PUBLIC_FEED_EXTENSIONS[ext], {
+      selfUrl: `${baseUrl}/feeds/${id}.${ext}`
+    });
+
+    res.set('Cache-Control', `public, max-age=${publicFeedsConfig.ttlSec}`);
+    return res.type(contentType).send(body);
+  } catch (error) {
+    logger.error('Failed to serve public feed', { id, error });
+    return res.status(502).json({
+      error: 'Failed to generate feed',
+      message: error.message
+    });
+  }
+});
+
+export default router;
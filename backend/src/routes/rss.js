@@ -3,20 +3,86 @@ import { parseStringPromise } from 'xml2js';
 import { discoverRssFeed } from '../services/rssDiscovery.js';
 import { fetchAndParseRss } from '../services/rssFetcher.js';
 import { scrapeWebsite } from '../utils/scraper.js';
+import { scrapeSitemap } from '../utils/sitemap.js';
 import { generateRssFeed } from '../services/rssGenerator.js';
+import { selectNewItems } from '../services/itemStore.js';
+import { resolveFilterRules, applyFilters, FilterError } from '../services/itemFilters.js';
+import { addFullText } from '../utils/articleExtractor.js';
+import { publishGeneratedFeed, getPublicBaseUrl } from '../services/publicFeeds.js';
+import { RendererError } from '../services/renderer.js';
+import { renderFeed, formatForMediaType, NEGOTIABLE_MEDIA_TYPES } from '../services/feedFormatter.js';
 import { validateUrl, UrlValidationError } from '../utils/urlValidator.js';
+import { RobotsDisallowedError } from '../utils/robots.js';
 import { createLogger } from '../utils/logger.js';
 import { validateRssFetch } from '../middleware/validator.js';
+import { restrictRobotsOverride } from '../middleware/tenant.js';
 
 const router = express.Router();
 const logger = createLogger('routes:rss');
 
+/**
+ * Output format for a request: explicit `format` wins, then the Accept header.
+ * Unknown or missing Accept headers keep the JSON response.
+ * @param {object} req - Express request
+ * @returns {string} - json, rss2, atom or jsonfeed
+ */
+function negotiateFormat(req) {
+  return req.body.format || formatForMediaType(req.accepts(NEGOTIABLE_MEDIA_TYPES));
+}
+
+/**
+ * Send a feed rendered as XML / JSON Feed. Source and cursor travel as headers
+ * since the body is the feed document itself.
+ */
+function sendRenderedFeed(res, feed, format, { source, cursor }) {
+  const { contentType, body } = renderFeed(feed, format);
+  res.set('X-Feed-Source', source);
+  res.set('X-Feed-Cursor', cursor);
+  return res.type(contentType).send(body);
+}
+
+/**
+ * Feed data for a site without a feed. auto scrapes the page and falls back to the
+ * sitemaps when the page yields no items (e.g. a JS-rendered homepage).
+ * @param {string} url - Website URL
+ * @param {object} options - strategy (auto, scrape or sitemap), respectRobots, pages, fetchTitles, render
+ * @returns {Promise<object>} - Scraped data, with the strategy used (scrape or sitemap)
+ */
+async function scrapeSite(url, { strategy = 'auto', respectRobots, pages, fetchTitles, render }) {
+  if (strategy === 'sitemap') {
+    return { ...(await scrapeSitemap(url, { respectRobots, fetchTitles })), strategy: 'sitemap' };
+  }
+
+  const scraped = await scrapeWebsite(url, { respectRobots, pages, render });
+  if (strategy === 'scrape' || scraped.items.length > 0) {
+    return { ...scraped, strategy: 'scrape' };
+  }
+
+  logger.info('No items found on the page, trying sitemaps', { url });
+  const fromSitemap = await scrapeSitemap(url, { respectRobots, fetchTitles });
+  if (fromSitemap.items.length === 0) {
+    return { ...scraped, strategy: 'scrape' };
+  }
+
+  // The page still names the site better than its hostname
+  return {
+    ...fromSitemap,
+    title: scraped.title,
+    description: scraped.description || fromSitemap.description,
+    siteName: scraped.siteName,
+    favicon: scraped.favicon,
+    pages: scraped.pages,
+    rendered: scraped.rendered,
+    strategy: 'sitemap'
+  };
+}
+
 /**
  * @swagger
  * /rss/fetch:
  *   post:
  *     summary: Fetch or generate RSS feed for a URL
- *     description: Discovers an existing RSS feed for the given URL, or scrapes the website and generates one if no feed is found.
+ *     description: Discovers an existing RSS feed for the given URL, or generates one if no feed is found, from the page markup or the site's sitemaps (see strategy).
  *     tags: [RSS]
  *     requestBody:
  *       required: true
@@ -37,10 +103,64 @@ const logger = createLogger('routes:rss');
  *                 format: date-time
  *                 description: Optional ISO datetime. When provided, only items published on/after this timestamp are returned.
  *                 example: 2026-03-20T00:00:00Z
+ *               onlyNew:
+ *                 type: boolean
+ *                 description: Only return items never returned to this tenant before
+ *               cursor:
+ *                 type: string
+ *                 description: Only return items first seen after this cursor (from a previous response)
+ *               fullText:
+ *                 type: boolean
+ *                 description: Follow each item link and add the extracted article (fullText.text / fullText.html), keeping the original content
+ *               format:
+ *                 type: string
+ *                 enum: [json, rss2, atom, jsonfeed]
+ *                 description: Output format. Overrides the Accept header (application/rss+xml, application/atom+xml, application/feed+json). Defaults to json.
+ *               respectRobots:
+ *                 type: boolean
+ *                 description: Set to false to scrape and probe pages that robots.txt disallows. Admin bearer token only.
+ *               filters:
+ *                 type: array
+ *                 description: Inline filter rules, applied to the items before selection
+ *                 items:
+ *                   $ref: '#/components/schemas/FilterRule'
+ *               filterSetIds:
+ *                 type: array
+ *                 description: Saved filter sets of the tenant to apply (before the inline rules)
+ *                 items:
+ *                   type: string
+ *               pages:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: When the feed is generated, crawl up to this many archive pages (rel="next", "older posts" and ?page= links), capped at MAX_SCRAPE_PAGES. The public feed keeps the same depth. Defaults to 1.
+ *               strategy:
+ *                 type: string
+ *                 enum: [auto, scrape, sitemap]
+ *                 description: |
+ *                   How to generate the feed when none is found. scrape reads the page markup; sitemap builds items from the newest
+ *                   URLs of the site's sitemaps (robots.txt Sitemap lines, else /sitemap.xml), including sitemap indexes and Google
+ *                   News sitemaps; auto scrapes and falls back to the sitemaps when the page yields no items. Defaults to auto.
+ *               fetchTitles:
+ *                 type: boolean
+ *                 description: With the sitemap strategy, fetch each page for its title, summary and image instead of deriving the title from the URL
+ *               render:
+ *                 type: boolean
+ *                 description: |
+ *                   Load the page in a headless browser (RENDERER_DRIVER) before scraping it. By default a page that yields no items
+ *                   is rendered again when a renderer is configured; false never renders. Kept for the public feed.
  *     responses:
  *       200:
- *         description: RSS feed retrieved successfully
+ *         description: RSS feed retrieved successfully. Non-JSON formats return the feed document with X-Feed-Source and X-Feed-Cursor headers.
  *         content:
+ *           application/rss+xml:
+ *             schema:
+ *               type: string
+ *           application/atom+xml:
+ *             schema:
+ *               type: string
+ *           application/feed+json:
+ *             schema:
+ *               type: object
  *           application/json:
  *             schema:
  *               type: object
@@ -55,9 +175,61 @@ const logger = createLogger('routes:rss');
  *                   description: URL of discovered feed (null if generated)
  *                 feed:
  *                   $ref: '#/components/schemas/Feed'
+ *                   description: For generated feeds each item names how it was found in extractedWith (json-ld, microdata, open-graph, recipe or heuristics)
  *                 rss:
  *                   type: object
  *                   description: Generated RSS structure as JSON (only for generated feeds)
+ *                 publicFeed:
+ *                   type: object
+ *                   description: Stable public URLs of the generated feed (only for generated feeds)
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                     urls:
+ *                       type: object
+ *                       properties:
+ *                         rss2:
+ *                           type: string
+ *                         atom:
+ *                           type: string
+ *                         jsonfeed:
+ *                           type: string
+ *                 cursor:
+ *                   type: string
+ *                   description: Pass back as cursor to get only items first seen after this response
+ *                 pages:
+ *                   type: array
+ *                   description: Pages crawled to generate the feed, in order (only for generated feeds)
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       url:
+ *                         type: string
+ *                       itemCount:
+ *                         type: integer
+ *                         description: New items found on the page
+ *                       error:
+ *                         type: string
+ *                         description: Why crawling stopped at this page
+ *                 strategy:
+ *                   type: string
+ *                   enum: [scrape, sitemap]
+ *                   description: How the feed was generated (only for generated feeds)
+ *                 rendered:
+ *                   type: boolean
+ *                   description: Whether the page was rendered in a headless browser (only for generated feeds)
+ *                 sitemaps:
+ *                   type: array
+ *                   description: Sitemap documents read, in order (only when generated from sitemaps)
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       url:
+ *                         type: string
+ *                       urlCount:
+ *                         type: integer
+ *                       error:
+ *                         type: string
  *       400:
  *         description: Invalid URL or SSRF protection triggered
  *         content:
@@ -66,12 +238,22 @@ const logger = createLogger('routes:rss');
  *               $ref: '#/components/schemas/Error'
  *       401:
  *         description: Missing or invalid API key
+ *       403:
+ *         description: robots.txt disallows scraping the page (code ROBOTS_DISALLOWED), or respectRobots was false without an admin token
+ *       404:
+ *         description: Unknown filter set (code FILTER_SET_NOT_FOUND)
  *       500:
  *         description: Server error
+ *       501:
+ *         description: render was true but no renderer is configured (code RENDERER_NOT_CONFIGURED)
+ *       502:
+ *         description: render was true and the renderer failed (code RENDER_FAILED)
  */
-router.post('/fetch', validateRssFetch, async (req, res) => {
+router.post('/fetch', validateRssFetch, restrictRobotsOverride, async (req, res) => {
   try {
-    const { url, since } = req.body;
+    const { url, since, onlyNew, cursor, fullText, respectRobots, filters, filterSetIds, pages, strategy, fetchTitles, render } = req.body;
+    const tenantId = req.context.tenantId;
+    const format = negotiateFormat(req);
 
     // Validate URL with SSRF protection
     try {
@@ -83,32 +265,76 @@ router.post('/fetch', validateRssFetch, async (req, res) => {
       return res.status(400).json({ error: 'Invalid URL format' });
     }
 
+    const rules = await resolveFilterRules(tenantId, { filters, filterSetIds });
+
     // Try to discover RSS feed
-    const rssUrl = await discoverRssFeed(url);
+    const rssUrl = await discoverRssFeed(url, { respectRobots });
 
     if (rssUrl) {
       // RSS feed found, fetch and parse it
       const feed = await fetchAndParseRss(rssUrl, { since });
+      const selection = await selectNewItems(tenantId, applyFilters(feed.items, rules), { onlyNew, cursor });
+      const items = fullText ? await addFullText(selection.items) : selection.items;
+      const selectedFeed = { ...feed, items };
+
+      if (format !== 'json') {
+        return sendRenderedFeed(res, selectedFeed, format, { source: 'discovered', cursor: selection.cursor });
+      }
+
       return res.json({
         source: 'discovered',
         feedUrl: rssUrl,
-        feed
+        feed: selectedFeed,
+        cursor: selection.cursor
       });
     }
 
-    // No RSS feed found, scrape the website and generate one
-    const scrapedData = await scrapeWebsite(url);
-    const generatedFeed = generateRssFeed(url, scrapedData);
+    // No RSS feed found, generate one from the website
+    const scrapedData = await scrapeSite(url, { strategy, respectRobots, pages, fetchTitles, render });
+    const selection = await selectNewItems(tenantId, applyFilters(scrapedData.items, rules), { onlyNew, cursor });
+    // The public feed always carries every scraped item; selection only applies to this response
+    const publicFeed = await publishGeneratedFeed(tenantId, url, scrapedData, getPublicBaseUrl(req), {
+      pages,
+      strategy: scrapedData.strategy,
+      fetchTitles,
+      render
+    });
+    const items = fullText ? await addFullText(selection.items) : selection.items;
+    const generatedFeed = generateRssFeed(
+      url,
+      { ...scrapedData, items },
+      { feedUrl: publicFeed.urls.rss2 }
+    );
+
+    if (format !== 'json') {
+      return sendRenderedFeed(res, generatedFeed.json, format, { source: 'generated', cursor: selection.cursor });
+    }
+
     const rssJson = await parseStringPromise(generatedFeed.xml, { explicitArray: false });
 
     return res.json({
       source: 'generated',
       feedUrl: null,
       feed: generatedFeed.json,
-      rss: rssJson
+      rss: rssJson,
+      publicFeed,
+      cursor: selection.cursor,
+      strategy: scrapedData.strategy,
+      rendered: scrapedData.rendered,
+      pages: scrapedData.pages,
+      sitemaps: scrapedData.sitemaps
     });
 
   } catch (error) {
+    if (error instanceof RobotsDisallowedError) {
+      return res.status(403).json({ error: error.message, code: error.code });
+    }
+    if (error instanceof FilterError || error instanceof RendererError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    if (error instanceof UrlValidationError) {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
     logger.error('Error processing RSS request', { url: req.body?.url, error });
     res.status(500).json({
       error: 'Failed to process request',
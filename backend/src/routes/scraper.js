@@ -0,0 +1,367 @@
+import express from 'express';
+import {
+  listRecipes,
+  getRecipe,
+  createRecipe,
+  updateRecipe,
+  deleteRecipe,
+  assertValidSelectors,
+  RecipeError
+} from '../services/scraperRecipes.js';
+import { scrapeWebsite } from '../utils/scraper.js';
+import { UrlValidationError } from '../utils/urlValidator.js';
+import { RobotsDisallowedError } from '../utils/robots.js';
+import { createLogger } from '../utils/logger.js';
+import {
+  validateScraperRecipeCreate,
+  validateScraperRecipeUpdate,
+  validateScraperRecipeDryRun
+} from '../middleware/validator.js';
+
+const router = express.Router();
+const logger = createLogger('routes:scraper');
+
+/**
+ * Map service errors to HTTP responses
+ * @param {Error} error - Error thrown by the recipe service or the scraper
+ * @param {object} res - Express response
+ * @param {string} action - Action description for logging
+ */
+function handleError(error, res, action) {
+  if (error instanceof RecipeError) {
+    return res.status(error.statusCode).json({ error: error.message, code: error.code });
+  }
+  if (error instanceof UrlValidationError) {
+    return res.status(400).json({ error: error.message, code: error.code });
+  }
+  if (error instanceof RobotsDisallowedError) {
+    return res.status(403).json({ error: error.message, code: error.code });
+  }
+
+  logger.error(`Failed to ${action}`, { error });
+  return res.status(500).json({
+    error: `Failed to ${action}`,
+    message: error.message
+  });
+}
+
+function notFound(res, id) {
+  return res.status(404).json({
+    error: `Recipe not found: ${id}`,
+    code: 'RECIPE_NOT_FOUND'
+  });
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ScraperRecipe:
+ *       type: object
+ *       description: |
+ *         How to extract items from the pages of one site. Used by feed generation for the domain and its
+ *         subdomains (the most specific domain wins) instead of structured data and the generic heuristics,
+ *         which still run when the recipe matches nothing. Field selectors are relative to each item container; without one, the
+ *         container's first heading, link, time, paragraph or image is used.
+ *       required:
+ *         - domain
+ *         - itemSelector
+ *       properties:
+ *         id:
+ *           type: string
+ *           readOnly: true
+ *         domain:
+ *           type: string
+ *           example: blog.example.com
+ *         itemSelector:
+ *           type: string
+ *           description: CSS selector of each item container
+ *           example: ul.posts > li
+ *         titleSelector:
+ *           type: string
+ *         linkSelector:
+ *           type: string
+ *           description: Element carrying the item link (href)
+ *         dateSelector:
+ *           type: string
+ *           description: Element carrying the date (datetime or content attribute, else its text)
+ *         summarySelector:
+ *           type: string
+ *         imageSelector:
+ *           type: string
+ *         dateFormat:
+ *           type: string
+ *           description: Format of the date text (UTC), with tokens YYYY YY MMMM MMM MM M DD D HH H mm ss
+ *           example: DD/MM/YYYY
+ *         excludeSelectors:
+ *           type: array
+ *           description: Elements removed from the page before extraction (e.g. navigation tiles, promos)
+ *           items:
+ *             type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ */
+
+/**
+ * @swagger
+ * /scraper/recipes:
+ *   get:
+ *     summary: List scraper recipes
+ *     description: Requires an admin bearer token in addition to the API key.
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *         BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Recipes ordered by domain
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 recipes:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ScraperRecipe'
+ *                 total:
+ *                   type: integer
+ *       401:
+ *         description: Missing API key or bearer token
+ *       403:
+ *         description: Not an admin
+ */
+router.get('/recipes', async (_req, res) => {
+  try {
+    const recipes = await listRecipes();
+    return res.json({ recipes, total: recipes.length });
+  } catch (error) {
+    return handleError(error, res, 'list recipes');
+  }
+});
+
+/**
+ * @swagger
+ * /scraper/recipes:
+ *   post:
+ *     summary: Register a scraper recipe for a domain
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *         BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ScraperRecipe'
+ *     responses:
+ *       201:
+ *         description: Recipe created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 recipe:
+ *                   $ref: '#/components/schemas/ScraperRecipe'
+ *       400:
+ *         description: Validation error or a selector that does not parse (code INVALID_SELECTOR)
+ *       409:
+ *         description: The domain already has a recipe (code DUPLICATE_RECIPE)
+ */
+router.post('/recipes', validateScraperRecipeCreate, async (req, res) => {
+  try {
+    const recipe = await createRecipe(req.body);
+    return res.status(201).json({ recipe });
+  } catch (error) {
+    return handleError(error, res, 'create recipe');
+  }
+});
+
+/**
+ * @swagger
+ * /scraper/recipes/dry-run:
+ *   post:
+ *     summary: Show what a recipe extracts from a page
+ *     description: |
+ *       Scrapes the URL with the given unsaved recipe, or with the saved recipe of its domain when none is
+ *       given, and returns the items without generating or publishing a feed. extractedWith is `structured-data`
+ *       or `heuristics` when the recipe matched nothing; each item names its own strategy.
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *         BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - url
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 format: uri
+ *               recipe:
+ *                 $ref: '#/components/schemas/ScraperRecipe'
+ *     responses:
+ *       200:
+ *         description: Extracted items
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 url:
+ *                   type: string
+ *                 recipe:
+ *                   type: object
+ *                   nullable: true
+ *                   description: Saved recipe used ({ id, domain }), id null for an unsaved recipe
+ *                 extractedWith:
+ *                   type: string
+ *                   enum: [recipe, structured-data, heuristics]
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/FeedItem'
+ *                 total:
+ *                   type: integer
+ *       400:
+ *         description: Invalid URL or selector
+ *       403:
+ *         description: robots.txt disallows scraping the page (code ROBOTS_DISALLOWED)
+ */
+router.post('/recipes/dry-run', validateScraperRecipeDryRun, async (req, res) => {
+  try {
+    const { url, recipe } = req.body;
+    if (recipe) assertValidSelectors(recipe);
+
+    const scraped = await scrapeWebsite(url, {
+      ...(recipe && { recipe: { ...recipe, id: null, domain: new URL(url).hostname } })
+    });
+
+    return res.json({
+      url,
+      recipe: scraped.recipe,
+      extractedWith: scraped.extractedWith,
+      items: scraped.items,
+      total: scraped.items.length
+    });
+  } catch (error) {
+    return handleError(error, res, 'run recipe');
+  }
+});
+
+/**
+ * @swagger
+ * /scraper/recipes/{id}:
+ *   get:
+ *     summary: Get a scraper recipe
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *         BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Recipe found
+ *       404:
+ *         description: Recipe not found
+ */
+router.get('/recipes/:id', async (req, res) => {
+  try {
+    const recipe = await getRecipe(req.params.id);
+    if (!recipe) return notFound(res, req.params.id);
+    return res.json({ recipe });
+  } catch (error) {
+    return handleError(error, res, 'get recipe');
+  }
+});
+
+/**
+ * @swagger
+ * /scraper/recipes/{id}:
+ *   patch:
+ *     summary: Update a scraper recipe
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *         BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ScraperRecipe'
+ *     responses:
+ *       200:
+ *         description: Recipe updated
+ *       400:
+ *         description: Validation error or invalid selector
+ *       404:
+ *         description: Recipe not found
+ *       409:
+ *         description: The new domain already has a recipe
+ */
+router.patch('/recipes/:id', validateScraperRecipeUpdate, async (req, res) => {
+  try {
+    const recipe = await updateRecipe(req.params.id, req.body);
+    if (!recipe) return notFound(res, req.params.id);
+    return res.json({ recipe });
+  } catch (error) {
+    return handleError(error, res, 'update recipe');
+  }
+});
+
+/**
+ * @swagger
+ * /scraper/recipes/{id}:
+ *   delete:
+ *     summary: Delete a scraper recipe
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *         BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Recipe deleted
+ *       404:
+ *         description: Recipe not found
+ */
+router.delete('/recipes/:id', async (req, res) => {
+  try {
+    const deleted = await deleteRecipe(req.params.id);
+    if (!deleted) return notFound(res, req.params.id);
+    return res.json({ success: true, id: req.params.id });
+  } catch (error) {
+    return handleError(error, res, 'delete recipe');
+  }
+});
+
+export default router;
@@ -0,0 +1,299 @@
+import express from 'express';
+import {
+  listSubscriptions,
+  getSubscription,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription,
+  SubscriptionError
+} from '../services/subscriptions.js';
+import { deleteFeedHealth } from '../services/feedHealth.js';
+import { UrlValidationError } from '../utils/urlValidator.js';
+import { createLogger } from '../utils/logger.js';
+import {
+  validateSubscriptionCreate,
+  validateSubscriptionUpdate,
+  validateSubscriptionListQuery
+} from '../middleware/validator.js';
+
+const router = express.Router();
+const logger = createLogger('routes:subscriptions');
+
+/**
+ * Map service errors to HTTP responses
+ * @param {Error} error - Error thrown by the subscription service
+ * @param {object} res - Express response
+ * @param {string} action - Action description for logging
+ */
+function handleError(error, res, action) {
+  if (error instanceof UrlValidationError) {
+    return res.status(400).json({ error: error.message, code: error.code });
+  }
+  if (error instanceof SubscriptionError) {
+    return res.status(error.statusCode).json({ error: error.message, code: error.code });
+  }
+
+  logger.error(`Failed to ${action}`, { error });
+  return res.status(500).json({
+    error: `Failed to ${action}`,
+    message: error.message
+  });
+}
+
+function notFound(res, id) {
+  return res.status(404).json({
+    error: `Subscription not found: ${id}`,
+    code: 'SUBSCRIPTION_NOT_FOUND'
+  });
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Subscription:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         url:
+ *           type: string
+ *           description: Site or feed URL as submitted (normalized)
+ *         feedUrl:
+ *           type: string
+ *           nullable: true
+ *           description: Feed URL resolved by discovery (null if none was found)
+ *         title:
+ *           type: string
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: string
+ *         enabled:
+ *           type: boolean
+ *         pollIntervalSec:
+ *           type: integer
+ *           nullable: true
+ *           description: Scheduler poll interval override in seconds (null uses the default)
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /subscriptions:
+ *   get:
+ *     summary: List feed subscriptions
+ *     description: Lists the subscriptions of the current tenant (bearer token tenant, or the default tenant).
+ *     tags: [Subscriptions]
+ *     parameters:
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         description: Only subscriptions carrying this tag
+ *       - in: query
+ *         name: enabled
+ *         schema:
+ *           type: string
+ *           enum: ['true', 'false']
+ *     responses:
+ *       200:
+ *         description: Subscriptions list
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 subscriptions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Subscription'
+ *                 total:
+ *                   type: integer
+ *       401:
+ *         description: Missing or invalid API key
+ */
+router.get('/', validateSubscriptionListQuery, async (req, res) => {
+  try {
+    const subscriptions = await listSubscriptions(req.context.tenantId, req.query);
+    return res.json({ subscriptions, total: subscriptions.length });
+  } catch (error) {
+    return handleError(error, res, 'list subscriptions');
+  }
+});
+
+/**
+ * @swagger
+ * /subscriptions:
+ *   post:
+ *     summary: Create a feed subscription
+ *     description: Resolves the feed URL via RSS discovery and stores the subscription for the current tenant.
+ *     tags: [Subscriptions]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - url
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 format: uri
+ *                 example: https://example.com
+ *               title:
+ *                 type: string
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               enabled:
+ *                 type: boolean
+ *                 default: true
+ *               pollIntervalSec:
+ *                 type: integer
+ *                 minimum: 60
+ *                 nullable: true
+ *     responses:
+ *       201:
+ *         description: Subscription created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 subscription:
+ *                   $ref: '#/components/schemas/Subscription'
+ *       400:
+ *         description: Validation error or blocked URL
+ *       409:
+ *         description: Tenant is already subscribed to this feed
+ */
+router.post('/', validateSubscriptionCreate, async (req, res) => {
+  try {
+    const subscription = await createSubscription(req.context.tenantId, req.body);
+    return res.status(201).json({ subscription });
+  } catch (error) {
+    return handleError(error, res, 'create subscription');
+  }
+});
+
+/**
+ * @swagger
+ * /subscriptions/{id}:
+ *   get:
+ *     summary: Get a feed subscription
+ *     tags: [Subscriptions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Subscription found
+ *       404:
+ *         description: Subscription not found
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const subscription = await getSubscription(req.context.tenantId, req.params.id);
+    if (!subscription) return notFound(res, req.params.id);
+    return res.json({ subscription });
+  } catch (error) {
+    return handleError(error, res, 'get subscription');
+  }
+});
+
+/**
+ * @swagger
+ * /subscriptions/{id}:
+ *   patch:
+ *     summary: Update a feed subscription
+ *     description: Updates title, tags, enabled flag or URL. Changing the URL re-runs feed discovery.
+ *     tags: [Subscriptions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 format: uri
+ *               title:
+ *                 type: string
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               enabled:
+ *                 type: boolean
+ *               pollIntervalSec:
+ *                 type: integer
+ *                 minimum: 60
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Subscription updated
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Subscription not found
+ *       409:
+ *         description: Another subscription already uses this feed
+ */
+router.patch('/:id', validateSubscriptionUpdate, async (req, res) => {
+  try {
+    const subscription = await updateSubscription(req.context.tenantId, req.params.id, req.body);
+    if (!subscription) return notFound(res, req.params.id);
+    return res.json({ subscription });
+  } catch (error) {
+    return handleError(error, res, 'update subscription');
+  }
+});
+
+/**
+ * @swagger
+ * /subscriptions/{id}:
+ *   delete:
+ *     summary: Delete a feed subscription
+ *     tags: [Subscriptions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Subscription deleted
+ *       404:
+ *         description: Subscription not found
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const deleted = await deleteSubscription(req.context.tenantId, req.params.id);
+    if (!deleted) return notFound(res, req.params.id);
+    await deleteFeedHealth(req.params.id);
+    return res.json({ success: true, id: req.params.id });
+  } catch (error) {
+    return handleError(error, res, 'delete subscription');
+  }
+});
+
+export default router;
@@ -0,0 +1,456 @@
+import express from 'express';
+import {
+  listWatches,
+  getWatch,
+  createWatch,
+  updateWatch,
+  deleteWatch,
+  checkWatch,
+  describeWatch,
+  buildWatchFeed,
+  WatchError
+} from '../services/pageWatches.js';
+import { renderFeed, formatForMediaType, NEGOTIABLE_MEDIA_TYPES } from '../services/feedFormatter.js';
+import { UrlValidationError } from '../utils/urlValidator.js';
+import { RobotsDisallowedError } from '../utils/robots.js';
+import { createLogger } from '../utils/logger.js';
+import {
+  validateWatchCreate,
+  validateWatchUpdate,
+  validateWatchFeedQuery
+} from '../middleware/validator.js';
+
+const router = express.Router();
+const logger = createLogger('routes:watches');
+
+/**
+ * Map service errors to HTTP responses
+ * @param {Error} error - Error thrown by the watch service or while fetching the page
+ * @param {object} res - Express response
+ * @param {string} action - Action description for logging
+ * @param {number} fallbackStatus - Status of unexpected errors (502 when the page itself failed)
+ */
+function handleError(error, res, action, fallbackStatus = 500) {
+  if (error instanceof WatchError) {
+    return res.status(error.statusCode).json({ error: error.message, code: error.code });
+  }
+  if (error instanceof UrlValidationError) {
+    return res.status(400).json({ error: error.message, code: error.code });
+  }
+  if (error instanceof RobotsDisallowedError) {
+    return res.status(403).json({ error: error.message, code: error.code });
+  }
+
+  logger.error(`Failed to ${action}`, { error });
+  return res.status(fallbackStatus).json({
+    error: `Failed to ${action}`,
+    message: error.message
+  });
+}
+
+function notFound(res, id) {
+  return res.status(404).json({
+    error: `Watch not found: ${id}`,
+    code: 'WATCH_NOT_FOUND'
+  });
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PageWatch:
+ *       type: object
+ *       description: |
+ *         A single page (or one region of it) whose text is compared on each check. Each detected change
+ *         becomes an item of the watch feed, with a line diff of the page text in its content.
+ *       properties:
+ *         id:
+ *           type: string
+ *         url:
+ *           type: string
+ *         name:
+ *           type: string
+ *           nullable: true
+ *         selector:
+ *           type: string
+ *           nullable: true
+ *           description: CSS selector of the watched region; the whole page when null
+ *         snapshot:
+ *           type: object
+ *           nullable: true
+ *           description: Last snapshot taken, null until the first check
+ *           properties:
+ *             takenAt:
+ *               type: string
+ *               format: date-time
+ *             lineCount:
+ *               type: integer
+ *         changeCount:
+ *           type: integer
+ *         lastCheckedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lastChangedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lastError:
+ *           type: string
+ *           nullable: true
+ *           description: Why the last check failed
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     PageChange:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         detectedAt:
+ *           type: string
+ *           format: date-time
+ *         added:
+ *           type: integer
+ *           description: Lines added
+ *         removed:
+ *           type: integer
+ *           description: Lines removed
+ *         summary:
+ *           type: string
+ *           example: 2 lines added, 1 line removed
+ *         text:
+ *           type: string
+ *           description: Diff with "+ " / "- " line prefixes and two lines of context
+ *         html:
+ *           type: string
+ *           description: The same diff with changes in ins / del elements
+ */
+
+/**
+ * @swagger
+ * /watches:
+ *   get:
+ *     summary: List watched pages
+ *     tags: [Watches]
+ *     responses:
+ *       200:
+ *         description: Watches of the current tenant
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 watches:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PageWatch'
+ *                 total:
+ *                   type: integer
+ *       401:
+ *         description: Missing or invalid API key
+ */
+router.get('/', async (req, res) => {
+  try {
+    const watches = await listWatches(req.context.tenantId);
+    return res.json({ watches: watches.map(describeWatch), total: watches.length });
+  } catch (error) {
+    return handleError(error, res, 'list watches');
+  }
+});
+
+/**
+ * @swagger
+ * /watches:
+ *   post:
+ *     summary: Watch a page for changes
+ *     description: Nothing is fetched yet; the first check (POST /watches/{id}/check or reading the feed) takes the baseline snapshot.
+ *     tags: [Watches]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - url
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 format: uri
+ *                 example: https://example.com/pricing
+ *               name:
+ *                 type: string
+ *                 example: Example pricing
+ *               selector:
+ *                 type: string
+ *                 description: CSS selector of the region to watch, e.g. to leave out navigation and footers
+ *                 example: main .plans
+ *     responses:
+ *       201:
+ *         description: Watch created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 watch:
+ *                   $ref: '#/components/schemas/PageWatch'
+ *       400:
+ *         description: Validation error, blocked URL or a selector that does not parse (code INVALID_SELECTOR)
+ *       409:
+ *         description: The page (and region) is already watched (code DUPLICATE_WATCH)
+ */
+router.post('/', validateWatchCreate, async (req, res) => {
+  try {
+    const watch = await createWatch(req.context.tenantId, req.body);
+    return res.status(201).json({ watch: describeWatch(watch) });
+  } catch (error) {
+    return handleError(error, res, 'create watch');
+  }
+});
+
+/**
+ * @swagger
+ * /watches/{id}:
+ *   get:
+ *     summary: Get a watched page and its recorded changes
+ *     tags: [Watches]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Watch found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 watch:
+ *                   $ref: '#/components/schemas/PageWatch'
+ *                 changes:
+ *                   type: array
+ *                   description: Newest first, up to WATCH_MAX_CHANGES
+ *                   items:
+ *                     $ref: '#/components/schemas/PageChange'
+ *       404:
+ *         description: Watch not found
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const watch = await getWatch(req.context.tenantId, req.params.id);
+    if (!watch) return notFound(res, req.params.id);
+    return res.json({ watch: describeWatch(watch), changes: watch.changes });
+  } catch (error) {
+    return handleError(error, res, 'get watch');
+  }
+});
+
+/**
+ * @swagger
+ * /watches/{id}:
+ *   patch:
+ *     summary: Update a watched page
+ *     description: Changing the URL or selector drops the snapshot, so the next check takes a new baseline. Recorded changes are kept.
+ *     tags: [Watches]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 format: uri
+ *               name:
+ *                 type: string
+ *               selector:
+ *                 type: string
+ *                 nullable: true
+ *                 description: null watches the whole page again
+ *     responses:
+ *       200:
+ *         description: Watch updated
+ *       400:
+ *         description: Validation error or invalid selector
+ *       404:
+ *         description: Watch not found
+ *       409:
+ *         description: The new page (and region) is already watched
+ */
+router.patch('/:id', validateWatchUpdate, async (req, res) => {
+  try {
+    const watch = await updateWatch(req.context.tenantId, req.params.id, req.body);
+    if (!watch) return notFound(res, req.params.id);
+    return res.json({ watch: describeWatch(watch) });
+  } catch (error) {
+    return handleError(error, res, 'update watch');
+  }
+});
+
+/**
+ * @swagger
+ * /watches/{id}:
+ *   delete:
+ *     summary: Stop watching a page
+ *     tags: [Watches]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Watch deleted
+ *       404:
+ *         description: Watch not found
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const deleted = await deleteWatch(req.context.tenantId, req.params.id);
+    if (!deleted) return notFound(res, req.params.id);
+    return res.json({ success: true, id: req.params.id });
+  } catch (error) {
+    return handleError(error, res, 'delete watch');
+  }
+});
+
+/**
+ * @swagger
+ * /watches/{id}/check:
+ *   post:
+ *     summary: Check a watched page now
+ *     description: Fetches the page regardless of WATCH_MIN_INTERVAL and compares it with the previous snapshot. The first check only takes the baseline.
+ *     tags: [Watches]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Page checked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 watch:
+ *                   $ref: '#/components/schemas/PageWatch'
+ *                 change:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/PageChange'
+ *                   nullable: true
+ *                   description: The detected change, null when the page is unchanged
+ *       403:
+ *         description: robots.txt disallows fetching the page (code ROBOTS_DISALLOWED)
+ *       404:
+ *         description: Watch not found
+ *       422:
+ *         description: The selector matches nothing on the page (code SELECTOR_NOT_FOUND)
+ *       502:
+ *         description: The page could not be fetched
+ */
+router.post('/:id/check', async (req, res) => {
+  try {
+    const result = await checkWatch(req.context.tenantId, req.params.id, { force: true });
+    if (!result) return notFound(res, req.params.id);
+    return res.json({ watch: describeWatch(result.watch), change: result.change });
+  } catch (error) {
+    return handleError(error, res, 'check page', 502);
+  }
+});
+
+/**
+ * @swagger
+ * /watches/{id}/feed:
+ *   get:
+ *     summary: Feed of a watched page's changes
+ *     description: |
+ *       Checks the page first unless it was checked less than WATCH_MIN_INTERVAL seconds ago, then returns one item per
+ *       detected change, newest first, with the diff as item content. When the check fails the recorded changes are still
+ *       served, with the error code in the X-Watch-Error header.
+ *     tags: [Watches]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, rss2, atom, jsonfeed]
+ *         description: Output format. Overrides the Accept header. Defaults to json.
+ *     responses:
+ *       200:
+ *         description: Feed of changes
+ *         content:
+ *           application/rss+xml:
+ *             schema:
+ *               type: string
+ *           application/atom+xml:
+ *             schema:
+ *               type: string
+ *           application/feed+json:
+ *             schema:
+ *               type: object
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 watch:
+ *                   $ref: '#/components/schemas/PageWatch'
+ *                 feed:
+ *                   $ref: '#/components/schemas/Feed'
+ *       404:
+ *         description: Watch not found
+ */
+router.get('/:id/feed', validateWatchFeedQuery, async (req, res) => {
+  const { tenantId } = req.context;
+  const { id } = req.params;
+
+  try {
+    try {
+      const result = await checkWatch(tenantId, id);
+      if (!result) return notFound(res, id);
+    } catch (error) {
+      // Serve the changes recorded so far
+      res.set('X-Watch-Error', error.code || 'FETCH_FAILED');
+    }
+
+    const watch = await getWatch(tenantId, id);
+    if (!watch) return notFound(res, id);
+
+    const feed = buildWatchFeed(watch);
+    const format = req.query.format || formatForMediaType(req.accepts(NEGOTIABLE_MEDIA_TYPES));
+    if (format !== 'json') {
+      const { contentType, body } = renderFeed(feed, format);
+      return res.type(contentType).send(body);
+    }
+
+    return res.json({ watch: describeWatch(watch), feed });
+  } catch (error) {
+    return handleError(error, res, 'build watch feed');
+  }
+});
+
+export default router;
@@ -0,0 +1,398 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import NodeCache from 'node-cache';
+import { cache as cacheConfig } from '../config/index.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('services:cache');
+
+/**
+ * In-process cache (lost on restart, not shared between instances).
+ * Values are cloned on read and write so callers cannot mutate cached state.
+ */
+class MemoryCacheBackend {
+  constructor() {
+    this.store = new NodeCache({
+      checkperiod: cacheConfig.rssCheckPeriod,
+      useClones: true,
+      deleteOnExpire: true
+    });
+  }
+
+  async get(namespace, key) {
+    return this.store.get(`${namespace}:${key}`);
+  }
+
+  async set(namespace, key, value, ttlSec) {
+    this.store.set(`${namespace}:${key}`, value, ttlSec);
+  }
+
+  async del(namespace, key) {
+    return this.store.del(`${namespace}:${key}`) > 0;
+  }
+
+  /**
+   * @returns {Promise<number|null>} - Expiry timestamp in ms, 0 if it never expires, null if missing
+   */
+  async expiresAt(namespace, key) {
+    const fullKey = `${namespace}:${key}`;
+    if (!this.store.has(fullKey)) return null;
+    return this.store.getTtl(fullKey) || 0;
+  }
+
+  async keys(namespace) {
+    const prefix = `${namespace}:`;
+    return this.store.keys()
+      .filter(key => key.startsWith(prefix))
+      .map(key => key.slice(prefix.length));
+  }
+
+  async clear(namespace) {
+    const keys = await this.keys(namespace);
+    this.store.del(keys.map(key => `${namespace}:${key}`));
+    return keys.length;
+  }
+}
+
+/**
+ * Cache persisted as one JSON file per entry under dir/<namespace>/.
+ * Survives restarts; shared between instances only if they share the disk.
+ */
+class FileCacheBackend {
+  constructor(dir) {
+    this.dir = path.resolve(dir);
+  }
+
+  entryFile(namespace, key) {
+    const hash = crypto.createHash('sha256').update(key).digest('hex');
+    return path.join(this.dir, namespace, `${hash}.json`);
+  }
+
+  async readEntry(file) {
+    try {
+      const entry = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+      if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+        await fs.promises.rm(file, { force: true });
+        return null;
+      }
+      return entry;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Failed to read cache file', { file, error: error.message });
+      }
+      return null;
+    }
+  }
+
+  async get(namespace, key) {
+    const entry = await this.readEntry(this.entryFile(namespace, key));
+    return entry ? entry.value : undefined;
+  }
+
+  async set(namespace, key, value, ttlSec) {
+    const file = this.entryFile(namespace, key);
+    const entry = { key, value, expiresAt: ttlSec > 0 ? Date.now() + ttlSec * 1000 : 0 };
+
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpFile, JSON.stringify(entry), 'utf8');
+    await fs.promises.rename(tmpFile, file);
+  }
+
+  async del(namespace, key) {
+    const file = this.entryFile(namespace, key);
+    const exists = fs.existsSync(file);
+    await fs.promises.rm(file, { force: true });
+    return exists;
+  }
+
+  async expiresAt(namespace, key) {
+    const entry = await this.readEntry(this.entryFile(namespace, key));
+    return entry ? entry.expiresAt : null;
+  }
+
+  async entryFiles(namespace) {
+    const dir = path.join(this.dir, namespace);
+    try {
+      return (await fs.promises.readdir(dir))
+        .filter(name => name.endsWith('.json'))
+        .map(name => path.join(dir, name));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async keys(namespace) {
+    const keys = [];
+    for (const file of await this.entryFiles(namespace)) {
+      const entry = await this.readEntry(file);
+      if (entry) keys.push(entry.key);
+    }
+    return keys;
+  }
+
+  async clear(namespace) {
+    const files = await this.entryFiles(namespace);
+    await Promise.all(files.map(file => fs.promises.rm(file, { force: true })));
+    return files.length;
+  }
+}
+
+/**
+ * Cache on a Redis-protocol server (Redis, Valkey, KeyDB, Upstash...).
+ * Shared between instances; values are stored as JSON.
+ */
+class RedisCacheBackend {
+  constructor(url, keyPrefix) {
+    this.url = url;
+    this.keyPrefix = keyPrefix;
+    this.clientPromise = null;
+  }
+
+  // ioredis is only loaded when the redis driver is selected
+  client() {
+    if (!this.clientPromise) {
+      this.clientPromise = import('ioredis').then(({ default: Redis }) => {
+        const client = new Redis(this.url, { maxRetriesPerRequest: 1 });
+        client.on('error', error => logger.warn('Redis cache connection error', { error: error.message }));
+        return client;
+      });
+    }
+    return this.clientPromise;
+  }
+
+  fullKey(namespace, key) {
+    return `${this.keyPrefix}${namespace}:${key}`;
+  }
+
+  async get(namespace, key) {
+    const raw = await (await this.client()).get(this.fullKey(namespace, key));
+    return raw === null ? undefined : JSON.parse(raw);
+  }
+
+  async set(namespace, key, value, ttlSec) {
+    const client = await this.client();
+    const raw = JSON.stringify(value);
+    if (ttlSec > 0) {
+      await client.set(this.fullKey(namespace, key), raw, 'EX', ttlSec);
+    } else {
+      await client.set(this.fullKey(namespace, key), raw);
+    }
+  }
+
+  async del(namespace, key) {
+    return (await (await this.client()).del(this.fullKey(namespace, key))) > 0;
+  }
+
+  async expiresAt(namespace, key) {
+    const ttlMs = await (await this.client()).pttl(this.fullKey(namespace, key));
+    if (ttlMs === -2) return null;
+    if (ttlMs === -1) return 0;
+    return Date.now() + ttlMs;
+  }
+
+  async scan(namespace) {
+    const client = await this.client();
+    const fullKeys = [];
+    let cursor = '0';
+    do {
+      const [next, batch] = await client.scan(cursor, 'MATCH', `${this.fullKey(namespace, '')}*`, 'COUNT', 500);
+      fullKeys.push(...batch);
+      cursor = next;
+    } while (cursor !== '0');
+    return fullKeys;
+  }
+
+  async keys(namespace) {
+    const prefixLength = this.fullKey(namespace, '').length;
+    return (await this.scan(namespace)).map(fullKey => fullKey.slice(prefixLength));
+  }
+
+  async clear(namespace) {
+    const fullKeys = await this.scan(namespace);
+    if (fullKeys.length > 0) {
+      await (await this.client()).del(...fullKeys);
+    }
+    return fullKeys.length;
+  }
+}
+
+const drivers = new Map([
+  ['memory', () => new MemoryCacheBackend()],
+  ['file', () => new FileCacheBackend(cacheConfig.dir)],
+  ['redis', () => new RedisCacheBackend(cacheConfig.redisUrl, cacheConfig.keyPrefix)]
+]);
+
+let backend = null;
+
+function getBackend() {
+  if (!backend) {
+    const factory = drivers.get(cacheConfig.driver);
+    if (!factory) {
+      throw new Error(`Unknown cache driver: ${cacheConfig.driver}`);
+    }
+    backend = factory();
+  }
+  return backend;
+}
+
+/**
+ * Cache scoped to a namespace, with a default TTL and hit/miss counters.
+ * Backend failures are logged and treated as misses so a cache outage never fails a request.
+ */
+class Cache {
+  constructor(namespace, { ttl = 0 } = {}) {
+    this.namespace = namespace;
+    this.ttl = ttl;
+    this.hits = 0;
+    this.misses = 0;
+    this.sets = 0;
+    this.errors = 0;
+  }
+
+  async run(operation, fallback, fn) {
+    try {
+      return await fn(getBackend());
+    } catch (error) {
+      this.errors += 1;
+      logger.warn('Cache operation failed', { namespace: this.namespace, operation, error: error.message });
+      return fallback;
+    }
+  }
+
+  /**
+   * @param {string} key - Key within the namespace
+   * @returns {Promise<*>} - Cached value, or undefined on a miss
+   */
+  async get(key) {
+    const value = await this.run('get', undefined, store => store.get(this.namespace, key));
+    if (value === undefined) {
+      this.misses += 1;
+    } else {
+      this.hits += 1;
+    }
+    return value;
+  }
+
+  /**
+   * @param {string} key - Key within the namespace
+   * @param {*} value - JSON-serializable value (undefined cannot be cached)
+   * @param {number} [ttlSec] - Time to live in seconds (namespace default if omitted, 0 = no expiry)
+   * @returns {Promise<boolean>} - False if the backend failed
+   */
+  async set(key, value, ttlSec = this.ttl) {
+    this.sets += 1;
+    return this.run('set', false, async store => {
+      await store.set(this.namespace, key, value, ttlSec);
+      return true;
+    });
+  }
+
+  async del(key) {
+    return this.run('del', false, store => store.del(this.namespace, key));
+  }
+
+  async has(key) {
+    return (await this.getTtl(key)) !== null;
+  }
+
+  /**
+   * @returns {Promise<number|null>} - Expiry timestamp in ms (0 = no expiry), or null if not cached
+   */
+  async getTtl(key) {
+    return this.run('expiresAt', null, store => store.expiresAt(this.namespace, key));
+  }
+
+  async keys() {
+    return this.run('keys', [], store => store.keys(this.namespace));
+  }
+
+  /**
+   * Delete every entry in the namespace
+   * @returns {Promise<number>} - Number of entries deleted
+   */
+  async clear() {
+    return this.run('clear', 0, store => store.clear(this.namespace));
+  }
+
+  async stats() {
+    const lookups = this.hits + this.misses;
+    return {
+      keys: (await this.keys()).length,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups > 0 ? (this.hits / lookups * 100).toFixed(2) + '%' : '0%',
+      sets: this.sets,
+      errors: this.errors
+    };
+  }
+
+  resetStats() {
+    this.hits = 0;
+    this.misses = 0;
+    this.sets = 0;
+    this.errors = 0;
+  }
+}
+
+const caches = new Map();
+
+/**
+ * Register an additional cache driver
+ * @param {string} name - Driver name as used in CACHE_DRIVER
+ * @param {Function} factory - () => backend with get/set/del/expiresAt/keys/clear taking a namespace
+ */
+export function registerCacheDriver(name, factory) {
+  drivers.set(name, factory);
+}
+
+/**
+ * Get (or lazily create) a namespaced cache on the configured driver
+ * @param {string} namespace - Key namespace (e.g. feeds, discovery)
+ * @param {object} options
+ * @param {number} options.ttl - Default time to live in seconds
+ * @returns {Cache}
+ */
+export function getCache(namespace, options) {
+  if (!caches.has(namespace)) {
+    caches.set(namespace, new Cache(namespace, options));
+  }
+  return caches.get(namespace);
+}
+
+/**
+ * Statistics of every cache namespace opened so far
+ * @returns {Promise<object>} - { driver, namespaces: { [namespace]: stats } }
+ */
+export async function getCacheStats() {
+  const namespaces = {};
+  for (const [namespace, cache] of caches) {
+    namespaces[namespace] = await cache.stats();
+  }
+  return { driver: cacheConfig.driver, namespaces };
+}
+
+/**
+ * Delete the entries of every cache namespace opened so far
+ * @returns {Promise<object>} - { [namespace]: entries deleted }
+ */
+export async function purgeAllCaches() {
+  const purged = {};
+  for (const [namespace, cache] of caches) {
+    purged[namespace] = await cache.clear();
+  }
+  return purged;
+}
+
+/**
+ * Clear every cache namespace and reset its counters (used by tests)
+ * @returns {Promise<void>}
+ */
+export async function clearAllCaches() {
+  await purgeAllCaches();
+  for (const cache of caches.values()) {
+    cache.resetStats();
+  }
+}
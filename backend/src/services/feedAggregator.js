@@ -0,0 +1,214 @@
+/**
+ * Aggregate mode for processfeed: one item per story across feeds.
+ * Items with the same canonical link or near-identical titles form a cluster; each cluster
+ * is returned as its earliest-published item, listing every source that carried it.
+ */
+import { normalizeItemLink } from './itemStore.js';
+import { feedProcess as feedProcessConfig } from '../config/index.js';
+
+// Publisher suffixes syndicated titles carry: "Title - Reuters", "Title | BBC News"
+const TITLE_SUFFIX_PATTERN = /\s+[-–—|]\s+[^-–—|]{2,40}$/;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'is', 'it',
+  'its', 'of', 'on', 'or', 'over', 'says', 'that', 'the', 'this', 'to', 'was', 'were', 'will', 'with'
+]);
+
+// Titles this short only cluster when their words are identical
+const MIN_FUZZY_TOKENS = 3;
+
+/**
+ * Link identity across feeds: tracking parameters, fragment, scheme, www. and AMP variants removed
+ * @param {string} link - Item link
+ * @returns {string|null} - Canonical key, or null without an absolute http(s) link
+ *   (newsletters' "email" placeholder must not put every newsletter in one cluster)
+ */
+export function canonicalLink(link) {
+  if (!link) return null;
+  try {
+    const url = new URL(normalizeItemLink(link));
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+    url.protocol = 'https:';
+    url.hostname = url.hostname.replace(/^(www|amp|m)\./, '');
+    url.pathname = url.pathname.replace(/\/amp\/?$|\.amp$/, '') || '/';
+    url.searchParams.delete('amp');
+    url.searchParams.delete('outputType');
+    return url.toString().replace(/\/(?=$|\?)/, '');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Significant words of a title, without a trailing publisher name
+ * @param {string} title - Item title
+ * @returns {Set<string>}
+ */
+export function titleTokens(title) {
+  const words = String(title || '')
+    .replace(TITLE_SUFFIX_PATTERN, '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length > 1 && !STOPWORDS.has(word));
+  return new Set(words);
+}
+
+/**
+ * Word overlap of two titles (Jaccard index)
+ * @param {Set<string>} a - titleTokens of one title
+ * @param {Set<string>} b - titleTokens of the other
+ * @returns {number} - 0 to 1
+ */
+export function titleSimilarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const word of a) {
+    if (b.has(word)) shared += 1;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+function isSameStory(a, b, threshold) {
+  const similarity = titleSimilarity(a, b);
+  if (a.size < MIN_FUZZY_TOKENS || b.size < MIN_FUZZY_TOKENS) return similarity === 1;
+  return similarity >= threshold;
+}
+
+function itemLink(item) {
+  return item.link || item.url || '';
+}
+
+function publishedTime(item) {
+  const time = Date.parse(item.pubDate || item.isoDate || item.published || '');
+  return Number.isNaN(time) ? null : time;
+}
+
+function toAggregatedItem(cluster) {
+  // Earliest publication first; undated items keep their arrival order after the dated ones
+  const members = cluster.members
+    .map((member, index) => ({ ...member, index }))
+    .sort((a, b) => (a.time ?? Infinity) - (b.time ?? Infinity) || a.index - b.index);
+  const [primary] = members;
+  const link = normalizeItemLink(itemLink(primary.item));
+
+  const sources = [];
+  const seen = new Set();
+  for (const { item, time } of members) {
+    const url = normalizeItemLink(itemLink(item));
+    const key = `${item.source || ''} ${url}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    sources.push({
+      source: item.source || null,
+      title: item.title,
+      url,
+      publishedAt: time === null ? null : new Date(time).toISOString()
+    });
+  }
+
+  const tags = [...new Set(members.flatMap(({ item }) => item.tags || []))];
+
+  return {
+    ...primary.item,
+    ...('url' in primary.item ? { url: link } : { link }),
+    publishedAt: primary.time === null ? null : new Date(primary.time).toISOString(),
+    ...(tags.length > 0 && { tags }),
+    clusterSize: members.length,
+    sources
+  };
+}
+
+/**
+ * Merge items from several feeds into one list of stories, newest first
+ * @param {object[]} items - Items from processFeeds (url / published) or rssFetcher (link / pubDate)
+ * @param {object} options
+ * @param {number} options.similarity - Title word overlap at which items cluster (default AGGREGATE_TITLE_SIMILARITY)
+ * @returns {object[]} - One item per cluster with publishedAt, clusterSize and sources [{ source, title, url, publishedAt }]
+ */
+export function aggregateItems(items, { similarity = feedProcessConfig.aggregateTitleSimilarity } = {}) {
+  const clusters = [];
+  const byLink = new Map();
+
+  for (const item of items) {
+    const key = canonicalLink(itemLink(item));
+    const tokens = titleTokens(item.title);
+
+    let cluster = key ? byLink.get(key) : null;
+    if (!cluster) {
+      cluster = clusters.find(candidate =>
+        candidate.members.some(member => isSameStory(member.tokens, tokens, similarity))
+      );
+    }
+    if (!cluster) {
+      cluster = { members: [] };
+      clusters.push(cluster);
+    }
+
+    cluster.members.push({ item, tokens, time: publishedTime(item) });
+    if (key) byLink.set(key, cluster);
+  }
+
+  return clusters
+    .map(toAggregatedItem)
+    .map((item, index) => ({ item, index, time: item.publishedAt ? Date.parse(item.publishedAt) : null }))
+    .sort((a, b) => (b.time ?? -Infinity) - (a.time ?? -Infinity) || a.index - b.index)
+    .map(({ item }) => item);
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function sourceName(source) {
+  try {
+    return new URL(source.url).hostname.replace(/^www\./, '');
+  } catch {
+    return source.source || source.url;
+  }
+}
+
+/**
+ * Shape processFeeds items as a feed for renderFeed (RSS 2.0 / Atom / JSON Feed).
+ * Clustered items list the other sources below their content.
+ * @param {object[]} items - processFeeds items, aggregated or not
+ * @param {object} meta - { title, description, link }
+ * @returns {object} - { title, description, link, lastBuildDate, items }
+ */
+export function buildCombinedFeed(items, meta = {}) {
+  const feeds = new Set(items.flatMap(item => (item.sources || [item]).map(source => source.source)).filter(Boolean));
+
+  return {
+    title: meta.title || 'Genie-RSS combined feed',
+    description: meta.description || `Items from ${feeds.size} feeds`,
+    link: meta.link || null,
+    lastBuildDate: new Date().toISOString(),
+    items: items.map(item => {
+      // Newsletters carry a placeholder instead of a link
+      const link = [item.link, item.url].find(value => /^https?:\/\//i.test(value || '')) || null;
+      const others = (item.sources || []).slice(1);
+      const alsoReported = others.length > 0
+        ? `<p>Also reported by: ${others.map(source =>
+          `<a href="${escapeHtml(source.url)}">${escapeHtml(sourceName(source))}</a>`).join(', ')}</p>`
+        : '';
+
+      return {
+        title: item.title,
+        link,
+        guid: item.guid || item.id || link,
+        pubDate: item.publishedAt || item.published || item.pubDate || null,
+        creator: item.creator,
+        content: `${item.content || ''}${alsoReported}`,
+        contentSnippet: item.contentSnippet,
+        categories: [...(item.categories || []), ...(item.tags || [])],
+        thumbnail: item.thumbnail,
+        fullText: item.fullText
+      };
+    })
+  };
+}
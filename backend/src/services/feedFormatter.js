@@ -0,0 +1,246 @@
+import crypto from 'crypto';
+import { Builder } from 'xml2js';
+
+const GENERATOR = 'Genie-RSS';
+
+const NAMESPACES = {
+  atom: 'http://www.w3.org/2005/Atom',
+  content: 'http://purl.org/rss/1.0/modules/content/',
+  dc: 'http://purl.org/dc/elements/1.1/',
+  media: 'http://search.yahoo.com/mrss/'
+};
+
+export const FEED_FORMATS = ['json', 'rss2', 'atom', 'jsonfeed'];
+
+export const FEED_CONTENT_TYPES = {
+  json: 'application/json',
+  rss2: 'application/rss+xml',
+  atom: 'application/atom+xml',
+  jsonfeed: 'application/feed+json'
+};
+
+// Media types accepted for negotiation, in order of preference.
+// Generic XML types are served as RSS 2.0.
+const MEDIA_TYPE_FORMATS = {
+  'application/json': 'json',
+  'application/rss+xml': 'rss2',
+  'application/atom+xml': 'atom',
+  'application/feed+json': 'jsonfeed',
+  'application/xml': 'rss2',
+  'text/xml': 'rss2'
+};
+
+export const NEGOTIABLE_MEDIA_TYPES = Object.keys(MEDIA_TYPE_FORMATS);
+
+/**
+ * Map a negotiated media type to a feed format
+ * @param {string|false} mediaType - Result of req.accepts(NEGOTIABLE_MEDIA_TYPES)
+ * @returns {string} - Feed format (json if nothing matched)
+ */
+export function formatForMediaType(mediaType) {
+  return MEDIA_TYPE_FORMATS[mediaType] || 'json';
+}
+
+function toDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Category names from rss-parser items (strings, or { _: name, $: { domain } })
+ */
+function categoryNames(categories) {
+  return (categories || [])
+    .map(category => (typeof category === 'string' ? category : category?._ || category?.term || category?.name))
+    .filter(Boolean)
+    .map(String);
+}
+
+/**
+ * Item body: the extracted article when fullText was requested, else the feed content
+ */
+function itemHtml(item) {
+  return item.fullText?.html || item.content;
+}
+
+function isWebLink(value) {
+  return typeof value === 'string' && /^https?:\/\/\S/i.test(value);
+}
+
+/**
+ * Stable urn:uuid (name-based, UUID v5 layout) for feeds and entries without a URI of their own
+ * @param {...*} parts - Values the id is derived from
+ * @returns {string}
+ */
+function stableUrn(...parts) {
+  const hex = crypto.createHash('sha1').update(parts.map(part => String(part ?? '')).join('\n')).digest('hex');
+  const variant = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+  return `urn:uuid:${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+/**
+ * Atom entry id: the guid when it is a URI, else the web link, else a urn:uuid from the guid
+ * or from title, date and author (linkless items such as newsletters)
+ */
+function entryId(item) {
+  if (typeof item.guid === 'string' && /^[a-z][a-z0-9+.-]*:\S/i.test(item.guid)) return item.guid;
+  if (isWebLink(item.link)) return item.link;
+  return item.guid
+    ? stableUrn('entry', item.guid)
+    : stableUrn('entry', item.title, item.pubDate, item.creator);
+}
+
+/**
+ * Drop empty values so the XML builder does not emit empty elements
+ */
+function compact(obj) {
+  return Object.fromEntries(
+    Object.entries(obj).filter(([, value]) =>
+      value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0)
+    )
+  );
+}
+
+function buildXml(root) {
+  return new Builder({
+    xmldec: { version: '1.0', encoding: 'UTF-8' },
+    cdata: true
+  }).buildObject(root);
+}
+
+function renderRss2(feed, { selfUrl } = {}) {
+  const updated = toDate(feed.lastBuildDate) || new Date();
+
+  const items = (feed.items || []).map(item => {
+    const guid = item.guid || item.link;
+    return compact({
+      title: item.title,
+      link: item.link,
+      guid: guid ? { _: String(guid), $: { isPermaLink: String(guid === item.link) } } : null,
+      pubDate: toDate(item.pubDate)?.toUTCString(),
+      'dc:creator': item.creator,
+      description: item.contentSnippet || item.content,
+      'content:encoded': itemHtml(item),
+      category: categoryNames(item.categories),
+      'media:thumbnail': item.thumbnail ? { $: { url: item.thumbnail } } : null
+    });
+  });
+
+  return buildXml({
+    rss: {
+      $: {
+        version: '2.0',
+        'xmlns:atom': NAMESPACES.atom,
+        'xmlns:content': NAMESPACES.content,
+        'xmlns:dc': NAMESPACES.dc,
+        'xmlns:media': NAMESPACES.media
+      },
+      channel: compact({
+        title: feed.title || 'Untitled Feed',
+        link: feed.link,
+        description: feed.description || feed.title || 'Untitled Feed',
+        language: feed.language,
+        lastBuildDate: updated.toUTCString(),
+        generator: GENERATOR,
+        'atom:link': selfUrl
+          ? { $: { href: selfUrl, rel: 'self', type: FEED_CONTENT_TYPES.rss2 } }
+          : null,
+        item: items
+      })
+    }
+  });
+}
+
+function renderAtom(feed, { selfUrl } = {}) {
+  const updated = toDate(feed.lastBuildDate) || new Date();
+
+  const entries = (feed.items || []).map(item => {
+    const published = toDate(item.pubDate);
+    return compact({
+      id: entryId(item),
+      title: { _: String(item.title || 'Untitled'), $: { type: 'html' } },
+      link: isWebLink(item.link) ? { $: { rel: 'alternate', href: item.link } } : null,
+      updated: (published || updated).toISOString(),
+      published: published?.toISOString(),
+      author: item.creator ? { name: item.creator } : null,
+      summary: item.contentSnippet ? { _: item.contentSnippet, $: { type: 'html' } } : null,
+      content: itemHtml(item) ? { _: itemHtml(item), $: { type: 'html' } } : null,
+      category: categoryNames(item.categories).map(term => ({ $: { term } })),
+      'media:thumbnail': item.thumbnail ? { $: { url: item.thumbnail } } : null
+    });
+  });
+
+  const links = [];
+  if (feed.link) links.push({ $: { rel: 'alternate', href: feed.link } });
+  if (selfUrl) links.push({ $: { rel: 'self', href: selfUrl, type: FEED_CONTENT_TYPES.atom } });
+
+  return buildXml({
+    feed: compact({
+      $: { xmlns: NAMESPACES.atom, 'xmlns:media': NAMESPACES.media },
+      id: selfUrl || feed.link || stableUrn('feed', feed.title || 'Untitled Feed'),
+      title: feed.title || 'Untitled Feed',
+      subtitle: feed.description,
+      updated: updated.toISOString(),
+      link: links,
+      generator: GENERATOR,
+      entry: entries
+    })
+  });
+}
+
+function renderJsonFeed(feed, { selfUrl } = {}) {
+  const jsonFeed = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title || 'Untitled Feed',
+    home_page_url: feed.link || undefined,
+    feed_url: selfUrl || undefined,
+    description: feed.description || undefined,
+    language: feed.language || undefined,
+    items: (feed.items || []).map(item => {
+      const tags = categoryNames(item.categories);
+      return {
+        id: String(item.guid || item.link || entryId(item)),
+        url: item.link || undefined,
+        title: item.title || undefined,
+        content_html: itemHtml(item) || undefined,
+        // JSON Feed requires content_html or content_text
+        content_text: itemHtml(item) ? undefined : item.contentSnippet || item.title || '',
+        summary: item.contentSnippet || undefined,
+        image: item.thumbnail || undefined,
+        date_published: toDate(item.pubDate)?.toISOString(),
+        authors: item.creator ? [{ name: item.creator }] : undefined,
+        tags: tags.length > 0 ? tags : undefined
+      };
+    })
+  };
+
+  return JSON.stringify(jsonFeed);
+}
+
+const renderers = {
+  rss2: renderRss2,
+  atom: renderAtom,
+  jsonfeed: renderJsonFeed
+};
+
+/**
+ * Render a feed in our internal JSON shape (fetchAndParseRss / generateRssFeed json)
+ * as RSS 2.0, Atom 1.0 or JSON Feed 1.1
+ * @param {object} feed - { title, description, link, language, lastBuildDate, items }
+ * @param {string} format - rss2, atom or jsonfeed
+ * @param {object} options
+ * @param {string} options.selfUrl - Public URL the rendered feed is served from
+ * @returns {object} - { contentType, body }
+ */
+export function renderFeed(feed, format, options = {}) {
+  const renderer = renderers[format];
+  if (!renderer) {
+    throw new Error(`Unsupported feed format: ${format}`);
+  }
+
+  return {
+    contentType: FEED_CONTENT_TYPES[format],
+    body: renderer(feed, options)
+  };
+}
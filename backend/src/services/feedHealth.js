@@ -0,0 +1,227 @@
+import { getCollection } from './storage.js';
+import { listSubscriptions, moveSubscription, getSubscriptionFetchUrl } from './subscriptions.js';
+import { createLogger } from '../utils/logger.js';
+import { feedHealth as healthConfig } from '../config/index.js';
+
+const logger = createLogger('services:feedHealth');
+
+const DAY_SEC = 86400;
+
+const PERMANENT_REDIRECT_STATUSES = new Set([301, 308]);
+
+/**
+ * Health states, worst first: a feed is reported with the first one that applies
+ */
+export const FEED_HEALTH_STATUSES = ['erroring', 'moved', 'stale', 'healthy', 'unchecked'];
+
+// Fetch history by subscription id
+const healthRecords = () => getCollection('feedHealth');
+
+/**
+ * Where a feed permanently moved to: the target of the redirects before the first temporary one
+ * @param {object[]} redirects - [{ status, url }] followed by the HTTP client
+ * @returns {string|null} - New URL, or null if the first hop is not a 301/308
+ */
+export function permanentRedirectTarget(redirects = []) {
+  let target = null;
+  for (const { status, url } of redirects) {
+    if (!PERMANENT_REDIRECT_STATUSES.has(status)) break;
+    target = url;
+  }
+  return target;
+}
+
+function publishedTimes(items) {
+  return items
+    .map(item => Date.parse(item.pubDate || item.date || ''))
+    .filter(Number.isFinite)
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Average gap between the publication dates of a feed's items
+ * @param {object[]} items - Feed items
+ * @returns {number|null} - Seconds, or null with fewer than two dated items
+ */
+export function averageItemIntervalSec(items) {
+  const times = publishedTimes(items);
+  if (times.length < 2) return null;
+  return Math.round((times[times.length - 1] - times[0]) / (times.length - 1) / 1000);
+}
+
+function createRecord(subscription) {
+  return {
+    subscriptionId: subscription.id,
+    tenantId: subscription.tenantId,
+    firstCheckedAt: null,
+    lastCheckedAt: null,
+    lastSuccessAt: null,
+    consecutiveFailures: 0,
+    lastNewItemAt: null,
+    latestItemPublishedAt: null,
+    avgItemIntervalSec: null,
+    movedTo: null,
+    movedFrom: null,
+    checks: []
+  };
+}
+
+async function followMove(subscription, record) {
+  try {
+    const moved = await moveSubscription(subscription.tenantId, subscription.id, record.movedTo);
+    if (moved) {
+      record.movedFrom = getSubscriptionFetchUrl(subscription);
+      record.movedTo = null;
+    }
+  } catch (error) {
+    logger.warn('Could not follow permanent redirect', {
+      subscriptionId: subscription.id,
+      movedTo: record.movedTo,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Record the outcome of one fetch of a subscription.
+ * With FEED_HEALTH_FOLLOW_REDIRECTS, a permanent redirect also updates the stored URL.
+ * @param {object} subscription - Subscription document
+ * @param {object} outcome
+ * @param {boolean} outcome.ok - Whether the fetch succeeded
+ * @param {number} outcome.status - HTTP status (null if none)
+ * @param {string} outcome.code - Error code, e.g. PARSE_FAILED (failures only)
+ * @param {string} outcome.error - Error message (failures only)
+ * @param {object[]} outcome.items - Fetched items (successes only)
+ * @param {number} outcome.newItemCount - Items never seen before
+ * @param {object[]} outcome.redirects - [{ status, url }] followed
+ * @param {number} outcome.durationMs - Fetch duration
+ * @returns {Promise<object>} - Updated health record
+ */
+export async function recordFeedCheck(subscription, outcome) {
+  const now = new Date().toISOString();
+  const record = (await healthRecords().get(subscription.id)) || createRecord(subscription);
+  const items = outcome.items || [];
+
+  record.firstCheckedAt = record.firstCheckedAt || now;
+  record.lastCheckedAt = now;
+  record.checks = [{
+    at: now,
+    ok: outcome.ok,
+    status: outcome.status ?? null,
+    code: outcome.ok ? null : outcome.code || null,
+    error: outcome.ok ? null : outcome.error || null,
+    itemCount: items.length,
+    newItemCount: outcome.newItemCount || 0,
+    durationMs: outcome.durationMs ?? null
+  }, ...record.checks].slice(0, healthConfig.historySize);
+
+  if (outcome.ok) {
+    record.lastSuccessAt = now;
+    record.consecutiveFailures = 0;
+    if (outcome.newItemCount > 0) record.lastNewItemAt = now;
+
+    const times = publishedTimes(items);
+    if (times.length > 0) {
+      const latest = new Date(times[times.length - 1]).toISOString();
+      if (!record.latestItemPublishedAt || latest > record.latestItemPublishedAt) {
+        record.latestItemPublishedAt = latest;
+      }
+    }
+    record.avgItemIntervalSec = averageItemIntervalSec(items) ?? record.avgItemIntervalSec;
+    record.movedTo = permanentRedirectTarget(outcome.redirects);
+
+    if (record.movedTo && healthConfig.followPermanentRedirects) {
+      await followMove(subscription, record);
+    }
+  } else {
+    record.consecutiveFailures += 1;
+  }
+
+  return healthRecords().put(subscription.id, record);
+}
+
+/**
+ * Classify a feed from its health record
+ * @param {object|null} record - Health record (null if never checked)
+ * @param {number} now - Current time in ms
+ * @returns {object} - { status, reasons }
+ */
+export function evaluateFeedHealth(record, now = Date.now()) {
+  if (!record || record.checks.length === 0) {
+    return { status: 'unchecked', reasons: ['Not fetched yet'] };
+  }
+
+  const found = [];
+  const [lastCheck] = record.checks;
+
+  if (record.consecutiveFailures >= healthConfig.errorThreshold) {
+    found.push(['erroring', `${record.consecutiveFailures} consecutive failures (last: ${lastCheck.error})`]);
+  }
+
+  if (record.movedTo) {
+    found.push(['moved', `Permanently redirected to ${record.movedTo}`]);
+  }
+
+  const staleAfterSec = record.avgItemIntervalSec
+    ? Math.max(record.avgItemIntervalSec * healthConfig.staleFactor, DAY_SEC)
+    : healthConfig.staleAfterDays * DAY_SEC;
+  const lastActivity = record.latestItemPublishedAt || record.lastNewItemAt || record.firstCheckedAt;
+  if ((now - Date.parse(lastActivity)) / 1000 > staleAfterSec) {
+    found.push(['stale', `No new items since ${lastActivity}`]);
+  }
+
+  if (found.length === 0) return { status: 'healthy', reasons: [] };
+
+  found.sort((a, b) => FEED_HEALTH_STATUSES.indexOf(a[0]) - FEED_HEALTH_STATUSES.indexOf(b[0]));
+  return { status: found[0][0], reasons: found.map(([, reason]) => reason) };
+}
+
+/**
+ * Health of every subscription of a tenant
+ * @param {string} tenantId - Tenant identifier
+ * @param {object} filters
+ * @param {string} filters.status - Only feeds in this state
+ * @returns {Promise<object>} - { counts: { [status]: n }, feeds: [...] }
+ */
+export async function getFeedHealth(tenantId, { status } = {}) {
+  const now = Date.now();
+  const counts = Object.fromEntries(FEED_HEALTH_STATUSES.map(name => [name, 0]));
+  const feeds = [];
+
+  for (const subscription of await listSubscriptions(tenantId)) {
+    const record = await healthRecords().get(subscription.id);
+    const health = evaluateFeedHealth(record, now);
+    counts[health.status] += 1;
+    if (status && health.status !== status) continue;
+
+    feeds.push({
+      subscriptionId: subscription.id,
+      title: subscription.title,
+      url: getSubscriptionFetchUrl(subscription),
+      enabled: subscription.enabled,
+      ...health,
+      lastCheckedAt: record?.lastCheckedAt || null,
+      lastSuccessAt: record?.lastSuccessAt || null,
+      lastStatus: record?.checks[0]?.status ?? null,
+      lastError: record?.checks[0]?.error ?? null,
+      consecutiveFailures: record?.consecutiveFailures || 0,
+      lastNewItemAt: record?.lastNewItemAt || null,
+      latestItemPublishedAt: record?.latestItemPublishedAt || null,
+      avgItemIntervalSec: record?.avgItemIntervalSec ?? null,
+      movedTo: record?.movedTo || null,
+      movedFrom: record?.movedFrom || null,
+      history: record?.checks || []
+    });
+  }
+
+  return { counts, feeds };
+}
+
+/**
+ * Forget the fetch history of a subscription
+ * @param {string} subscriptionId - Subscription id
+ * @returns {Promise<boolean>} - True if a record was deleted
+ */
+export async function deleteFeedHealth(subscriptionId) {
+  return healthRecords().delete(subscriptionId);
+}
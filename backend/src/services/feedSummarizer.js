@@ -1,10 +1,17 @@
+import crypto from "crypto";
 import { ChatOpenAI } from "@langchain/openai";
 import { HumanMessage } from "@langchain/core/messages";
-import { timeouts } from "../config/index.js";
+import { cache, timeouts } from "../config/index.js";
 import { createLogger } from "../utils/logger.js";
+import { getCache } from "./cache.js";
 
 const logger = createLogger('services:feedSummarizer');
 
+const MODEL = "gpt-3.5-turbo-0125";
+
+// LLM item summaries by hash of model and prompt, so re-summarizing the same feeds costs nothing
+const summaryCache = getCache('summaries', { ttl: cache.summaryTtl });
+
 // Lazy-initialized LLM instance to avoid crash on module load
 let llm = null;
 
@@ -18,7 +25,7 @@ function getLLM() {
       throw new Error("OPENAI_API_KEY is not configured");
     }
     llm = new ChatOpenAI({
-      model: "gpt-3.5-turbo-0125",
+      model: MODEL,
       temperature: 0,
       apiKey: process.env.OPENAI_API_KEY,
       timeout: timeouts.llm,
@@ -61,20 +68,15 @@ ${i + 1}.
 Title: ${f.title}
 Source: ${f.source || "unknown"}
 Published: ${f.published || ""}
-Content: ${(f.content || "").slice(0, 1500)}
+Content: ${(f.fullText?.text || f.content || "").slice(0, 1500)}
 `).join("\n")}
 `;
 }
 
-export async function summarizeFeeds(feeds) {
-  if (!Array.isArray(feeds) || feeds.length === 0) {
-    throw new Error("feeds must be a non-empty array");
-  }
-
-  logger.info('Processing feed summarization', { feedCount: feeds.length });
-
-  const prompt = buildPrompt(feeds);
-
+/**
+ * Send the prompt to the LLM and return its per-item summaries
+ */
+async function requestSummaries(prompt) {
   let response;
   try {
     const llmInstance = getLLM();
@@ -95,7 +97,26 @@ export async function summarizeFeeds(feeds) {
   }
 
   // Ensure parsed.items is an array, default to empty array if missing
-  const parsedItems = Array.isArray(parsed.items) ? parsed.items : [];
+  return Array.isArray(parsed.items) ? parsed.items : [];
+}
+
+export async function summarizeFeeds(feeds) {
+  if (!Array.isArray(feeds) || feeds.length === 0) {
+    throw new Error("feeds must be a non-empty array");
+  }
+
+  logger.info('Processing feed summarization', { feedCount: feeds.length });
+
+  const prompt = buildPrompt(feeds);
+  const cacheKey = crypto.createHash('sha256').update(`${MODEL}\n${prompt}`).digest('hex');
+
+  let parsedItems = await summaryCache.get(cacheKey);
+  if (parsedItems) {
+    logger.debug('Using cached summaries', { feedCount: feeds.length });
+  } else {
+    parsedItems = await requestSummaries(prompt);
+    await summaryCache.set(cacheKey, parsedItems);
+  }
 
   // Merge original feed content with AI summaries
   const items = feeds.map((feed, index) => ({
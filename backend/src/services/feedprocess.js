@@ -7,26 +7,47 @@
 import dotenv from "dotenv";
 dotenv.config();
 
-import axios from "axios";
 import xml2js from "xml2js";
 import crypto from "crypto";
 import zlib from "zlib";
 import imaps from "imap-simple";
 import * as cheerio from "cheerio";
 import { validateUrl, isValidUrl } from "../utils/urlValidator.js";
-import { credentials, timeouts } from "../config/index.js";
+import { getConditionalStore, acceptNotModified } from "../utils/conditionalRequest.js";
+import { httpGet } from "../utils/httpClient.js";
+import { assertRobotsAllowed } from "../utils/robots.js";
+import { mapWithConcurrency } from "../utils/concurrency.js";
+import { credentials, timeouts, feedProcess as feedProcessConfig } from "../config/index.js";
+import {
+  resolveSubscriptions,
+  getSubscriptionFetchUrl,
+  SubscriptionError,
+} from "./subscriptions.js";
+import { selectNewItems } from "./itemStore.js";
+import { resolveFilterRules, applyFilters } from "./itemFilters.js";
+import { aggregateItems } from "./feedAggregator.js";
+import { addFullText } from "../utils/articleExtractor.js";
+import { getRenderer, renderPage } from "./renderer.js";
 
 // ---------------- CONFIG ----------------
 
-const getScrapingBeeKey = () => {
-  const key = credentials.scrapingBeeApiKey;
-  if (!key) throw new Error("Missing SCRAPINGBEE_API_KEY in .env");
-  return key;
-};
+/**
+ * Custom error class for feeds that could not be collected
+ */
+export class FeedCollectionError extends Error {
+  constructor(message, code = "COLLECTION_FAILED") {
+    super(message);
+    this.name = "FeedCollectionError";
+    this.code = code;
+  }
+}
 
 const NEWSLETTER_EMAIL = credentials.newsletter.email;
 const NEWSLETTER_PASSWORD = credentials.newsletter.password;
 
+// ETag / Last-Modified of direct feed fetches, with the parsed items to reuse on 304
+const directValidators = getConditionalStore("direct");
+
 // ---------------- HELPERS ----------------
 
 export const hashId = (...parts) =>
@@ -103,63 +124,72 @@ const discoverFeedUrls = (html, baseUrl) => {
 };
 
 // ---------------- FETCHERS ----------------
+// The load* fetchers throw (axios errors carry response.status) so callers can report why
+// a feed failed; the fetch* wrappers keep returning [] on any failure.
 
-export const fetchDirect = async (url) => {
-  try {
-    const response = await axios.get(url, {
-      timeout: timeouts.feedProcess,
-      responseType: "arraybuffer",
-      headers: {
-        "User-Agent": "Mozilla/5.0",
-        Accept: "application/rss+xml, application/xml",
-      },
-    });
+const looksLikeFeed = (xml) => /<(rss|feed|rdf:RDF)[\s>]/i.test(xml.slice(0, 2048));
 
-    let data = response.data;
-    if (response.headers["content-encoding"] === "gzip") {
-      data = zlib.gunzipSync(data);
-    }
+/**
+ * Fetch and parse a feed URL
+ * @returns {Promise<object>} - { items, status, isFeed } (isFeed is also true for feeds without items)
+ */
+const loadDirect = async (url, { signal } = {}) => {
+  const response = await httpGet(url, {
+    timeout: timeouts.feedProcess,
+    signal,
+    responseType: "arraybuffer",
+    headers: {
+      Accept: "application/rss+xml, application/xml",
+      ...directValidators.headersFor(url),
+    },
+    validateStatus: acceptNotModified,
+  });
+
+  const unchanged = directValidators.notModifiedPayload(url, response);
+  if (unchanged) return { items: unchanged, status: response.status, isFeed: true };
 
-    return await parseRSS(data.toString("utf-8"), url, "direct");
+  let data = response.data;
+  if (response.headers["content-encoding"] === "gzip") {
+    data = zlib.gunzipSync(data);
+  }
+
+  const xml = data.toString("utf-8");
+  const items = await parseRSS(xml, url, "direct");
+  // Only remember validators of responses that actually were feeds
+  if (items.length > 0) directValidators.store(url, response, items);
+  return { items, status: response.status, isFeed: items.length > 0 || looksLikeFeed(xml) };
+};
+
+export const fetchDirect = async (url, options) => {
+  try {
+    return (await loadDirect(url, options)).items;
   } catch {
     return [];
   }
 };
 
-const fetchHtmlDirect = async (url) => {
-  const response = await axios.get(url, {
+const fetchHtmlDirect = async (url, { crawlDelayMs = 0, signal } = {}) => {
+  const response = await httpGet(url, {
     timeout: timeouts.feedProcess,
-    headers: { "User-Agent": "Mozilla/5.0" },
+    signal,
+    hostDelayMs: crawlDelayMs,
   });
-  return response.data;
+  return { html: response.data, status: response.status };
 };
 
-const fetchHtmlViaScrapingBee = async (url) => {
-  const response = await axios.get("https://api.scrapingbee.com/v1/", {
-    params: {
-      api_key: getScrapingBeeKey(),
-      url,
-      render_js: true,
-      premium_proxy: true,
-    },
-    timeout: timeouts.scrapingBee,
-  });
-  return response.data;
+const fetchHtmlRendered = async (url, { signal } = {}) => {
+  const { html, status } = await renderPage(url, { signal });
+  return { html, status };
 };
 
-export const fetchViaScrapingBee = async (url) => {
-  try {
-    const response = await axios.get("https://api.scrapingbee.com/v1/", {
-      params: {
-        api_key: getScrapingBeeKey(),
-        url,
-        render_js: true,
-        premium_proxy: true,
-      },
-      timeout: timeouts.scrapingBee,
-    });
+const loadRendered = async (url, { signal } = {}) => {
+  const { html, status } = await renderPage(url, { signal });
+  return { items: await parseRSS(html, url, "third_eye"), status };
+};
 
-    return await parseRSS(response.data, url, "third_eye");
+export const fetchViaRenderer = async (url, options) => {
+  try {
+    return (await loadRendered(url, options)).items;
   } catch {
     return [];
   }
@@ -167,70 +197,187 @@ export const fetchViaScrapingBee = async (url) => {
 
 // ---------------- SMART FETCH ----------------
 
-export const smartFetch = async (url) => {
+/**
+ * Diagnostics of one input URL, filled in while its tiers run
+ */
+const createSource = (url) => ({
+  url,
+  ok: false,
+  tier: null,
+  renderer: null,
+  feedUrl: null,
+  discoveredFeeds: [],
+  httpStatus: null,
+  itemCount: 0,
+  durationMs: 0,
+  attempts: [],
+});
+
+/**
+ * Run one fetch and record it in source.attempts; failures are recorded and return null
+ */
+const attempt = async (source, tier, url, load) => {
+  try {
+    const result = await load();
+    source.attempts.push({
+      tier,
+      url,
+      httpStatus: result.status ?? null,
+      ...(result.items && { itemCount: result.items.length }),
+    });
+    return result;
+  } catch (error) {
+    source.attempts.push({ tier, url, httpStatus: error.response?.status ?? null, error: error.message });
+    return null;
+  }
+};
+
+const succeed = (source, tier, feedUrl, result) => {
+  source.tier = tier;
+  source.feedUrl = feedUrl;
+  source.httpStatus = result.status ?? null;
+  return result.items;
+};
+
+/**
+ * Load a page, then try each feed it links to until one has items
+ */
+const discoverAndFetch = async (source, tier, url, loadPage, signal) => {
+  const page = await attempt(source, tier, url, loadPage);
+  if (!page) return null;
+
+  const feeds = discoverFeedUrls(page.html, url);
+  for (const feedUrl of feeds) {
+    if (!source.discoveredFeeds.includes(feedUrl)) source.discoveredFeeds.push(feedUrl);
+  }
+
+  for (const feedUrl of feeds) {
+    const result = await attempt(source, tier, feedUrl, () => loadDirect(feedUrl, { signal }));
+    if (result?.items.length) return succeed(source, tier, feedUrl, result);
+  }
+  return null;
+};
+
+/**
+ * The smartFetch tiers, in order: direct, html-discovery, scrapingbee-discovery, scrapingbee-rss.
+ * The last two keep their names, which clients of the diagnostics read, whatever the renderer:
+ * they load the page through the configured renderer, named in source.renderer, and are
+ * skipped without one. source.tier is set once a tier produced the feed; it stays null if none did.
+ */
+const fetchWithTiers = async (url, { respectRobots = true, signal } = {}, source = createSource(url)) => {
   validateUrl(url);
 
-  // 1️⃣ Direct RSS
-  const direct = await fetchDirect(url);
-  if (direct.length) return direct;
+  // 1️⃣ Direct RSS (a valid feed without items is an answer too, not a reason to scrape)
+  const direct = await attempt(source, "direct", url, () => loadDirect(url, { signal }));
+  if (direct?.isFeed) return succeed(source, "direct", url, direct);
+
+  const { crawlDelayMs } = await assertRobotsAllowed(url, { respectRobots });
 
   // 2️⃣ HTML → discover RSS
-  try {
-    const html = await fetchHtmlDirect(url);
-    const feeds = discoverFeedUrls(html, url);
-    for (const feedUrl of feeds) {
-      const items = await fetchDirect(feedUrl);
-      if (items.length) return items;
-    }
-  } catch {}
+  const viaHtml = await discoverAndFetch(
+    source, "html-discovery", url, () => fetchHtmlDirect(url, { crawlDelayMs, signal }), signal
+  );
+  if (viaHtml) return viaHtml;
 
-  // 3️⃣ ScrapingBee HTML → discover RSS
-  try {
-    const html = await fetchHtmlViaScrapingBee(url);
-    const feeds = discoverFeedUrls(html, url);
-    for (const feedUrl of feeds) {
-      const items = await fetchDirect(feedUrl);
-      if (items.length) return items;
-    }
-  } catch {}
+  const renderer = getRenderer();
+  if (!renderer) return [];
+  source.renderer = renderer.name;
+
+  // 3️⃣ Rendered HTML → discover RSS
+  const viaRenderer = await discoverAndFetch(
+    source, "scrapingbee-discovery", url, () => fetchHtmlRendered(url, { signal }), signal
+  );
+  if (viaRenderer) return viaRenderer;
+
+  // 4️⃣ Rendered page parsed as RSS
+  const rendered = await attempt(source, "scrapingbee-rss", url, () => loadRendered(url, { signal }));
+  if (rendered?.items.length) return succeed(source, "scrapingbee-rss", url, rendered);
 
-  // 4️⃣ ScrapingBee RSS fallback
-  return fetchViaScrapingBee(url);
+  return [];
+};
+
+/**
+ * Fetch a URL as a feed, falling back to feed discovery on the page and on the rendered page.
+ * The fallbacks read the page itself, so they need robots.txt to allow it unless
+ * respectRobots is false (admin override); direct feed fetches are never checked.
+ * signal aborts the outstanding HTTP requests (e.g. when a collection deadline passes).
+ * @returns {Promise<object[]>} - Items ([] if no tier found a feed)
+ * @throws {RobotsDisallowedError} - If the URL is not a feed and robots.txt disallows the page
+ */
+export const smartFetch = async (url, options) => fetchWithTiers(url, options);
+
+/**
+ * Run the tiers and fail when none found a feed, instead of returning [] like smartFetch
+ * @throws {FeedCollectionError} - NO_FEED_FOUND, with status set to the direct fetch's HTTP status
+ */
+const fetchWithTiersOrThrow = async (url, options, source) => {
+  const items = await fetchWithTiers(url, options, source);
+  if (!source.tier) {
+    source.httpStatus = source.attempts[0]?.httpStatus ?? null;
+    const reason = source.attempts[0]?.error;
+    const error = new FeedCollectionError(
+      reason ? `No feed found (direct fetch: ${reason})` : "No feed found",
+      "NO_FEED_FOUND"
+    );
+    error.status = source.httpStatus;
+    throw error;
+  }
+  return items;
+};
+
+/**
+ * smartFetch for callers that must tell a dead feed from an empty one (e.g. the scheduler)
+ * @param {string} url - Feed or site URL
+ * @param {object} options - See smartFetch
+ * @returns {Promise<object>} - { items, source } with the tier diagnostics of collectIntel's sources
+ * @throws {FeedCollectionError} - NO_FEED_FOUND when no tier found a feed (an empty feed is not an error)
+ * @throws {RobotsDisallowedError} - If the URL is not a feed and robots.txt disallows the page
+ */
+export const smartFetchWithSource = async (url, options) => {
+  const source = createSource(url);
+  const items = await fetchWithTiersOrThrow(url, options, source);
+  return { items, source };
 };
 
 // ---------------- NEWSLETTER FETCHER ----------------
 
-export const fetchNewsletters = async () => {
-  if (!NEWSLETTER_EMAIL || !NEWSLETTER_PASSWORD) return [];
+const loadNewsletters = async () => {
+  const connection = await imaps.connect({
+    imap: {
+      user: NEWSLETTER_EMAIL,
+      password: NEWSLETTER_PASSWORD,
+      host: "imap.gmail.com",
+      port: 993,
+      tls: true,
+    },
+  });
 
-  try {
-    const connection = await imaps.connect({
-      imap: {
-        user: NEWSLETTER_EMAIL,
-        password: NEWSLETTER_PASSWORD,
-        host: "imap.gmail.com",
-        port: 993,
-        tls: true,
-      },
-    });
+  await connection.openBox("INBOX");
+  const results = await connection.search(["UNSEEN"], {
+    bodies: ["HEADER", "TEXT"],
+  });
 
-    await connection.openBox("INBOX");
-    const results = await connection.search(["UNSEEN"], {
-      bodies: ["HEADER", "TEXT"],
-    });
+  return results.map((r) => ({
+    id: hashId(
+      r.parts[0].body.subject?.[0] || "",
+      r.parts[0].body.date?.[0] || ""
+    ),
+    title: r.parts[0].body.subject?.[0] || "",
+    url: "email",
+    content: (r.parts[1]?.body || "").slice(0, 4000),
+    published: r.parts[0].body.date?.[0] || "",
+    source: "newsletter",
+    tier: "newsletter",
+  }));
+};
 
-    return results.map((r) => ({
-      id: hashId(
-        r.parts[0].body.subject?.[0] || "",
-        r.parts[0].body.date?.[0] || ""
-      ),
-      title: r.parts[0].body.subject?.[0] || "",
-      url: "email",
-      content: (r.parts[1]?.body || "").slice(0, 4000),
-      published: r.parts[0].body.date?.[0] || "",
-      source: "newsletter",
-      tier: "newsletter",
-    }));
+const newslettersConfigured = () => Boolean(NEWSLETTER_EMAIL && NEWSLETTER_PASSWORD);
+
+export const fetchNewsletters = async () => {
+  if (!newslettersConfigured()) return [];
+
+  try {
+    return await loadNewsletters();
   } catch {
     return [];
   }
@@ -238,47 +385,250 @@ export const fetchNewsletters = async () => {
 
 // ---------------- COLLECTOR ----------------
 
-export const collectIntel = async (feeds = []) => {
-  const results = [];
+/**
+ * Fetch feeds concurrently (FEED_PROCESS_CONCURRENCY at a time) under a total deadline.
+ * A failing or late feed does not fail the collection: it is reported in errors and the
+ * items of every other feed are still returned. Feeds still running at the deadline have
+ * their requests aborted; partial is true when that happened.
+ * sources describes every input URL (and the newsletter inbox, when configured): the tier
+ * that produced the feed, discovered feed URLs, HTTP status, item count, duration, error
+ * and each attempt made.
+ * @param {string[]} feeds - Feed or site URLs
+ * @param {object} options
+ * @param {boolean} options.respectRobots - See smartFetch
+ * @param {number} options.concurrency - Feeds fetched at once (default FEED_PROCESS_CONCURRENCY)
+ * @param {number} options.deadlineMs - Total time budget (default FEED_PROCESS_DEADLINE_MS)
+ * @param {Function} options.onFeed - async ({ source, items, completed, total }) => void, called as each feed finishes
+ * @param {AbortSignal} options.signal - Stops the collection early (e.g. the client went away)
+ * @returns {Promise<object>} - { engine, timestamp, total_items, data, sources, errors, partial, durationMs }
+ */
+export const collectIntel = async (feeds = [], options = {}) => {
+  const {
+    respectRobots = true,
+    concurrency = feedProcessConfig.concurrency,
+    deadlineMs = feedProcessConfig.deadlineMs,
+    onFeed,
+    signal,
+  } = options;
+
+  const startedAt = Date.now();
+  const controller = new AbortController();
+  const stopped = new Promise((resolve) => {
+    controller.signal.addEventListener("abort", resolve, { once: true });
+  });
+  const timer = setTimeout(() => controller.abort(), deadlineMs);
+  signal?.addEventListener("abort", () => controller.abort(), { once: true });
+
+  const stoppedError = () =>
+    signal?.aborted
+      ? new FeedCollectionError("Collection was cancelled", "CANCELLED")
+      : new FeedCollectionError(`Deadline of ${deadlineMs}ms exceeded`, "DEADLINE_EXCEEDED");
+
+  const untilStopped = (promise) =>
+    Promise.race([
+      promise,
+      stopped.then(() => {
+        throw stoppedError();
+      }),
+    ]);
+
+  const urls = feeds.filter((f) => typeof f === "string");
+  const total = urls.length + (newslettersConfigured() ? 1 : 0);
+  let completed = 0;
+
+  const report = async (result) => {
+    completed += 1;
+    if (onFeed) await onFeed({ ...result, completed, total });
+    return result;
+  };
+
+  const finish = (source, items, error, feedStartedAt) => {
+    if (error) {
+      source.error = error.message;
+      source.code = error.code || "FETCH_FAILED";
+    }
+    source.ok = !error;
+    source.itemCount = items.length;
+    source.durationMs = Date.now() - feedStartedAt;
+    // Aborted tiers may still record attempts after the deadline; report what was known then
+    return { items, source: { ...source, discoveredFeeds: [...source.discoveredFeeds], attempts: [...source.attempts] } };
+  };
+
+  const collectFeed = async (url) => {
+    const feedStartedAt = Date.now();
+    const source = createSource(url);
+    let result;
+    try {
+      if (controller.signal.aborted) throw stoppedError();
+
+      const items = await untilStopped(
+        fetchWithTiersOrThrow(url, { respectRobots, signal: controller.signal }, source)
+      );
+      result = finish(source, items, null, feedStartedAt);
+    } catch (error) {
+      result = finish(source, [], error, feedStartedAt);
+    }
+    return report(result);
+  };
+
+  const collectNewsletters = async () => {
+    if (!newslettersConfigured()) return null;
 
-  for (const f of feeds) {
-    if (typeof f === "string") {
-      const fetched = await smartFetch(f);
-      results.push(...fetched);
+    const feedStartedAt = Date.now();
+    const source = { ...createSource("newsletter"), tier: "newsletter" };
+    let result;
+    try {
+      result = finish(source, await untilStopped(loadNewsletters()), null, feedStartedAt);
+    } catch (error) {
+      result = finish(source, [], error, feedStartedAt);
     }
+    return report(result);
+  };
+
+  let collected;
+  let newsletters;
+  try {
+    [collected, newsletters] = await Promise.all([
+      mapWithConcurrency(urls, concurrency, collectFeed),
+      collectNewsletters(),
+    ]);
+  } finally {
+    clearTimeout(timer);
   }
 
-  const newsletters = await fetchNewsletters();
-  results.push(...newsletters);
+  if (newsletters) collected.push(newsletters);
+  const results = collected.flatMap(({ items }) => items);
+  const sources = collected.map(({ source }) => source);
 
   return {
     engine: "BHA Third Eye v2.2",
     timestamp: new Date().toISOString(),
     total_items: results.length,
     data: results,
+    sources,
+    errors: sources
+      .filter((source) => !source.ok)
+      .map(({ url, error, code }) => ({ url, error, code })),
+    partial: controller.signal.aborted,
+    durationMs: Date.now() - startedAt,
   };
 };
 
 // ---------------- MAIN PROCESS ----------------
 
-export async function processFeeds(input) {
+const toList = (value) =>
+  (Array.isArray(value) ? value : [value]).filter(
+    (v) => typeof v === "string" && v.length > 0
+  );
+
+const resolveSubscriptionFeeds = async (input) => {
+  const subscriptionIds = toList(input.subscriptionId);
+  const tags = toList(input.tag);
+  if (subscriptionIds.length === 0 && tags.length === 0) return null;
+
+  const subscriptions = await resolveSubscriptions(input.tenantId, {
+    subscriptionIds,
+    tags,
+  });
+  if (subscriptions.length === 0) {
+    throw new SubscriptionError(
+      "No enabled subscriptions match the request",
+      "NO_MATCHING_SUBSCRIPTIONS",
+      404
+    );
+  }
+  return subscriptions.map(getSubscriptionFetchUrl);
+};
+
+/**
+ * Process feeds given as raw URLs or as stored subscriptions.
+ * input: { feeds?, url?, subscriptionId?, tag?, tenantId?, onlyNew?, cursor?, fullText?, respectRobots?, filters?, filterSetIds?, aggregate? }
+ * subscriptionId / tag accept a string or an array and require tenantId.
+ * filters (inline rules) and filterSetIds (the tenant's saved sets) drop and tag items
+ * before anything else sees them.
+ * With tenantId, items are recorded in the item store and onlyNew / cursor
+ * restrict the result to items not previously returned to that tenant.
+ * fullText adds the extracted article of each item link.
+ * respectRobots: false lets pages disallowed by robots.txt be scraped (admin override).
+ * aggregate merges the same story from several feeds into one item (see feedAggregator),
+ * newest first; without it items keep feed order.
+ * Feeds that fail or miss the deadline are listed in errors; sources has the outcome and
+ * timing of every feed.
+ * With options.onFeed the items of each feed are selected and handed over as soon as that
+ * feed finishes ({ source, items, completed, total }), for streaming responses; feed.items is
+ * then in completion order and fullText is limited to FULLTEXT_MAX_ITEMS per feed instead of
+ * per request.
+ * @param {object} input - See above
+ * @param {object} options
+ * @param {Function} options.onFeed - async ({ source, items, completed, total }) => void
+ * @param {AbortSignal} options.signal - Stops fetching early (e.g. the client disconnected)
+ * @returns {Promise<object>} - { feed: { items }, total_items, engine, timestamp, sources, errors, partial, durationMs, cursor?, aggregation? }
+ * @throws {FilterError} - If a filter set does not exist or a rule is invalid
+ */
+export async function processFeeds(input, { onFeed, signal } = {}) {
   let feeds = [];
   if (input.feeds && Array.isArray(input.feeds) && input.feeds.length > 0) {
     feeds = input.feeds;
   } else if (input.url && typeof input.url === "string") {
     feeds = [input.url];
   } else {
-    throw new Error("feeds must be a non-empty array or url must be provided");
+    feeds = await resolveSubscriptionFeeds(input);
+    if (!feeds) {
+      throw new Error("feeds must be a non-empty array or url must be provided");
+    }
+  }
+
+  const rules = await resolveFilterRules(input.tenantId, input);
+
+  let cursor;
+  const selectItems = async (fetched) => {
+    const items = applyFilters(fetched, rules);
+    if (!input.tenantId) return items;
+    let selected;
+    ({ items: selected, cursor } = await selectNewItems(input.tenantId, items, {
+      onlyNew: input.onlyNew,
+      cursor: input.cursor,
+    }));
+    return selected;
+  };
+  const enrichItems = (items) => (input.fullText ? addFullText(items) : items);
+
+  let items;
+  let intel;
+  if (onFeed) {
+    // Selection advances the tenant's cursor, so feeds are selected one at a time
+    let selecting = Promise.resolve();
+    items = [];
+    intel = await collectIntel(feeds, {
+      respectRobots: input.respectRobots,
+      signal,
+      onFeed: async (result) => {
+        const selection = selecting.then(() => selectItems(result.items));
+        selecting = selection.catch(() => {});
+        const selected = await enrichItems(await selection);
+        items.push(...selected);
+        await onFeed({ ...result, items: selected });
+      },
+    });
+  } else {
+    intel = await collectIntel(feeds, { respectRobots: input.respectRobots, signal });
+    items = await enrichItems(await selectItems(intel.data));
   }
 
-  const intel = await collectIntel(feeds);
+  const feedItems = input.aggregate ? aggregateItems(items) : items;
 
   return {
     feed: {
-      items: intel.data,
+      items: feedItems,
     },
-    total_items: intel.total_items,
+    total_items: feedItems.length,
     engine: intel.engine,
     timestamp: intel.timestamp,
+    sources: intel.sources,
+    errors: intel.errors,
+    partial: intel.partial,
+    durationMs: intel.durationMs,
+    ...(cursor !== undefined && { cursor }),
+    ...(input.aggregate && { aggregation: { itemCount: items.length, clusterCount: feedItems.length } }),
   };
-}
\ No newline at end of file
+}
@@ -0,0 +1,321 @@
+/**
+ * Rule-based item filtering and tagging.
+ * include rules keep only matching items (when there are any), exclude rules drop matching
+ * items, tag rules add their tags to matching items. A rule matches when every condition
+ * it sets (keywords, regex, date window) holds.
+ */
+import crypto from 'crypto';
+import { RE2JS } from 're2js';
+import { getCollection } from './storage.js';
+import { normalizeTags } from './subscriptions.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('services:itemFilters');
+
+// Longest prefix of a text field that rules look at
+const MAX_MATCH_LENGTH = 20000;
+
+/**
+ * Custom error class for filter failures
+ */
+export class FilterError extends Error {
+  constructor(message, code = 'FILTER_ERROR', statusCode = 400) {
+    super(message);
+    this.name = 'FilterError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+const filterSets = () => getCollection('filterSets');
+
+function categoryNames(categories) {
+  return (Array.isArray(categories) ? categories : [])
+    .map(category => (typeof category === 'string' ? category : category?._ || category?.term || category?.name))
+    .filter(Boolean)
+    .map(String);
+}
+
+function linkDomain(item) {
+  try {
+    return new URL(item.link || item.url).hostname.toLowerCase();
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Values of a rule field for rssFetcher, feedprocess and scraper items
+ * @param {object} item - Feed item
+ * @param {string} field - title, content, categories, creator, domain or any (title and content)
+ * @returns {string[]}
+ */
+function fieldValues(item, field) {
+  switch (field) {
+    case 'title':
+      return [item.title || ''];
+    case 'content':
+      return [item.content || item.contentSnippet || item.description || ''];
+    case 'categories':
+      return categoryNames(item.categories);
+    case 'creator':
+      return [item.creator || item.author || ''];
+    case 'domain':
+      return [linkDomain(item)];
+    default:
+      return [item.title || '', item.content || item.contentSnippet || item.description || ''];
+  }
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function itemTime(item) {
+  const time = Date.parse(item.pubDate || item.isoDate || item.published || '');
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Whether a pattern repeats a group that itself repeats or alternates, e.g. (a+)+ or (a|ab)*.
+ * Such patterns backtrack exponentially in JavaScript's engine and are refused even though
+ * RE2 would run them, so saved rules stay portable and their intent stays obvious.
+ * @param {string} source - Regex source
+ * @returns {boolean}
+ */
+export function hasNestedQuantifier(source) {
+  // One frame per open group: does its body repeat or alternate?
+  const frames = [{ risky: false }];
+  const repeatAt = index => {
+    const char = source[index];
+    if (char === '*' || char === '+') return true;
+    // {n,} and {n,m}; {n} repeats a fixed number of times
+    return char === '{' && /^\{\d*,\d*\}/.test(source.slice(index));
+  };
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    if (char === '\\') {
+      i += 1;
+    } else if (char === '[') {
+      // Character classes hold no groups or quantifiers
+      for (i += 1; i < source.length && source[i] !== ']'; i += 1) {
+        if (source[i] === '\\') i += 1;
+      }
+    } else if (char === '(') {
+      frames.push({ risky: false });
+    } else if (char === ')' && frames.length > 1) {
+      const group = frames.pop();
+      const repeated = repeatAt(i + 1);
+      if (repeated && group.risky) return true;
+      if (repeated || group.risky) frames[frames.length - 1].risky = true;
+    } else if (char === '|' || repeatAt(i)) {
+      frames[frames.length - 1].risky = true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Compile a rule regex with RE2, whose matching time is linear in the input
+ * (no backreferences or lookaround)
+ * @param {string} source - Regex source
+ * @returns {RE2JS}
+ * @throws {FilterError} - INVALID_REGEX if it does not compile or repeats a repeating group
+ */
+function compileRegex(source) {
+  if (hasNestedQuantifier(source)) {
+    throw new FilterError(
+      `Invalid regex ${source}: repeated groups may not contain quantifiers or alternatives`,
+      'INVALID_REGEX'
+    );
+  }
+  try {
+    return RE2JS.compile(source, RE2JS.CASE_INSENSITIVE);
+  } catch (error) {
+    throw new FilterError(`Invalid regex ${source}: ${error.message}`, 'INVALID_REGEX');
+  }
+}
+
+/**
+ * Compile a rule into a predicate
+ * @param {object} rule - { action, field, keywords?, regex?, after?, before?, withinHours?, tags? }
+ * @returns {object} - { action, tags, matches(item, now) }
+ * @throws {FilterError} - If the regex does not compile or could backtrack without bound
+ */
+export function compileRule(rule) {
+  const field = rule.field || 'any';
+  const checks = [];
+
+  if (rule.keywords?.length > 0) {
+    if (field === 'domain') {
+      const domains = rule.keywords.map(keyword => keyword.toLowerCase().replace(/^www\./, ''));
+      checks.push(item => {
+        const host = linkDomain(item).replace(/^www\./, '');
+        return domains.some(domain => host === domain || host.endsWith(`.${domain}`));
+      });
+    } else {
+      // Whole words, so "AI" does not match "said"
+      const pattern = new RegExp(
+        `(?<![\\p{L}\\p{N}])(?:${rule.keywords.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`,
+        'iu'
+      );
+      checks.push(item => fieldValues(item, field).some(value => pattern.test(value.slice(0, MAX_MATCH_LENGTH))));
+    }
+  }
+
+  if (rule.regex) {
+    const pattern = compileRegex(rule.regex);
+    checks.push(item => fieldValues(item, field).some(value => pattern.matcher(value.slice(0, MAX_MATCH_LENGTH)).find()));
+  }
+
+  const after = rule.after ? Date.parse(rule.after) : null;
+  const before = rule.before ? Date.parse(rule.before) : null;
+  if (after !== null || before !== null || rule.withinHours) {
+    checks.push((item, now) => {
+      const time = itemTime(item);
+      if (time === null) return false;
+      if (after !== null && time < after) return false;
+      if (before !== null && time >= before) return false;
+      if (rule.withinHours && time < now - rule.withinHours * 3600 * 1000) return false;
+      return true;
+    });
+  }
+
+  return {
+    action: rule.action,
+    tags: normalizeTags(rule.tags),
+    matches: (item, now) => checks.every(check => check(item, now))
+  };
+}
+
+/**
+ * Apply filter rules to items
+ * @param {object[]} items - Feed items
+ * @param {object[]} rules - Filter rules
+ * @param {number} now - Current time in ms (for withinHours)
+ * @returns {object[]} - Kept items in input order; items matching tag rules get `tags`
+ */
+export function applyFilters(items, rules = [], now = Date.now()) {
+  if (rules.length === 0) return items;
+
+  const compiled = rules.map(compileRule);
+  const includes = compiled.filter(rule => rule.action === 'include');
+  const excludes = compiled.filter(rule => rule.action === 'exclude');
+  const taggers = compiled.filter(rule => rule.action === 'tag');
+
+  return items
+    .filter(item =>
+      (includes.length === 0 || includes.some(rule => rule.matches(item, now))) &&
+      !excludes.some(rule => rule.matches(item, now))
+    )
+    .map(item => {
+      const tags = taggers.filter(rule => rule.matches(item, now)).flatMap(rule => rule.tags);
+      if (tags.length === 0) return item;
+      return { ...item, tags: normalizeTags([...(item.tags || []), ...tags]) };
+    });
+}
+
+/**
+ * List saved filter sets of a tenant
+ * @param {string} tenantId - Tenant identifier
+ * @returns {Promise<object[]>} - Filter sets ordered by creation time
+ */
+export async function listFilterSets(tenantId) {
+  const list = await filterSets().list(set => set.tenantId === tenantId);
+  return list.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Get a saved filter set
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} id - Filter set id
+ * @returns {Promise<object|null>} - Filter set or null if not found for this tenant
+ */
+export async function getFilterSet(tenantId, id) {
+  const set = await filterSets().get(id);
+  return set && set.tenantId === tenantId ? set : null;
+}
+
+/**
+ * Save a filter set
+ * @param {string} tenantId - Tenant identifier
+ * @param {object} data - { name, rules }
+ * @returns {Promise<object>} - Created filter set
+ * @throws {FilterError} - If a rule does not compile
+ */
+export async function createFilterSet(tenantId, data) {
+  data.rules.forEach(compileRule);
+
+  const now = new Date().toISOString();
+  const set = {
+    id: crypto.randomUUID(),
+    tenantId,
+    name: data.name.trim(),
+    rules: data.rules,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await filterSets().put(set.id, set);
+  logger.info('Filter set created', { tenantId, id: set.id, rules: set.rules.length });
+
+  return set;
+}
+
+/**
+ * Update a saved filter set
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} id - Filter set id
+ * @param {object} patch - { name?, rules? }
+ * @returns {Promise<object|null>} - Updated filter set or null if not found
+ * @throws {FilterError} - If a rule does not compile
+ */
+export async function updateFilterSet(tenantId, id, patch) {
+  const current = await getFilterSet(tenantId, id);
+  if (!current) return null;
+
+  if (patch.rules !== undefined) patch.rules.forEach(compileRule);
+
+  return filterSets().put(id, {
+    ...current,
+    ...(patch.name !== undefined && { name: patch.name.trim() }),
+    ...(patch.rules !== undefined && { rules: patch.rules }),
+    updatedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Delete a saved filter set
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} id - Filter set id
+ * @returns {Promise<boolean>} - True if deleted
+ */
+export async function deleteFilterSet(tenantId, id) {
+  const current = await getFilterSet(tenantId, id);
+  if (!current) return false;
+  return filterSets().delete(id);
+}
+
+/**
+ * Rules of a request: the saved sets it names, then its inline rules
+ * @param {string} tenantId - Tenant identifier
+ * @param {object} selector - { filters?: object[], filterSetIds?: string[] }
+ * @returns {Promise<object[]>} - Rules, compiled once to reject invalid ones early
+ * @throws {FilterError} - If a set does not exist for the tenant (404) or a rule does not compile
+ */
+export async function resolveFilterRules(tenantId, { filters = [], filterSetIds = [] } = {}) {
+  const rules = [];
+
+  for (const id of filterSetIds) {
+    const set = tenantId ? await getFilterSet(tenantId, id) : null;
+    if (!set) {
+      throw new FilterError(`Filter set not found: ${id}`, 'FILTER_SET_NOT_FOUND', 404);
+    }
+    rules.push(...set.rules);
+  }
+  rules.push(...filters);
+
+  rules.forEach(compileRule);
+  return rules;
+}
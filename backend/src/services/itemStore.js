@@ -0,0 +1,225 @@
+import crypto from 'crypto';
+import { getCollection } from './storage.js';
+import { itemStore as itemStoreConfig } from '../config/index.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('services:itemStore');
+
+// Query parameters that only track the click and never identify the item
+const TRACKING_PARAM_PATTERN = /^(utm_\w+|fbclid|gclid|mc_cid|mc_eid|ref|ref_src)$/i;
+
+const items = () => getCollection('items');
+const cursors = () => getCollection('itemCursors');
+
+// Tail of each tenant's chain of recordings; the counter is read and written back around several awaits
+const tenantQueues = new Map();
+
+/**
+ * Run a task after the tenant's previous recordings, so scheduler polls, /rss/fetch and
+ * processfeed never start from the same counter
+ */
+function serializeForTenant(tenantId, task) {
+  const run = (tenantQueues.get(tenantId) || Promise.resolve()).then(task);
+  const tail = run.catch(() => {});
+  tenantQueues.set(tenantId, tail);
+  tail.then(() => {
+    if (tenantQueues.get(tenantId) === tail) tenantQueues.delete(tenantId);
+  });
+  return run;
+}
+
+/**
+ * Normalize a link for identity comparison: lowercase host, no fragment,
+ * no tracking params, no trailing slash.
+ * @param {string} link - Item link
+ * @returns {string} - Normalized link (input unchanged if not a URL)
+ */
+export function normalizeItemLink(link) {
+  try {
+    const url = new URL(link);
+    url.hash = '';
+    url.hostname = url.hostname.toLowerCase();
+    for (const param of [...url.searchParams.keys()]) {
+      if (TRACKING_PARAM_PATTERN.test(param)) url.searchParams.delete(param);
+    }
+    url.searchParams.sort();
+    return url.toString().replace(/\/(?=$|\?)/, '');
+  } catch {
+    return String(link).trim();
+  }
+}
+
+/**
+ * Absolute http(s) link of an item, if it has one
+ * @param {object} item - Feed item
+ * @returns {string|null} - link or url, or null for placeholders such as newsletters' "email"
+ */
+function webLink(item) {
+  for (const link of [item.link, item.url]) {
+    if (typeof link === 'string' && /^https?:\/\/[^/\s]/i.test(link.trim())) return link;
+  }
+  return null;
+}
+
+/**
+ * Stable identity for a feed item: hash of its normalized guid, else its web link,
+ * else its id, else its title, date and sender.
+ * Works for rssFetcher items (guid/link) and feedprocess items (url/id), including
+ * newsletters that have no link of their own.
+ * @param {object} item - Feed item
+ * @returns {string|null} - Item key, or null if the item has no identity
+ */
+export function getItemKey(item) {
+  let identity = item.guid || webLink(item);
+  if (identity) {
+    identity = normalizeItemLink(identity);
+  } else if (item.id) {
+    identity = `id:${item.id}`;
+  } else if (item.title) {
+    const date = item.published || item.pubDate || item.isoDate || '';
+    const sender = item.creator || item.author || item.from || '';
+    identity = `item:${item.title}\n${date}\n${sender}`;
+  } else {
+    return null;
+  }
+  return crypto.createHash('sha1').update(identity).digest('hex');
+}
+
+/**
+ * Record fetched items for a tenant.
+ * New items get a first-seen timestamp and a per-tenant sequence number
+ * that cursors are based on.
+ * @param {string} tenantId - Tenant identifier
+ * @param {object[]} fetchedItems - Items from fetchAndParseRss or processFeeds
+ * @returns {Promise<object[]>} - [{ item, key, firstSeenAt, seq, returnedAt }] in input order
+ */
+export function recordItems(tenantId, fetchedItems) {
+  return serializeForTenant(tenantId, () => recordTenantItems(tenantId, fetchedItems));
+}
+
+async function recordTenantItems(tenantId, fetchedItems) {
+  const now = new Date().toISOString();
+  const counter = (await cursors().get(tenantId)) || { tenantId, seq: 0 };
+  const touched = new Map();
+  const result = [];
+
+  for (const item of fetchedItems) {
+    const key = getItemKey(item);
+    if (!key) {
+      result.push({ item, key: null, firstSeenAt: null, seq: null, returnedAt: null });
+      continue;
+    }
+
+    let record = touched.get(key);
+    if (!record) {
+      const stored = await items().get(`${tenantId}:${key}`);
+      record = stored
+        ? { ...stored, lastSeenAt: now }
+        : {
+          tenantId,
+          key,
+          link: webLink(item),
+          firstSeenAt: now,
+          lastSeenAt: now,
+          seq: ++counter.seq,
+          returnedAt: null
+        };
+      touched.set(key, record);
+    }
+
+    result.push({
+      item,
+      key,
+      firstSeenAt: record.firstSeenAt,
+      seq: record.seq,
+      returnedAt: record.returnedAt
+    });
+  }
+
+  await items().putMany(
+    [...touched.values()].map(record => [`${tenantId}:${record.key}`, record])
+  );
+  await cursors().put(tenantId, counter);
+
+  return result;
+}
+
+/**
+ * Mark items as returned to the tenant (so onlyNew skips them next time)
+ * @param {string} tenantId - Tenant identifier
+ * @param {string[]} keys - Item keys
+ */
+export async function markItemsReturned(tenantId, keys) {
+  const now = new Date().toISOString();
+  const updates = [];
+  for (const key of new Set(keys.filter(Boolean))) {
+    const stored = await items().get(`${tenantId}:${key}`);
+    if (stored && !stored.returnedAt) {
+      updates.push([`${tenantId}:${key}`, { ...stored, returnedAt: now }]);
+    }
+  }
+  await items().putMany(updates);
+}
+
+/**
+ * Current cursor for a tenant (sequence of the last first-seen item)
+ * @param {string} tenantId - Tenant identifier
+ * @returns {Promise<string>} - Opaque cursor
+ */
+export async function getCurrentCursor(tenantId) {
+  const current = await cursors().get(tenantId);
+  return String(current?.seq || 0);
+}
+
+/**
+ * Record items and apply onlyNew / cursor selection for a tenant.
+ * Every selected item is marked as returned, before the tenant's next recording starts.
+ * @param {string} tenantId - Tenant identifier
+ * @param {object[]} fetchedItems - Fetched items
+ * @param {object} options
+ * @param {boolean} options.onlyNew - Only items never returned to this tenant
+ * @param {string} options.cursor - Only items first seen after this cursor
+ * @returns {Promise<object>} - { items, cursor }
+ */
+export function selectNewItems(tenantId, fetchedItems, options = {}) {
+  return serializeForTenant(tenantId, () => selectTenantItems(tenantId, fetchedItems, options));
+}
+
+async function selectTenantItems(tenantId, fetchedItems, { onlyNew = false, cursor }) {
+  const records = await recordTenantItems(tenantId, fetchedItems);
+  const afterSeq = cursor !== undefined ? Number.parseInt(cursor, 10) || 0 : null;
+  const returnedKeys = new Set();
+
+  const selected = records.filter(record => {
+    // Items without identity cannot be deduplicated; always pass them through
+    if (!record.key) return true;
+    if (onlyNew && (record.returnedAt || returnedKeys.has(record.key))) return false;
+    if (afterSeq !== null && record.seq <= afterSeq) return false;
+    returnedKeys.add(record.key);
+    return true;
+  });
+
+  await markItemsReturned(tenantId, [...returnedKeys]);
+
+  return {
+    items: selected.map(record => ({ ...record.item, firstSeenAt: record.firstSeenAt })),
+    cursor: await getCurrentCursor(tenantId)
+  };
+}
+
+/**
+ * Remove items not seen within the retention window
+ * @param {number} now - Current time in ms
+ * @returns {Promise<number>} - Number of items removed
+ */
+export async function pruneItems(now = Date.now()) {
+  const cutoff = new Date(now - itemStoreConfig.retentionDays * 86400 * 1000).toISOString();
+  const expired = await items().list(record => record.lastSeenAt < cutoff);
+
+  await items().deleteMany(expired.map(record => `${record.tenantId}:${record.key}`));
+
+  if (expired.length > 0) {
+    logger.info('Pruned expired items', { count: expired.length });
+  }
+  return expired.length;
+}
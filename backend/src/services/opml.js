@@ -0,0 +1,234 @@
+import { parseStringPromise, Builder } from 'xml2js';
+import { createSubscription, normalizeTags, SubscriptionError } from './subscriptions.js';
+import { validateUrls, UrlValidationError } from '../utils/urlValidator.js';
+import { limits } from '../config/index.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('services:opml');
+
+// Same limits as tagsSchema of the subscriptions API, so imported feeds stay editable there
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+
+/**
+ * Custom error class for OPML documents that cannot be imported
+ */
+export class OpmlError extends Error {
+  constructor(message, code = 'INVALID_OPML') {
+    super(message);
+    this.name = 'OpmlError';
+    this.code = code;
+  }
+}
+
+/**
+ * Tags from an OPML 2.0 category attribute ("/Tech/AI,News" -> tech, ai, news)
+ */
+function categoryTags(category) {
+  if (!category) return [];
+  return category.split(',').flatMap(path => path.split('/'));
+}
+
+function walkOutlines(outlines, folders, entries) {
+  for (const outline of outlines || []) {
+    const attrs = outline.$ || {};
+    const title = attrs.title || attrs.text || '';
+    const xmlUrl = attrs.xmlUrl?.trim() || null;
+    const htmlUrl = attrs.htmlUrl?.trim() || null;
+
+    if (xmlUrl || htmlUrl) {
+      entries.push({
+        title,
+        xmlUrl,
+        htmlUrl,
+        tags: normalizeTags([...folders, ...categoryTags(attrs.category)])
+      });
+    }
+
+    // Outlines without a feed are folders; their name becomes a tag for everything inside
+    if (outline.outline) {
+      walkOutlines(outline.outline, xmlUrl || htmlUrl ? folders : [...folders, title], entries);
+    }
+  }
+}
+
+/**
+ * Parse an OPML 1.0/2.0 document into feed entries.
+ * Nested folder outlines are flattened into tags.
+ * @param {string} xml - OPML document
+ * @returns {Promise<object[]>} - [{ title, xmlUrl, htmlUrl, tags }]
+ * @throws {OpmlError} - If the document is not OPML or has too many entries
+ */
+export async function parseOpml(xml) {
+  let parsed;
+  try {
+    parsed = await parseStringPromise(xml, { explicitArray: true });
+  } catch (error) {
+    throw new OpmlError(`Invalid OPML: ${error.message}`);
+  }
+
+  const body = parsed?.opml?.body?.[0];
+  if (!body) {
+    throw new OpmlError('Invalid OPML: missing <opml><body>');
+  }
+
+  const entries = [];
+  walkOutlines(body.outline, [], entries);
+
+  if (entries.length > limits.maxOpmlEntries) {
+    throw new OpmlError(
+      `OPML contains ${entries.length} feeds; maximum is ${limits.maxOpmlEntries}`,
+      'TOO_MANY_ENTRIES'
+    );
+  }
+
+  return entries;
+}
+
+/**
+ * Fit normalized tags to the subscriptions API limits: long tags are truncated, tags past the maximum dropped
+ * @param {string[]} tags - Normalized tags
+ * @returns {object} - { tags, warnings } with a warning per kind of change made
+ */
+function limitTags(tags) {
+  const truncated = tags.filter(tag => tag.length > MAX_TAG_LENGTH);
+  const fitted = normalizeTags(tags.map(tag => tag.slice(0, MAX_TAG_LENGTH)));
+  const dropped = fitted.slice(MAX_TAGS);
+
+  const warnings = [];
+  if (truncated.length > 0) {
+    warnings.push(`Truncated to ${MAX_TAG_LENGTH} characters: ${truncated.join(', ')}`);
+  }
+  if (dropped.length > 0) {
+    warnings.push(`Dropped past the maximum of ${MAX_TAGS} tags: ${dropped.join(', ')}`);
+  }
+  return { tags: fitted.slice(0, MAX_TAGS), warnings };
+}
+
+async function importEntry(tenantId, entry, { discover }) {
+  const report = {
+    title: entry.title,
+    xmlUrl: entry.xmlUrl,
+    htmlUrl: entry.htmlUrl,
+    tags: entry.tags,
+    ...(entry.tagWarnings.length > 0 && { tagWarnings: entry.tagWarnings })
+  };
+
+  if (!entry.xmlUrl && !discover) {
+    return { ...report, status: 'skipped', error: 'No xmlUrl (enable discover to resolve htmlUrl)' };
+  }
+
+  try {
+    const subscription = await createSubscription(tenantId, {
+      url: entry.htmlUrl || entry.xmlUrl,
+      feedUrl: entry.xmlUrl || undefined,
+      title: entry.title,
+      tags: entry.tags
+    });
+    return { ...report, status: 'created', subscriptionId: subscription.id, feedUrl: subscription.feedUrl };
+  } catch (error) {
+    if (error instanceof SubscriptionError && error.code === 'DUPLICATE_SUBSCRIPTION') {
+      return { ...report, status: 'duplicate', error: error.message };
+    }
+    if (error instanceof UrlValidationError) {
+      return { ...report, status: 'invalid', error: error.message };
+    }
+    logger.warn('OPML entry import failed', { tenantId, xmlUrl: entry.xmlUrl, error: error.message });
+    return { ...report, status: 'failed', error: error.message };
+  }
+}
+
+/**
+ * Import an OPML document as subscriptions for a tenant
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} xml - OPML document
+ * @param {object} options
+ * @param {boolean} options.discover - Run feed discovery on htmlUrl-only entries
+ * @param {string[]} options.tags - Extra tags applied to every imported feed
+ * @returns {Promise<object>} - { summary, entries } with a status per entry, and tagWarnings when
+ *   tags were truncated or dropped to fit the subscriptions API limits
+ * @throws {OpmlError}
+ */
+export async function importOpml(tenantId, xml, { discover = false, tags = [] } = {}) {
+  const entries = await parseOpml(xml);
+
+  const { invalid } = validateUrls(entries.map(entry => entry.xmlUrl).filter(Boolean));
+  const invalidUrls = new Map(invalid.map(({ url, error }) => [url, error]));
+
+  const results = [];
+  for (const entry of entries) {
+    const limited = limitTags(normalizeTags([...entry.tags, ...tags]));
+    const withTags = { ...entry, tags: limited.tags, tagWarnings: limited.warnings };
+
+    if (entry.xmlUrl && invalidUrls.has(entry.xmlUrl)) {
+      results.push({
+        title: entry.title,
+        xmlUrl: entry.xmlUrl,
+        htmlUrl: entry.htmlUrl,
+        tags: withTags.tags,
+        ...(limited.warnings.length > 0 && { tagWarnings: limited.warnings }),
+        status: 'invalid',
+        error: invalidUrls.get(entry.xmlUrl)
+      });
+      continue;
+    }
+
+    results.push(await importEntry(tenantId, withTags, { discover }));
+  }
+
+  const summary = { total: results.length, created: 0, duplicate: 0, invalid: 0, skipped: 0, failed: 0 };
+  for (const result of results) {
+    summary[result.status] += 1;
+  }
+
+  logger.info('OPML imported', { tenantId, ...summary });
+  return { summary, entries: results };
+}
+
+function subscriptionOutline(subscription) {
+  return {
+    $: {
+      type: 'rss',
+      text: subscription.title,
+      title: subscription.title,
+      xmlUrl: subscription.feedUrl || subscription.url,
+      htmlUrl: subscription.url,
+      ...(subscription.tags.length > 0 ? { category: subscription.tags.join(',') } : {})
+    }
+  };
+}
+
+/**
+ * Render subscriptions as an OPML 2.0 document.
+ * Feeds are grouped in a folder named after their first tag; all tags are kept in category.
+ * @param {object[]} subscriptions - Subscription documents
+ * @param {object} options
+ * @param {string} options.title - Document title
+ * @returns {string} - OPML XML
+ */
+export function buildOpml(subscriptions, { title = 'Genie-RSS subscriptions' } = {}) {
+  const folders = new Map();
+  const outlines = [];
+
+  for (const subscription of subscriptions) {
+    const [folder] = subscription.tags;
+    if (!folder) {
+      outlines.push(subscriptionOutline(subscription));
+      continue;
+    }
+    if (!folders.has(folder)) {
+      const folderOutline = { $: { text: folder, title: folder }, outline: [] };
+      folders.set(folder, folderOutline);
+      outlines.push(folderOutline);
+    }
+    folders.get(folder).outline.push(subscriptionOutline(subscription));
+  }
+
+  return new Builder({ xmldec: { version: '1.0', encoding: 'UTF-8' } }).buildObject({
+    opml: {
+      $: { version: '2.0' },
+      head: { title, dateCreated: new Date().toUTCString() },
+      body: { outline: outlines }
+    }
+  });
+}
@@ -0,0 +1,334 @@
+/**
+ * Change-detection feeds for single pages (pricing pages, policies, notices).
+ * A check snapshots the page's normalized text, or that of a CSS-selected region, and
+ * records a change with a readable diff when it differs from the previous snapshot.
+ * The first check only takes the baseline.
+ */
+import crypto from 'crypto';
+import * as cheerio from 'cheerio';
+import { getCollection } from './storage.js';
+import { validateUrl } from '../utils/urlValidator.js';
+import { httpGet } from '../utils/httpClient.js';
+import { assertRobotsAllowed } from '../utils/robots.js';
+import { diffLines, diffHunks, formatDiffText, formatDiffHtml } from '../utils/textDiff.js';
+import { createLogger } from '../utils/logger.js';
+import { timeouts, watch as watchConfig } from '../config/index.js';
+
+const logger = createLogger('services:pageWatches');
+
+// Elements that end a line of text, and elements whose text is never page content
+const BLOCK_ELEMENTS = 'address,article,aside,blockquote,dd,div,dl,dt,figcaption,figure,footer,form,h1,h2,h3,h4,h5,h6,header,hr,li,main,nav,ol,p,pre,section,table,tbody,td,tfoot,th,thead,tr,ul';
+const IGNORED_ELEMENTS = 'script,style,noscript,template,svg,iframe';
+
+// Diff lines kept in a change; a rewritten page would otherwise store itself twice
+const MAX_DIFF_LINES = 200;
+
+/**
+ * Custom error class for page watch failures
+ */
+export class WatchError extends Error {
+  constructor(message, code = 'WATCH_ERROR', statusCode = 400) {
+    super(message);
+    this.name = 'WatchError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+const pageWatches = () => getCollection('pageWatches');
+
+/**
+ * Reject a CSS selector cheerio cannot parse
+ * @param {string|undefined} selector - Region selector
+ * @throws {WatchError} - INVALID_SELECTOR
+ */
+export function assertValidSelector(selector) {
+  if (!selector) return;
+  try {
+    cheerio.load('')(selector);
+  } catch (error) {
+    throw new WatchError(`Invalid selector ${selector}: ${error.message}`, 'INVALID_SELECTOR');
+  }
+}
+
+/**
+ * Normalized text of a page: one line per block element, whitespace collapsed, empty lines dropped
+ * @param {string} html - Page HTML
+ * @param {string} selector - Optional CSS selector of the region to watch
+ * @returns {string[]|null} - Lines, or null if the selector matches nothing
+ */
+export function extractPageText(html, selector) {
+  const $ = cheerio.load(html);
+  $(IGNORED_ELEMENTS).remove();
+
+  const $region = selector ? $(selector) : $('body');
+  if ($region.length === 0) return null;
+
+  $region.find('br').replaceWith('\n');
+  $region.find(BLOCK_ELEMENTS).each((_, element) => {
+    $(element).before('\n').after('\n');
+  });
+
+  return $region.map((_, element) => $(element).text()).get()
+    .join('\n')
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+function describeCounts(added, removed) {
+  const lines = count => `${count} line${count === 1 ? '' : 's'}`;
+  return [
+    added > 0 && `${lines(added)} added`,
+    removed > 0 && `${lines(removed)} removed`
+  ].filter(Boolean).join(', ');
+}
+
+/**
+ * Change between two snapshots
+ * @param {string[]} before - Previous lines
+ * @param {string[]} after - Current lines
+ * @param {string} detectedAt - ISO time of the check
+ * @returns {object} - { id, detectedAt, added, removed, summary, text, html }
+ */
+export function buildChange(before, after, detectedAt) {
+  const ops = diffLines(before, after);
+  const added = ops.filter(op => op.type === 'added').length;
+  const removed = ops.filter(op => op.type === 'removed').length;
+
+  const allHunks = diffHunks(ops);
+  const hunks = [];
+  let kept = 0;
+  for (const hunk of allHunks) {
+    if (kept >= MAX_DIFF_LINES) break;
+    hunks.push(hunk.slice(0, MAX_DIFF_LINES - kept));
+    kept += hunks[hunks.length - 1].length;
+  }
+  const omitted = allHunks.flat().length - kept;
+  const note = omitted > 0 ? `\n… ${omitted} more diff lines not shown` : '';
+
+  return {
+    id: crypto.randomUUID(),
+    detectedAt,
+    added,
+    removed,
+    summary: describeCounts(added, removed),
+    text: formatDiffText(hunks) + note,
+    html: formatDiffHtml(hunks) + (note && `<p>${note.trim()}</p>`)
+  };
+}
+
+/**
+ * Watch as returned by the API: the snapshot text stays internal
+ * @param {object} watch - Stored watch
+ * @returns {object}
+ */
+export function describeWatch(watch) {
+  const { snapshot, changes = [], ...rest } = watch;
+  return {
+    ...rest,
+    snapshot: snapshot ? { takenAt: snapshot.takenAt, lineCount: snapshot.lines.length } : null,
+    changeCount: changes.length
+  };
+}
+
+async function findByUrl(tenantId, url, selector, excludeId = null) {
+  const matches = await pageWatches().list(watch =>
+    watch.tenantId === tenantId &&
+    watch.url === url &&
+    (watch.selector || null) === (selector || null) &&
+    watch.id !== excludeId
+  );
+  return matches[0] || null;
+}
+
+/**
+ * List the watched pages of a tenant
+ * @param {string} tenantId - Tenant identifier
+ * @returns {Promise<object[]>} - Watches ordered by creation time
+ */
+export async function listWatches(tenantId) {
+  const list = await pageWatches().list(watch => watch.tenantId === tenantId);
+  return list.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Get a watched page
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} id - Watch id
+ * @returns {Promise<object|null>} - Watch or null if not found for this tenant
+ */
+export async function getWatch(tenantId, id) {
+  const watch = await pageWatches().get(id);
+  return watch && watch.tenantId === tenantId ? watch : null;
+}
+
+/**
+ * Watch a page. Nothing is fetched yet; the first check takes the baseline.
+ * @param {string} tenantId - Tenant identifier
+ * @param {object} data - { url, name?, selector? }
+ * @returns {Promise<object>} - Created watch
+ * @throws {UrlValidationError} - If the URL is invalid or blocked (SSRF protection)
+ * @throws {WatchError} - If the selector does not parse, or the page (and region) is already watched
+ */
+export async function createWatch(tenantId, data) {
+  validateUrl(data.url);
+  assertValidSelector(data.selector);
+
+  if (await findByUrl(tenantId, data.url, data.selector)) {
+    throw new WatchError(`Already watching ${data.url}`, 'DUPLICATE_WATCH', 409);
+  }
+
+  const now = new Date().toISOString();
+  const watch = {
+    id: crypto.randomUUID(),
+    tenantId,
+    url: data.url,
+    name: data.name?.trim() || null,
+    selector: data.selector || null,
+    snapshot: null,
+    changes: [],
+    lastCheckedAt: null,
+    lastChangedAt: null,
+    lastError: null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await pageWatches().put(watch.id, watch);
+  logger.info('Page watch created', { tenantId, id: watch.id, url: watch.url });
+
+  return watch;
+}
+
+/**
+ * Update a watched page. A new URL or selector drops the snapshot, so the next check
+ * takes a new baseline instead of reporting the switch as a change.
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} id - Watch id
+ * @param {object} patch - { url?, name?, selector? }; selector null watches the whole page again
+ * @returns {Promise<object|null>} - Updated watch or null if not found
+ * @throws {UrlValidationError|WatchError} - See createWatch
+ */
+export async function updateWatch(tenantId, id, patch) {
+  const current = await getWatch(tenantId, id);
+  if (!current) return null;
+
+  const url = patch.url ?? current.url;
+  const selector = patch.selector !== undefined ? patch.selector || null : current.selector;
+  if (patch.url !== undefined) validateUrl(url);
+  assertValidSelector(selector);
+
+  const retarget = url !== current.url || selector !== current.selector;
+  if (retarget && await findByUrl(tenantId, url, selector, id)) {
+    throw new WatchError(`Already watching ${url}`, 'DUPLICATE_WATCH', 409);
+  }
+
+  return pageWatches().put(id, {
+    ...current,
+    url,
+    selector,
+    ...(patch.name !== undefined && { name: patch.name?.trim() || null }),
+    ...(retarget && { snapshot: null, lastError: null }),
+    updatedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Stop watching a page
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} id - Watch id
+ * @returns {Promise<boolean>} - True if deleted
+ */
+export async function deleteWatch(tenantId, id) {
+  const current = await getWatch(tenantId, id);
+  if (!current) return false;
+  return pageWatches().delete(id);
+}
+
+/**
+ * Fetch the page and compare it with the previous snapshot
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} id - Watch id
+ * @param {object} options
+ * @param {boolean} options.force - Check even if the last check is more recent than WATCH_MIN_INTERVAL
+ * @param {number} options.now - Current time in ms
+ * @returns {Promise<object|null>} - { watch, change, checked }, change being null when nothing changed
+ *   (or on the baseline check) and checked false when the check was skipped; null if the watch is unknown
+ * @throws {WatchError|RobotsDisallowedError|Error} - If the page cannot be read; kept in lastError
+ */
+export async function checkWatch(tenantId, id, { force = false, now = Date.now() } = {}) {
+  const watch = await getWatch(tenantId, id);
+  if (!watch) return null;
+
+  const lastCheckedAt = watch.lastCheckedAt ? Date.parse(watch.lastCheckedAt) : null;
+  if (!force && lastCheckedAt !== null && now - lastCheckedAt < watchConfig.minIntervalSec * 1000) {
+    return { watch, change: null, checked: false };
+  }
+
+  const checkedAt = new Date(now).toISOString();
+  let lines;
+  try {
+    validateUrl(watch.url);
+    const { crawlDelayMs } = await assertRobotsAllowed(watch.url);
+    const response = await httpGet(watch.url, {
+      headers: { 'Accept': 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8' },
+      timeout: timeouts.scraper,
+      hostDelayMs: crawlDelayMs
+    });
+    lines = extractPageText(response.data, watch.selector);
+    if (!lines) {
+      throw new WatchError(`Selector ${watch.selector} matches nothing on ${watch.url}`, 'SELECTOR_NOT_FOUND', 422);
+    }
+  } catch (error) {
+    logger.warn('Page watch check failed', { id, url: watch.url, error: error.message });
+    await pageWatches().put(id, { ...watch, lastCheckedAt: checkedAt, lastError: error.message });
+    throw error;
+  }
+
+  const hash = crypto.createHash('sha256').update(lines.join('\n')).digest('hex');
+  const change = watch.snapshot && watch.snapshot.hash !== hash
+    ? buildChange(watch.snapshot.lines, lines, checkedAt)
+    : null;
+
+  const updated = await pageWatches().put(id, {
+    ...watch,
+    snapshot: { hash, lines, takenAt: checkedAt },
+    lastCheckedAt: checkedAt,
+    lastError: null,
+    ...(change && {
+      lastChangedAt: checkedAt,
+      changes: [change, ...(watch.changes || [])].slice(0, watchConfig.maxChanges)
+    })
+  });
+
+  if (change) {
+    logger.info('Page change detected', { id, url: watch.url, added: change.added, removed: change.removed });
+  }
+
+  return { watch: updated, change, checked: true };
+}
+
+/**
+ * Feed of a watch's changes, newest first, in the internal feed shape
+ * @param {object} watch - Stored watch
+ * @returns {object}
+ */
+export function buildWatchFeed(watch) {
+  const name = watch.name || watch.url;
+  return {
+    title: `Changes to ${name}`,
+    description: watch.selector ? `Changes to ${watch.selector} on ${watch.url}` : `Changes to ${watch.url}`,
+    link: watch.url,
+    lastBuildDate: watch.lastChangedAt || watch.createdAt,
+    items: (watch.changes || []).map(change => ({
+      title: `${name}: ${change.summary}`,
+      link: watch.url,
+      guid: `${watch.id}:${change.id}`,
+      pubDate: change.detectedAt,
+      content: `<p>${change.summary}</p>\n${change.html}`,
+      contentSnippet: change.text.substring(0, 500),
+      categories: []
+    }))
+  };
+}
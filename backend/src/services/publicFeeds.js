@@ -0,0 +1,136 @@
+import crypto from 'crypto';
+import { getCollection } from './storage.js';
+import { generateRssFeed } from './rssGenerator.js';
+import { scrapeWebsite } from '../utils/scraper.js';
+import { scrapeSitemap } from '../utils/sitemap.js';
+import { publicFeeds as publicFeedsConfig } from '../config/index.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('services:publicFeeds');
+
+// File extension served under /feeds/:id.<ext> -> feedFormatter format
+export const PUBLIC_FEED_EXTENSIONS = {
+  xml: 'rss2',
+  atom: 'atom',
+  json: 'jsonfeed'
+};
+
+const publicFeeds = () => getCollection('publicFeeds');
+
+// Regenerations in progress, keyed by feed id, so concurrent readers share one scrape
+const inFlight = new Map();
+
+/**
+ * Public base URL used in feed links: PUBLIC_BASE_URL, else the request host
+ * @param {object} req - Express request
+ * @returns {string} - Base URL without trailing slash
+ */
+export function getPublicBaseUrl(req) {
+  return publicFeedsConfig.baseUrl || `${req.protocol}://${req.get('host')}`;
+}
+
+/**
+ * Public URLs of a generated feed in every served format
+ * @param {string} baseUrl - Public base URL of this service (no trailing slash)
+ * @param {string} id - Public feed id
+ * @returns {object} - { rss2, atom, jsonfeed }
+ */
+export function getPublicFeedUrls(baseUrl, id) {
+  return Object.fromEntries(
+    Object.entries(PUBLIC_FEED_EXTENSIONS).map(([ext, format]) => [format, `${baseUrl}/feeds/${id}.${ext}`])
+  );
+}
+
+async function findBySite(tenantId, siteUrl) {
+  const [existing] = await publicFeeds().list(doc => doc.tenantId === tenantId && doc.siteUrl === siteUrl);
+  return existing || null;
+}
+
+function generateSnapshot(doc, scrapedData, baseUrl) {
+  const urls = getPublicFeedUrls(baseUrl, doc.id);
+  return generateRssFeed(doc.siteUrl, scrapedData, { feedUrl: urls.rss2 }).json;
+}
+
+/**
+ * Register (or reuse) the public feed for a generated site feed and store a fresh snapshot.
+ * The same tenant and site always map to the same id.
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} siteUrl - Website the feed was generated from
+ * @param {object} scrapedData - Result of scrapeWebsite or scrapeSitemap (all items, before selection)
+ * @param {string} baseUrl - Public base URL of this service
+ * @param {object} options
+ * @param {number} options.pages - Archive pages crawled, reused when the feed is regenerated
+ * @param {string} options.strategy - scrape or sitemap, how the feed was generated and is regenerated
+ * @param {boolean} options.fetchTitles - Whether sitemap items were enriched from their pages
+ * @param {boolean} options.render - Whether pages are loaded through the renderer (see scrapeWebsite)
+ * @returns {Promise<object>} - { id, urls }
+ */
+export async function publishGeneratedFeed(tenantId, siteUrl, scrapedData, baseUrl, { pages, strategy, fetchTitles, render } = {}) {
+  const now = new Date().toISOString();
+  const doc = (await findBySite(tenantId, siteUrl)) || {
+    id: crypto.randomBytes(16).toString('base64url'),
+    tenantId,
+    siteUrl,
+    createdAt: now
+  };
+
+  await publicFeeds().put(doc.id, {
+    ...doc,
+    ...(pages !== undefined && { pages }),
+    ...(strategy !== undefined && { strategy }),
+    ...(fetchTitles !== undefined && { fetchTitles }),
+    ...(render !== undefined && { render }),
+    feed: generateSnapshot(doc, scrapedData, baseUrl),
+    generatedAt: now
+  });
+
+  return { id: doc.id, urls: getPublicFeedUrls(baseUrl, doc.id) };
+}
+
+async function regenerate(doc, baseUrl) {
+  const scrapedData = doc.strategy === 'sitemap'
+    ? await scrapeSitemap(doc.siteUrl, { fetchTitles: doc.fetchTitles })
+    : await scrapeWebsite(doc.siteUrl, { pages: doc.pages, render: doc.render });
+  const updated = {
+    ...doc,
+    feed: generateSnapshot(doc, scrapedData, baseUrl),
+    generatedAt: new Date().toISOString()
+  };
+  await publicFeeds().put(doc.id, updated);
+  return updated;
+}
+
+/**
+ * Get the current snapshot of a public feed, regenerating it once it is older than the TTL.
+ * A stale snapshot is served if regeneration fails.
+ * @param {string} id - Public feed id
+ * @param {string} baseUrl - Public base URL of this service
+ * @param {number} now - Current time in ms
+ * @returns {Promise<object|null>} - Feed in internal JSON shape, or null if the id is unknown
+ */
+export async function getPublicFeed(id, baseUrl, now = Date.now()) {
+  const doc = await publicFeeds().get(id);
+  if (!doc) return null;
+
+  const ageMs = now - Date.parse(doc.generatedAt);
+  if (doc.feed && ageMs < publicFeedsConfig.ttlSec * 1000) {
+    return doc.feed;
+  }
+
+  if (!inFlight.has(id)) {
+    inFlight.set(id, regenerate(doc, baseUrl).finally(() => inFlight.delete(id)));
+  }
+
+  try {
+    const updated = await inFlight.get(id);
+    return updated.feed;
+  } catch (error) {
+    if (!doc.feed) throw error;
+    logger.warn('Public feed regeneration failed, serving stale snapshot', {
+      id,
+      siteUrl: doc.siteUrl,
+      error: error.message
+    });
+    return doc.feed;
+  }
+}
@@ -0,0 +1,200 @@
+/**
+ * Headless-browser rendering of JavaScript-heavy pages.
+ * A renderer is { name, render(url, { signal }) } resolving to { html, status, url } (the final URL
+ * after redirects). The driver comes from RENDERER_DRIVER: "http" posts to a self-hosted rendering
+ * service, "scrapingbee" uses ScrapingBee, "none" turns rendering off.
+ *
+ * Rendering service contract (http driver): POST {RENDERER_URL}/render with a JSON body
+ * { url, timeoutMs, blockPrivateNetworks: true } and, when RENDERER_TOKEN is set,
+ * "Authorization: Bearer <token>"; it answers 200 with JSON { html, status, url } for any page
+ * it could load. blockPrivateNetworks asks the service to refuse every navigation and subresource
+ * request to a private, loopback or link-local address, since it usually runs on the private network.
+ *
+ * The page URL and the final URL a renderer reports are checked against the SSRF rules, so a page
+ * redirecting to an internal address is refused rather than returned.
+ */
+import { httpGet, httpPost } from '../utils/httpClient.js';
+import { validateUrl } from '../utils/urlValidator.js';
+import { assertPublicUrl } from '../utils/ssrfGuard.js';
+import { createLogger } from '../utils/logger.js';
+import { credentials, timeouts, renderer as rendererConfig } from '../config/index.js';
+
+const logger = createLogger('services:renderer');
+
+/**
+ * Custom error class for rendering that is not configured (501) or whose service failed (502)
+ */
+export class RendererError extends Error {
+  constructor(message, code = 'RENDER_FAILED', statusCode = code === 'RENDERER_NOT_CONFIGURED' ? 501 : 502) {
+    super(message);
+    this.name = 'RendererError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * RENDER_FAILED error for a rendering request that did not get an answer: a timeout,
+ * a refused connection or an error status from the service
+ * @param {string} service - Service name for the message
+ * @param {string} pageUrl - Page being rendered
+ * @param {Error} error - httpClient error
+ * @returns {RendererError}
+ */
+function renderFailed(service, pageUrl, error) {
+  const status = error.response?.status;
+  const reason = status ? `HTTP ${status}` : error.code || error.message;
+  return new RendererError(`${service} could not render ${pageUrl}: ${reason}`);
+}
+
+/**
+ * Renderer posting to a self-hosted rendering service (e.g. a Playwright/Chromium sidecar)
+ * @param {object} options
+ * @param {string} options.url - Base URL of the service
+ * @param {string|null} options.token - Bearer token the service expects
+ * @param {number} options.timeout - Request timeout in ms, also passed on as the page budget
+ * @returns {object} - Renderer
+ */
+export function createHttpRenderer({ url, token = null, timeout = timeouts.renderer }) {
+  if (!url) {
+    throw new RendererError('RENDERER_URL is required for the http renderer', 'RENDERER_NOT_CONFIGURED');
+  }
+
+  return {
+    name: 'http',
+    async render(pageUrl, { signal } = {}) {
+      // The service fetches outside the guarded agents, so resolve the host here first
+      await assertPublicUrl(pageUrl);
+
+      let response;
+      try {
+        response = await httpPost(`${url}/render`, { url: pageUrl, timeoutMs: timeout, blockPrivateNetworks: true }, {
+          signal,
+          headers: {
+            'Content-Type': 'application/json',
+            ...(token && { Authorization: `Bearer ${token}` })
+          },
+          timeout,
+          retries: 0,
+          // The service is operator-configured and usually on a private network
+          ssrfGuard: false
+        });
+      } catch (error) {
+        throw renderFailed('Rendering service', pageUrl, error);
+      }
+
+      const { html, status, url: finalUrl } = response.data || {};
+      if (typeof html !== 'string') {
+        throw new RendererError(`Rendering service returned no html for ${pageUrl}`);
+      }
+      if (finalUrl && finalUrl !== pageUrl) {
+        await assertPublicUrl(finalUrl);
+      }
+      return { html, status: status ?? response.status, url: finalUrl || pageUrl };
+    }
+  };
+}
+
+/**
+ * Renderer using the ScrapingBee API (JavaScript rendering through premium proxies)
+ * @param {object} options
+ * @param {string} options.apiKey - ScrapingBee API key
+ * @param {number} options.timeout - Request timeout in ms
+ * @returns {object} - Renderer
+ */
+export function createScrapingBeeRenderer({ apiKey, timeout = timeouts.scrapingBee }) {
+  if (!apiKey) {
+    throw new RendererError('SCRAPINGBEE_API_KEY is required for the scrapingbee renderer', 'RENDERER_NOT_CONFIGURED');
+  }
+
+  return {
+    name: 'scrapingbee',
+    async render(pageUrl, { signal } = {}) {
+      let response;
+      try {
+        response = await httpGet('https://api.scrapingbee.com/v1/', {
+          signal,
+          params: {
+            api_key: apiKey,
+            url: pageUrl,
+            render_js: true,
+            premium_proxy: true
+          },
+          timeout
+        });
+      } catch (error) {
+        throw renderFailed('ScrapingBee', pageUrl, error);
+      }
+      return { html: response.data, status: response.status, url: pageUrl };
+    }
+  };
+}
+
+const drivers = new Map([
+  ['http', () => createHttpRenderer({ url: rendererConfig.url, token: rendererConfig.token })],
+  ['scrapingbee', () => createScrapingBeeRenderer({ apiKey: credentials.scrapingBeeApiKey })],
+  ['none', () => null]
+]);
+
+let active;
+
+/**
+ * Register an additional renderer driver
+ * @param {string} name - Driver name as used in RENDERER_DRIVER
+ * @param {Function} factory - () => renderer, or null for no rendering
+ */
+export function registerRendererDriver(name, factory) {
+  drivers.set(name, factory);
+}
+
+/**
+ * Replace the configured renderer, e.g. with a stub in tests
+ * @param {object|null|undefined} renderer - Renderer, null for none, undefined to go back to RENDERER_DRIVER
+ */
+export function setRenderer(renderer) {
+  active = renderer;
+}
+
+/**
+ * The renderer in use (created from RENDERER_DRIVER on first use)
+ * @returns {object|null} - Renderer, or null when rendering is off or misconfigured
+ */
+export function getRenderer() {
+  if (active === undefined) {
+    const factory = drivers.get(rendererConfig.driver);
+    if (!factory) {
+      throw new Error(`Unknown renderer driver: ${rendererConfig.driver}`);
+    }
+    try {
+      active = factory();
+    } catch (error) {
+      // A missing key or URL disables rendering instead of failing every fetch that would use it
+      logger.warn('Page rendering disabled', { driver: rendererConfig.driver, error: error.message });
+      active = null;
+    }
+  }
+  return active;
+}
+
+/**
+ * Render a page in a headless browser
+ * @param {string} url - Page URL (already checked against SSRF rules and robots.txt)
+ * @param {object} options
+ * @param {AbortSignal} options.signal - Aborts the request
+ * @returns {Promise<object>} - { html, status, url, renderer }
+ * @throws {RendererError} - RENDERER_NOT_CONFIGURED when rendering is off, RENDER_FAILED when the renderer failed
+ * @throws {UrlValidationError} - If the page or the URL it ended up at is blocked (SSRF protection)
+ */
+export async function renderPage(url, { signal } = {}) {
+  const renderer = getRenderer();
+  if (!renderer) {
+    throw new RendererError('No page renderer is configured', 'RENDERER_NOT_CONFIGURED');
+  }
+
+  validateUrl(url);
+  const result = await renderer.render(url, { signal });
+  // A redirect (HTTP or script) may have taken the browser somewhere the caller may not read
+  if (result.url) validateUrl(result.url);
+  logger.debug('Rendered page', { url, renderer: renderer.name, status: result.status });
+  return { ...result, renderer: renderer.name };
+}
@@ -1,11 +1,20 @@
-import axios from 'axios';
 import * as cheerio from 'cheerio';
 import { validateUrl, UrlValidationError } from '../utils/urlValidator.js';
 import { createLogger } from '../utils/logger.js';
-import { timeouts } from '../config/index.js';
+import { getConditionalStore, acceptNotModified } from '../utils/conditionalRequest.js';
+import { httpGet, httpHead } from '../utils/httpClient.js';
+import { checkRobots } from '../utils/robots.js';
+import { getCache } from './cache.js';
+import { cache, timeouts } from '../config/index.js';
 
 const logger = createLogger('services:rssDiscovery');
 
+// ETag / Last-Modified of feed probes, with the previous verdict to reuse on 304
+const probeValidators = getConditionalStore('discovery');
+
+// Discovered feed URL (or null) by site URL; lookups that fail with an error are not cached
+const discoveryCache = getCache('discovery', { ttl: cache.discoveryTtl });
+
 // Common RSS feed URL patterns to check
 const COMMON_FEED_PATHS = [
   '/feed',
@@ -23,112 +32,144 @@ const COMMON_FEED_PATHS = [
 /**
  * Discover RSS feed URL from a website
  * @param {string} url - The website URL to check
+ * @param {object} options
+ * @param {boolean} options.respectRobots - False probes common feed paths even where robots.txt disallows them (admin override)
  * @returns {string|null} - The RSS feed URL if found, null otherwise
  * @throws {UrlValidationError} - If URL is invalid or blocked (SSRF protection)
  */
-export async function discoverRssFeed(url) {
+export async function discoverRssFeed(url, { respectRobots = true } = {}) {
   // Validate URL for SSRF protection
   const { url: validatedUrl } = validateUrl(url);
+  // Results found while ignoring robots.txt are kept apart from the ones everyone else gets
+  const cacheKey = respectRobots === false ? `${validatedUrl}:ignoreRobots` : validatedUrl.toString();
+
+  const cached = await discoveryCache.get(cacheKey);
+  if (cached) {
+    return cached.feedUrl;
+  }
 
   try {
-    const baseUrl = validatedUrl;
-    const normalizedInputUrl = validatedUrl.toString();
+    const feedUrl = await findFeedUrl(url, validatedUrl, { respectRobots });
+    await discoveryCache.set(cacheKey, { feedUrl });
+    return feedUrl;
+  } catch (error) {
+    logger.error('Error discovering RSS feed', { url, error });
+    return null;
+  }
+}
 
-    // If the input URL is already a feed URL, use it directly.
-    const inputIsFeed = await checkFeedExists(normalizedInputUrl);
-    if (inputIsFeed) {
-      return normalizedInputUrl;
-    }
-    
-    // First, try to find RSS link in HTML
-    const response = await axios.get(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-      },
-      timeout: timeouts.rssDiscovery
-    });
+/**
+ * Look for a feed on a site: the URL itself, <link> tags, then common feed paths
+ * @param {string} url - The website URL as given
+ * @param {URL} baseUrl - The validated website URL
+ * @param {object} options - See discoverRssFeed
+ * @returns {Promise<string|null>} - The RSS feed URL if found, null otherwise
+ */
+async function findFeedUrl(url, baseUrl, { respectRobots }) {
+  const normalizedInputUrl = baseUrl.toString();
 
-    const $ = cheerio.load(response.data);
-    
-    // Look for RSS/Atom link tags in the head
-    const feedLink = $('link[type="application/rss+xml"], link[type="application/atom+xml"]').first();
-
-    if (feedLink.length > 0) {
-      const href = feedLink.attr('href');
-      if (href) {
-        // Handle relative URLs and validate
-        const feedUrl = new URL(href, baseUrl.origin).toString();
-        try {
-          validateUrl(feedUrl);
-          return feedUrl;
-        } catch {
-          // Skip invalid/blocked feed URLs
-        }
-      }
-    }
+  // If the input URL is already a feed URL, use it directly.
+  const inputIsFeed = await checkFeedExists(normalizedInputUrl);
+  if (inputIsFeed) {
+    return normalizedInputUrl;
+  }
+  
+  // First, try to find RSS link in HTML
+  const response = await httpGet(url, {
+    timeout: timeouts.rssDiscovery
+  });
+
+  const $ = cheerio.load(response.data);
+  
+  // Look for RSS/Atom link tags in the head
+  const feedLink = $('link[type="application/rss+xml"], link[type="application/atom+xml"]').first();
 
-    // Check for alternate links
-    const alternateLink = $('link[rel="alternate"][type="application/rss+xml"], link[rel="alternate"][type="application/atom+xml"]').first();
-
-    if (alternateLink.length > 0) {
-      const href = alternateLink.attr('href');
-      if (href) {
-        const feedUrl = new URL(href, baseUrl.origin).toString();
-        try {
-          validateUrl(feedUrl);
-          return feedUrl;
-        } catch {
-          // Skip invalid/blocked feed URLs
-        }
+  if (feedLink.length > 0) {
+    const href = feedLink.attr('href');
+    if (href) {
+      // Handle relative URLs and validate
+      const feedUrl = new URL(href, baseUrl.origin).toString();
+      try {
+        validateUrl(feedUrl);
+        return feedUrl;
+      } catch {
+        // Skip invalid/blocked feed URLs
       }
     }
+  }
 
-    // Try common feed URL patterns
-    for (const path of COMMON_FEED_PATHS) {
-      const feedUrl = new URL(path, baseUrl.origin).toString();
-      // Feed URL inherits from validated base URL, so should be safe
-      const exists = await checkFeedExists(feedUrl);
-      if (exists) {
+  // Check for alternate links
+  const alternateLink = $('link[rel="alternate"][type="application/rss+xml"], link[rel="alternate"][type="application/atom+xml"]').first();
+
+  if (alternateLink.length > 0) {
+    const href = alternateLink.attr('href');
+    if (href) {
+      const feedUrl = new URL(href, baseUrl.origin).toString();
+      try {
+        validateUrl(feedUrl);
         return feedUrl;
+      } catch {
+        // Skip invalid/blocked feed URLs
       }
     }
+  }
 
-    return null;
-  } catch (error) {
-    logger.error('Error discovering RSS feed', { url, error });
-    return null;
+  // Try common feed URL patterns
+  for (const path of COMMON_FEED_PATHS) {
+    const feedUrl = new URL(path, baseUrl.origin).toString();
+    // Feed URL inherits from validated base URL, so should be safe
+    // Probing is guesswork, so paths robots.txt disallows are skipped rather than failing discovery
+    const { allowed, crawlDelayMs } = await checkRobots(feedUrl, { respectRobots });
+    if (!allowed) {
+      logger.debug('Skipping feed path disallowed by robots.txt', { feedUrl });
+      continue;
+    }
+    const exists = await checkFeedExists(feedUrl, { hostDelayMs: crawlDelayMs });
+    if (exists) {
+      return feedUrl;
+    }
   }
+
+  return null;
 }
 
 /**
  * Check if a URL returns a valid RSS/Atom feed
  * @param {string} url - The URL to check
+ * @param {object} options
+ * @param {number} options.hostDelayMs - Crawl-delay to keep after the probe
  * @returns {boolean} - True if the URL returns a valid feed
  */
-async function checkFeedExists(url) {
+async function checkFeedExists(url, { hostDelayMs = 0 } = {}) {
   try {
-    const response = await axios.head(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      },
-      timeout: timeouts.rssDiscoveryFast
+    // Probes are cheap guesses; a failure just means "not here", so they are not retried
+    const response = await httpHead(url, {
+      headers: probeValidators.headersFor(url),
+      timeout: timeouts.rssDiscoveryFast,
+      validateStatus: acceptNotModified,
+      retries: 0,
+      hostDelayMs
     });
 
-    const contentType = response.headers['content-type'] || '';
-    return (
+    const unchanged = probeValidators.notModifiedPayload(url, response);
+    if (unchanged !== undefined) return unchanged;
+
+    const contentType = response.headers?.['content-type'] || '';
+    const isFeed = (
       contentType.includes('xml') ||
       contentType.includes('rss') ||
       contentType.includes('atom')
     );
+    probeValidators.store(url, response, isFeed);
+    return isFeed;
   } catch {
     // If HEAD fails, try GET with a small range
     try {
-      const response = await axios.get(url, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-          'Range': 'bytes=0-500'
-        },
-        timeout: timeouts.rssDiscoveryFast
+      const response = await httpGet(url, {
+        headers: { 'Range': 'bytes=0-500' },
+        timeout: timeouts.rssDiscoveryFast,
+        retries: 0,
+        hostDelayMs
       });
 
       const data = response.data.toString().toLowerCase();
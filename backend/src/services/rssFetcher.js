@@ -1,25 +1,33 @@
 import Parser from 'rss-parser';
-import axios from 'axios';
-import NodeCache from 'node-cache';
 import { createLogger } from '../utils/logger.js';
+import { getCache } from './cache.js';
+import { getConditionalStore, getConditionalStats, acceptNotModified } from '../utils/conditionalRequest.js';
+import { httpGet } from '../utils/httpClient.js';
 import { cache, timeouts } from '../config/index.js';
 
 const logger = createLogger('services:rssFetcher');
 
-// Initialize cache with centralized config
-const feedCache = new NodeCache({
-  stdTTL: cache.rssTtl,
-  checkperiod: cache.rssCheckPeriod,
-  useClones: true, // Return clones to prevent mutation
-  deleteOnExpire: true
-});
+// Parsed feeds by URL and since filter, on the configured cache driver
+const feedCache = getCache('feeds', { ttl: cache.rssTtl });
+
+// Each feed is cached once per since filter: `${feedUrl}:since:<iso date|none>`
+const SINCE_SEPARATOR = ':since:';
+
+// ETag / Last-Modified of each feed, with the last parsed feed to reuse on 304
+const feedValidators = getConditionalStore('feeds');
+
+const FEED_REQUEST_HEADERS = {
+  'Accept': 'application/rss+xml, application/atom+xml, application/xml, text/xml;q=0.9, */*;q=0.8',
+  'Accept-Encoding': 'gzip, deflate, br'
+};
 
 const parser = new Parser({
-  timeout: timeouts.rssFetch,
-  headers: {
-    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-  },
   customFields: {
+    feed: [
+      ['ttl', 'ttl'],
+      ['sy:updatePeriod', 'updatePeriod'],
+      ['sy:updateFrequency', 'updateFrequency']
+    ],
     item: [
       ['media:content', 'mediaContent'],
       ['media:thumbnail', 'mediaThumbnail'],
@@ -36,33 +44,33 @@ const parser = new Parser({
  * @param {object} options - Options for fetching
  * @param {boolean} options.bypassCache - Skip cache and fetch fresh data
  * @param {string} options.since - Optional ISO datetime to filter recent items
- * @returns {object} - Parsed feed data with cache metadata
+ * @returns {object} - Parsed feed data with cache metadata, and `_fetch` ({ status, redirects }) when it was downloaded
  */
 export async function fetchAndParseRss(feedUrl, options = {}) {
   const { bypassCache = false, since } = options;
   const normalizedSince = since ? new Date(since).toISOString() : null;
   const sinceTimestamp = normalizedSince ? Date.parse(normalizedSince) : null;
   const cacheKey = normalizedSince
-    ? `feed:${feedUrl}:since:${normalizedSince}`
-    : `feed:${feedUrl}:since:none`;
+    ? `${feedUrl}${SINCE_SEPARATOR}${normalizedSince}`
+    : `${feedUrl}${SINCE_SEPARATOR}none`;
 
   // Check cache first (unless bypassing)
   if (!bypassCache) {
-    const cached = feedCache.get(cacheKey);
+    const cached = await feedCache.get(cacheKey);
     if (cached) {
       return {
         ...cached,
         _cache: {
           hit: true,
           key: cacheKey,
-          ttl: feedCache.getTtl(cacheKey)
+          ttl: await feedCache.getTtl(cacheKey)
         }
       };
     }
   }
 
   try {
-    const feed = await parseFeedWithFallback(feedUrl);
+    const { feed, notModified, status, redirects } = await loadFeed(feedUrl);
 
     const mappedItems = (feed.items || []).map(item => {
       const content = extractContent(item);
@@ -94,54 +102,108 @@ export async function fetchAndParseRss(feedUrl, options = {}) {
       link: feed.link || feedUrl,
       language: feed.language || 'en',
       lastBuildDate: feed.lastBuildDate || null,
+      refreshHints: extractRefreshHints(feed),
       items,
       _fetchedAt: new Date().toISOString()
     };
 
-    // Store in cache
-    feedCache.set(cacheKey, parsedFeed);
+    // Store in cache (a 304 also lands here, refreshing the TTL)
+    await feedCache.set(cacheKey, parsedFeed);
 
     return {
       ...parsedFeed,
+      _fetch: { status, redirects },
       _cache: {
         hit: false,
+        notModified,
         key: cacheKey,
-        ttl: feedCache.getTtl(cacheKey)
+        ttl: await feedCache.getTtl(cacheKey)
       }
     };
   } catch (error) {
     logger.error('Error fetching RSS feed', { feedUrl, error });
-    throw new Error(`Failed to fetch RSS feed: ${error.message}`);
+    const wrapped = new Error(`Failed to fetch RSS feed: ${error.message}`);
+    wrapped.status = extractHttpStatus(error);
+    wrapped.code = error.code || null;
+    wrapped.retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+    throw wrapped;
   }
 }
 
-async function parseFeedWithFallback(feedUrl) {
-  try {
-    return await parser.parseURL(feedUrl);
-  } catch (error) {
-    // Some feeds are served gzip-compressed behind redirects and can fail in parseURL.
-    const message = String(error?.message || '');
-    const looksLikeXmlParseFailure =
-      message.includes('Unable to parse XML') ||
-      message.includes('Non-whitespace before first tag');
-
-    if (!looksLikeXmlParseFailure) {
-      throw error;
-    }
+/**
+ * Extract publisher refresh hints (<ttl>, sy:updatePeriod, sy:updateFrequency)
+ * @param {object} feed - Feed parsed by rss-parser
+ * @returns {object} - { ttl: minutes|null, updatePeriod: string|null, updateFrequency: number|null }
+ */
+function extractRefreshHints(feed) {
+  const ttl = Number.parseInt(extractText(feed.ttl), 10);
+  const updatePeriod = extractText(feed.updatePeriod).toLowerCase();
+  const updateFrequency = Number.parseInt(extractText(feed.updateFrequency), 10);
 
-    const response = await axios.get(feedUrl, {
-      timeout: timeouts.rssFetch,
-      responseType: 'text',
-      maxRedirects: 5,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-        'Accept': 'application/rss+xml, application/atom+xml, application/xml, text/xml;q=0.9, */*;q=0.8',
-        'Accept-Encoding': 'gzip, deflate, br'
-      }
-    });
+  return {
+    ttl: Number.isNaN(ttl) ? null : ttl,
+    updatePeriod: updatePeriod || null,
+    updateFrequency: Number.isNaN(updateFrequency) ? null : updateFrequency
+  };
+}
+
+/**
+ * Get the HTTP status from an axios or rss-parser error
+ * @param {Error} error - Fetch error
+ * @returns {number|null} - HTTP status code or null
+ */
+function extractHttpStatus(error) {
+  if (error.response?.status) return error.response.status;
+  const match = String(error.message || '').match(/Status code (\d{3})/);
+  return match ? Number(match[1]) : null;
+}
 
-    return await parser.parseString(response.data);
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP date)
+ * @param {string} value - Header value
+ * @returns {number|null} - Seconds to wait, or null if absent/invalid
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, Math.round(seconds));
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, Math.round((date - Date.now()) / 1000));
+}
+
+/**
+ * Download and parse a feed, revalidating with If-None-Match / If-Modified-Since
+ * when validators from a previous response are known
+ * @param {string} feedUrl - Feed URL
+ * @returns {Promise<object>} - { feed (rss-parser output), notModified, status, redirects }
+ * @throws {Error} - Axios errors, or the parser error with code PARSE_FAILED
+ */
+async function loadFeed(feedUrl) {
+  const response = await httpGet(feedUrl, {
+    timeout: timeouts.rssFetch,
+    responseType: 'text',
+    headers: { ...FEED_REQUEST_HEADERS, ...feedValidators.headersFor(feedUrl) },
+    validateStatus: acceptNotModified
+  });
+
+  const fetched = { status: response.status, redirects: response.redirects || [] };
+
+  const unchanged = feedValidators.notModifiedPayload(feedUrl, response);
+  if (unchanged) {
+    logger.debug('Feed not modified', { feedUrl });
+    return { feed: unchanged, notModified: true, ...fetched };
+  }
+
+  let feed;
+  try {
+    feed = await parser.parseString(response.data);
+  } catch (error) {
+    error.code = 'PARSE_FAILED';
+    throw error;
   }
+  feedValidators.store(feedUrl, response, feed);
+  return { feed, notModified: false, ...fetched };
 }
 
 /**
@@ -215,61 +277,99 @@ function extractText(value) {
 
 // ============ Cache Management Functions ============
 
+function parseFeedCacheKey(key) {
+  const index = key.lastIndexOf(SINCE_SEPARATOR);
+  if (index === -1) return { feedUrl: key, since: null };
+  const since = key.slice(index + SINCE_SEPARATOR.length);
+  return { feedUrl: key.slice(0, index), since: since === 'none' ? null : since };
+}
+
+/**
+ * Cache keys of every since variant of a feed
+ * @param {string} feedUrl - The feed URL
+ * @returns {Promise<string[]>}
+ */
+async function feedCacheKeys(feedUrl) {
+  const prefix = `${feedUrl}${SINCE_SEPARATOR}`;
+  return (await feedCache.keys()).filter(key => key.startsWith(prefix));
+}
+
 /**
- * Invalidate cache for a specific feed URL
+ * Invalidate cache for a specific feed URL (all since variants) and forget its validators
  * @param {string} feedUrl - The feed URL to invalidate
- * @returns {boolean} - True if key was found and deleted
+ * @returns {Promise<number>} - Number of entries deleted
  */
-export function invalidateFeedCache(feedUrl) {
-  const cacheKey = `feed:${feedUrl}`;
-  return feedCache.del(cacheKey) > 0;
+export async function invalidateFeedCache(feedUrl) {
+  feedValidators.clear(feedUrl);
+
+  let deleted = 0;
+  for (const key of await feedCacheKeys(feedUrl)) {
+    if (await feedCache.del(key)) deleted += 1;
+  }
+  return deleted;
 }
 
 /**
  * Invalidate all cached feeds
- * @returns {number} - Number of keys deleted
+ * @returns {Promise<number>} - Number of keys deleted
  */
-export function invalidateAllFeedCache() {
-  const keys = feedCache.keys();
-  feedCache.flushAll();
-  return keys.length;
+export async function invalidateAllFeedCache() {
+  feedValidators.clear();
+  return feedCache.clear();
+}
+
+/**
+ * List cached feed entries
+ * @param {object} options
+ * @param {string} options.feedUrl - Only entries of this feed
+ * @returns {Promise<object[]>} - [{ key, feedUrl, since, expiresAt, ttlMs }], soonest expiry first
+ */
+export async function listFeedCacheEntries({ feedUrl } = {}) {
+  const keys = feedUrl ? await feedCacheKeys(feedUrl) : await feedCache.keys();
+  const now = Date.now();
+
+  const entries = [];
+  for (const key of keys) {
+    const expiresAt = await feedCache.getTtl(key);
+    if (expiresAt === null) continue;
+    entries.push({
+      key,
+      ...parseFeedCacheKey(key),
+      expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+      ttlMs: expiresAt ? Math.max(expiresAt - now, 0) : null
+    });
+  }
+
+  return entries.sort((a, b) => (a.ttlMs ?? Infinity) - (b.ttlMs ?? Infinity));
 }
 
 /**
  * Get cache statistics
- * @returns {object} - Cache statistics
+ * @returns {Promise<object>} - Cache statistics
  */
-export function getFeedCacheStats() {
-  const stats = feedCache.getStats();
+export async function getFeedCacheStats() {
   return {
-    keys: feedCache.keys().length,
-    hits: stats.hits,
-    misses: stats.misses,
-    hitRate: stats.hits + stats.misses > 0
-      ? (stats.hits / (stats.hits + stats.misses) * 100).toFixed(2) + '%'
-      : '0%',
-    ksize: stats.ksize,
-    vsize: stats.vsize
+    ...await feedCache.stats(),
+    conditional: getConditionalStats()
   };
 }
 
 /**
- * Check if a feed URL is cached
+ * Check if a feed URL is cached (any since variant)
  * @param {string} feedUrl - The feed URL to check
- * @returns {boolean} - True if cached
+ * @returns {Promise<boolean>} - True if cached
  */
-export function isFeedCached(feedUrl) {
-  const cacheKey = `feed:${feedUrl}`;
-  return feedCache.has(cacheKey);
+export async function isFeedCached(feedUrl) {
+  return (await feedCacheKeys(feedUrl)).length > 0;
 }
 
 /**
- * Get remaining TTL for a cached feed
+ * Get remaining TTL for a cached feed (the longest-lived since variant)
  * @param {string} feedUrl - The feed URL to check
- * @returns {number|null} - Remaining TTL in milliseconds, or null if not cached
+ * @returns {Promise<number|null>} - Remaining TTL in milliseconds, or null if not cached
  */
-export function getFeedCacheTtl(feedUrl) {
-  const cacheKey = `feed:${feedUrl}`;
-  const ttl = feedCache.getTtl(cacheKey);
-  return ttl ? ttl - Date.now() : null;
-}
\ No newline at end of file
+export async function getFeedCacheTtl(feedUrl) {
+  const entries = await listFeedCacheEntries({ feedUrl });
+  if (entries.length === 0) return null;
+  return entries[entries.length - 1].ttlMs;
+}
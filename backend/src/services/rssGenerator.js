@@ -4,9 +4,11 @@ import { Feed } from 'feed';
  * Generate an RSS feed from scraped website data
  * @param {string} siteUrl - The original website URL
  * @param {object} scrapedData - Data scraped from the website
+ * @param {object} options
+ * @param {string} options.feedUrl - Public URL the feed is served from (self link)
  * @returns {object} - Generated feed in both JSON and XML formats
  */
-export function generateRssFeed(siteUrl, scrapedData) {
+export function generateRssFeed(siteUrl, scrapedData, { feedUrl } = {}) {
   const feed = new Feed({
     title: String(scrapedData.title || 'Generated Feed'),
     description: String(scrapedData.description || `Auto-generated RSS feed for ${siteUrl}`),
@@ -18,9 +20,7 @@ export function generateRssFeed(siteUrl, scrapedData) {
     copyright: `Content from ${scrapedData.siteName || new URL(siteUrl).hostname}`,
     updated: new Date(),
     generator: 'Genie-RSS Feed Generator',
-    feedLinks: {
-      rss: `${siteUrl}/feed`
-    }
+    feedLinks: feedUrl ? { rss: String(feedUrl) } : {}
   });
 
   // Add items to the feed
@@ -32,7 +32,8 @@ export function generateRssFeed(siteUrl, scrapedData) {
       description: String(item.content || item.title || ''),
       content: String(item.content || ''),
       date: item.pubDate ? new Date(item.pubDate) : new Date(),
-      image: item.thumbnail
+      image: item.thumbnail,
+      ...(item.creator && { author: [{ name: String(item.creator) }] })
     });
   }
 
@@ -52,7 +53,10 @@ export function generateRssFeed(siteUrl, scrapedData) {
       content: item.content || '',
       contentSnippet: (item.content || '').substring(0, 200),
       thumbnail: item.thumbnail,
-      guid: item.link
+      guid: item.link,
+      ...(item.creator && { creator: item.creator }),
+      ...(item.extractedWith && { extractedWith: item.extractedWith }),
+      ...(item.fullText !== undefined && { fullText: item.fullText })
     }))
   };
 
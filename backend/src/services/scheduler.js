@@ -0,0 +1,301 @@
+import { fetchAndParseRss } from './rssFetcher.js';
+import { smartFetchWithSource } from './feedprocess.js';
+import { listAllEnabledSubscriptions } from './subscriptions.js';
+import { recordItems, pruneItems } from './itemStore.js';
+import { recordFeedCheck } from './feedHealth.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { createLogger } from '../utils/logger.js';
+import { scheduler as schedulerConfig } from '../config/index.js';
+
+const logger = createLogger('services:scheduler');
+
+// sy:updatePeriod values in seconds (RSS 1.0 Syndication module)
+const UPDATE_PERIOD_SECONDS = {
+  hourly: 3600,
+  daily: 86400,
+  weekly: 7 * 86400,
+  monthly: 30 * 86400,
+  yearly: 365 * 86400
+};
+
+// Per-subscription polling state, keyed by subscription id
+const feedStates = new Map();
+
+let timer = null;
+let ticking = false;
+
+/**
+ * Minimum interval (seconds) the publisher asks for via <ttl> or sy:updatePeriod
+ * @param {object} hints - { ttl, updatePeriod, updateFrequency } from fetchAndParseRss
+ * @returns {number|null} - Interval in seconds, or null if no hint
+ */
+export function hintIntervalSec(hints) {
+  if (!hints) return null;
+
+  const candidates = [];
+  if (hints.ttl > 0) {
+    candidates.push(hints.ttl * 60);
+  }
+  const period = UPDATE_PERIOD_SECONDS[hints.updatePeriod];
+  if (period) {
+    candidates.push(Math.round(period / (hints.updateFrequency > 0 ? hints.updateFrequency : 1)));
+  }
+
+  return candidates.length > 0 ? Math.max(...candidates) : null;
+}
+
+/**
+ * Compute the delay before the next poll of a feed
+ * @param {object} options
+ * @param {number} options.baseIntervalSec - Configured interval for the feed
+ * @param {object} options.hints - Publisher refresh hints (may be null)
+ * @param {number} options.consecutiveFailures - Failures since last success
+ * @param {number} options.retryAfterSec - Retry-After from the last response (may be null)
+ * @param {Function} options.random - Random source in [0, 1) (for tests)
+ * @returns {number} - Delay in milliseconds
+ */
+export function computeNextDelayMs({
+  baseIntervalSec,
+  hints = null,
+  consecutiveFailures = 0,
+  retryAfterSec = null,
+  random = Math.random
+}) {
+  const { minIntervalSec, maxIntervalSec, maxBackoffSec, jitterRatio } = schedulerConfig;
+
+  let intervalSec = Math.max(baseIntervalSec, minIntervalSec);
+
+  // Never poll more often than the publisher asks for
+  const hinted = hintIntervalSec(hints);
+  if (hinted) intervalSec = Math.max(intervalSec, hinted);
+  intervalSec = Math.min(intervalSec, maxIntervalSec);
+
+  // Exponential backoff after consecutive failures
+  if (consecutiveFailures > 0) {
+    intervalSec = Math.min(intervalSec * 2 ** (consecutiveFailures - 1), maxBackoffSec);
+  }
+
+  const jitter = intervalSec * jitterRatio * (random() * 2 - 1);
+  let delaySec = intervalSec + jitter;
+
+  // Jitter must never bring the next poll forward of the publisher's Retry-After
+  if (retryAfterSec) delaySec = Math.max(delaySec, retryAfterSec);
+
+  return Math.round(delaySec * 1000);
+}
+
+function createState(subscription, now) {
+  // Spread the first run of newly seen feeds across one tick to avoid bursts
+  const initialDelay = Math.floor(Math.random() * schedulerConfig.tickMs);
+
+  return {
+    subscriptionId: subscription.id,
+    tenantId: subscription.tenantId,
+    url: subscription.feedUrl || subscription.url,
+    intervalSec: subscription.pollIntervalSec || schedulerConfig.defaultIntervalSec,
+    nextRunAt: now + initialDelay,
+    lastRunAt: null,
+    lastSuccessAt: null,
+    lastError: null,
+    lastStatus: null,
+    lastItemCount: null,
+    consecutiveFailures: 0,
+    hints: null,
+    running: false
+  };
+}
+
+/**
+ * Fetch a subscription once: parsed feeds go through fetchAndParseRss,
+ * site URLs without a discovered feed fall back to the smartFetch tiers.
+ * @param {object} subscription - Subscription document
+ * @returns {Promise<object>} - { items, hints, status, redirects }
+ * @throws {Error} - Also when no tier finds a feed for a site URL (NO_FEED_FOUND), so it counts as a failure
+ */
+async function fetchFeed(subscription) {
+  if (subscription.feedUrl) {
+    const feed = await fetchAndParseRss(subscription.feedUrl, { bypassCache: true });
+    return {
+      items: feed.items,
+      hints: feed.refreshHints || null,
+      status: feed._fetch?.status || 200,
+      redirects: feed._fetch?.redirects || []
+    };
+  }
+
+  const { items, source } = await smartFetchWithSource(subscription.url);
+  return { items, hints: null, status: source.httpStatus || 200, redirects: [] };
+}
+
+/**
+ * Add a poll to the feed's health history; never fails the poll
+ */
+async function recordHealth(subscription, outcome) {
+  try {
+    await recordFeedCheck(subscription, outcome);
+  } catch (error) {
+    logger.error('Failed to record feed health', { subscriptionId: subscription.id, error });
+  }
+}
+
+/**
+ * Poll a single subscription and update its schedule
+ * @param {object} subscription - Subscription document
+ * @param {number} now - Current time in ms
+ * @returns {Promise<object>} - Updated feed state
+ */
+export async function pollSubscription(subscription, now = Date.now()) {
+  const state = feedStates.get(subscription.id) || createState(subscription, now);
+  feedStates.set(subscription.id, state);
+
+  state.running = true;
+  state.lastRunAt = new Date(now).toISOString();
+  const startedAt = Date.now();
+  let retryAfterSec = null;
+  let outcome;
+
+  try {
+    const { items, hints, status, redirects } = await fetchFeed(subscription);
+    // Items seen in the background advance the tenant's cursor
+    const records = await recordItems(subscription.tenantId, items);
+    const startedAtIso = new Date(startedAt).toISOString();
+    state.hints = hints;
+    state.lastItemCount = items.length;
+    state.lastSuccessAt = new Date().toISOString();
+    state.lastError = null;
+    state.lastStatus = status;
+    state.consecutiveFailures = 0;
+    outcome = {
+      ok: true,
+      status,
+      items,
+      newItemCount: records.filter(record => record.firstSeenAt && record.firstSeenAt >= startedAtIso).length,
+      redirects
+    };
+  } catch (error) {
+    state.consecutiveFailures += 1;
+    state.lastError = error.message;
+    state.lastStatus = error.status || null;
+    retryAfterSec = error.retryAfter || null;
+    outcome = { ok: false, status: state.lastStatus, code: error.code || null, error: error.message };
+    logger.warn('Scheduled feed poll failed', {
+      subscriptionId: subscription.id,
+      url: state.url,
+      consecutiveFailures: state.consecutiveFailures,
+      error: error.message
+    });
+  } finally {
+    state.running = false;
+  }
+
+  await recordHealth(subscription, { ...outcome, durationMs: Date.now() - startedAt });
+
+  state.nextRunAt = Date.now() + computeNextDelayMs({
+    baseIntervalSec: state.intervalSec,
+    hints: state.hints,
+    consecutiveFailures: state.consecutiveFailures,
+    retryAfterSec
+  });
+
+  return state;
+}
+
+/**
+ * Sync scheduler state with stored subscriptions and poll the ones that are due
+ * @param {number} now - Current time in ms
+ * @returns {Promise<number>} - Number of feeds polled
+ */
+export async function runDueFeeds(now = Date.now()) {
+  const subscriptions = await listAllEnabledSubscriptions();
+  const activeIds = new Set(subscriptions.map(sub => sub.id));
+
+  // Forget removed or disabled subscriptions
+  for (const id of feedStates.keys()) {
+    if (!activeIds.has(id)) feedStates.delete(id);
+  }
+
+  const due = [];
+  for (const subscription of subscriptions) {
+    let state = feedStates.get(subscription.id);
+    if (!state) {
+      state = createState(subscription, now);
+      feedStates.set(subscription.id, state);
+    }
+
+    // Pick up edits made through the subscriptions API
+    state.url = subscription.feedUrl || subscription.url;
+    state.intervalSec = subscription.pollIntervalSec || schedulerConfig.defaultIntervalSec;
+
+    if (!state.running && state.nextRunAt <= now) {
+      due.push(subscription);
+    }
+  }
+
+  // One slow feed must not hold up the rest of the tick
+  await mapWithConcurrency(due, schedulerConfig.concurrency, subscription => pollSubscription(subscription, now));
+  return due.length;
+}
+
+async function tick() {
+  if (ticking) return;
+  ticking = true;
+  try {
+    await runDueFeeds();
+    await pruneItems();
+  } catch (error) {
+    logger.error('Scheduler tick failed', { error });
+  } finally {
+    ticking = false;
+  }
+}
+
+/**
+ * Start the background polling loop
+ * @returns {boolean} - False if already running
+ */
+export function startScheduler() {
+  if (timer) return false;
+  timer = setInterval(tick, schedulerConfig.tickMs);
+  timer.unref?.();
+  logger.info('Scheduler started', { tickMs: schedulerConfig.tickMs });
+  return true;
+}
+
+/**
+ * Stop the background polling loop
+ */
+export function stopScheduler() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+    logger.info('Scheduler stopped');
+  }
+}
+
+/**
+ * Scheduler status for the admin endpoint
+ * @returns {object} - { running, tickMs, feeds: [...] }
+ */
+export function getSchedulerStatus() {
+  const feeds = [...feedStates.values()]
+    .map(state => ({
+      ...state,
+      nextRunAt: new Date(state.nextRunAt).toISOString()
+    }))
+    .sort((a, b) => a.nextRunAt.localeCompare(b.nextRunAt));
+
+  return {
+    running: timer !== null,
+    tickMs: schedulerConfig.tickMs,
+    feedCount: feeds.length,
+    feeds
+  };
+}
+
+/**
+ * Reset all scheduler state (used by tests)
+ */
+export function resetScheduler() {
+  stopScheduler();
+  feedStates.clear();
+}
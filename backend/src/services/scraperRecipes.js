@@ -0,0 +1,169 @@
+/**
+ * Per-site extraction recipes for the scraper.
+ * A recipe names the CSS selectors of a site's item containers and their fields; scrapeWebsite
+ * uses the recipe of the page's domain (or a parent domain) before its generic heuristics.
+ */
+import crypto from 'crypto';
+import * as cheerio from 'cheerio';
+import { getCollection } from './storage.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('services:scraperRecipes');
+
+// Recipe fields holding a single CSS selector
+export const RECIPE_SELECTOR_FIELDS = [
+  'itemSelector',
+  'titleSelector',
+  'linkSelector',
+  'dateSelector',
+  'summarySelector',
+  'imageSelector'
+];
+
+/**
+ * Custom error class for recipe failures
+ */
+export class RecipeError extends Error {
+  constructor(message, code = 'RECIPE_ERROR', statusCode = 400) {
+    super(message);
+    this.name = 'RecipeError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+const recipes = () => getCollection('scraperRecipes');
+
+/**
+ * Normalize a recipe domain: lowercase, without www.
+ * @param {string} domain - Hostname
+ * @returns {string}
+ */
+export function normalizeRecipeDomain(domain) {
+  return String(domain).trim().toLowerCase().replace(/^www\./, '');
+}
+
+/**
+ * Check that every selector of a recipe parses
+ * @param {object} recipe - Recipe fields
+ * @throws {RecipeError} - INVALID_SELECTOR for the first selector that does not parse
+ */
+export function assertValidSelectors(recipe) {
+  const $ = cheerio.load('');
+  const selectors = [
+    ...RECIPE_SELECTOR_FIELDS.map(field => recipe[field]),
+    ...(recipe.excludeSelectors || [])
+  ].filter(Boolean);
+
+  for (const selector of selectors) {
+    try {
+      $(selector);
+    } catch (error) {
+      throw new RecipeError(`Invalid selector ${selector}: ${error.message}`, 'INVALID_SELECTOR');
+    }
+  }
+}
+
+async function findByDomain(domain, excludeId = null) {
+  const [existing] = await recipes().list(recipe => recipe.domain === domain && recipe.id !== excludeId);
+  return existing || null;
+}
+
+/**
+ * List recipes
+ * @returns {Promise<object[]>} - Recipes ordered by domain
+ */
+export async function listRecipes() {
+  const list = await recipes().list();
+  return list.sort((a, b) => a.domain.localeCompare(b.domain));
+}
+
+/**
+ * Get a recipe
+ * @param {string} id - Recipe id
+ * @returns {Promise<object|null>}
+ */
+export async function getRecipe(id) {
+  return recipes().get(id);
+}
+
+/**
+ * Register a recipe for a domain
+ * @param {object} data - { domain, itemSelector, titleSelector?, linkSelector?, dateSelector?, summarySelector?, imageSelector?, dateFormat?, excludeSelectors? }
+ * @returns {Promise<object>} - Created recipe
+ * @throws {RecipeError} - DUPLICATE_RECIPE (409) if the domain has a recipe, INVALID_SELECTOR
+ */
+export async function createRecipe(data) {
+  const domain = normalizeRecipeDomain(data.domain);
+  assertValidSelectors(data);
+
+  if (await findByDomain(domain)) {
+    throw new RecipeError(`A recipe already exists for ${domain}`, 'DUPLICATE_RECIPE', 409);
+  }
+
+  const now = new Date().toISOString();
+  const recipe = {
+    ...data,
+    id: crypto.randomUUID(),
+    domain,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await recipes().put(recipe.id, recipe);
+  logger.info('Scraper recipe created', { id: recipe.id, domain });
+
+  return recipe;
+}
+
+/**
+ * Update a recipe
+ * @param {string} id - Recipe id
+ * @param {object} patch - Recipe fields to replace
+ * @returns {Promise<object|null>} - Updated recipe or null if not found
+ * @throws {RecipeError} - DUPLICATE_RECIPE (409) if the new domain has a recipe, INVALID_SELECTOR
+ */
+export async function updateRecipe(id, patch) {
+  const current = await getRecipe(id);
+  if (!current) return null;
+
+  const updated = {
+    ...current,
+    ...patch,
+    domain: patch.domain !== undefined ? normalizeRecipeDomain(patch.domain) : current.domain,
+    updatedAt: new Date().toISOString()
+  };
+  assertValidSelectors(updated);
+
+  if (updated.domain !== current.domain && await findByDomain(updated.domain, id)) {
+    throw new RecipeError(`A recipe already exists for ${updated.domain}`, 'DUPLICATE_RECIPE', 409);
+  }
+
+  return recipes().put(id, updated);
+}
+
+/**
+ * Delete a recipe
+ * @param {string} id - Recipe id
+ * @returns {Promise<boolean>} - True if deleted
+ */
+export async function deleteRecipe(id) {
+  return recipes().delete(id);
+}
+
+/**
+ * Recipe for a page: the one of its host, else of the closest parent domain
+ * @param {string} url - Page URL
+ * @returns {Promise<object|null>}
+ */
+export async function findRecipeForUrl(url) {
+  let host;
+  try {
+    host = normalizeRecipeDomain(new URL(url).hostname);
+  } catch {
+    return null;
+  }
+
+  const matches = await recipes().list(recipe => host === recipe.domain || host.endsWith(`.${recipe.domain}`));
+  return matches.sort((a, b) => b.domain.length - a.domain.length)[0] || null;
+}
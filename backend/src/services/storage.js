@@ -0,0 +1,199 @@
+import fs from 'fs';
+import path from 'path';
+import { storage as storageConfig } from '../config/index.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('services:storage');
+
+/**
+ * In-memory collection of JSON documents keyed by id.
+ * Documents are cloned on read and write so callers cannot mutate stored state.
+ */
+class MemoryCollection {
+  constructor(name) {
+    this.name = name;
+    this.docs = new Map();
+  }
+
+  async get(id) {
+    const doc = this.docs.get(id);
+    return doc ? structuredClone(doc) : null;
+  }
+
+  /**
+   * List documents, optionally filtered
+   * @param {Function} [predicate] - Filter applied to each document
+   * @returns {Promise<object[]>}
+   */
+  async list(predicate) {
+    const docs = [...this.docs.values()];
+    return (predicate ? docs.filter(predicate) : docs).map(doc => structuredClone(doc));
+  }
+
+  async put(id, doc) {
+    this.docs.set(id, structuredClone(doc));
+    this.persist();
+    return structuredClone(doc);
+  }
+
+  /**
+   * Store several documents with a single flush
+   * @param {Array<[string, object]>} entries - [id, doc] pairs
+   */
+  async putMany(entries) {
+    for (const [id, doc] of entries) {
+      this.docs.set(id, structuredClone(doc));
+    }
+    if (entries.length > 0) this.persist();
+  }
+
+  async delete(id) {
+    const deleted = this.docs.delete(id);
+    if (deleted) this.persist();
+    return deleted;
+  }
+
+  /**
+   * Delete several documents with a single flush
+   * @param {string[]} ids - Document ids
+   * @returns {Promise<number>} - Number of documents deleted
+   */
+  async deleteMany(ids) {
+    let count = 0;
+    for (const id of ids) {
+      if (this.docs.delete(id)) count += 1;
+    }
+    if (count > 0) this.persist();
+    return count;
+  }
+
+  async clear() {
+    const count = this.docs.size;
+    this.docs.clear();
+    this.persist();
+    return count;
+  }
+
+  persist() {
+    // Memory collections have nothing to flush
+  }
+}
+
+/**
+ * Collection persisted as a single JSON file per collection.
+ * The whole file is loaded on first use. Changes are coalesced for flushDelayMs and then
+ * written in the background through a temp file and a rename, so a crash never leaves half a file.
+ * Each flush still rewrites the whole collection: fine for subscriptions, filters and other tenant
+ * data, but the item history of many polled feeds belongs in a database driver
+ * (see registerStorageDriver).
+ */
+class FileCollection extends MemoryCollection {
+  constructor(name, dir, { flushDelayMs = storageConfig.flushDelayMs } = {}) {
+    super(name);
+    this.file = path.resolve(dir, `${name}.json`);
+    this.flushDelayMs = flushDelayMs;
+    this.dirty = false;
+    this.flushTimer = null;
+    // Tail of the writes in progress; writes never overlap
+    this.writing = Promise.resolve();
+    this.load();
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.file)) return;
+      const raw = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      for (const [id, doc] of Object.entries(raw)) {
+        this.docs.set(id, doc);
+      }
+    } catch (error) {
+      logger.error('Failed to load collection file', { collection: this.name, file: this.file, error });
+    }
+  }
+
+  persist() {
+    this.dirty = true;
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => this.flush(), this.flushDelayMs);
+    this.flushTimer.unref?.();
+  }
+
+  /**
+   * Write pending changes now
+   * @returns {Promise<void>} - Resolves once the file is up to date
+   */
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    this.writing = this.writing.then(() => this.write());
+    return this.writing;
+  }
+
+  async write() {
+    if (!this.dirty) return;
+    // Changes made while this write runs mark the collection dirty again for the next flush
+    this.dirty = false;
+    const data = JSON.stringify(Object.fromEntries(this.docs));
+    const tmpFile = `${this.file}.tmp`;
+    try {
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.promises.writeFile(tmpFile, data, 'utf8');
+      await fs.promises.rename(tmpFile, this.file);
+    } catch (error) {
+      this.dirty = true;
+      logger.error('Failed to persist collection file', { collection: this.name, file: this.file, error });
+    }
+  }
+}
+
+const drivers = new Map([
+  ['memory', (name) => new MemoryCollection(name)],
+  ['file', (name) => new FileCollection(name, storageConfig.dir)]
+]);
+
+const collections = new Map();
+
+/**
+ * Register an additional storage driver (e.g. SQLite)
+ * @param {string} name - Driver name as used in STORAGE_DRIVER
+ * @param {Function} factory - (collectionName) => collection with get/list/put/putMany/delete/deleteMany/clear
+ */
+export function registerStorageDriver(name, factory) {
+  drivers.set(name, factory);
+}
+
+/**
+ * Get (or lazily create) a named collection using the configured driver
+ * @param {string} name - Collection name
+ * @returns {MemoryCollection} - Collection instance
+ */
+export function getCollection(name) {
+  if (!collections.has(name)) {
+    const factory = drivers.get(storageConfig.driver);
+    if (!factory) {
+      throw new Error(`Unknown storage driver: ${storageConfig.driver}`);
+    }
+    collections.set(name, factory(name));
+  }
+  return collections.get(name);
+}
+
+/**
+ * Write pending changes of every collection opened so far (before shutdown)
+ * @returns {Promise<void>}
+ */
+export async function flushAllCollections() {
+  for (const collection of collections.values()) {
+    await collection.flush?.();
+  }
+}
+
+/**
+ * Clear every collection opened so far (used by tests)
+ * @returns {Promise<void>}
+ */
+export async function clearAllCollections() {
+  for (const collection of collections.values()) {
+    await collection.clear();
+  }
+}
@@ -0,0 +1,261 @@
+import crypto from 'crypto';
+import { getCollection } from './storage.js';
+import { discoverRssFeed } from './rssDiscovery.js';
+import { validateUrl } from '../utils/urlValidator.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('services:subscriptions');
+
+/**
+ * Custom error class for subscription failures
+ */
+export class SubscriptionError extends Error {
+  constructor(message, code = 'SUBSCRIPTION_ERROR', statusCode = 400) {
+    super(message);
+    this.name = 'SubscriptionError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+const subscriptions = () => getCollection('subscriptions');
+
+/**
+ * Normalize a tag list: trimmed, lowercased, unique, non-empty
+ * @param {string[]} tags - Raw tags
+ * @returns {string[]} - Normalized tags
+ */
+export function normalizeTags(tags = []) {
+  return [...new Set(
+    tags
+      .map(tag => String(tag).trim().toLowerCase())
+      .filter(Boolean)
+  )];
+}
+
+/**
+ * URL that should be fetched for a subscription (resolved feed, else the original URL)
+ * @param {object} subscription - Subscription document
+ * @returns {string} - URL to fetch
+ */
+export function getSubscriptionFetchUrl(subscription) {
+  return subscription.feedUrl || subscription.url;
+}
+
+async function findByUrl(tenantId, url, excludeId = null) {
+  const matches = await subscriptions().list(sub =>
+    sub.tenantId === tenantId &&
+    sub.id !== excludeId &&
+    (sub.url === url || sub.feedUrl === url)
+  );
+  return matches[0] || null;
+}
+
+/**
+ * Validate a subscription whose feed URL is already known (e.g. OPML xmlUrl),
+ * skipping discovery
+ */
+function resolveKnownFeedUrl(url, feedUrl) {
+  const { url: parsedFeed } = validateUrl(feedUrl);
+  const { url: parsedSite } = validateUrl(url || feedUrl);
+  return { url: parsedSite.toString(), feedUrl: parsedFeed.toString() };
+}
+
+async function resolveFeedUrl(url) {
+  const { url: parsed } = validateUrl(url);
+  const normalizedUrl = parsed.toString();
+  const feedUrl = await discoverRssFeed(normalizedUrl);
+
+  if (!feedUrl) {
+    logger.info('No feed discovered for subscription URL; storing site URL', { url: normalizedUrl });
+  }
+
+  return { url: normalizedUrl, feedUrl: feedUrl || null };
+}
+
+/**
+ * List subscriptions for a tenant
+ * @param {string} tenantId - Tenant identifier
+ * @param {object} filters - Optional filters
+ * @param {string} filters.tag - Only subscriptions carrying this tag
+ * @param {boolean} filters.enabled - Only enabled/disabled subscriptions
+ * @returns {Promise<object[]>} - Subscriptions ordered by creation time
+ */
+export async function listSubscriptions(tenantId, filters = {}) {
+  const tag = filters.tag ? filters.tag.trim().toLowerCase() : null;
+
+  const list = await subscriptions().list(sub =>
+    sub.tenantId === tenantId &&
+    (tag === null || sub.tags.includes(tag)) &&
+    (filters.enabled === undefined || sub.enabled === filters.enabled)
+  );
+
+  return list.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * List enabled subscriptions across all tenants (used by the scheduler)
+ * @returns {Promise<object[]>} - Enabled subscriptions
+ */
+export async function listAllEnabledSubscriptions() {
+  return subscriptions().list(sub => sub.enabled);
+}
+
+/**
+ * Get a single subscription
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} id - Subscription id
+ * @returns {Promise<object|null>} - Subscription or null if not found for this tenant
+ */
+export async function getSubscription(tenantId, id) {
+  const sub = await subscriptions().get(id);
+  return sub && sub.tenantId === tenantId ? sub : null;
+}
+
+/**
+ * Create a subscription, resolving the feed URL through discovery
+ * unless data.feedUrl is already known
+ * @param {string} tenantId - Tenant identifier
+ * @param {object} data - { url, feedUrl?, title?, tags?, enabled?, pollIntervalSec? }
+ * @returns {Promise<object>} - Created subscription
+ * @throws {UrlValidationError|SubscriptionError}
+ */
+export async function createSubscription(tenantId, data) {
+  const { url, feedUrl } = data.feedUrl
+    ? resolveKnownFeedUrl(data.url, data.feedUrl)
+    : await resolveFeedUrl(data.url);
+
+  const existing = await findByUrl(tenantId, feedUrl || url);
+  if (existing) {
+    throw new SubscriptionError(
+      `Already subscribed to ${feedUrl || url}`,
+      'DUPLICATE_SUBSCRIPTION',
+      409
+    );
+  }
+
+  const now = new Date().toISOString();
+  const subscription = {
+    id: crypto.randomUUID(),
+    tenantId,
+    url,
+    feedUrl,
+    title: data.title?.trim() || new URL(url).hostname,
+    tags: normalizeTags(data.tags),
+    enabled: data.enabled ?? true,
+    pollIntervalSec: data.pollIntervalSec ?? null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await subscriptions().put(subscription.id, subscription);
+  logger.info('Subscription created', { tenantId, id: subscription.id, feedUrl });
+
+  return subscription;
+}
+
+/**
+ * Update a subscription. Changing the URL re-runs feed discovery.
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} id - Subscription id
+ * @param {object} patch - { url?, title?, tags?, enabled?, pollIntervalSec? }
+ * @returns {Promise<object|null>} - Updated subscription or null if not found
+ */
+export async function updateSubscription(tenantId, id, patch) {
+  const current = await getSubscription(tenantId, id);
+  if (!current) return null;
+
+  const updated = { ...current };
+
+  if (patch.url !== undefined && patch.url !== current.url) {
+    const { url, feedUrl } = await resolveFeedUrl(patch.url);
+    const existing = await findByUrl(tenantId, feedUrl || url, id);
+    if (existing) {
+      throw new SubscriptionError(
+        `Already subscribed to ${feedUrl || url}`,
+        'DUPLICATE_SUBSCRIPTION',
+        409
+      );
+    }
+    updated.url = url;
+    updated.feedUrl = feedUrl;
+  }
+
+  if (patch.title !== undefined) updated.title = patch.title.trim() || current.title;
+  if (patch.tags !== undefined) updated.tags = normalizeTags(patch.tags);
+  if (patch.enabled !== undefined) updated.enabled = patch.enabled;
+  if (patch.pollIntervalSec !== undefined) updated.pollIntervalSec = patch.pollIntervalSec;
+
+  updated.updatedAt = new Date().toISOString();
+
+  return subscriptions().put(id, updated);
+}
+
+/**
+ * Point a subscription at the URL its feed permanently moved to, without re-running discovery.
+ * Subscriptions with a resolved feed get a new feedUrl; the others a new url.
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} id - Subscription id
+ * @param {string} newUrl - Target of the permanent redirect
+ * @returns {Promise<object|null>} - Updated subscription or null if not found
+ * @throws {UrlValidationError|SubscriptionError}
+ */
+export async function moveSubscription(tenantId, id, newUrl) {
+  const current = await getSubscription(tenantId, id);
+  if (!current) return null;
+
+  const { url: parsed } = validateUrl(newUrl);
+  const target = parsed.toString();
+
+  const existing = await findByUrl(tenantId, target, id);
+  if (existing) {
+    throw new SubscriptionError(`Already subscribed to ${target}`, 'DUPLICATE_SUBSCRIPTION', 409);
+  }
+
+  const updated = {
+    ...current,
+    ...(current.feedUrl ? { feedUrl: target } : { url: target }),
+    updatedAt: new Date().toISOString()
+  };
+
+  logger.info('Subscription moved', { tenantId, id, from: getSubscriptionFetchUrl(current), to: target });
+  return subscriptions().put(id, updated);
+}
+
+/**
+ * Delete a subscription
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} id - Subscription id
+ * @returns {Promise<boolean>} - True if deleted
+ */
+export async function deleteSubscription(tenantId, id) {
+  const current = await getSubscription(tenantId, id);
+  if (!current) return false;
+  return subscriptions().delete(id);
+}
+
+/**
+ * Resolve enabled subscriptions by id and/or tag
+ * @param {string} tenantId - Tenant identifier
+ * @param {object} selector - { subscriptionIds?: string[], tags?: string[] }
+ * @returns {Promise<object[]>} - Matching enabled subscriptions (deduplicated)
+ * @throws {SubscriptionError} - If a requested id does not exist for the tenant
+ */
+export async function resolveSubscriptions(tenantId, { subscriptionIds = [], tags = [] } = {}) {
+  const selected = new Map();
+
+  for (const id of subscriptionIds) {
+    const sub = await getSubscription(tenantId, id);
+    if (!sub) {
+      throw new SubscriptionError(`Subscription not found: ${id}`, 'SUBSCRIPTION_NOT_FOUND', 404);
+    }
+    if (sub.enabled) selected.set(sub.id, sub);
+  }
+
+  for (const tag of normalizeTags(tags)) {
+    const tagged = await listSubscriptions(tenantId, { tag, enabled: true });
+    for (const sub of tagged) selected.set(sub.id, sub);
+  }
+
+  return [...selected.values()];
+}
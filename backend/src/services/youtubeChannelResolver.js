@@ -1,14 +1,17 @@
-import axios from 'axios';
+import { httpGet } from '../utils/httpClient.js';
 import { createLogger } from '../utils/logger.js';
-import { timeouts } from '../config/index.js';
+import { getCache } from './cache.js';
+import { cache, timeouts } from '../config/index.js';
 
 const logger = createLogger('services:youtubeChannelResolver');
 
+// Resolved channel (or null when nothing matched) by lower-cased channel name; failed lookups are not cached
+const channelCache = getCache('youtube', { ttl: cache.youtubeTtl });
+
 const YOUTUBE_API_URL = 'https://www.googleapis.com/youtube/v3/search';
 const YOUTUBE_SEARCH_URL = 'https://www.youtube.com/results';
 const YOUTUBE_FEED_BASE = 'https://www.youtube.com/feeds/videos.xml?channel_id=';
 const YOUTUBE_CHANNEL_BASE = 'https://www.youtube.com/channel/';
-const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
 
 function buildResult(inputName, data = {}) {
   const channelId = data.channelId || null;
@@ -75,7 +78,7 @@ export async function searchViaYouTubeApi(channelName) {
     return null;
   }
 
-  const response = await axios.get(YOUTUBE_API_URL, {
+  const response = await httpGet(YOUTUBE_API_URL, {
     params: {
       part: 'snippet',
       type: 'channel',
@@ -101,13 +104,12 @@ export async function searchViaYouTubeApi(channelName) {
 }
 
 export async function searchViaWebFallback(channelName) {
-  const response = await axios.get(YOUTUBE_SEARCH_URL, {
+  const response = await httpGet(YOUTUBE_SEARCH_URL, {
     params: {
       search_query: channelName,
       sp: 'EgIQAg%3D%3D',
     },
     headers: {
-      'User-Agent': USER_AGENT,
       'Accept-Language': 'en-US,en;q=0.9',
     },
     timeout: timeouts.rssDiscovery || 10000,
@@ -129,8 +131,15 @@ export async function resolveChannels(channelNames) {
 
   for (const rawName of channelNames) {
     const inputName = rawName.trim();
+    const cacheKey = inputName.toLowerCase();
 
     try {
+      const cached = await channelCache.get(cacheKey);
+      if (cached) {
+        results.push(buildResult(inputName, cached.resolved || { source: 'none' }));
+        continue;
+      }
+
       let resolved = null;
       let apiError = null;
 
@@ -154,6 +163,11 @@ export async function resolveChannels(channelNames) {
         }
       }
 
+      // A miss is only trusted when the API was not the part that failed
+      if (resolved || !apiError) {
+        await channelCache.set(cacheKey, { resolved });
+      }
+
       if (!resolved) {
         results.push(buildResult(inputName, { source: 'none' }));
         continue;
@@ -0,0 +1,339 @@
+import * as cheerio from 'cheerio';
+import { validateUrl } from './urlValidator.js';
+import { httpGet } from './httpClient.js';
+import { mapWithConcurrency } from './concurrency.js';
+import { createLogger } from './logger.js';
+import { getCache } from '../services/cache.js';
+import { timeouts, fullText as fullTextConfig } from '../config/index.js';
+
+const logger = createLogger('utils:articleExtractor');
+
+// Extracted articles by URL
+const articleCache = getCache('articles', { ttl: fullTextConfig.cacheTtl });
+
+// Domains that refused extraction, by hostname, so a paywalled site is not hit for every item
+const blockedDomains = getCache('blockedDomains', { ttl: fullTextConfig.blockedDomainTtl });
+
+const BLOCKING_STATUSES = new Set([401, 403, 429]);
+
+// Never part of an article body
+const REMOVE_SELECTORS = [
+  'script', 'style', 'noscript', 'iframe', 'form', 'nav', 'header', 'footer', 'aside',
+  'svg', 'button', 'input', 'select', 'textarea', 'template',
+  '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="complementary"]',
+  '[aria-hidden="true"]'
+].join(', ');
+
+// Words in class / id tokens of share bars, comment threads, promos and the like
+const BOILERPLATE_WORDS = /^(comments?|share|sharing|social|related|sidebar|footer|nav|navbar|menu|promo|advert|ads?|sponsored|subscribe|newsletter|cookie|popup|modal|breadcrumbs?|byline|bio)$/i;
+
+// Words that may follow a boilerplate word in the same token (share-buttons, related-posts)
+const CONTAINER_WORDS = /^(area|bar|block|box|buttons?|container|icons?|links?|list|module|posts?|articles?|stories|section|thread|widget|wrap|wrapper)$/i;
+
+// Leading words of tokens that describe a state or layout, not the element (has-sidebar)
+const MODIFIER_WORDS = /^(has|with|without|no|is|show|hide|enable|disable)$/i;
+
+// Paragraph text above which an element is treated as the story when no container was found
+const STORY_TEXT_LENGTH = 1000;
+
+// Common article containers, most specific first
+const ARTICLE_SELECTORS = [
+  '[itemprop="articleBody"]',
+  'article',
+  '.entry-content',
+  '.post-content',
+  '.article-body',
+  '.article-content',
+  '.story-body',
+  'main',
+  '[role="main"]'
+];
+
+const MIN_ARTICLE_LENGTH = 250;
+
+const ALLOWED_TAGS = new Set([
+  'p', 'br', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'blockquote', 'pre', 'code',
+  'em', 'strong', 'b', 'i', 'a', 'img', 'figure', 'figcaption', 'table', 'thead', 'tbody', 'tr', 'th', 'td'
+]);
+
+const ALLOWED_ATTRIBUTES = {
+  a: ['href'],
+  img: ['src', 'alt']
+};
+
+const BLOCK_TAGS = 'p, h1, h2, h3, h4, h5, h6, li, blockquote, pre, tr, figcaption';
+
+/**
+ * Custom error class for article extraction failures
+ */
+export class ArticleExtractionError extends Error {
+  constructor(message, code = 'EXTRACTION_FAILED') {
+    super(message);
+    this.name = 'ArticleExtractionError';
+    this.code = code;
+  }
+}
+
+/**
+ * Whether a class / id token names the element itself as boilerplate:
+ * share-buttons and site-footer do, share-enabled and has-sidebar do not
+ */
+function isBoilerplateToken(token) {
+  const words = token.split(/[_-]+/).filter(Boolean);
+  if (words.length === 0 || MODIFIER_WORDS.test(words[0])) return false;
+
+  return words.some((word, index) =>
+    BOILERPLATE_WORDS.test(word) && words.slice(index + 1).every(rest => CONTAINER_WORDS.test(rest))
+  );
+}
+
+function paragraphTextLength($, $el) {
+  return $el.find('p').toArray().reduce((total, p) => total + $(p).text().trim().length, 0);
+}
+
+function removeBoilerplate($) {
+  $(REMOVE_SELECTORS).remove();
+
+  // Layout wrappers around the story often carry boilerplate-looking tokens of their own
+  const root = findContainerRoot($)?.get(0);
+  const holdsStory = (el, $el) => root
+    ? el === root || $.contains(el, root)
+    : paragraphTextLength($, $el) >= STORY_TEXT_LENGTH;
+
+  $('*').not('html, body').each((_, el) => {
+    const $el = $(el);
+    const tokens = `${$el.attr('class') || ''} ${$el.attr('id') || ''}`.split(/\s+/);
+    if (tokens.some(isBoilerplateToken) && !holdsStory(el, $el)) {
+      $el.remove();
+    }
+  });
+}
+
+function linkDensity($, $el) {
+  const textLength = $el.text().trim().length;
+  if (textLength === 0) return 1;
+  return $el.find('a').text().trim().length / textLength;
+}
+
+/**
+ * Pick the element whose paragraphs carry the most text (readability-style scoring)
+ */
+function scoreCandidates($) {
+  const scores = new Map();
+
+  $('p, pre, td').each((_, el) => {
+    const text = $(el).text().trim();
+    if (text.length < 25) return;
+
+    const score = 1 + text.split(',').length + Math.min(Math.floor(text.length / 100), 3);
+    const parent = el.parent;
+    const grandParent = parent?.parent;
+    if (parent) scores.set(parent, (scores.get(parent) || 0) + score);
+    if (grandParent) scores.set(grandParent, (scores.get(grandParent) || 0) + score / 2);
+  });
+
+  let best = null;
+  let bestScore = 0;
+  for (const [el, score] of scores) {
+    const adjusted = score * (1 - linkDensity($, $(el)));
+    if (adjusted > bestScore) {
+      best = el;
+      bestScore = adjusted;
+    }
+  }
+
+  return best ? $(best) : null;
+}
+
+function findContainerRoot($) {
+  for (const selector of ARTICLE_SELECTORS) {
+    // Listing pages have many <article>s; the longest one is the story
+    const candidates = $(selector).toArray()
+      .map(el => $(el))
+      .filter($el => $el.text().trim().length >= MIN_ARTICLE_LENGTH)
+      .sort((a, b) => b.text().trim().length - a.text().trim().length);
+    if (candidates.length > 0) return candidates[0];
+  }
+
+  return null;
+}
+
+function findArticleRoot($) {
+  return findContainerRoot($) || scoreCandidates($) || $('body');
+}
+
+function resolveUrl(value, baseUrl) {
+  try {
+    return new URL(value, baseUrl).toString();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Reduce the article element to a small set of content tags with absolute links
+ */
+function sanitize($, $root, baseUrl) {
+  // Deepest elements first so unwrapping never detaches a node still to be visited
+  for (const el of $root.find('*').toArray().reverse()) {
+    const $el = $(el);
+    const tag = el.tagName?.toLowerCase();
+
+    if (!ALLOWED_TAGS.has(tag)) {
+      $el.replaceWith($el.contents());
+      continue;
+    }
+
+    const allowed = ALLOWED_ATTRIBUTES[tag] || [];
+    for (const name of Object.keys(el.attribs || {})) {
+      if (!allowed.includes(name)) $el.removeAttr(name);
+    }
+
+    for (const name of ['href', 'src']) {
+      const value = $el.attr(name);
+      if (value === undefined) continue;
+      const resolved = resolveUrl(value, baseUrl);
+      if (resolved && /^https?:/.test(resolved)) {
+        $el.attr(name, resolved);
+      } else {
+        $el.removeAttr(name);
+      }
+    }
+
+    if (tag === 'img' && !$el.attr('src')) {
+      $el.remove();
+    } else if (tag !== 'img' && tag !== 'br' && !$el.text().trim() && $el.find('img').length === 0) {
+      $el.remove();
+    }
+  }
+
+  return ($root.html() || '').replace(/\s*\n\s*/g, '\n').trim();
+}
+
+function htmlToText(html) {
+  const $ = cheerio.load(html, null, false);
+  $('br').replaceWith('\n');
+  $(BLOCK_TAGS).after('\n\n');
+
+  return $.root().text()
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Extract the main article from an HTML page
+ * @param {string} html - Page HTML
+ * @param {string} url - Page URL (for resolving relative links)
+ * @returns {object|null} - { title, text, html, length } or null if no body text was found
+ */
+export function extractArticle(html, url) {
+  const $ = cheerio.load(html);
+
+  const title = $('meta[property="og:title"]').attr('content') ||
+                $('h1').first().text().trim() ||
+                $('title').text().trim() ||
+                null;
+
+  removeBoilerplate($);
+  const $root = findArticleRoot($);
+  const articleHtml = sanitize($, $root, url);
+  const text = htmlToText(articleHtml);
+
+  if (!text) return null;
+
+  return {
+    title,
+    text,
+    html: articleHtml,
+    length: text.length
+  };
+}
+
+/**
+ * Fetch a page and extract its main article (cached per URL)
+ * @param {string} url - Article URL
+ * @returns {Promise<object>} - { title, text, html, length, extractedAt }
+ * @throws {UrlValidationError|ArticleExtractionError}
+ */
+export async function fetchArticle(url) {
+  const { url: parsed } = validateUrl(url);
+  const articleUrl = parsed.toString();
+
+  const cached = await articleCache.get(articleUrl);
+  if (cached) return cached;
+
+  const blockedStatus = await blockedDomains.get(parsed.hostname);
+  if (blockedStatus) {
+    throw new ArticleExtractionError(
+      `${parsed.hostname} refused extraction (HTTP ${blockedStatus})`,
+      'DOMAIN_BLOCKED'
+    );
+  }
+
+  let response;
+  try {
+    response = await httpGet(articleUrl, {
+      headers: { 'Accept': 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8' },
+      responseType: 'text',
+      timeout: timeouts.scraper
+    });
+  } catch (error) {
+    const status = error.response?.status;
+    if (BLOCKING_STATUSES.has(status)) {
+      await blockedDomains.set(parsed.hostname, status);
+      logger.warn('Domain refused article extraction', { hostname: parsed.hostname, status });
+    }
+    throw new ArticleExtractionError(`Failed to fetch article: ${error.message}`, 'FETCH_FAILED');
+  }
+
+  const contentType = response.headers?.['content-type'] || '';
+  if (contentType && !contentType.includes('html')) {
+    throw new ArticleExtractionError(`Not an HTML page (${contentType})`, 'NOT_HTML');
+  }
+
+  const article = extractArticle(String(response.data || ''), articleUrl);
+  if (!article) {
+    throw new ArticleExtractionError('No article content found', 'NO_CONTENT');
+  }
+
+  const result = { ...article, extractedAt: new Date().toISOString() };
+  await articleCache.set(articleUrl, result);
+  return result;
+}
+
+/**
+ * Add extracted full text to feed items (rssFetcher `link` or feedprocess `url`).
+ * Items keep their original content; failures are reported per item.
+ * Only the first FULLTEXT_MAX_ITEMS items are extracted.
+ * @param {object[]} items - Feed items
+ * @returns {Promise<object[]>} - Items with fullText ({ title, text, html, length, extractedAt } or null)
+ */
+export async function addFullText(items) {
+  const targets = items.slice(0, fullTextConfig.maxItems);
+
+  const enriched = await mapWithConcurrency(targets, fullTextConfig.concurrency, async (item) => {
+    const link = item.link || item.url;
+    if (!link) return { ...item, fullText: null, fullTextError: 'Item has no link' };
+
+    try {
+      return { ...item, fullText: await fetchArticle(link) };
+    } catch (error) {
+      logger.debug('Full text extraction failed', { link, error: error.message });
+      return { ...item, fullText: null, fullTextError: error.message };
+    }
+  });
+
+  return [...enriched, ...items.slice(targets.length)];
+}
+
+/**
+ * Clear extracted articles and blocked domains (used by tests)
+ * @returns {Promise<void>}
+ */
+export async function clearArticleCache() {
+  await articleCache.clear();
+  await blockedDomains.clear();
+}
@@ -0,0 +1,22 @@
+/**
+ * Map over items with at most `limit` calls of `fn` in flight
+ * @param {Array} items - Input items
+ * @param {number} limit - Maximum concurrent calls (at least 1)
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} - Results in input order
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
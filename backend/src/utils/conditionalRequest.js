@@ -0,0 +1,145 @@
+/**
+ * HTTP conditional request support (ETag / Last-Modified).
+ * Each fetcher keeps its own store of validators plus the last payload it derived
+ * from the full response, so a 304 can be answered without re-downloading.
+ */
+
+const DEFAULT_MAX_ENTRIES = 1000;
+
+// Every store created, by name, for aggregated statistics
+const stores = new Map();
+
+/**
+ * Accept 304 responses instead of letting axios reject them
+ * @param {number} status - HTTP status
+ * @returns {boolean}
+ */
+export function acceptNotModified(status) {
+  return (status >= 200 && status < 300) || status === 304;
+}
+
+export class ConditionalStore {
+  /**
+   * @param {string} name - Store name used in statistics
+   * @param {object} options
+   * @param {number} options.maxEntries - Oldest entries are evicted beyond this size
+   */
+  constructor(name, { maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    this.name = name;
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.requests = 0;
+    this.conditionalRequests = 0;
+    this.notModified = 0;
+  }
+
+  /**
+   * Conditional headers for the next request to url (empty if nothing is stored)
+   * @param {string} url - Request URL
+   * @returns {object} - If-None-Match / If-Modified-Since headers
+   */
+  headersFor(url) {
+    this.requests += 1;
+    const entry = this.entries.get(url);
+    if (!entry) return {};
+
+    this.conditionalRequests += 1;
+    const headers = {};
+    if (entry.etag) headers['If-None-Match'] = entry.etag;
+    if (entry.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+    return headers;
+  }
+
+  /**
+   * Payload stored for url if the response was a 304, otherwise undefined
+   * @param {string} url - Request URL
+   * @param {object} response - Axios response
+   * @returns {*} - Stored payload, or undefined if the response carries a new body
+   */
+  notModifiedPayload(url, response) {
+    if (response?.status !== 304) return undefined;
+
+    const entry = this.entries.get(url);
+    if (!entry) return undefined;
+
+    this.notModified += 1;
+    // Re-insert so eviction order follows the last use
+    this.entries.delete(url);
+    this.entries.set(url, entry);
+    return entry.payload;
+  }
+
+  /**
+   * Remember the validators of a full response along with the payload derived from it
+   * @param {string} url - Request URL
+   * @param {object} response - Axios response
+   * @param {*} payload - Value to return on a later 304
+   */
+  store(url, response, payload) {
+    const headers = response?.headers || {};
+    const etag = headers.etag || null;
+    const lastModified = headers['last-modified'] || null;
+
+    this.entries.delete(url);
+    if (!etag && !lastModified) return;
+
+    this.entries.set(url, { etag, lastModified, payload });
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Forget validators for a URL, or all URLs
+   * @param {string} [url] - URL to forget
+   */
+  clear(url) {
+    if (url === undefined) {
+      this.entries.clear();
+    } else {
+      this.entries.delete(url);
+    }
+  }
+
+  stats() {
+    return {
+      entries: this.entries.size,
+      requests: this.requests,
+      conditionalRequests: this.conditionalRequests,
+      notModified: this.notModified,
+      notModifiedRate: this.requests > 0
+        ? (this.notModified / this.requests * 100).toFixed(2) + '%'
+        : '0%'
+    };
+  }
+}
+
+/**
+ * Get (or create) a named conditional store
+ * @param {string} name - Store name
+ * @param {object} options - ConditionalStore options
+ * @returns {ConditionalStore}
+ */
+export function getConditionalStore(name, options) {
+  if (!stores.has(name)) {
+    stores.set(name, new ConditionalStore(name, options));
+  }
+  return stores.get(name);
+}
+
+/**
+ * Statistics of every conditional store
+ * @returns {object} - { [name]: stats }
+ */
+export function getConditionalStats() {
+  return Object.fromEntries([...stores].map(([name, store]) => [name, store.stats()]));
+}
+
+/**
+ * Forget the validators of every conditional store, so the next request of each URL is a full fetch
+ */
+export function clearConditionalStores() {
+  for (const store of stores.values()) {
+    store.clear();
+  }
+}
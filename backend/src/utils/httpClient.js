@@ -0,0 +1,248 @@
+/**
+ * Shared outbound HTTP client.
+ * Every request gets the configured User-Agent, a response size cap, SSRF-guarded agents,
+ * per-host concurrency limits and spacing, exponential retry on 5xx / timeouts, and metrics.
+ */
+import axios from 'axios';
+import { guardedRequestOptions } from './ssrfGuard.js';
+import { createLogger } from './logger.js';
+import { httpClient as httpConfig } from '../config/index.js';
+
+const logger = createLogger('utils:httpClient');
+
+const RETRYABLE_ERROR_CODES = new Set(['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'EAI_AGAIN', 'EPIPE']);
+
+// Per-host metrics are kept for this many hosts, least recently used dropped first
+const MAX_TRACKED_HOSTS = 500;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Limits concurrent requests per host and spaces their start times
+ */
+class HostLimiter {
+  constructor() {
+    this.hosts = new Map();
+  }
+
+  state(host) {
+    if (!this.hosts.has(host)) {
+      this.hosts.set(host, { active: 0, waiters: [], nextStartAt: 0 });
+    }
+    return this.hosts.get(host);
+  }
+
+  async run(host, fn, delayMs) {
+    const state = this.state(host);
+    while (state.active >= httpConfig.maxPerHost) {
+      await new Promise(resolve => state.waiters.push(resolve));
+    }
+
+    state.active += 1;
+    try {
+      const now = Date.now();
+      const wait = state.nextStartAt - now;
+      state.nextStartAt = Math.max(now, state.nextStartAt) + delayMs;
+      if (wait > 0) await sleep(wait);
+      return await fn();
+    } finally {
+      state.active -= 1;
+      const next = state.waiters.shift();
+      if (next) {
+        next();
+      } else if (state.active === 0 && state.nextStartAt <= Date.now()) {
+        this.hosts.delete(host);
+      }
+    }
+  }
+}
+
+const limiter = new HostLimiter();
+
+function emptyMetrics() {
+  return { requests: 0, succeeded: 0, failed: 0, retries: 0, totalDurationMs: 0, statuses: {} };
+}
+
+let totals = emptyMetrics();
+const hostMetrics = new Map();
+
+function metricsFor(host) {
+  let metrics = hostMetrics.get(host);
+  if (metrics) {
+    // Re-insert so eviction order follows the last use
+    hostMetrics.delete(host);
+  } else {
+    metrics = emptyMetrics();
+  }
+  hostMetrics.set(host, metrics);
+  if (hostMetrics.size > MAX_TRACKED_HOSTS) {
+    hostMetrics.delete(hostMetrics.keys().next().value);
+  }
+  return metrics;
+}
+
+function record(host, field, { status, durationMs } = {}) {
+  for (const metrics of [totals, metricsFor(host)]) {
+    metrics[field] += 1;
+    if (durationMs !== undefined) metrics.totalDurationMs += durationMs;
+    if (status) metrics.statuses[status] = (metrics.statuses[status] || 0) + 1;
+  }
+}
+
+function summarize(metrics) {
+  const finished = metrics.succeeded + metrics.failed;
+  return {
+    requests: metrics.requests,
+    succeeded: metrics.succeeded,
+    failed: metrics.failed,
+    retries: metrics.retries,
+    avgDurationMs: finished > 0 ? Math.round(metrics.totalDurationMs / finished) : 0,
+    statuses: { ...metrics.statuses }
+  };
+}
+
+/**
+ * Whether a failed attempt is worth retrying: 5xx responses, timeouts and dropped connections
+ * @param {Error} error - Axios error
+ * @returns {boolean}
+ */
+export function isRetryableError(error) {
+  const status = error.response?.status;
+  if (status) return status >= 500;
+  return RETRYABLE_ERROR_CODES.has(error.code);
+}
+
+/**
+ * Backoff before retry attempt n (1-based): base * 2^(n-1), plus up to 50% jitter
+ * @param {number} attempt - Retry attempt number
+ * @returns {number} - Delay in milliseconds
+ */
+export function retryDelayMs(attempt) {
+  const base = httpConfig.retryBaseDelayMs * 2 ** (attempt - 1);
+  return Math.round(base + Math.random() * base * 0.5);
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return 'invalid';
+  }
+}
+
+/**
+ * Send a request through the shared client
+ * @param {string} method - get, head or post
+ * @param {string} url - Request URL
+ * @param {object} options - axios config plus:
+ * @param {number} options.retries - Retries after the first attempt (default HTTP_RETRIES)
+ * @param {number} options.maxBytes - Response size cap (default HTTP_MAX_RESPONSE_BYTES)
+ * @param {boolean} options.ssrfGuard - Use SSRF-guarded agents (default true; off for configured internal endpoints)
+ * @param {number} options.hostDelayMs - Minimum spacing after this request to the same host, if longer than HTTP_HOST_DELAY_MS (e.g. a robots.txt Crawl-delay)
+ * @param {*} options.data - Request body (post)
+ * @returns {Promise<object>} - Axios response, with `redirects` ([{ status, url }] of each hop followed)
+ * @throws {Error} - The last axios error once retries are exhausted
+ */
+export async function request(method, url, options = {}) {
+  const {
+    retries = httpConfig.retries,
+    maxBytes = httpConfig.maxResponseBytes,
+    ssrfGuard = true,
+    hostDelayMs = 0,
+    data,
+    headers,
+    ...axiosOptions
+  } = options;
+
+  const host = hostOf(url);
+  const delayMs = Math.max(httpConfig.hostDelayMs, hostDelayMs);
+  const config = {
+    ...(ssrfGuard ? guardedRequestOptions : {}),
+    maxContentLength: maxBytes,
+    ...axiosOptions,
+    headers: { 'User-Agent': httpConfig.userAgent, ...headers }
+  };
+
+  for (let attempt = 0; ; attempt += 1) {
+    const startedAt = Date.now();
+    const redirects = [];
+    const attemptConfig = {
+      ...config,
+      beforeRedirect: (redirectOptions, responseDetails) => {
+        config.beforeRedirect?.(redirectOptions, responseDetails);
+        redirects.push({ status: responseDetails?.statusCode ?? null, url: redirectOptions.href });
+      }
+    };
+    record(host, 'requests');
+
+    try {
+      const response = await limiter.run(host, () => (
+        method === 'post' ? axios.post(url, data, attemptConfig) : axios[method](url, attemptConfig)
+      ), delayMs);
+      record(host, 'succeeded', { status: response?.status, durationMs: Date.now() - startedAt });
+      if (response) response.redirects = redirects;
+      return response;
+    } catch (error) {
+      record(host, 'failed', { status: error.response?.status, durationMs: Date.now() - startedAt });
+
+      if (attempt >= retries || !isRetryableError(error)) {
+        throw error;
+      }
+
+      const delayMs = retryDelayMs(attempt + 1);
+      record(host, 'retries');
+      logger.debug('Retrying request', { method, url, attempt: attempt + 1, delayMs, error: error.message });
+      await sleep(delayMs);
+    }
+  }
+}
+
+/**
+ * GET a URL through the shared client
+ * @param {string} url - Request URL
+ * @param {object} options - See request()
+ * @returns {Promise<object>} - Axios response
+ */
+export function httpGet(url, options) {
+  return request('get', url, options);
+}
+
+/**
+ * HEAD a URL through the shared client
+ * @param {string} url - Request URL
+ * @param {object} options - See request()
+ * @returns {Promise<object>} - Axios response
+ */
+export function httpHead(url, options) {
+  return request('head', url, options);
+}
+
+/**
+ * POST a body through the shared client
+ * @param {string} url - Request URL
+ * @param {*} data - Request body
+ * @param {object} options - See request()
+ * @returns {Promise<object>} - Axios response
+ */
+export function httpPost(url, data, options) {
+  return request('post', url, { ...options, data });
+}
+
+/**
+ * Request metrics since start (or the last reset)
+ * @returns {object} - { totals, hosts: { [host]: metrics } }
+ */
+export function getHttpMetrics() {
+  return {
+    totals: summarize(totals),
+    hosts: Object.fromEntries([...hostMetrics].map(([host, metrics]) => [host, summarize(metrics)]))
+  };
+}
+
+/**
+ * Reset request metrics (used by tests)
+ */
+export function resetHttpMetrics() {
+  totals = emptyMetrics();
+  hostMetrics.clear();
+}
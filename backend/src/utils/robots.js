@@ -0,0 +1,248 @@
+/**
+ * robots.txt compliance (RFC 9309) for scraping pages and probing for feeds.
+ * Feeds themselves are published for automated readers and are fetched without a robots check.
+ */
+import { httpGet } from './httpClient.js';
+import { createLogger } from './logger.js';
+import { getCache } from '../services/cache.js';
+import { robots as robotsConfig, httpClient as httpConfig, timeouts } from '../config/index.js';
+
+const logger = createLogger('utils:robots');
+
+// Parsed policy by origin
+const robotsCache = getCache('robots', { ttl: robotsConfig.cacheTtl });
+
+// Lookups in flight by origin, so parallel requests to one site fetch robots.txt once
+const pending = new Map();
+
+// Crawlers may ignore anything past 500 KiB (RFC 9309 section 2.5)
+const MAX_ROBOTS_BYTES = 500 * 1024;
+
+const ALLOW_ALL = { rules: [], crawlDelaySec: 0, sitemaps: [] };
+const DISALLOW_ALL = { rules: [{ allow: false, path: '/' }], crawlDelaySec: 0, sitemaps: [] };
+
+/**
+ * Custom error class for URLs that robots.txt does not let us fetch
+ */
+export class RobotsDisallowedError extends Error {
+  constructor(message, code = 'ROBOTS_DISALLOWED') {
+    super(message);
+    this.name = 'RobotsDisallowedError';
+    this.code = code;
+  }
+}
+
+/**
+ * Product token we match User-agent lines against: "Genie-RSS/1.0 (+https://...)" -> "genie-rss"
+ * @returns {string}
+ */
+export function robotsAgent() {
+  return httpConfig.userAgent.split(/[/\s]/)[0].toLowerCase();
+}
+
+/**
+ * Parse robots.txt into the rules of the groups that apply to an agent.
+ * Groups naming the agent win over "*"; several matching groups are merged.
+ * Sitemap lines apply to every agent, wherever they appear.
+ * @param {string} text - robots.txt body
+ * @param {string} agent - Lower-case product token
+ * @returns {object} - { rules: [{ allow, path }], crawlDelaySec, sitemaps }
+ */
+export function parseRobots(text, agent = robotsAgent()) {
+  const groups = [];
+  const sitemaps = [];
+  let group = null;
+
+  for (const rawLine of String(text).split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'sitemap') {
+      if (value) sitemaps.push(value);
+    } else if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!group || group.rules.length > 0 || group.crawlDelaySec !== undefined) {
+        group = { agents: [], rules: [], crawlDelaySec: undefined };
+        groups.push(group);
+      }
+      group.agents.push(value.toLowerCase());
+    } else if (!group) {
+      continue;
+    } else if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow allows everything and adds no rule
+      if (value) group.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay') {
+      const seconds = Number.parseFloat(value);
+      if (Number.isFinite(seconds) && seconds >= 0) group.crawlDelaySec = seconds;
+    }
+  }
+
+  let matching = groups.filter(({ agents }) => agents.includes(agent));
+  if (matching.length === 0) {
+    matching = groups.filter(({ agents }) => agents.includes('*'));
+  }
+
+  return {
+    rules: matching.flatMap(({ rules }) => rules),
+    crawlDelaySec: Math.max(0, ...matching.map(({ crawlDelaySec }) => crawlDelaySec || 0)),
+    sitemaps
+  };
+}
+
+function ruleMatches(pattern, path) {
+  const anchored = pattern.endsWith('$');
+  const source = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}${anchored ? '$' : ''}`).test(path);
+}
+
+/**
+ * Whether a policy allows a path: the longest matching rule wins, Allow wins ties
+ * @param {object} policy - Result of parseRobots
+ * @param {string} path - Path and query of the URL
+ * @returns {boolean}
+ */
+export function isPathAllowed(policy, path) {
+  let best = null;
+  for (const rule of policy.rules) {
+    if (!ruleMatches(rule.path, path)) continue;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  }
+  return best ? best.allow : true;
+}
+
+/**
+ * The first MAX_ROBOTS_BYTES of a robots.txt body, cut back to the last complete line.
+ * Larger files are parsed up to the cap rather than rejected, so a huge file cannot opt a site out of its rules.
+ * @param {import('stream').Readable|string|Buffer} data - Response body (a stream unless a test mocks it)
+ * @returns {Promise<string>}
+ */
+async function readRobotsBody(data) {
+  let body;
+  if (typeof data === 'string' || Buffer.isBuffer(data)) {
+    body = Buffer.from(data);
+  } else {
+    const chunks = [];
+    let size = 0;
+    // Leaving the loop early destroys the stream, so the rest of the file is never downloaded
+    for await (const chunk of data) {
+      chunks.push(Buffer.from(chunk));
+      size += chunks[chunks.length - 1].length;
+      if (size > MAX_ROBOTS_BYTES) break;
+    }
+    body = Buffer.concat(chunks);
+  }
+
+  if (body.length <= MAX_ROBOTS_BYTES) return body.toString('utf8');
+  const truncated = body.subarray(0, MAX_ROBOTS_BYTES);
+  return truncated.subarray(0, truncated.lastIndexOf(0x0a) + 1).toString('utf8');
+}
+
+/**
+ * Fetch and parse an origin's robots.txt.
+ * 4xx means no restrictions; a 5xx means the site is unreachable, which RFC 9309 treats as a
+ * complete disallow (remembered for errorTtl only). Network errors are not cached and allow
+ * the request, which then fails on its own with the real error.
+ */
+async function loadPolicy(origin) {
+  let response;
+  let body;
+  try {
+    response = await httpGet(`${origin}/robots.txt`, {
+      headers: { 'Accept': 'text/plain' },
+      responseType: 'stream',
+      timeout: timeouts.robots,
+      retries: 0,
+      validateStatus: () => true
+    });
+    if (response.status >= 400) {
+      response.data?.destroy?.();
+    } else {
+      body = await readRobotsBody(response.data);
+    }
+  } catch (error) {
+    logger.warn('Failed to fetch robots.txt', { origin, error: error.message });
+    return ALLOW_ALL;
+  }
+
+  let policy;
+  let ttl;
+  if (response.status >= 500) {
+    logger.warn('robots.txt unavailable, treating site as disallowed', { origin, status: response.status });
+    policy = DISALLOW_ALL;
+    ttl = robotsConfig.errorTtl;
+  } else {
+    policy = response.status >= 400 ? ALLOW_ALL : parseRobots(body);
+  }
+
+  await robotsCache.set(origin, policy, ttl);
+  return policy;
+}
+
+/**
+ * robots.txt policy of a URL's origin (cached)
+ * @param {string} url - Any URL on the site
+ * @returns {Promise<object>} - { rules, crawlDelaySec, sitemaps }
+ */
+export async function getRobotsPolicy(url) {
+  const { origin } = new URL(url);
+
+  const cached = await robotsCache.get(origin);
+  if (cached) return cached;
+
+  if (!pending.has(origin)) {
+    pending.set(origin, loadPolicy(origin).finally(() => pending.delete(origin)));
+  }
+  return pending.get(origin);
+}
+
+/**
+ * Check a URL against robots.txt
+ * @param {string} url - URL about to be fetched
+ * @param {object} options
+ * @param {boolean} options.respectRobots - False skips the check (admin override)
+ * @returns {Promise<object>} - { allowed, crawlDelayMs }
+ */
+export async function checkRobots(url, { respectRobots = true } = {}) {
+  if (!robotsConfig.enabled || respectRobots === false) {
+    return { allowed: true, crawlDelayMs: 0 };
+  }
+
+  const policy = await getRobotsPolicy(url);
+  const { pathname, search } = new URL(url);
+  return {
+    allowed: isPathAllowed(policy, `${pathname}${search}`),
+    crawlDelayMs: Math.min(policy.crawlDelaySec, robotsConfig.maxCrawlDelaySec) * 1000
+  };
+}
+
+/**
+ * Like checkRobots, but throws for disallowed URLs
+ * @param {string} url - URL about to be fetched
+ * @param {object} options - See checkRobots
+ * @returns {Promise<object>} - { crawlDelayMs } to pass on as the request's hostDelayMs
+ * @throws {RobotsDisallowedError}
+ */
+export async function assertRobotsAllowed(url, options) {
+  const { allowed, crawlDelayMs } = await checkRobots(url, options);
+  if (!allowed) {
+    throw new RobotsDisallowedError(`robots.txt of ${new URL(url).host} disallows fetching ${url}`);
+  }
+  return { crawlDelayMs };
+}
+
+/**
+ * Clear cached robots.txt policies (used by tests)
+ * @returns {Promise<void>}
+ */
+export async function clearRobotsCache() {
+  await robotsCache.clear();
+}
@@ -1,33 +1,67 @@
-import axios from 'axios';
 import * as cheerio from 'cheerio';
-import { validateUrl } from './urlValidator.js';
+import { validateUrl, UrlValidationError } from './urlValidator.js';
+import { httpGet } from './httpClient.js';
+import { assertRobotsAllowed } from './robots.js';
 import { createLogger } from './logger.js';
+import { extractStructuredItems } from './structuredData.js';
+import { findRecipeForUrl } from '../services/scraperRecipes.js';
+import { getRenderer, renderPage, RendererError } from '../services/renderer.js';
 import { timeouts, limits } from '../config/index.js';
 
 const logger = createLogger('utils:scraper');
 
+// Link text and classes of "next page" / "older posts" navigation
+const NEXT_TEXT_PATTERN = /^[‹«←<]?\s*(?:(?:next|older|earlier)(?:\s+(?:page|posts?|entries|articles|stories))?|more\s+(?:posts|entries|articles|stories))\s*[›»→>]?$|^[›»→]$/i;
+const NEXT_CLASS_PATTERN = /(?:^|[\s_-])(?:next|older|nav-previous)(?:$|[\s_-])/i;
+// ?p= is left out: WordPress uses it for post ids
+const PAGE_PARAMS = ['page', 'paged', 'pg'];
+
 /**
  * Scrape a website for content to generate an RSS feed
  * @param {string} url - The website URL to scrape
- * @returns {object} - Scraped website data
+ * @param {object} options
+ * @param {boolean} options.respectRobots - False skips the robots.txt check (admin override)
+ * @param {number} options.pages - Pages to crawl by following next / older posts links (capped at MAX_SCRAPE_PAGES)
+ * @param {object|null} options.recipe - Extraction recipe to use instead of the one registered for the domain
+ * @param {boolean} options.render - true always loads pages through the renderer, false never does;
+ *   by default a page without items is rendered again when a renderer is configured
+ * @returns {object} - Scraped website data; pages lists each crawled page { url, itemCount, error? },
+ *   extractedWith tells whether the first page's items came from the recipe, structured data or the heuristics,
+ *   rendered whether the pages were loaded through the renderer
  * @throws {UrlValidationError} - If URL is invalid or blocked (SSRF protection)
+ * @throws {RobotsDisallowedError} - If robots.txt disallows the page
+ * @throws {RendererError} - With render: true, if no renderer is configured or rendering failed
  */
-export async function scrapeWebsite(url) {
+export async function scrapeWebsite(url, { respectRobots = true, pages = 1, recipe, render } = {}) {
   // Validate URL for SSRF protection
   validateUrl(url);
 
-  try {
-    const response = await axios.get(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-        'Accept-Language': 'en-US,en;q=0.5'
-      },
-      timeout: timeouts.scraper
-    });
+  const { crawlDelayMs } = await assertRobotsAllowed(url, { respectRobots });
+  const siteRecipe = recipe !== undefined ? recipe : await findRecipeForUrl(url);
 
-    const $ = cheerio.load(response.data);
+  try {
     const baseUrl = new URL(url);
+    let rendered = render === true;
+    let $ = await loadPage(url, crawlDelayMs, rendered);
+    let seen = new Set();
+    let { items, extractedWith } = extractPageItems($, baseUrl, seen, siteRecipe);
+
+    // Pages built by JavaScript have nothing to extract until a browser has run them
+    if (items.length === 0 && render === undefined && getRenderer()) {
+      try {
+        const $rendered = await loadPage(url, crawlDelayMs, true);
+        const renderedSeen = new Set();
+        const renderedItems = extractPageItems($rendered, baseUrl, renderedSeen, siteRecipe);
+        if (renderedItems.items.length > 0) {
+          $ = $rendered;
+          seen = renderedSeen;
+          ({ items, extractedWith } = renderedItems);
+          rendered = true;
+        }
+      } catch (error) {
+        logger.warn('Failed to render page', { url, error: error.message });
+      }
+    }
 
     // Extract page metadata
     const title = $('meta[property="og:title"]').attr('content') ||
@@ -45,8 +79,31 @@ export async function scrapeWebsite(url) {
                     $('link[rel="shortcut icon"]').attr('href') ||
                     '/favicon.ico';
 
-    // Extract content items (articles, posts, etc.)
-    const items = extractContentItems($, baseUrl);
+    const crawled = [{ url, itemCount: items.length }];
+
+    const maxPages = Math.min(Math.max(1, Math.floor(pages) || 1), limits.maxScrapePages);
+    let $page = $;
+    while (crawled.length < maxPages) {
+      const nextUrl = findNextPageUrl($page, crawled[crawled.length - 1].url, crawled.map(page => page.url));
+      if (!nextUrl) break;
+
+      try {
+        validateUrl(nextUrl);
+        const { crawlDelayMs: nextDelayMs } = await assertRobotsAllowed(nextUrl, { respectRobots });
+        $page = await loadPage(nextUrl, nextDelayMs, rendered);
+      } catch (error) {
+        // Keep the pages crawled so far
+        logger.warn('Stopped crawling at page', { url, page: nextUrl, error: error.message });
+        crawled.push({ url: nextUrl, itemCount: 0, error: error.message });
+        break;
+      }
+
+      const { items: pageItems } = extractPageItems($page, new URL(nextUrl), seen, siteRecipe);
+      crawled.push({ url: nextUrl, itemCount: pageItems.length });
+      items.push(...pageItems);
+      // A page with nothing new is the end of the archive (or a loop)
+      if (pageItems.length === 0) break;
+    }
 
     return {
       title,
@@ -55,23 +112,196 @@ export async function scrapeWebsite(url) {
       url,
       favicon: new URL(favicon, baseUrl.origin).toString(),
       items,
+      pages: crawled,
+      recipe: siteRecipe ? { id: siteRecipe.id || null, domain: siteRecipe.domain || null } : null,
+      extractedWith,
+      rendered,
       scrapedAt: new Date().toISOString()
     };
   } catch (error) {
+    // Rendering that is off or refused a private page is the caller's to report, not a scrape failure
+    if (error instanceof RendererError || error instanceof UrlValidationError) throw error;
     logger.error('Error scraping website', { url, error });
     throw new Error(`Failed to scrape website: ${error.message}`);
   }
 }
 
+/**
+ * Fetch and parse one HTML page
+ * @param {string} url - Page URL
+ * @param {number} hostDelayMs - Minimum gap between requests to the host (robots.txt Crawl-delay)
+ * @param {boolean} rendered - Load the page through the renderer instead
+ * @returns {Promise<CheerioAPI>}
+ */
+async function loadPage(url, hostDelayMs, rendered = false) {
+  if (rendered) {
+    const { html } = await renderPage(url);
+    return cheerio.load(html);
+  }
+
+  const response = await httpGet(url, {
+    headers: {
+      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+      'Accept-Language': 'en-US,en;q=0.5'
+    },
+    timeout: timeouts.scraper,
+    hostDelayMs
+  });
+
+  return cheerio.load(response.data);
+}
+
+/**
+ * Page number of an archive URL: ?page=N (or paged, pg) or /page/N
+ * @param {URL} url - Page URL
+ * @returns {number|null}
+ */
+function pageNumber(url) {
+  for (const param of PAGE_PARAMS) {
+    const value = url.searchParams.get(param);
+    if (value && /^\d+$/.test(value)) return Number(value);
+  }
+  const match = url.pathname.match(/\/page\/(\d+)\/?$/);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Find the next archive page: rel="next", then a link to the following page number,
+ * then "next" / "older posts" navigation links. Only same-site pages not crawled yet.
+ * @param {CheerioAPI} $ - Cheerio instance of the current page
+ * @param {string} pageUrl - URL of the current page
+ * @param {string[]} visited - Pages already crawled
+ * @returns {string|null} - Absolute URL of the next page
+ */
+function findNextPageUrl($, pageUrl, visited) {
+  const current = new URL(pageUrl);
+  const seenPages = new Set(visited.map(page => page.replace(/#.*$/, '')));
+
+  const toCandidate = href => {
+    if (!href || href.startsWith('#') || href.startsWith('javascript:')) return null;
+    try {
+      const next = new URL(href, current);
+      next.hash = '';
+      if (next.origin !== current.origin || seenPages.has(next.toString())) return null;
+      return next;
+    } catch {
+      return null;
+    }
+  };
+
+  const relNext = $('link[rel~="next"], a[rel~="next"]').toArray()
+    .map(element => toCandidate($(element).attr('href')))
+    .find(Boolean);
+  if (relNext) return relNext.toString();
+
+  const links = $('a[href]').toArray().map(element => ({ $a: $(element), url: toCandidate($(element).attr('href')) }))
+    .filter(link => link.url);
+
+  const wanted = (pageNumber(current) ?? 1) + 1;
+  const numbered = links.find(link => pageNumber(link.url) === wanted);
+  if (numbered) return numbered.url.toString();
+
+  const navigation = links.find(({ $a }) => {
+    const text = ($a.text().trim() || $a.attr('aria-label') || '').replace(/\s+/g, ' ');
+    const classes = `${$a.attr('class') || ''} ${$a.parent().attr('class') || ''}`;
+    return NEXT_TEXT_PATTERN.test(text) || NEXT_CLASS_PATTERN.test(classes);
+  });
+  return navigation ? navigation.url.toString() : null;
+}
+
+/**
+ * Items of a page: from the site's recipe when it matches anything, else from structured data
+ * (JSON-LD, microdata, Open Graph) followed by the heuristic items it does not describe
+ * @param {CheerioAPI} $ - Cheerio instance
+ * @param {URL} baseUrl - Page URL
+ * @param {Set<string>} seen - Links already extracted (shared across crawled pages)
+ * @param {object|null} recipe - Extraction recipe
+ * @returns {object} - { items, extractedWith: 'recipe' | 'structured-data' | 'heuristics' };
+ *   each item names its own strategy in extractedWith
+ */
+function extractPageItems($, baseUrl, seen, recipe) {
+  const unseen = item => {
+    if (seen.has(item.link)) return false;
+    seen.add(item.link);
+    return true;
+  };
+
+  if (recipe) {
+    const extracted = extractRecipeItems($, baseUrl, recipe);
+    if (extracted.length > 0) {
+      const items = extracted.filter(unseen).map(item => ({ ...item, extractedWith: 'recipe' }));
+      return { items: items.slice(0, limits.maxScrapedItems), extractedWith: 'recipe' };
+    }
+  }
+
+  const structured = extractStructuredItems($, baseUrl).filter(unseen);
+  const heuristic = extractContentItems($, baseUrl, seen).map(item => ({ ...item, extractedWith: 'heuristics' }));
+
+  return {
+    items: [...structured, ...heuristic].slice(0, limits.maxScrapedItems),
+    extractedWith: structured.length > 0 ? 'structured-data' : 'heuristics'
+  };
+}
+
+/**
+ * Extract items with a site recipe. Fields without a selector fall back to the
+ * container's first heading, link, time, paragraph and image. The page is left unchanged.
+ * @param {CheerioAPI} $page - Cheerio instance
+ * @param {URL} baseUrl - Page URL
+ * @param {object} recipe - { itemSelector, titleSelector?, linkSelector?, dateSelector?, summarySelector?, imageSelector?, dateFormat?, excludeSelectors? }
+ * @returns {array} - Items with a title and link, in page order
+ */
+export function extractRecipeItems($page, baseUrl, recipe) {
+  // Exclusions apply to a copy: the fallbacks, metadata and pagination still read the whole page
+  const $ = recipe.excludeSelectors?.length ? cheerio.load($page.html()) : $page;
+  for (const selector of recipe.excludeSelectors || []) {
+    $(selector).remove();
+  }
+
+  const field = ($item, selector, fallback) => {
+    if (!selector) return $item.find(fallback).first();
+    return $item.is(selector) ? $item : $item.find(selector).first();
+  };
+
+  const items = [];
+  $(recipe.itemSelector).each((_, element) => {
+    const $item = $(element);
+
+    const $title = field($item, recipe.titleSelector, 'h1, h2, h3, h4, h5, h6, a');
+    const title = $title.text().trim().replace(/\s+/g, ' ');
+
+    const $link = field($item, recipe.linkSelector, 'a[href]');
+    const href = $link.attr('href') || $title.closest('a[href]').attr('href') || $item.closest('a[href]').attr('href');
+
+    if (!title || !href || href.startsWith('#') || href.startsWith('javascript:')) return;
+
+    const $date = field($item, recipe.dateSelector, 'time');
+    const dateStr = ($date.attr('datetime') || $date.attr('content') || $date.text()).trim();
+
+    const $image = field($item, recipe.imageSelector, 'img');
+    const imgSrc = $image.attr('src') || $image.attr('data-src') || $image.attr('content');
+
+    items.push({
+      title: title.slice(0, 200),
+      link: resolveUrl(href, baseUrl),
+      content: field($item, recipe.summarySelector, 'p').text().trim().substring(0, 500),
+      pubDate: recipe.dateFormat ? parseDateWithFormat(dateStr, recipe.dateFormat) : parseDate(dateStr),
+      thumbnail: imgSrc ? resolveUrl(imgSrc, baseUrl) : null
+    });
+  });
+
+  return items;
+}
+
 /**
  * Extract content items from the page
  * @param {CheerioAPI} $ - Cheerio instance
  * @param {URL} baseUrl - Base URL for resolving relative links
+ * @param {Set<string>} seen - Links already extracted (shared across crawled pages)
  * @returns {array} - Array of content items
  */
-function extractContentItems($, baseUrl) {
+function extractContentItems($, baseUrl, seen = new Set()) {
   const items = [];
-  const seen = new Set();
 
   // Selectors for common content containers (ordered by specificity)
   const articleSelectors = [
@@ -219,3 +449,68 @@ function parseDate(dateStr) {
   
   return null;
 }
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const DATE_FORMAT_TOKENS = {
+  YYYY: '(\\d{4})',
+  YY: '(\\d{2})',
+  MMMM: '(\\p{L}+)',
+  MMM: '(\\p{L}{3})\\.?',
+  MM: '(\\d{2})',
+  M: '(\\d{1,2})',
+  DD: '(\\d{2})',
+  D: '(\\d{1,2})(?:st|nd|rd|th)?',
+  HH: '(\\d{2})',
+  H: '(\\d{1,2})',
+  mm: '(\\d{2})',
+  ss: '(\\d{2})'
+};
+
+/**
+ * Parse a date written in a recipe's format (UTC), e.g. "DD/MM/YYYY" or "MMMM D, YYYY HH:mm".
+ * Tokens: YYYY YY MMMM MMM MM M DD D HH H mm ss; other characters match literally.
+ * @param {string} dateStr - Date text from the page
+ * @param {string} format - Recipe date format
+ * @returns {string|null} - ISO date string or null
+ */
+export function parseDateWithFormat(dateStr, format) {
+  if (!dateStr) return null;
+
+  const tokens = [];
+  const pattern = format.replace(/YYYY|YY|MMMM|MMM|MM|M|DD|D|HH|H|mm|ss|[^YMDHms]+|./g, part => {
+    if (DATE_FORMAT_TOKENS[part]) {
+      tokens.push(part);
+      return DATE_FORMAT_TOKENS[part];
+    }
+    return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+  });
+
+  const match = dateStr.match(new RegExp(pattern, 'iu'));
+  if (!match) return null;
+
+  const parts = { year: 1970, month: 0, day: 1, hour: 0, minute: 0, second: 0 };
+  tokens.forEach((token, index) => {
+    const value = match[index + 1];
+    switch (token) {
+      case 'YYYY': parts.year = Number(value); break;
+      case 'YY': parts.year = 2000 + Number(value); break;
+      case 'MMMM':
+      case 'MMM': parts.month = MONTHS.indexOf(value.slice(0, 3).toLowerCase()); break;
+      case 'MM':
+      case 'M': parts.month = Number(value) - 1; break;
+      case 'DD':
+      case 'D': parts.day = Number(value); break;
+      case 'HH':
+      case 'H': parts.hour = Number(value); break;
+      case 'mm': parts.minute = Number(value); break;
+      case 'ss': parts.second = Number(value); break;
+    }
+  });
+
+  const date = new Date(Date.UTC(parts.year, parts.month, parts.day, parts.hour, parts.minute, parts.second));
+  if (parts.month < 0 || parts.month > 11 || Number.isNaN(date.getTime()) || date.getUTCDate() !== parts.day) {
+    return null;
+  }
+  return date.toISOString();
+}
@@ -0,0 +1,51 @@
+import SSE from 'express-sse';
+
+/**
+ * Server-Sent Events stream for a single request, opened by the first event sent, so
+ * a handler can still answer with a plain JSON error until then.
+ * express-sse stops writing once `req` emits close, which Node emits as soon as a POST body
+ * has been read, so the stream is tied to the response closing instead.
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @returns {object} - { send(event, data), end(), started, closed, signal } where signal aborts when the client disconnects
+ */
+export function createEventStream(req, res) {
+  const controller = new AbortController();
+  let sse = null;
+  let closed = false;
+
+  res.on('close', () => {
+    closed = true;
+    controller.abort();
+  });
+
+  function start() {
+    if (!sse) {
+      sse = new SSE();
+      sse.init({
+        socket: req.socket,
+        httpVersion: req.httpVersion,
+        on: (event, listener) => res.on(event, listener)
+      }, res);
+    }
+    return sse;
+  }
+
+  return {
+    send(event, data) {
+      if (!closed) start().send(data, event);
+    },
+    end() {
+      if (closed) return;
+      start();
+      res.end();
+    },
+    get started() {
+      return sse !== null;
+    },
+    get closed() {
+      return closed;
+    },
+    signal: controller.signal
+  };
+}
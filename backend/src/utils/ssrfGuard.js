@@ -0,0 +1,100 @@
+/**
+ * SSRF protection for outbound requests, beyond the hostname checks of validateUrl.
+ * The agents resolve DNS themselves, refuse private addresses and connect to exactly
+ * the address that was checked, so a public hostname pointing at 10.x or 169.254.169.254
+ * (or re-resolving there later) never gets a connection. Every redirect hop is re-validated.
+ */
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { validateUrl, isPrivateAddress, UrlValidationError } from './urlValidator.js';
+
+const MAX_REDIRECTS = 5;
+
+/**
+ * dns.lookup replacement for http(s) agents that rejects private addresses.
+ * If any resolved address is private the whole lookup fails, so mixed answers cannot be raced.
+ * @param {string} hostname - Host to resolve
+ * @param {object|number|Function} options - dns.lookup options (or family, or the callback)
+ * @param {Function} callback - (error, address, family) or (error, addresses) when options.all is set
+ */
+export function safeLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  } else if (typeof options === 'number') {
+    options = { family: options };
+  }
+
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) {
+      return callback(new UrlValidationError(
+        `${hostname} resolves to a private address: ${blocked.address}`,
+        'PRIVATE_IP'
+      ));
+    }
+
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Re-validate a redirect target before it is followed (axios beforeRedirect hook).
+ * Throwing aborts the request.
+ * @param {object} options - Request options of the next hop (follow-redirects)
+ * @throws {UrlValidationError}
+ */
+export function validateRedirect(options) {
+  validateUrl(options.href);
+}
+
+/**
+ * Check a URL before handing it to something that fetches it outside these agents
+ * (e.g. a rendering service on the private network): validateUrl plus DNS resolution,
+ * so a public-looking hostname pointing at a private address is refused too.
+ * @param {string} url - URL to check
+ * @returns {Promise<void>}
+ * @throws {UrlValidationError}
+ */
+export async function assertPublicUrl(url) {
+  const { url: parsed } = validateUrl(url);
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname)) return;
+
+  await new Promise((resolve, reject) => {
+    safeLookup(hostname, {}, error => (error ? reject(error) : resolve()));
+  });
+}
+
+/**
+ * Agent mixin that also refuses literal private IPs, for which Node never calls lookup
+ */
+function guarded(Agent) {
+  return class extends Agent {
+    createConnection(options, callback) {
+      if (net.isIP(options.host) && isPrivateAddress(options.host)) {
+        callback(new UrlValidationError(`Private IP addresses are not allowed: ${options.host}`, 'PRIVATE_IP'));
+        return undefined;
+      }
+      return super.createConnection(options, callback);
+    }
+  };
+}
+
+export const guardedHttpAgent = new (guarded(http.Agent))({ keepAlive: true, lookup: safeLookup });
+export const guardedHttpsAgent = new (guarded(https.Agent))({ keepAlive: true, lookup: safeLookup });
+
+/**
+ * axios options for requests to user-supplied URLs; spread into the request config
+ */
+export const guardedRequestOptions = {
+  httpAgent: guardedHttpAgent,
+  httpsAgent: guardedHttpsAgent,
+  beforeRedirect: validateRedirect,
+  maxRedirects: MAX_REDIRECTS
+};
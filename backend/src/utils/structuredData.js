@@ -0,0 +1,282 @@
+/**
+ * Items described by a page's structured data: JSON-LD (Article, NewsArticle, BlogPosting, ItemList),
+ * schema.org microdata, and the page's own Open Graph tags when it is an article.
+ * Items carry extractedWith: json-ld, microdata or open-graph.
+ */
+import { createLogger } from './logger.js';
+
+const logger = createLogger('utils:structuredData');
+
+const ARTICLE_TYPES = new Set([
+  'Article',
+  'NewsArticle',
+  'BlogPosting',
+  'AnalysisNewsArticle',
+  'OpinionNewsArticle',
+  'ReportageArticle',
+  'LiveBlogPosting',
+  'TechArticle'
+]);
+
+// JSON-LD properties that may hold more articles (pages, lists, blogs)
+const CONTAINER_KEYS = ['@graph', 'mainEntity', 'itemListElement', 'item', 'blogPost', 'hasPart'];
+
+function typesOf(node) {
+  const type = node?.['@type'];
+  return (Array.isArray(type) ? type : [type])
+    .filter(value => typeof value === 'string')
+    .map(value => value.replace(/^https?:\/\/schema\.org\//, ''));
+}
+
+function isArticleType(types) {
+  return types.some(type => ARTICLE_TYPES.has(type));
+}
+
+function first(value) {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+function text(value) {
+  const single = first(value);
+  if (typeof single === 'string') return single.trim();
+  if (typeof single === 'number') return String(single);
+  return '';
+}
+
+function resolve(href, baseUrl) {
+  if (!href || typeof href !== 'string') return null;
+  try {
+    const url = new URL(href.trim(), baseUrl);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.toString() : null;
+  } catch {
+    return null;
+  }
+}
+
+function toIsoDate(value) {
+  if (!value) return null;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+function authorName(value) {
+  const names = (Array.isArray(value) ? value : [value])
+    .map(author => (typeof author === 'string' ? author : author?.name))
+    .map(text)
+    .filter(Boolean);
+  return names.length > 0 ? names.join(', ') : null;
+}
+
+function imageUrl(value, baseUrl) {
+  const image = first(value);
+  return resolve(typeof image === 'string' ? image : image?.url || image?.contentUrl, baseUrl);
+}
+
+function jsonLdItem(node, baseUrl) {
+  const entity = node.mainEntityOfPage;
+  const link = resolve(text(node.url), baseUrl) ||
+    resolve(typeof entity === 'string' ? entity : entity?.['@id'], baseUrl) ||
+    resolve(node['@id'], baseUrl);
+  const title = text(node.headline) || text(node.name);
+  if (!link || !title) return null;
+
+  return {
+    title,
+    link,
+    content: text(node.description).substring(0, 500),
+    pubDate: toIsoDate(text(node.datePublished) || text(node.dateCreated)),
+    creator: authorName(node.author),
+    thumbnail: imageUrl(node.image || node.thumbnailUrl, baseUrl)
+  };
+}
+
+/**
+ * Parse the JSON-LD blocks of a page
+ * @param {CheerioAPI} $ - Cheerio instance
+ * @returns {object[]} - Top-level JSON-LD nodes
+ */
+function jsonLdNodes($) {
+  const nodes = [];
+  $('script[type="application/ld+json"]').each((_, element) => {
+    const source = $(element).contents().text()
+      .replace(/^\s*(?:<!--|<!\[CDATA\[)/, '')
+      .replace(/(?:-->|\]\]>)\s*$/, '');
+    try {
+      const parsed = JSON.parse(source);
+      nodes.push(...(Array.isArray(parsed) ? parsed : [parsed]));
+    } catch (error) {
+      logger.debug('Skipping invalid JSON-LD block', { error: error.message });
+    }
+  });
+  return nodes;
+}
+
+/**
+ * Articles described by JSON-LD, in document order
+ * @param {CheerioAPI} $ - Cheerio instance
+ * @param {URL} baseUrl - Page URL
+ * @returns {object[]}
+ */
+export function extractJsonLdItems($, baseUrl) {
+  const items = [];
+  const visited = new Set();
+
+  // inItemList: the node is an entry of an ItemList, where a ListItem names a story
+  const visit = (node, depth, inItemList = false) => {
+    if (!node || typeof node !== 'object' || visited.has(node) || depth > 6) return;
+    visited.add(node);
+
+    if (Array.isArray(node)) {
+      node.forEach(child => visit(child, depth + 1, inItemList));
+      return;
+    }
+
+    const types = typesOf(node);
+    // Breadcrumbs link the site's sections, not its stories
+    if (types.includes('BreadcrumbList')) return;
+
+    if (isArticleType(types)) {
+      const item = jsonLdItem(node, baseUrl);
+      if (item) items.push(item);
+      return;
+    }
+
+    // ListItem pointing at a page rather than embedding the article
+    if (inItemList && types.includes('ListItem') && (typeof node.item === 'string' || (node.url && node.name))) {
+      const link = resolve(typeof node.item === 'string' ? node.item : text(node.url), baseUrl);
+      const title = text(node.name);
+      if (link && title) {
+        items.push({ title, link, content: '', pubDate: null, creator: null, thumbnail: null });
+      }
+      return;
+    }
+
+    const isItemList = types.includes('ItemList');
+    for (const key of CONTAINER_KEYS) {
+      visit(node[key], depth + 1, isItemList && key === 'itemListElement');
+    }
+  };
+
+  jsonLdNodes($).forEach(node => visit(node, 0));
+  return items;
+}
+
+/**
+ * Values of a microdata property of one item, ignoring nested items' properties
+ */
+function microdataProperty($, $scope, name) {
+  const scope = $scope.get(0);
+  return $scope.find(`[itemprop~="${name}"]`)
+    .filter((_, element) => $(element).parent().closest('[itemscope]').get(0) === scope)
+    .first();
+}
+
+function microdataValue($element) {
+  if ($element.length === 0) return '';
+  const value = $element.attr('content') ||
+    $element.attr('datetime') ||
+    $element.attr('href') ||
+    $element.attr('src') ||
+    $element.text();
+  return String(value).trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Articles described by schema.org microdata
+ * @param {CheerioAPI} $ - Cheerio instance
+ * @param {URL} baseUrl - Page URL
+ * @returns {object[]}
+ */
+export function extractMicrodataItems($, baseUrl) {
+  const items = [];
+
+  $('[itemscope][itemtype]').each((_, element) => {
+    const $item = $(element);
+    const types = ($item.attr('itemtype') || '').split(/\s+/).map(type => type.replace(/^https?:\/\/schema\.org\//, ''));
+    if (!isArticleType(types)) return;
+
+    const property = name => microdataProperty($, $item, name);
+    const title = microdataValue(property('headline')) || microdataValue(property('name'));
+    const link = resolve(microdataValue(property('url')) || microdataValue(property('mainEntityOfPage')), baseUrl) ||
+      resolve(property('headline').closest('a[href]').attr('href') || $item.find('a[href]').first().attr('href'), baseUrl);
+    if (!title || !link) return;
+
+    const $author = property('author');
+    const creator = $author.is('[itemscope]')
+      ? microdataValue(microdataProperty($, $author, 'name'))
+      : microdataValue($author);
+
+    const $image = property('image');
+    const image = $image.is('[itemscope]') ? microdataValue(microdataProperty($, $image, 'url')) : microdataValue($image);
+
+    items.push({
+      title,
+      link,
+      content: microdataValue(property('description')).substring(0, 500),
+      pubDate: toIsoDate(microdataValue(property('datePublished')) || microdataValue(property('dateCreated'))),
+      creator: creator || null,
+      thumbnail: resolve(image, baseUrl)
+    });
+  });
+
+  return items;
+}
+
+/**
+ * The page itself as an item, when its Open Graph type is article
+ * @param {CheerioAPI} $ - Cheerio instance
+ * @param {URL} baseUrl - Page URL
+ * @returns {object[]} - Zero or one item
+ */
+export function extractOpenGraphItems($, baseUrl) {
+  const meta = property => $(`meta[property="${property}"]`).attr('content')?.trim() || '';
+  if (meta('og:type').toLowerCase() !== 'article') return [];
+
+  const title = meta('og:title');
+  const link = resolve(meta('og:url'), baseUrl) || baseUrl.toString();
+  if (!title) return [];
+
+  // article:author is often a profile URL rather than a name
+  const author = [meta('article:author'), $('meta[name="author"]').attr('content')?.trim()]
+    .find(value => value && !/^https?:\/\//.test(value));
+
+  return [{
+    title,
+    link,
+    content: meta('og:description').substring(0, 500),
+    pubDate: toIsoDate(meta('article:published_time')),
+    creator: author || null,
+    thumbnail: resolve(meta('og:image'), baseUrl)
+  }];
+}
+
+/**
+ * All structured-data items of a page, one per link. JSON-LD wins over microdata and
+ * Open Graph; later sources only fill fields the earlier ones left empty.
+ * @param {CheerioAPI} $ - Cheerio instance
+ * @param {URL} baseUrl - Page URL
+ * @returns {object[]} - Items with extractedWith
+ */
+export function extractStructuredItems($, baseUrl) {
+  const byLink = new Map();
+  const sources = [
+    ['json-ld', extractJsonLdItems($, baseUrl)],
+    ['microdata', extractMicrodataItems($, baseUrl)],
+    ['open-graph', extractOpenGraphItems($, baseUrl)]
+  ];
+
+  for (const [extractedWith, items] of sources) {
+    for (const item of items) {
+      const existing = byLink.get(item.link);
+      if (!existing) {
+        byLink.set(item.link, { ...item, extractedWith });
+        continue;
+      }
+      for (const [key, value] of Object.entries(item)) {
+        if (!existing[key] && value) existing[key] = value;
+      }
+    }
+  }
+
+  return [...byLink.values()];
+}
@@ -0,0 +1,142 @@
+/**
+ * Line diffs of page text, for change-detection feeds.
+ * Operations are { type: equal | added | removed, line }.
+ */
+
+// Past this many LCS cells (changed lines before × after) a change is reported as a full replacement
+const MAX_DIFF_CELLS = 4_000_000;
+
+const equal = line => ({ type: 'equal', line });
+const added = line => ({ type: 'added', line });
+const removed = line => ({ type: 'removed', line });
+
+/**
+ * Longest-common-subsequence diff of two line arrays
+ */
+function lcsDiff(before, after) {
+  const n = before.length;
+  const m = after.length;
+  if (n * m > MAX_DIFF_CELLS) return [...before.map(removed), ...after.map(added)];
+
+  // table[i][j]: LCS length of before[i..] and after[j..]
+  const width = m + 1;
+  const table = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i -= 1) {
+    for (let j = m - 1; j >= 0; j -= 1) {
+      table[i * width + j] = before[i] === after[j]
+        ? table[(i + 1) * width + j + 1] + 1
+        : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (before[i] === after[j]) {
+      ops.push(equal(before[i]));
+      i += 1;
+      j += 1;
+    } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+      ops.push(removed(before[i]));
+      i += 1;
+    } else {
+      ops.push(added(after[j]));
+      j += 1;
+    }
+  }
+  return [...ops, ...before.slice(i).map(removed), ...after.slice(j).map(added)];
+}
+
+/**
+ * Diff two texts line by line
+ * @param {string[]} before - Previous lines
+ * @param {string[]} after - Current lines
+ * @returns {object[]} - Operations covering both inputs in order
+ */
+export function diffLines(before, after) {
+  // Pages mostly change in one place; the unchanged head and tail skip the LCS table
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) start += 1;
+
+  let beforeEnd = before.length;
+  let afterEnd = after.length;
+  while (beforeEnd > start && afterEnd > start && before[beforeEnd - 1] === after[afterEnd - 1]) {
+    beforeEnd -= 1;
+    afterEnd -= 1;
+  }
+
+  return [
+    ...before.slice(0, start).map(equal),
+    ...lcsDiff(before.slice(start, beforeEnd), after.slice(start, afterEnd)),
+    ...before.slice(beforeEnd).map(equal)
+  ];
+}
+
+/**
+ * Group the changes of a diff with a few unchanged lines around each
+ * @param {object[]} ops - Result of diffLines
+ * @param {number} context - Unchanged lines kept before and after each change
+ * @returns {object[][]} - Hunks of operations, in order
+ */
+export function diffHunks(ops, context = 2) {
+  const keep = new Array(ops.length).fill(false);
+  ops.forEach((op, index) => {
+    if (op.type === 'equal') return;
+    for (let k = Math.max(0, index - context); k <= Math.min(ops.length - 1, index + context); k += 1) {
+      keep[k] = true;
+    }
+  });
+
+  const hunks = [];
+  let hunk = null;
+  ops.forEach((op, index) => {
+    if (!keep[index]) {
+      hunk = null;
+      return;
+    }
+    if (!hunk) {
+      hunk = [];
+      hunks.push(hunk);
+    }
+    hunk.push(op);
+  });
+  return hunks;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const PREFIXES = { equal: '  ', added: '+ ', removed: '- ' };
+
+/**
+ * Plain-text rendering: "+ " and "- " prefixes, hunks separated by "…"
+ * @param {object[][]} hunks - Result of diffHunks
+ * @returns {string}
+ */
+export function formatDiffText(hunks) {
+  return hunks
+    .map(hunk => hunk.map(op => `${PREFIXES[op.type]}${op.line}`).join('\n'))
+    .join('\n…\n');
+}
+
+/**
+ * HTML rendering for feed readers: one <pre> per hunk, changes in <ins> / <del>
+ * @param {object[][]} hunks - Result of diffHunks
+ * @returns {string}
+ */
+export function formatDiffHtml(hunks) {
+  return hunks
+    .map(hunk => `<pre>${hunk.map(op => {
+      const line = escapeHtml(`${PREFIXES[op.type]}${op.line}`);
+      if (op.type === 'added') return `<ins>${line}</ins>`;
+      if (op.type === 'removed') return `<del>${line}</del>`;
+      return line;
+    }).join('\n')}</pre>`)
+    .join('\n');
+}
@@ -47,6 +47,25 @@ export class UrlValidationError extends Error {
   }
 }
 
+// Private/internal IPv6 ranges, as [prefix hextets, prefix length]
+const PRIVATE_IPV6_RANGES = [
+  [[0, 0, 0, 0, 0, 0, 0, 0], 128],   // Unspecified (::)
+  [[0, 0, 0, 0, 0, 0, 0, 1], 128],   // Loopback (::1)
+  [[0xfc00], 7],                     // Unique local (fc00::/7)
+  [[0xfe80], 10],                    // Link-local (fe80::/10)
+  [[0xfec0], 10],                    // Site-local, deprecated (fec0::/10)
+  [[0xff00], 8],                     // Multicast (ff00::/8)
+  [[0x0100, 0, 0, 0], 64],           // Discard-only (100::/64)
+  [[0x2001, 0x0db8], 32],            // Documentation (2001:db8::/32)
+];
+
+// IPv6 ranges that embed an IPv4 address in their last 32 bits (checked as IPv4)
+const IPV4_EMBEDDING_RANGES = [
+  [[0, 0, 0, 0, 0, 0xffff], 96],     // IPv4-mapped (::ffff:0:0/96)
+  [[0, 0, 0, 0, 0, 0], 96],          // IPv4-compatible, deprecated (::/96)
+  [[0x0064, 0xff9b, 0, 0, 0, 0], 96] // NAT64 (64:ff9b::/96)
+];
+
 /**
  * Check if an IP address is private/internal
  * @param {string} ip - IP address to check
@@ -56,6 +75,64 @@ function isPrivateIP(ip) {
   return PRIVATE_IP_PATTERNS.some(pattern => pattern.test(ip));
 }
 
+/**
+ * Expand an IPv6 address to its 8 hextets (null if it is not IPv6)
+ */
+function parseIPv6(address) {
+  let value = address.toLowerCase().replace(/^\[|\]$/g, '').replace(/%.*$/, '');
+  if (!value.includes(':')) return null;
+
+  // Trailing dotted IPv4 (::ffff:10.0.0.1) becomes two hextets
+  const dotted = value.match(/^(.*:)(\d{1,3}(?:\.\d{1,3}){3})$/);
+  if (dotted) {
+    const octets = dotted[2].split('.').map(Number);
+    if (octets.some(octet => octet > 255)) return null;
+    value = `${dotted[1]}${((octets[0] << 8) | octets[1]).toString(16)}:${((octets[2] << 8) | octets[3]).toString(16)}`;
+  }
+
+  const halves = value.split('::');
+  if (halves.length > 2) return null;
+
+  const head = halves[0] ? halves[0].split(':') : [];
+  const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+  const missing = 8 - head.length - tail.length;
+  if (halves.length === 1 ? missing !== 0 : missing < 1) return null;
+
+  const groups = [...head, ...Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
+  if (groups.some(group => !/^[0-9a-f]{1,4}$/.test(group))) return null;
+  return groups.map(group => Number.parseInt(group, 16));
+}
+
+function inIPv6Range(hextets, [prefix, length]) {
+  for (let bit = 0; bit < length; bit += 16) {
+    const bits = Math.min(16, length - bit);
+    const mask = (0xffff << (16 - bits)) & 0xffff;
+    if ((hextets[bit / 16] & mask) !== ((prefix[bit / 16] || 0) & mask)) return false;
+  }
+  return true;
+}
+
+/**
+ * Check if a resolved IPv4 or IPv6 address is private/internal.
+ * Covers loopback, RFC 1918, link-local, CGNAT, unique local (fc00::/7) and IPv4 addresses
+ * embedded in IPv6 (IPv4-mapped, IPv4-compatible, NAT64).
+ * @param {string} address - IP address (IPv6 with or without brackets)
+ * @returns {boolean} - True if the address must not be contacted
+ */
+export function isPrivateAddress(address) {
+  const hextets = parseIPv6(address);
+  if (!hextets) {
+    return isPrivateIP(address);
+  }
+
+  if (IPV4_EMBEDDING_RANGES.some(range => inIPv6Range(hextets, range))) {
+    const embedded = [hextets[6] >> 8, hextets[6] & 0xff, hextets[7] >> 8, hextets[7] & 0xff].join('.');
+    if (isPrivateIP(embedded)) return true;
+  }
+
+  return PRIVATE_IPV6_RANGES.some(range => inIPv6Range(hextets, range));
+}
+
 /**
  * Check if hostname is blocked
  * @param {string} hostname - Hostname to check
@@ -130,7 +207,7 @@ export function validateUrl(urlString) {
     // Remove brackets for IPv6
     const ip = hostname.replace(/^\[|\]$/g, '');
 
-    if (isPrivateIP(ip)) {
+    if (isPrivateAddress(ip)) {
       throw new UrlValidationError(
         `Private IP addresses are not allowed: ${ip}`,
         'PRIVATE_IP'
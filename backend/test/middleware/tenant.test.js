@@ -0,0 +1,45 @@
+import { describe, it, expect, beforeEach } from "@jest/globals";
+import request from "supertest";
+import express from "express";
+import { tenantContext } from "../../src/middleware/tenant.js";
+import { createAccessToken } from "../../src/services/auth.js";
+
+describe("Tenant Context Middleware", () => {
+  let app;
+
+  beforeEach(() => {
+    process.env.JWT_SECRET = "tenant-test-secret";
+    app = express();
+    app.get("/test", tenantContext, (req, res) => {
+      res.json({ tenantId: req.context.tenantId, userId: req.tenant?.id || null });
+    });
+  });
+
+  it("uses the default tenant without a bearer token", async () => {
+    const res = await request(app).get("/test").expect(200);
+
+    expect(res.body.tenantId).toBe("default");
+    expect(res.body.userId).toBeNull();
+  });
+
+  it("uses the bearer token tenant when provided", async () => {
+    const token = createAccessToken({ id: "usr_1", tenantId: "tenant_a" });
+
+    const res = await request(app)
+      .get("/test")
+      .set("Authorization", `Bearer ${token}`)
+      .expect(200);
+
+    expect(res.body.tenantId).toBe("tenant_a");
+    expect(res.body.userId).toBe("usr_1");
+  });
+
+  it("rejects invalid bearer tokens", async () => {
+    const res = await request(app)
+      .get("/test")
+      .set("Authorization", "Bearer not-a-token")
+      .expect(401);
+
+    expect(res.body.error).toBe("Unauthorized");
+  });
+});
@@ -88,6 +88,11 @@ describe('Validator Middleware', () => {
       });
       expect(result.success).toBe(false);
     });
+
+    it('should accept known output formats and reject others', () => {
+      expect(schemas.rssFetch.safeParse({ url: 'https://example.com', format: 'atom' }).success).toBe(true);
+      expect(schemas.rssFetch.safeParse({ url: 'https://example.com', format: 'rss1' }).success).toBe(false);
+    });
   });
 
   describe('feedProcessSchema', () => {
@@ -114,6 +119,33 @@ describe('Validator Middleware', () => {
       const result = schemas.feedProcess.safeParse({});
       expect(result.success).toBe(false);
     });
+
+    it('should accept subscriptionId or tag', () => {
+      expect(schemas.feedProcess.safeParse({ subscriptionId: 'sub-1' }).success).toBe(true);
+      expect(schemas.feedProcess.safeParse({ tag: ['security', 'ai'] }).success).toBe(true);
+    });
+  });
+
+  describe('subscription schemas', () => {
+    it('should accept a valid subscription', () => {
+      const result = schemas.subscriptionCreate.safeParse({
+        url: 'https://example.com',
+        title: 'Example',
+        tags: ['news']
+      });
+      expect(result.success).toBe(true);
+    });
+
+    it('should reject empty updates', () => {
+      const result = schemas.subscriptionUpdate.safeParse({});
+      expect(result.success).toBe(false);
+    });
+
+    it('should parse enabled query flag', () => {
+      const result = schemas.subscriptionListQuery.safeParse({ enabled: 'false' });
+      expect(result.success).toBe(true);
+      expect(result.data.enabled).toBe(false);
+    });
   });
 
   describe('intelUrlsSchema', () => {
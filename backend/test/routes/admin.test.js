@@ -0,0 +1,193 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from "@jest/globals";
+import request from "supertest";
+import { API_KEY } from "../helpers/api.js";
+import app from "../../src/index.js";
+import { createAccessToken } from "../../src/services/auth.js";
+import { getCache, clearAllCaches } from "../../src/services/cache.js";
+
+describe("Admin Routes", () => {
+  beforeEach(() => {
+    process.env.JWT_SECRET = "admin-test-secret";
+  });
+
+  function token(role) {
+    return createAccessToken({ id: "usr_admin", tenantId: "tenant_admin", role });
+  }
+
+  describe("GET /api/admin/scheduler", () => {
+    it("requires an admin bearer token", async () => {
+      await request(app)
+        .get("/api/admin/scheduler")
+        .set("X-API-Key", API_KEY)
+        .expect(401);
+    });
+
+    it("rejects non-admin tokens", async () => {
+      const res = await request(app)
+        .get("/api/admin/scheduler")
+        .set("X-API-Key", API_KEY)
+        .set("Authorization", `Bearer ${token("user")}`)
+        .expect(403);
+
+      expect(res.body.error).toBe("Forbidden");
+    });
+
+    it("returns scheduler status for admins", async () => {
+      const res = await request(app)
+        .get("/api/admin/scheduler")
+        .set("X-API-Key", API_KEY)
+        .set("Authorization", `Bearer ${token("admin")}`)
+        .expect(200);
+
+      expect(res.body.running).toBe(false);
+      expect(Array.isArray(res.body.feeds)).toBe(true);
+    });
+  });
+
+  describe("GET /api/admin/http", () => {
+    it("rejects non-admin tokens", async () => {
+      await request(app)
+        .get("/api/admin/http")
+        .set("X-API-Key", API_KEY)
+        .set("Authorization", `Bearer ${token("user")}`)
+        .expect(403);
+    });
+
+    it("returns outbound request metrics for admins", async () => {
+      const res = await request(app)
+        .get("/api/admin/http")
+        .set("X-API-Key", API_KEY)
+        .set("Authorization", `Bearer ${token("admin")}`)
+        .expect(200);
+
+      expect(res.body.totals).toEqual(expect.objectContaining({
+        requests: expect.any(Number),
+        retries: expect.any(Number),
+        avgDurationMs: expect.any(Number)
+      }));
+      expect(typeof res.body.hosts).toBe("object");
+    });
+  });
+
+  describe("GET /api/admin/cache/stats", () => {
+    it("requires an admin bearer token", async () => {
+      await request(app)
+        .get("/api/admin/cache/stats")
+        .set("X-API-Key", API_KEY)
+        .expect(401);
+    });
+
+    it("returns per-namespace statistics for admins", async () => {
+      const res = await request(app)
+        .get("/api/admin/cache/stats")
+        .set("X-API-Key", API_KEY)
+        .set("Authorization", `Bearer ${token("admin")}`)
+        .expect(200);
+
+      expect(res.body.driver).toBe("memory");
+      expect(res.body.namespaces.feeds).toEqual(expect.objectContaining({
+        keys: expect.any(Number),
+        hits: expect.any(Number),
+        misses: expect.any(Number)
+      }));
+      expect(res.body.namespaces).toHaveProperty("discovery");
+      expect(res.body.conditional).toHaveProperty("feeds");
+    });
+  });
+
+  describe("/api/admin/cache", () => {
+    const feedUrl = "https://example.com/feed.xml";
+    let logSpy;
+
+    beforeEach(async () => {
+      await clearAllCaches();
+      const feeds = getCache("feeds");
+      await feeds.set(`${feedUrl}:since:none`, { title: "Example", items: [] });
+      await feeds.set(`${feedUrl}:since:2026-01-01T00:00:00.000Z`, { title: "Example", items: [] });
+      await feeds.set("https://other.example.com/rss:since:none", { title: "Other", items: [] });
+      await getCache("discovery").set("https://example.com/", { feedUrl });
+      logSpy = jest.spyOn(console, "log").mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      logSpy.mockRestore();
+    });
+
+    function auditActions() {
+      return logSpy.mock.calls
+        .map(([line]) => {
+          try {
+            return JSON.parse(line);
+          } catch {
+            return null;
+          }
+        })
+        .filter((entry) => entry?.request?.action)
+        .map((entry) => entry.request);
+    }
+
+    it("requires an admin bearer token", async () => {
+      await request(app)
+        .delete("/api/admin/cache")
+        .set("X-API-Key", API_KEY)
+        .set("Authorization", `Bearer ${token("user")}`)
+        .expect(403);
+
+      expect(await getCache("feeds").keys()).toHaveLength(3);
+    });
+
+    it("lists cached feed entries, optionally for one feed", async () => {
+      const all = await request(app)
+        .get("/api/admin/cache")
+        .set("X-API-Key", API_KEY)
+        .set("Authorization", `Bearer ${token("admin")}`)
+        .expect(200);
+
+      expect(all.body.count).toBe(3);
+
+      const one = await request(app)
+        .get("/api/admin/cache")
+        .query({ url: feedUrl })
+        .set("X-API-Key", API_KEY)
+        .set("Authorization", `Bearer ${token("admin")}`)
+        .expect(200);
+
+      expect(one.body.entries.map((entry) => entry.since).sort()).toEqual([null, "2026-01-01T00:00:00.000Z"].sort());
+    });
+
+    it("purges every since variant of a feed and audits it", async () => {
+      const res = await request(app)
+        .delete("/api/admin/cache")
+        .query({ url: feedUrl })
+        .set("X-API-Key", API_KEY)
+        .set("Authorization", `Bearer ${token("admin")}`)
+        .expect(200);
+
+      expect(res.body).toEqual({ scope: "feed", url: feedUrl, purged: 2 });
+      expect(await getCache("feeds").keys()).toEqual(["https://other.example.com/rss:since:none"]);
+      expect(auditActions()).toContainEqual({ action: "cache.purge_feed", url: feedUrl });
+    });
+
+    it("purges everything and audits it", async () => {
+      const res = await request(app)
+        .delete("/api/admin/cache")
+        .set("X-API-Key", API_KEY)
+        .set("Authorization", `Bearer ${token("admin")}`)
+        .expect(200);
+
+      expect(res.body.scope).toBe("all");
+      expect(res.body.namespaces).toEqual(expect.objectContaining({ feeds: 3, discovery: 1 }));
+      expect(await getCache("discovery").keys()).toEqual([]);
+      expect(auditActions()).toContainEqual({ action: "cache.purge_all" });
+    });
+
+    it("rejects invalid feed URLs", async () => {
+      await request(app)
+        .delete("/api/admin/cache")
+        .query({ url: "not a url" })
+        .set("X-API-Key", API_KEY)
+        .set("Authorization", `Bearer ${token("admin")}`)
+        .expect(400);
+    });
+  });
+});
@@ -6,6 +6,7 @@ const mockProcessFeeds = jest.fn();
 
 jest.unstable_mockModule("../../src/services/feedprocess.js", () => ({
   processFeeds: mockProcessFeeds,
+  smartFetchWithSource: jest.fn(),
 }));
 
 const { default: app } = await import("../../src/index.js");
@@ -48,11 +49,149 @@ describe("Feed Routes", () => {
 
       expect(mockProcessFeeds).toHaveBeenCalledWith({
         feeds: ["https://example.com/feed.xml"],
+        tenantId: "default",
       });
       expect(res.body.feed.items).toHaveLength(1);
       expect(res.body.total_items).toBe(1);
     });
 
+    it("processes stored subscriptions by tag for the current tenant", async () => {
+      mockProcessFeeds.mockResolvedValueOnce({
+        feed: { items: [] },
+        total_items: 0,
+      });
+
+      await request(app)
+        .post("/api/rss/feed/processfeed")
+        .set("X-API-Key", API_KEY)
+        .send({ tag: "security" })
+        .expect(200);
+
+      expect(mockProcessFeeds).toHaveBeenCalledWith({
+        subscriptionId: undefined,
+        tag: "security",
+        tenantId: "default",
+      });
+    });
+
+    it("passes onlyNew and cursor through to the service", async () => {
+      mockProcessFeeds.mockResolvedValueOnce({
+        feed: { items: [] },
+        total_items: 0,
+        cursor: "7",
+      });
+
+      const res = await request(app)
+        .post("/api/rss/feed/processfeed")
+        .set("X-API-Key", API_KEY)
+        .send({ feeds: ["https://example.com/feed.xml"], onlyNew: true, cursor: "3" })
+        .expect(200);
+
+      expect(mockProcessFeeds).toHaveBeenCalledWith({
+        feeds: ["https://example.com/feed.xml"],
+        tenantId: "default",
+        onlyNew: true,
+        cursor: "3",
+      });
+      expect(res.body.cursor).toBe("7");
+    });
+
+    it("passes fullText through to the service", async () => {
+      mockProcessFeeds.mockResolvedValueOnce({ feed: { items: [] }, total_items: 0 });
+
+      await request(app)
+        .post("/api/rss/feed/processfeed")
+        .set("X-API-Key", API_KEY)
+        .send({ url: "https://example.com/feed.xml", fullText: true })
+        .expect(200);
+
+      expect(mockProcessFeeds).toHaveBeenCalledWith({
+        feeds: ["https://example.com/feed.xml"],
+        tenantId: "default",
+        fullText: true,
+      });
+    });
+
+    it("passes filter rules through and maps unknown filter sets to 404", async () => {
+      const { FilterError } = await import("../../src/services/itemFilters.js");
+      mockProcessFeeds.mockRejectedValueOnce(
+        new FilterError("Filter set not found: missing", "FILTER_SET_NOT_FOUND", 404)
+      );
+      const filters = [{ action: "include", keywords: ["security"] }];
+
+      const res = await request(app)
+        .post("/api/rss/feed/processfeed")
+        .set("X-API-Key", API_KEY)
+        .send({ feeds: ["https://example.com/feed.xml"], filters, filterSetIds: ["missing"] })
+        .expect(404);
+
+      expect(mockProcessFeeds).toHaveBeenCalledWith({
+        feeds: ["https://example.com/feed.xml"],
+        tenantId: "default",
+        filters,
+        filterSetIds: ["missing"],
+      });
+      expect(res.body.code).toBe("FILTER_SET_NOT_FOUND");
+    });
+
+    it("passes aggregate through and renders the combined feed as RSS", async () => {
+      mockProcessFeeds.mockResolvedValueOnce({
+        feed: {
+          items: [{
+            title: "Story",
+            url: "https://example.com/story",
+            publishedAt: "2026-03-17T09:00:00.000Z",
+            clusterSize: 2,
+            sources: [
+              { source: "https://example.com/feed.xml", url: "https://example.com/story" },
+              { source: "https://other.example.org/rss", url: "https://other.example.org/story" },
+            ],
+          }],
+        },
+        total_items: 1,
+        cursor: "9",
+      });
+
+      const res = await request(app)
+        .post("/api/rss/feed/processfeed")
+        .set("X-API-Key", API_KEY)
+        .set("Accept", "application/rss+xml")
+        .send({ feeds: ["https://example.com/feed.xml", "https://other.example.org/rss"], aggregate: true })
+        .expect(200);
+
+      expect(mockProcessFeeds).toHaveBeenCalledWith({
+        feeds: ["https://example.com/feed.xml", "https://other.example.org/rss"],
+        tenantId: "default",
+        aggregate: true,
+      });
+      expect(res.headers["content-type"]).toMatch(/application\/rss\+xml/);
+      expect(res.headers["x-feed-cursor"]).toBe("9");
+      expect(res.text).toContain("<title>Story</title>");
+      expect(res.text).toContain("other.example.org");
+    });
+
+    it("renders the format named in the body", async () => {
+      mockProcessFeeds.mockResolvedValueOnce({ feed: { items: [] }, total_items: 0 });
+
+      const res = await request(app)
+        .post("/api/rss/feed/processfeed")
+        .set("X-API-Key", API_KEY)
+        .send({ feeds: ["https://example.com/feed.xml"], format: "atom" })
+        .expect(200);
+
+      expect(res.headers["content-type"]).toMatch(/application\/atom\+xml/);
+    });
+
+    it("rejects rules without a condition", async () => {
+      const res = await request(app)
+        .post("/api/rss/feed/processfeed")
+        .set("X-API-Key", API_KEY)
+        .send({ feeds: ["https://example.com/feed.xml"], filters: [{ action: "exclude" }] })
+        .expect(400);
+
+      expect(res.body.error).toBe("Validation failed");
+    });
+
     it("maps service errors to 500", async () => {
       mockProcessFeeds.mockRejectedValueOnce(new Error("feed process failed"));
 
@@ -65,4 +204,53 @@ describe("Feed Routes", () => {
       expect(res.body.error).toBe("feed process failed");
     });
   });
+
+  describe("POST /api/rss/feed/processfeed/stream", () => {
+    function parseEvents(res, callback) {
+      let text = "";
+      res.on("data", (chunk) => { text += chunk; });
+      res.on("end", () => {
+        const events = text.split("\n\n").filter(Boolean).map((block) => {
+          const event = block.match(/^event: (.*)$/m);
+          const data = block.match(/^data: (.*)$/m);
+          return { event: event ? event[1] : "message", data: JSON.parse(data[1]) };
+        });
+        callback(null, events);
+      });
+    }
+
+    it("streams each feed, progress and a summary", async () => {
+      mockProcessFeeds.mockImplementationOnce(async (input, { onFeed }) => {
+        await onFeed({ source: { url: "https://a.example.com/feed.xml", ok: true }, items: [{ title: "A" }], completed: 1, total: 2 });
+        await onFeed({ source: { url: "https://b.example.com/feed.xml", ok: false, error: "timeout" }, items: [], completed: 2, total: 2 });
+        return { feed: { items: [{ title: "A" }] }, total_items: 1, partial: true };
+      });
+
+      const res = await request(app)
+        .post("/api/rss/feed/processfeed/stream")
+        .set("X-API-Key", API_KEY)
+        .send({ feeds: ["https://a.example.com/feed.xml", "https://b.example.com/feed.xml"] })
+        .buffer(true)
+        .parse(parseEvents)
+        .expect(200);
+
+      expect(res.headers["content-type"]).toMatch(/text\/event-stream/);
+      expect(res.body.map(({ event }) => event)).toEqual(["feed", "progress", "feed", "progress", "summary"]);
+      expect(res.body[0].data.items).toEqual([{ title: "A" }]);
+      expect(res.body[3].data).toEqual({ completed: 2, total: 2 });
+      expect(res.body[4].data).toEqual({ total_items: 1, partial: true });
+    });
+
+    it("answers with a JSON error when processing fails before the first event", async () => {
+      mockProcessFeeds.mockRejectedValueOnce(new Error("feed process failed"));
+
+      const res = await request(app)
+        .post("/api/rss/feed/processfeed/stream")
+        .set("X-API-Key", API_KEY)
+        .send({ feeds: ["https://example.com/feed.xml"] })
+        .expect(500);
+
+      expect(res.body.error).toBe("feed process failed");
+    });
+  });
 });
@@ -0,0 +1,49 @@
+import { describe, it, expect, beforeEach, jest } from "@jest/globals";
+import request from "supertest";
+import { API_KEY } from "../helpers/api.js";
+
+const mockGetFeedHealth = jest.fn();
+
+jest.unstable_mockModule("../../src/services/feedHealth.js", () => ({
+  getFeedHealth: mockGetFeedHealth,
+  deleteFeedHealth: jest.fn(),
+  recordFeedCheck: jest.fn(),
+}));
+
+const { default: app } = await import("../../src/index.js");
+
+describe("Feed Health Routes", () => {
+  beforeEach(() => {
+    mockGetFeedHealth.mockReset();
+  });
+
+  it("requires API key", async () => {
+    await request(app).get("/api/feeds/health").expect(401);
+  });
+
+  it("returns the health of the tenant's feeds", async () => {
+    mockGetFeedHealth.mockResolvedValueOnce({
+      counts: { erroring: 1, moved: 0, stale: 0, healthy: 0, unchecked: 0 },
+      feeds: [{ subscriptionId: "sub-1", status: "erroring", reasons: ["3 consecutive failures"] }],
+    });
+
+    const res = await request(app)
+      .get("/api/feeds/health?status=erroring")
+      .set("X-API-Key", API_KEY)
+      .expect(200);
+
+    expect(mockGetFeedHealth).toHaveBeenCalledWith("default", { status: "erroring" });
+    expect(res.body.feeds[0].status).toBe("erroring");
+    expect(res.body.counts.erroring).toBe(1);
+  });
+
+  it("rejects unknown states", async () => {
+    const res = await request(app)
+      .get("/api/feeds/health?status=broken")
+      .set("X-API-Key", API_KEY)
+      .expect(400);
+
+    expect(res.body.error).toBe("Validation failed");
+    expect(mockGetFeedHealth).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, it, expect, beforeEach } from "@jest/globals";
+import request from "supertest";
+import { API_KEY } from "../helpers/api.js";
+
+const { clearAllCollections } = await import("../../src/services/storage.js");
+const { default: app } = await import("../../src/index.js");
+
+describe("Filter Routes", () => {
+  beforeEach(async () => {
+    await clearAllCollections();
+  });
+
+  it("requires API key", async () => {
+    await request(app).get("/api/filters").expect(401);
+  });
+
+  it("validates rules", async () => {
+    const res = await request(app)
+      .post("/api/filters")
+      .set("X-API-Key", API_KEY)
+      .send({ name: "Tags", rules: [{ action: "tag", keywords: ["ai"] }] })
+      .expect(400);
+
+    expect(res.body.details[0].field).toBe("rules.0.tags");
+  });
+
+  it("rejects regexes that do not compile", async () => {
+    const res = await request(app)
+      .post("/api/filters")
+      .set("X-API-Key", API_KEY)
+      .send({ name: "Broken", rules: [{ action: "include", regex: "(" }] })
+      .expect(400);
+
+    expect(res.body.code).toBe("INVALID_REGEX");
+  });
+
+  it("rejects regexes with nested quantifiers", async () => {
+    const res = await request(app)
+      .post("/api/filters")
+      .set("X-API-Key", API_KEY)
+      .send({ name: "Backtracking", rules: [{ action: "include", field: "title", regex: "^(a+)+$" }] })
+      .expect(400);
+
+    expect(res.body.code).toBe("INVALID_REGEX");
+  });
+
+  it("supports the full CRUD lifecycle", async () => {
+    const created = await request(app)
+      .post("/api/filters")
+      .set("X-API-Key", API_KEY)
+      .send({ name: "Security", rules: [{ action: "include", keywords: ["vulnerability", "exploit"] }] })
+      .expect(201);
+
+    const { id } = created.body.filterSet;
+
+    const list = await request(app).get("/api/filters").set("X-API-Key", API_KEY).expect(200);
+    expect(list.body.total).toBe(1);
+
+    const updated = await request(app)
+      .patch(`/api/filters/${id}`)
+      .set("X-API-Key", API_KEY)
+      .send({ rules: [{ action: "exclude", field: "domain", keywords: ["example.net"] }] })
+      .expect(200);
+    expect(updated.body.filterSet.rules[0].action).toBe("exclude");
+
+    await request(app).get(`/api/filters/${id}`).set("X-API-Key", API_KEY).expect(200);
+    await request(app).delete(`/api/filters/${id}`).set("X-API-Key", API_KEY).expect(200);
+    await request(app).get(`/api/filters/${id}`).set("X-API-Key", API_KEY).expect(404);
+  });
+});
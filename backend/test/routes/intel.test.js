@@ -82,7 +82,8 @@ describe("Intel Routes", () => {
 
       expect(mockAxiosPost).toHaveBeenCalledWith(
         "https://webhook.example/getdailyintel",
-        { params: { date: "2026-01-01" } }
+        { params: { date: "2026-01-01" } },
+        expect.objectContaining({ headers: expect.objectContaining({ "User-Agent": expect.stringMatching(/^Genie-RSS/) }) })
       );
       expect(res.body.items).toHaveLength(1);
     });
@@ -7,6 +7,7 @@ const mockSummarizeFeeds = jest.fn();
 
 jest.unstable_mockModule("../../src/services/feedprocess.js", () => ({
   processFeeds: mockProcessFeeds,
+  smartFetchWithSource: jest.fn(),
 }));
 
 jest.unstable_mockModule("../../src/services/feedSummarizer.js", () => ({
@@ -76,6 +77,48 @@ describe("MCP Routes", () => {
     expect(res.body.result.total_items).toBe(0);
   });
 
+  it("streams fetch_rss_feed results when the client accepts an event stream", async () => {
+    mockProcessFeeds.mockImplementationOnce(async (input, { onFeed }) => {
+      await onFeed({ source: { url: "https://example.com/feed.xml", ok: true }, items: [{ title: "A" }], completed: 1, total: 1 });
+      return { feed: { items: [{ title: "A" }] }, total_items: 1 };
+    });
+
+    const res = await request(app)
+      .post("/mcp")
+      .set("Authorization", `Bearer ${bearerToken()}`)
+      .set("Accept", "application/json, text/event-stream")
+      .send({
+        jsonrpc: "2.0",
+        id: "req-stream",
+        method: "tools/call",
+        params: {
+          name: "fetch_rss_feed",
+          args: { url: "https://example.com/feed.xml" },
+          _meta: { progressToken: "tok-1" },
+        },
+      })
+      .buffer(true)
+      .parse((response, callback) => {
+        let text = "";
+        response.on("data", (chunk) => { text += chunk; });
+        response.on("end", () => callback(null, text));
+      })
+      .expect(200);
+
+    const messages = res.body.split("\n\n").filter(Boolean)
+      .map((block) => JSON.parse(block.match(/^data: (.*)$/m)[1]));
+
+    expect(res.headers["content-type"]).toMatch(/text\/event-stream/);
+    expect(messages.map((message) => message.method)).toEqual([
+      "notifications/message",
+      "notifications/progress",
+      undefined,
+    ]);
+    expect(messages[0].params.data.items).toEqual([{ title: "A" }]);
+    expect(messages[1].params).toMatchObject({ progressToken: "tok-1", progress: 1, total: 1 });
+    expect(messages[2]).toMatchObject({ jsonrpc: "2.0", id: "req-stream", result: { total_items: 1 } });
+  });
+
   it("validates feed_summary params", async () => {
     const res = await request(app)
       .post("/mcp")
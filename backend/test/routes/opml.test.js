@@ -0,0 +1,77 @@
+import { describe, it, expect, beforeEach, jest } from "@jest/globals";
+import request from "supertest";
+import { API_KEY } from "../helpers/api.js";
+
+const mockDiscoverRssFeed = jest.fn();
+
+jest.unstable_mockModule("../../src/services/rssDiscovery.js", () => ({
+  discoverRssFeed: mockDiscoverRssFeed,
+}));
+
+const { clearAllCollections } = await import("../../src/services/storage.js");
+const { default: app } = await import("../../src/index.js");
+
+const OPML = `<?xml version="1.0"?>
+<opml version="1.0">
+  <body>
+    <outline title="News">
+      <outline text="Example" xmlUrl="https://example.com/feed.xml"/>
+    </outline>
+  </body>
+</opml>`;
+
+describe("OPML Routes", () => {
+  beforeEach(async () => {
+    mockDiscoverRssFeed.mockReset();
+    await clearAllCollections();
+  });
+
+  it("requires API key", async () => {
+    await request(app).get("/api/opml/export").expect(401);
+  });
+
+  it("imports OPML sent as JSON", async () => {
+    const res = await request(app)
+      .post("/api/opml/import")
+      .set("X-API-Key", API_KEY)
+      .send({ opml: OPML })
+      .expect(200);
+
+    expect(res.body.summary.created).toBe(1);
+    expect(res.body.entries[0]).toEqual(
+      expect.objectContaining({ status: "created", tags: ["news"], subscriptionId: expect.any(String) })
+    );
+  });
+
+  it("imports OPML sent as the raw body", async () => {
+    const res = await request(app)
+      .post("/api/opml/import?tag=feedly")
+      .set("X-API-Key", API_KEY)
+      .set("Content-Type", "text/x-opml")
+      .send(OPML)
+      .expect(200);
+
+    expect(res.body.entries[0].tags).toEqual(["news", "feedly"]);
+  });
+
+  it("returns 400 for malformed OPML", async () => {
+    const res = await request(app)
+      .post("/api/opml/import")
+      .set("X-API-Key", API_KEY)
+      .send({ opml: "<html></html>" })
+      .expect(400);
+
+    expect(res.body.code).toBe("INVALID_OPML");
+  });
+
+  it("exports the tenant's subscriptions", async () => {
+    await request(app).post("/api/opml/import").set("X-API-Key", API_KEY).send({ opml: OPML }).expect(200);
+
+    const res = await request(app).get("/api/opml/export").set("X-API-Key", API_KEY).expect(200);
+
+    expect(res.headers["content-type"]).toMatch(/^text\/x-opml/);
+    expect(res.headers["content-disposition"]).toContain("subscriptions.opml");
+    expect(res.text).toContain('xmlUrl="https://example.com/feed.xml"');
+    expect(res.text).toContain('<outline text="news" title="news">');
+  });
+});
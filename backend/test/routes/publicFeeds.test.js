@@ -0,0 +1,44 @@
+import { describe, it, expect, beforeEach } from "@jest/globals";
+import request from "supertest";
+import app from "../../src/index.js";
+import { clearAllCollections } from "../../src/services/storage.js";
+import { publishGeneratedFeed } from "../../src/services/publicFeeds.js";
+
+const scrapedData = {
+  title: "Example Site",
+  description: "Posts from example.com",
+  items: [{ title: "Hello", link: "https://example.com/hello", pubDate: "2026-03-01T00:00:00Z" }],
+};
+
+describe("Public Feed Routes", () => {
+  let feedId;
+
+  beforeEach(async () => {
+    await clearAllCollections();
+    ({ id: feedId } = await publishGeneratedFeed("default", "https://example.com", scrapedData, "http://genie.test"));
+  });
+
+  it("serves RSS 2.0 without an API key", async () => {
+    const res = await request(app).get(`/feeds/${feedId}.xml`).expect(200);
+
+    expect(res.headers["content-type"]).toMatch(/^application\/rss\+xml/);
+    expect(res.headers["cache-control"]).toMatch(/^public, max-age=\d+/);
+    expect(res.text).toContain("<title>Hello</title>");
+    expect(res.text).toMatch(new RegExp(`atom:link href="http://127\\.0\\.0\\.1:\\d+/feeds/${feedId}\\.xml" rel="self"`));
+  });
+
+  it("serves Atom and JSON Feed variants", async () => {
+    const atom = await request(app).get(`/feeds/${feedId}.atom`).expect(200);
+    expect(atom.headers["content-type"]).toMatch(/^application\/atom\+xml/);
+
+    const json = await request(app).get(`/feeds/${feedId}.json`).expect(200);
+    expect(json.headers["content-type"]).toMatch(/^application\/feed\+json/);
+    expect(JSON.parse(json.text).items[0].url).toBe("https://example.com/hello");
+  });
+
+  it("returns 404 for unknown ids and extensions", async () => {
+    await request(app).get("/feeds/unknown.xml").expect(404);
+    const res = await request(app).get(`/feeds/${feedId}.html`).expect(404);
+    expect(res.body.code).toBe("FEED_NOT_FOUND");
+  });
+});
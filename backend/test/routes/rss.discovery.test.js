@@ -6,6 +6,7 @@ const API_KEY = process.env.API_KEY || 'test-api-key-12345';
 const mockDiscoverRssFeed = jest.fn();
 const mockFetchAndParseRss = jest.fn();
 const mockScrapeWebsite = jest.fn();
+const mockScrapeSitemap = jest.fn();
 const mockGenerateRssFeed = jest.fn();
 
 jest.unstable_mockModule('../../src/services/rssDiscovery.js', () => ({
@@ -13,24 +14,35 @@ jest.unstable_mockModule('../../src/services/rssDiscovery.js', () => ({
 }));
 
 jest.unstable_mockModule('../../src/services/rssFetcher.js', () => ({
-  fetchAndParseRss: mockFetchAndParseRss
+  fetchAndParseRss: mockFetchAndParseRss,
+  listFeedCacheEntries: jest.fn(),
+  invalidateFeedCache: jest.fn()
 }));
 
 jest.unstable_mockModule('../../src/utils/scraper.js', () => ({
   scrapeWebsite: mockScrapeWebsite
 }));
 
+jest.unstable_mockModule('../../src/utils/sitemap.js', () => ({
+  scrapeSitemap: mockScrapeSitemap
+}));
+
 jest.unstable_mockModule('../../src/services/rssGenerator.js', () => ({
   generateRssFeed: mockGenerateRssFeed
 }));
 
 const { default: app } = await import('../../src/index.js');
+const { createAccessToken } = await import('../../src/services/auth.js');
+const { RobotsDisallowedError } = await import('../../src/utils/robots.js');
+const { RendererError } = await import('../../src/services/renderer.js');
 
 describe('RSS Route Discovery Path', () => {
   beforeEach(() => {
     mockDiscoverRssFeed.mockReset();
     mockFetchAndParseRss.mockReset();
     mockScrapeWebsite.mockReset();
+    mockScrapeSitemap.mockReset();
+    mockScrapeSitemap.mockResolvedValue({ title: 'example.com', items: [], sitemaps: [] });
     mockGenerateRssFeed.mockReset();
   });
 
@@ -55,7 +67,7 @@ describe('RSS Route Discovery Path', () => {
     expect(res.body.feedUrl).toBe(youtubeFeedUrl);
     expect(Array.isArray(res.body.feed.items)).toBe(true);
     expect(res.body.feed.items).toHaveLength(2);
-    expect(mockDiscoverRssFeed).toHaveBeenCalledWith(youtubeFeedUrl);
+    expect(mockDiscoverRssFeed).toHaveBeenCalledWith(youtubeFeedUrl, { respectRobots: undefined });
     expect(mockFetchAndParseRss).toHaveBeenCalledWith(
       youtubeFeedUrl,
       expect.objectContaining({ since: undefined })
@@ -63,4 +75,319 @@ describe('RSS Route Discovery Path', () => {
     expect(mockScrapeWebsite).not.toHaveBeenCalled();
     expect(mockGenerateRssFeed).not.toHaveBeenCalled();
   });
+
+  it('returns only unseen items with onlyNew and advances the cursor', async () => {
+    const feedUrl = 'https://example.com/feed.xml';
+    const feed = {
+      title: 'Example',
+      items: [
+        { title: 'One', link: 'https://example.com/1', guid: 'https://example.com/1' },
+        { title: 'Two', link: 'https://example.com/2', guid: 'https://example.com/2' }
+      ]
+    };
+    mockDiscoverRssFeed.mockResolvedValue(feedUrl);
+    mockFetchAndParseRss.mockResolvedValue(feed);
+
+    const first = await request(app)
+      .post('/api/rss/fetch')
+      .set('X-API-Key', API_KEY)
+      .send({ url: 'https://example.com/onlynew', onlyNew: true })
+      .expect(200);
+    expect(first.body.feed.items).toHaveLength(2);
+    expect(first.body.feed.items[0].firstSeenAt).toEqual(expect.any(String));
+
+    const second = await request(app)
+      .post('/api/rss/fetch')
+      .set('X-API-Key', API_KEY)
+      .send({ url: 'https://example.com/onlynew', onlyNew: true })
+      .expect(200);
+    expect(second.body.feed.items).toHaveLength(0);
+
+    feed.items.push({ title: 'Three', link: 'https://example.com/3', guid: 'https://example.com/3' });
+    const third = await request(app)
+      .post('/api/rss/fetch')
+      .set('X-API-Key', API_KEY)
+      .send({ url: 'https://example.com/onlynew', cursor: first.body.cursor })
+      .expect(200);
+    expect(third.body.feed.items.map(item => item.title)).toEqual(['Three']);
+  });
+
+  it('applies inline filter rules before selecting items', async () => {
+    const feedUrl = 'https://filters.example.com/feed.xml';
+    mockDiscoverRssFeed.mockResolvedValueOnce(feedUrl);
+    mockFetchAndParseRss.mockResolvedValueOnce({
+      title: 'Example',
+      items: [
+        { title: 'Sponsored: buy now', link: 'https://filters.example.com/ad' },
+        { title: 'New AI model released', link: 'https://filters.example.com/ai' },
+        { title: 'Weather update', link: 'https://filters.example.com/weather' }
+      ]
+    });
+
+    const res = await request(app)
+      .post('/api/rss/fetch')
+      .set('X-API-Key', API_KEY)
+      .send({
+        url: feedUrl,
+        filters: [
+          { action: 'exclude', field: 'title', keywords: ['sponsored'] },
+          { action: 'tag', keywords: ['AI'], tags: ['ai'] }
+        ]
+      })
+      .expect(200);
+
+    expect(res.body.feed.items.map(item => item.title)).toEqual(['New AI model released', 'Weather update']);
+    expect(res.body.feed.items[0].tags).toEqual(['ai']);
+  });
+
+  it('returns 404 for an unknown filter set', async () => {
+    const res = await request(app)
+      .post('/api/rss/fetch')
+      .set('X-API-Key', API_KEY)
+      .send({ url: 'https://example.com', filterSetIds: ['missing'] })
+      .expect(404);
+
+    expect(res.body.code).toBe('FILTER_SET_NOT_FOUND');
+    expect(mockDiscoverRssFeed).not.toHaveBeenCalled();
+  });
+
+  it('renders the discovered feed as Atom when requested via format', async () => {
+    mockDiscoverRssFeed.mockResolvedValueOnce('https://example.com/atom-feed.xml');
+    mockFetchAndParseRss.mockResolvedValueOnce({
+      title: 'Example',
+      link: 'https://example.com',
+      items: [{ title: 'Post', link: 'https://example.com/atom/1', creator: 'Jane', categories: ['news'] }]
+    });
+
+    const res = await request(app)
+      .post('/api/rss/fetch')
+      .set('X-API-Key', API_KEY)
+      .send({ url: 'https://example.com/atom', format: 'atom' })
+      .expect(200);
+
+    expect(res.headers['content-type']).toMatch(/^application\/atom\+xml/);
+    expect(res.headers['x-feed-source']).toBe('discovered');
+    expect(res.headers['x-feed-cursor']).toEqual(expect.any(String));
+    expect(res.text).toContain('<name>Jane</name>');
+    expect(res.text).toContain('<category term="news"/>');
+  });
+
+  it('negotiates JSON Feed from the Accept header', async () => {
+    mockDiscoverRssFeed.mockResolvedValueOnce('https://example.com/jf-feed.xml');
+    mockFetchAndParseRss.mockResolvedValueOnce({
+      title: 'Example',
+      items: [{ title: 'Post', link: 'https://example.com/jf/1' }]
+    });
+
+    const res = await request(app)
+      .post('/api/rss/fetch')
+      .set('X-API-Key', API_KEY)
+      .set('Accept', 'application/feed+json')
+      .send({ url: 'https://example.com/jf' })
+      .expect(200);
+
+    expect(res.headers['content-type']).toMatch(/^application\/feed\+json/);
+    expect(JSON.parse(res.text).items[0].url).toBe('https://example.com/jf/1');
+  });
+
+  it('returns stable public URLs for generated feeds', async () => {
+    mockDiscoverRssFeed.mockResolvedValue(null);
+    mockScrapeWebsite.mockResolvedValue({
+      title: 'No Feed Site',
+      items: [{ title: 'Post', link: 'https://nofeed.example.com/post' }]
+    });
+    mockGenerateRssFeed.mockReturnValue({
+      xml: '<?xml version="1.0"?><rss version="2.0"><channel><title>No Feed Site</title></channel></rss>',
+      json: { title: 'No Feed Site', items: [] }
+    });
+
+    const first = await request(app)
+      .post('/api/rss/fetch')
+      .set('X-API-Key', API_KEY)
+      .send({ url: 'https://nofeed.example.com' })
+      .expect(200);
+    const second = await request(app)
+      .post('/api/rss/fetch')
+      .set('X-API-Key', API_KEY)
+      .send({ url: 'https://nofeed.example.com' })
+      .expect(200);
+
+    expect(first.body.source).toBe('generated');
+    expect(first.body.publicFeed.urls.rss2).toMatch(/\/feeds\/[\w-]+\.xml$/);
+    expect(second.body.publicFeed.id).toBe(first.body.publicFeed.id);
+    expect(mockGenerateRssFeed).toHaveBeenLastCalledWith(
+      'https://nofeed.example.com',
+      expect.any(Object),
+      { feedUrl: second.body.publicFeed.urls.rss2 }
+    );
+  });
+
+  it('crawls the requested number of pages for generated feeds and reports them', async () => {
+    const pages = [
+      { url: 'https://blog.example.com', itemCount: 1 },
+      { url: 'https://blog.example.com/page/2', itemCount: 1 }
+    ];
+    mockDiscoverRssFeed.mockResolvedValue(null);
+    mockScrapeWebsite.mockResolvedValue({
+      title: 'Blog',
+      items: [
+        { title: 'New', link: 'https://blog.example.com/new' },
+        { title: 'Old', link: 'https://blog.example.com/old' }
+      ],
+      pages
+    });
+    mockGenerateRssFeed.mockReturnValue({
+      xml: '<?xml version="1.0"?><rss version="2.0"><channel><title>Blog</title></channel></rss>',
+      json: { title: 'Blog', items: [] }
+    });
+
+    const res = await request(app)
+      .post('/api/rss/fetch')
+      .set('X-API-Key', API_KEY)
+      .send({ url: 'https://blog.example.com', pages: 2 })
+      .expect(200);
+
+    expect(mockScrapeWebsite).toHaveBeenCalledWith('https://blog.example.com', { respectRobots: undefined, pages: 2 });
+    expect(res.body.pages).toEqual(pages);
+  });
+
+  it('generates the feed from sitemaps when asked to', async () => {
+    const sitemaps = [{ url: 'https://app.example.com/sitemap.xml', urlCount: 1 }];
+    mockDiscoverRssFeed.mockResolvedValue(null);
+    mockScrapeSitemap.mockResolvedValueOnce({
+      title: 'app.example.com',
+      items: [{ title: 'Launch notes', link: 'https://app.example.com/launch-notes', extractedWith: 'sitemap' }],
+      sitemaps
+    });
+    mockGenerateRssFeed.mockReturnValue({
+      xml: '<?xml version="1.0"?><rss version="2.0"><channel><title>app.example.com</title></channel></rss>',
+      json: { title: 'app.example.com', items: [] }
+    });
+
+    const res = await request(app)
+      .post('/api/rss/fetch')
+      .set('X-API-Key', API_KEY)
+      .send({ url: 'https://app.example.com', strategy: 'sitemap', fetchTitles: true })
+      .expect(200);
+
+    expect(mockScrapeWebsite).not.toHaveBeenCalled();
+    expect(mockScrapeSitemap).toHaveBeenCalledWith('https://app.example.com', { respectRobots: undefined, fetchTitles: true });
+    expect(res.body.strategy).toBe('sitemap');
+    expect(res.body.sitemaps).toEqual(sitemaps);
+  });
+
+  it('falls back to sitemaps when the page yields no items', async () => {
+    mockDiscoverRssFeed.mockResolvedValue(null);
+    mockScrapeWebsite.mockResolvedValue({ title: 'Spa Shell', description: '', siteName: 'Spa', items: [], pages: [] });
+    mockScrapeSitemap.mockResolvedValue({
+      title: 'spa.example.com',
+      items: [{ title: 'Pricing', link: 'https://spa.example.com/pricing', extractedWith: 'sitemap' }],
+      sitemaps: []
+    });
+    mockGenerateRssFeed.mockReturnValue({
+      xml: '<?xml version="1.0"?><rss version="2.0"><channel><title>Spa Shell</title></channel></rss>',
+      json: { title: 'Spa Shell', items: [] }
+    });
+
+    const fallback = await request(app)
+      .post('/api/rss/fetch')
+      .set('X-API-Key', API_KEY)
+      .send({ url: 'https://spa.example.com' })
+      .expect(200);
+
+    expect(fallback.body.strategy).toBe('sitemap');
+    expect(mockGenerateRssFeed).toHaveBeenLastCalledWith(
+      'https://spa.example.com',
+      expect.objectContaining({ title: 'Spa Shell', items: [expect.objectContaining({ title: 'Pricing' })] }),
+      expect.any(Object)
+    );
+
+    const scrapeOnly = await request(app)
+      .post('/api/rss/fetch')
+      .set('X-API-Key', API_KEY)
+      .send({ url: 'https://spa.example.com', strategy: 'scrape' })
+      .expect(200);
+
+    expect(scrapeOnly.body.strategy).toBe('scrape');
+    expect(mockScrapeSitemap).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects a page count below one', async () => {
+    await request(app)
+      .post('/api/rss/fetch')
+      .set('X-API-Key', API_KEY)
+      .send({ url: 'https://blog.example.com', pages: 0 })
+      .expect(400);
+  });
+
+  it('returns 501 with RENDERER_NOT_CONFIGURED when render is asked for without a renderer', async () => {
+    mockDiscoverRssFeed.mockResolvedValueOnce(null);
+    mockScrapeWebsite.mockRejectedValueOnce(
+      new RendererError('No page renderer is configured', 'RENDERER_NOT_CONFIGURED')
+    );
+
+    const res = await request(app)
+      .post('/api/rss/fetch')
+      .set('X-API-Key', API_KEY)
+      .send({ url: 'https://app.example.com/', render: true })
+      .expect(501);
+
+    expect(res.body.code).toBe('RENDERER_NOT_CONFIGURED');
+    expect(mockScrapeWebsite).toHaveBeenCalledWith('https://app.example.com/', expect.objectContaining({ render: true }));
+    expect(mockGenerateRssFeed).not.toHaveBeenCalled();
+  });
+
+  describe('robots.txt', () => {
+    function bearer(role) {
+      process.env.JWT_SECRET = 'robots-test-secret';
+      return `Bearer ${createAccessToken({ id: 'usr_robots', tenantId: 'tenant_robots', role })}`;
+    }
+
+    it('returns 403 with ROBOTS_DISALLOWED when the page may not be scraped', async () => {
+      mockDiscoverRssFeed.mockResolvedValueOnce(null);
+      mockScrapeWebsite.mockRejectedValueOnce(
+        new RobotsDisallowedError('robots.txt of private.example.com disallows fetching https://private.example.com/')
+      );
+
+      const res = await request(app)
+        .post('/api/rss/fetch')
+        .set('X-API-Key', API_KEY)
+        .send({ url: 'https://private.example.com/' })
+        .expect(403);
+
+      expect(res.body.code).toBe('ROBOTS_DISALLOWED');
+      expect(mockGenerateRssFeed).not.toHaveBeenCalled();
+    });
+
+    it('only lets admins set respectRobots to false', async () => {
+      const res = await request(app)
+        .post('/api/rss/fetch')
+        .set('X-API-Key', API_KEY)
+        .set('Authorization', bearer('user'))
+        .send({ url: 'https://private.example.com/', respectRobots: false })
+        .expect(403);
+
+      expect(res.body.code).toBe('ROBOTS_OVERRIDE_FORBIDDEN');
+      expect(mockDiscoverRssFeed).not.toHaveBeenCalled();
+    });
+
+    it('passes the admin override on to discovery and scraping', async () => {
+      mockDiscoverRssFeed.mockResolvedValueOnce(null);
+      mockScrapeWebsite.mockResolvedValueOnce({ title: 'Private', items: [] });
+      mockGenerateRssFeed.mockReturnValue({
+        xml: '<?xml version="1.0"?><rss version="2.0"><channel><title>Private</title></channel></rss>',
+        json: { title: 'Private', items: [] }
+      });
+
+      await request(app)
+        .post('/api/rss/fetch')
+        .set('X-API-Key', API_KEY)
+        .set('Authorization', bearer('admin'))
+        .send({ url: 'https://private.example.com/', respectRobots: false })
+        .expect(200);
+
+      expect(mockDiscoverRssFeed).toHaveBeenCalledWith('https://private.example.com/', { respectRobots: false });
+      expect(mockScrapeWebsite).toHaveBeenCalledWith('https://private.example.com/', { respectRobots: false });
+    });
+  });
 });
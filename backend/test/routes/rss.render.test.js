@@ -0,0 +1,64 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import request from 'supertest';
+import { API_KEY } from '../helpers/api.js';
+
+const mockAxiosGet = jest.fn();
+const mockAxiosPost = jest.fn();
+const mockLookup = jest.fn();
+const mockDiscoverRssFeed = jest.fn();
+
+jest.unstable_mockModule('axios', () => ({
+  default: {
+    get: mockAxiosGet,
+    post: mockAxiosPost
+  }
+}));
+
+jest.unstable_mockModule('dns', () => ({
+  default: { lookup: mockLookup }
+}));
+
+jest.unstable_mockModule('../../src/services/rssDiscovery.js', () => ({
+  discoverRssFeed: mockDiscoverRssFeed
+}));
+
+const { default: app } = await import('../../src/index.js');
+const { createHttpRenderer, setRenderer } = await import('../../src/services/renderer.js');
+const { clearRobotsCache } = await import('../../src/utils/robots.js');
+
+describe('RSS Route Rendering', () => {
+  beforeEach(async () => {
+    mockAxiosGet.mockReset();
+    mockAxiosPost.mockReset();
+    mockLookup.mockReset();
+    mockLookup.mockImplementation((hostname, options, callback) => {
+      callback(null, [{ address: '93.184.216.34', family: 4 }]);
+    });
+    mockDiscoverRssFeed.mockReset();
+    mockDiscoverRssFeed.mockResolvedValue(null);
+    // No robots.txt
+    mockAxiosGet.mockResolvedValue({ status: 404, headers: {}, data: null });
+    await clearRobotsCache();
+    setRenderer(createHttpRenderer({ url: 'http://renderer:3000' }));
+  });
+
+  afterEach(() => {
+    setRenderer(undefined);
+  });
+
+  it('returns 502 with RENDER_FAILED when the rendering service fails', async () => {
+    mockAxiosPost.mockRejectedValueOnce(
+      Object.assign(new Error('Request failed with status code 503'), { response: { status: 503 } })
+    );
+
+    const res = await request(app)
+      .post('/api/rss/fetch')
+      .set('X-API-Key', API_KEY)
+      .send({ url: 'https://app.example.com/', render: true })
+      .expect(502);
+
+    expect(res.body.code).toBe('RENDER_FAILED');
+    expect(res.body.error).toMatch(/HTTP 503/);
+    expect(mockAxiosPost).toHaveBeenCalledWith('http://renderer:3000/render', expect.any(Object), expect.any(Object));
+  });
+});
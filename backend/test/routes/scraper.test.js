@@ -0,0 +1,111 @@
+import { describe, it, expect, beforeEach, jest } from "@jest/globals";
+import request from "supertest";
+import { API_KEY } from "../helpers/api.js";
+
+const mockAxiosGet = jest.fn();
+
+jest.unstable_mockModule("axios", () => ({
+  default: {
+    get: mockAxiosGet,
+  },
+}));
+
+const { clearAllCollections } = await import("../../src/services/storage.js");
+const { createAccessToken } = await import("../../src/services/auth.js");
+const { default: app } = await import("../../src/index.js");
+
+const PAGE = `
+  <html><body>
+    <nav><div class="card"><a href="/about">About our newsroom</a></div></nav>
+    <ul class="posts">
+      <li><a class="headline" href="/2026/first">First story</a><span class="when">15/03/2026</span></li>
+      <li class="promo"><a class="headline" href="/subscribe">Subscribe now</a></li>
+      <li><a class="headline" href="/2026/second">Second story</a><span class="when">16/03/2026</span></li>
+    </ul>
+  </body></html>
+`;
+
+const RECIPE = {
+  domain: "www.News.example.com",
+  itemSelector: "ul.posts > li",
+  titleSelector: ".headline",
+  linkSelector: ".headline",
+  dateSelector: ".when",
+  dateFormat: "DD/MM/YYYY",
+  excludeSelectors: [".promo"],
+};
+
+describe("Scraper Recipe Routes", () => {
+  beforeEach(async () => {
+    process.env.JWT_SECRET = "scraper-test-secret";
+    mockAxiosGet.mockReset();
+    await clearAllCollections();
+  });
+
+  function admin(req, role = "admin") {
+    return req
+      .set("X-API-Key", API_KEY)
+      .set("Authorization", `Bearer ${createAccessToken({ id: "usr_admin", tenantId: "tenant_admin", role })}`);
+  }
+
+  it("requires an admin bearer token", async () => {
+    await request(app).get("/api/scraper/recipes").set("X-API-Key", API_KEY).expect(401);
+    await admin(request(app).get("/api/scraper/recipes"), "user").expect(403);
+  });
+
+  it("supports the full CRUD lifecycle", async () => {
+    const created = await admin(request(app).post("/api/scraper/recipes")).send(RECIPE).expect(201);
+    const { id } = created.body.recipe;
+
+    expect(created.body.recipe.domain).toBe("news.example.com");
+
+    await admin(request(app).post("/api/scraper/recipes")).send(RECIPE).expect(409);
+
+    const updated = await admin(request(app).patch(`/api/scraper/recipes/${id}`))
+      .send({ summarySelector: "p.dek" })
+      .expect(200);
+    expect(updated.body.recipe).toEqual(expect.objectContaining({ summarySelector: "p.dek", itemSelector: "ul.posts > li" }));
+
+    const list = await admin(request(app).get("/api/scraper/recipes")).expect(200);
+    expect(list.body.total).toBe(1);
+
+    await admin(request(app).delete(`/api/scraper/recipes/${id}`)).expect(200);
+    await admin(request(app).get(`/api/scraper/recipes/${id}`)).expect(404);
+  });
+
+  it("rejects selectors that do not parse", async () => {
+    const res = await admin(request(app).post("/api/scraper/recipes"))
+      .send({ domain: "example.com", itemSelector: "li:nope" })
+      .expect(400);
+
+    expect(res.body.code).toBe("INVALID_SELECTOR");
+  });
+
+  it("dry-runs the saved recipe of the URL's domain", async () => {
+    await admin(request(app).post("/api/scraper/recipes")).send(RECIPE).expect(201);
+    mockAxiosGet.mockResolvedValueOnce({ data: PAGE });
+
+    const res = await admin(request(app).post("/api/scraper/recipes/dry-run"))
+      .send({ url: "https://www.news.example.com/latest" })
+      .expect(200);
+
+    expect(res.body.extractedWith).toBe("recipe");
+    expect(res.body.recipe.domain).toBe("news.example.com");
+    expect(res.body.items.map((item) => [item.title, item.link, item.pubDate])).toEqual([
+      ["First story", "https://www.news.example.com/2026/first", "2026-03-15T00:00:00.000Z"],
+      ["Second story", "https://www.news.example.com/2026/second", "2026-03-16T00:00:00.000Z"],
+    ]);
+  });
+
+  it("dry-runs an unsaved recipe and falls back to heuristics when it matches nothing", async () => {
+    mockAxiosGet.mockResolvedValue({ data: PAGE });
+
+    const res = await admin(request(app).post("/api/scraper/recipes/dry-run"))
+      .send({ url: "https://other.example.org/", recipe: { itemSelector: "div.stories > article" } })
+      .expect(200);
+
+    expect(res.body.recipe).toEqual({ id: null, domain: "other.example.org" });
+    expect(res.body.extractedWith).toBe("heuristics");
+    expect(res.body.items[0].title).toBe("About our newsroom");
+  });
+});
@@ -0,0 +1,124 @@
+import { describe, it, expect, beforeEach, jest } from "@jest/globals";
+import request from "supertest";
+import { API_KEY } from "../helpers/api.js";
+import { createAccessToken } from "../../src/services/auth.js";
+
+const mockDiscoverRssFeed = jest.fn();
+
+jest.unstable_mockModule("../../src/services/rssDiscovery.js", () => ({
+  discoverRssFeed: mockDiscoverRssFeed,
+}));
+
+const { clearAllCollections } = await import("../../src/services/storage.js");
+const { default: app } = await import("../../src/index.js");
+
+describe("Subscription Routes", () => {
+  beforeEach(async () => {
+    process.env.JWT_SECRET = "subscriptions-test-secret";
+    mockDiscoverRssFeed.mockReset();
+    await clearAllCollections();
+  });
+
+  it("requires API key", async () => {
+    await request(app).get("/api/subscriptions").expect(401);
+  });
+
+  it("validates create payload", async () => {
+    const res = await request(app)
+      .post("/api/subscriptions")
+      .set("X-API-Key", API_KEY)
+      .send({ url: "not-a-url" })
+      .expect(400);
+
+    expect(res.body.error).toBe("Validation failed");
+  });
+
+  it("rejects blocked URLs", async () => {
+    const res = await request(app)
+      .post("/api/subscriptions")
+      .set("X-API-Key", API_KEY)
+      .send({ url: "http://localhost:3000" })
+      .expect(400);
+
+    expect(res.body.code).toBe("BLOCKED_HOSTNAME");
+  });
+
+  it("supports the full CRUD lifecycle", async () => {
+    mockDiscoverRssFeed.mockResolvedValueOnce("https://example.com/feed.xml");
+
+    const created = await request(app)
+      .post("/api/subscriptions")
+      .set("X-API-Key", API_KEY)
+      .send({ url: "https://example.com", title: "Example", tags: ["news"] })
+      .expect(201);
+
+    const { id } = created.body.subscription;
+    expect(created.body.subscription.feedUrl).toBe("https://example.com/feed.xml");
+
+    const listed = await request(app)
+      .get("/api/subscriptions?tag=news")
+      .set("X-API-Key", API_KEY)
+      .expect(200);
+    expect(listed.body.total).toBe(1);
+
+    const patched = await request(app)
+      .patch(`/api/subscriptions/${id}`)
+      .set("X-API-Key", API_KEY)
+      .send({ enabled: false })
+      .expect(200);
+    expect(patched.body.subscription.enabled).toBe(false);
+
+    await request(app)
+      .delete(`/api/subscriptions/${id}`)
+      .set("X-API-Key", API_KEY)
+      .expect(200);
+
+    await request(app)
+      .get(`/api/subscriptions/${id}`)
+      .set("X-API-Key", API_KEY)
+      .expect(404);
+  });
+
+  it("scopes subscriptions to the bearer token tenant", async () => {
+    mockDiscoverRssFeed.mockResolvedValueOnce("https://example.com/feed.xml");
+    const token = createAccessToken({ id: "usr_1", tenantId: "tenant_a" });
+
+    await request(app)
+      .post("/api/subscriptions")
+      .set("X-API-Key", API_KEY)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ url: "https://example.com" })
+      .expect(201);
+
+    const defaultTenant = await request(app)
+      .get("/api/subscriptions")
+      .set("X-API-Key", API_KEY)
+      .expect(200);
+    expect(defaultTenant.body.total).toBe(0);
+
+    const tenantA = await request(app)
+      .get("/api/subscriptions")
+      .set("X-API-Key", API_KEY)
+      .set("Authorization", `Bearer ${token}`)
+      .expect(200);
+    expect(tenantA.body.total).toBe(1);
+  });
+
+  it("returns 409 for duplicate subscriptions", async () => {
+    mockDiscoverRssFeed.mockResolvedValue("https://example.com/feed.xml");
+
+    await request(app)
+      .post("/api/subscriptions")
+      .set("X-API-Key", API_KEY)
+      .send({ url: "https://example.com" })
+      .expect(201);
+
+    const res = await request(app)
+      .post("/api/subscriptions")
+      .set("X-API-Key", API_KEY)
+      .send({ url: "https://example.com" })
+      .expect(409);
+
+    expect(res.body.code).toBe("DUPLICATE_SUBSCRIPTION");
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it, expect, beforeEach, jest } from "@jest/globals";
+import request from "supertest";
+import { API_KEY } from "../helpers/api.js";
+
+const mockAxiosGet = jest.fn();
+
+jest.unstable_mockModule("axios", () => ({
+  default: {
+    get: mockAxiosGet,
+  },
+}));
+
+const { clearAllCollections } = await import("../../src/services/storage.js");
+const { default: app } = await import("../../src/index.js");
+
+function notice(text) {
+  return { data: `<html><body><nav>Menu</nav><article id="notice"><h1>Notice</h1><p>${text}</p></article></body></html>` };
+}
+
+describe("Watch Routes", () => {
+  beforeEach(async () => {
+    mockAxiosGet.mockReset();
+    await clearAllCollections();
+  });
+
+  it("requires API key", async () => {
+    await request(app).get("/api/watches").expect(401);
+  });
+
+  it("supports the full CRUD lifecycle", async () => {
+    const created = await request(app)
+      .post("/api/watches")
+      .set("X-API-Key", API_KEY)
+      .send({ url: "https://regulator.example.gov/notice", selector: "#notice" })
+      .expect(201);
+    const { id } = created.body.watch;
+
+    expect(created.body.watch).toEqual(expect.objectContaining({ snapshot: null, changeCount: 0 }));
+
+    await request(app)
+      .post("/api/watches")
+      .set("X-API-Key", API_KEY)
+      .send({ url: "https://regulator.example.gov/notice", selector: "#notice" })
+      .expect(409);
+
+    const updated = await request(app)
+      .patch(`/api/watches/${id}`)
+      .set("X-API-Key", API_KEY)
+      .send({ name: "Regulator notice", selector: null })
+      .expect(200);
+    expect(updated.body.watch).toEqual(expect.objectContaining({ name: "Regulator notice", selector: null }));
+
+    const list = await request(app).get("/api/watches").set("X-API-Key", API_KEY).expect(200);
+    expect(list.body.total).toBe(1);
+
+    await request(app).delete(`/api/watches/${id}`).set("X-API-Key", API_KEY).expect(200);
+    await request(app).get(`/api/watches/${id}`).set("X-API-Key", API_KEY).expect(404);
+  });
+
+  it("rejects selectors that do not parse", async () => {
+    const res = await request(app)
+      .post("/api/watches")
+      .set("X-API-Key", API_KEY)
+      .send({ url: "https://example.com/pricing", selector: "div:nope" })
+      .expect(400);
+
+    expect(res.body.code).toBe("INVALID_SELECTOR");
+  });
+
+  it("serves detected changes as a feed", async () => {
+    const created = await request(app)
+      .post("/api/watches")
+      .set("X-API-Key", API_KEY)
+      .send({ url: "https://regulator.example.gov/notice", name: "Notice 12", selector: "#notice" })
+      .expect(201);
+    const { id } = created.body.watch;
+
+    mockAxiosGet.mockResolvedValueOnce(notice("Consultation open until 1 May."));
+    const baseline = await request(app).post(`/api/watches/${id}/check`).set("X-API-Key", API_KEY).expect(200);
+    expect(baseline.body.change).toBeNull();
+
+    mockAxiosGet.mockResolvedValueOnce(notice("Consultation extended until 15 May."));
+    const check = await request(app).post(`/api/watches/${id}/check`).set("X-API-Key", API_KEY).expect(200);
+    expect(check.body.change.text).toBe("  Notice\n- Consultation open until 1 May.\n+ Consultation extended until 15 May.");
+
+    // Checked just now, so reading the feed does not fetch the page again
+    const feed = await request(app)
+      .get(`/api/watches/${id}/feed?format=rss2`)
+      .set("X-API-Key", API_KEY)
+      .expect(200);
+
+    expect(mockAxiosGet).toHaveBeenCalledTimes(2);
+    expect(feed.headers["content-type"]).toMatch(/^application\/rss\+xml/);
+    expect(feed.text).toContain("<title>Notice 12: 1 line added, 1 line removed</title>");
+    expect(feed.text).toContain("<ins>+ Consultation extended until 15 May.</ins>");
+  });
+
+  it("serves recorded changes when the page cannot be fetched", async () => {
+    const created = await request(app)
+      .post("/api/watches")
+      .set("X-API-Key", API_KEY)
+      .send({ url: "https://down.example.com/status" })
+      .expect(201);
+    const error = new Error("connect ECONNREFUSED");
+    error.code = "ECONNREFUSED";
+    mockAxiosGet.mockRejectedValueOnce(error);
+
+    const res = await request(app)
+      .get(`/api/watches/${created.body.watch.id}/feed`)
+      .set("X-API-Key", API_KEY)
+      .expect(200);
+
+    expect(res.headers["x-watch-error"]).toBe("ECONNREFUSED");
+    expect(res.body.watch.lastError).toBe("connect ECONNREFUSED");
+    expect(res.body.feed.items).toEqual([]);
+  });
+});
@@ -13,10 +13,12 @@ jest.unstable_mockModule('axios', () => ({
 }));
 
 const { default: app } = await import('../../src/index.js');
+const { clearAllCaches } = await import('../../src/services/cache.js');
 
 describe('YouTube Routes', () => {
-  beforeEach(() => {
+  beforeEach(async () => {
     mockAxiosGet.mockReset();
+    await clearAllCaches();
   });
 
   afterEach(() => {
@@ -0,0 +1,54 @@
+import { describe, it, expect, beforeEach, afterAll } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'genie-cache-'));
+process.env.CACHE_DRIVER = 'file';
+process.env.CACHE_DIR = cacheDir;
+
+const { getCache, getCacheStats, clearAllCaches } = await import('../../src/services/cache.js');
+
+describe('Cache Service (file driver)', () => {
+  beforeEach(async () => {
+    await clearAllCaches();
+  });
+
+  afterAll(() => {
+    delete process.env.CACHE_DRIVER;
+    delete process.env.CACHE_DIR;
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  it('persists entries as files under the namespace directory', async () => {
+    const feeds = getCache('feeds', { ttl: 60 });
+    await feeds.set('https://example.com/feed:since:none', { title: 'Example' });
+
+    expect(fs.readdirSync(path.join(cacheDir, 'feeds'))).toHaveLength(1);
+    expect(await feeds.get('https://example.com/feed:since:none')).toEqual({ title: 'Example' });
+    expect(await feeds.keys()).toEqual(['https://example.com/feed:since:none']);
+    expect((await getCacheStats()).driver).toBe('file');
+  });
+
+  it('treats expired entries as misses and removes them', async () => {
+    const feeds = getCache('feeds');
+    await feeds.set('old', 'value', 60);
+
+    const [file] = fs.readdirSync(path.join(cacheDir, 'feeds'));
+    const entryPath = path.join(cacheDir, 'feeds', file);
+    const entry = JSON.parse(fs.readFileSync(entryPath, 'utf8'));
+    fs.writeFileSync(entryPath, JSON.stringify({ ...entry, expiresAt: Date.now() - 1000 }));
+
+    expect(await feeds.get('old')).toBeUndefined();
+    expect(fs.existsSync(entryPath)).toBe(false);
+  });
+
+  it('clears a namespace', async () => {
+    const feeds = getCache('feeds');
+    await feeds.set('a', 1);
+    await feeds.set('b', 2);
+
+    expect(await feeds.clear()).toBe(2);
+    expect(await feeds.keys()).toEqual([]);
+  });
+});
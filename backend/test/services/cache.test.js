@@ -0,0 +1,67 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import { getCache, getCacheStats, clearAllCaches, registerCacheDriver } from '../../src/services/cache.js';
+
+describe('Cache Service', () => {
+  beforeEach(async () => {
+    await clearAllCaches();
+  });
+
+  it('returns the same cache instance by namespace', () => {
+    expect(getCache('things')).toBe(getCache('things'));
+  });
+
+  it('stores, reads and deletes values within a namespace', async () => {
+    const things = getCache('expiring', { ttl: 60 });
+    await things.set('a', { title: 'A' });
+
+    expect(await things.get('a')).toEqual({ title: 'A' });
+    expect(await things.has('a')).toBe(true);
+    expect(await things.getTtl('a')).toBeGreaterThan(Date.now());
+    expect(await things.keys()).toEqual(['a']);
+
+    expect(await things.del('a')).toBe(true);
+    expect(await things.get('a')).toBeUndefined();
+    expect(await things.getTtl('a')).toBeNull();
+  });
+
+  it('keeps namespaces apart', async () => {
+    await getCache('left').set('key', 'left value');
+    await getCache('right').set('key', 'right value');
+
+    expect(await getCache('left').get('key')).toBe('left value');
+    expect(await getCache('left').clear()).toBe(1);
+    expect(await getCache('right').get('key')).toBe('right value');
+  });
+
+  it('does not leak mutations of returned values', async () => {
+    const things = getCache('things');
+    await things.set('a', { tags: ['one'] });
+
+    const value = await things.get('a');
+    value.tags.push('two');
+
+    expect((await things.get('a')).tags).toEqual(['one']);
+  });
+
+  it('counts hits and misses per namespace', async () => {
+    const things = getCache('things');
+    await things.set('a', 1);
+    await things.get('a');
+    await things.get('missing');
+
+    const stats = await getCacheStats();
+    expect(stats.driver).toBe('memory');
+    expect(stats.namespaces.things).toEqual({
+      keys: 1,
+      hits: 1,
+      misses: 1,
+      hitRate: '50.00%',
+      sets: 1,
+      errors: 0
+    });
+  });
+
+  it('registers additional drivers', () => {
+    expect(() => registerCacheDriver('custom', () => ({}))).not.toThrow();
+  });
+});
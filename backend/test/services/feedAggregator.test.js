@@ -0,0 +1,127 @@
+import { describe, it, expect } from "@jest/globals";
+
+const {
+  canonicalLink,
+  titleTokens,
+  titleSimilarity,
+  aggregateItems,
+  buildCombinedFeed,
+} = await import("../../src/services/feedAggregator.js");
+const { renderFeed } = await import("../../src/services/feedFormatter.js");
+const { parseStringPromise } = await import("xml2js");
+
+const items = [
+  {
+    title: "Central bank raises interest rates to fight inflation - Reuters",
+    url: "https://www.reuters.com/markets/rates-hike/?utm_source=rss&utm_medium=feed",
+    published: "Tue, 17 Mar 2026 09:00:00 GMT",
+    source: "https://reuters.com/feed",
+  },
+  {
+    title: "New telescope images of distant galaxy",
+    url: "https://space.example.com/telescope",
+    published: "Tue, 17 Mar 2026 12:00:00 GMT",
+    source: "https://space.example.com/rss",
+    tags: ["space"],
+  },
+  {
+    title: "Central bank raises interest rates to fight inflation",
+    url: "https://news.example.org/economy/central-bank-rates",
+    published: "Tue, 17 Mar 2026 10:30:00 GMT",
+    source: "https://news.example.org/rss",
+    tags: ["economy"],
+  },
+  {
+    title: "Rates hike: central bank acts",
+    url: "https://amp.reuters.com/markets/rates-hike/amp",
+    published: "Tue, 17 Mar 2026 11:00:00 GMT",
+    source: "https://aggregator.example.net/rss",
+  },
+];
+
+describe("Feed Aggregator", () => {
+  it("reduces links to a canonical form", () => {
+    expect(canonicalLink("http://www.example.com/story/?utm_campaign=x&id=4#comments"))
+      .toBe("https://example.com/story?id=4");
+    expect(canonicalLink("https://amp.example.com/story/amp")).toBe("https://example.com/story");
+    expect(canonicalLink("https://example.com/story.amp?amp=1")).toBe("https://example.com/story");
+    expect(canonicalLink("")).toBeNull();
+    expect(canonicalLink("email")).toBeNull();
+    expect(canonicalLink("mailto:news@example.com")).toBeNull();
+  });
+
+  it("does not cluster linkless newsletters by their placeholder url", () => {
+    const aggregated = aggregateItems([
+      { title: "Weekly roundup of frontend tooling", url: "email", published: "Mon, 16 Mar 2026 08:00:00 GMT", source: "newsletter" },
+      { title: "Quarterly earnings preview for retailers", url: "email", published: "Tue, 17 Mar 2026 08:00:00 GMT", source: "newsletter" },
+    ]);
+
+    expect(aggregated).toHaveLength(2);
+    expect(aggregated.map(item => item.clusterSize)).toEqual([1, 1]);
+  });
+
+  it("compares titles without publisher suffixes and filler words", () => {
+    expect([...titleTokens("The Quick Brown Fox | BBC News")]).toEqual(["quick", "brown", "fox"]);
+    expect(titleSimilarity(titleTokens("Café opens downtown"), titleTokens("Cafe opens downtown - Local"))).toBe(1);
+    expect(titleSimilarity(titleTokens("Quick brown fox"), titleTokens("Lazy dog"))).toBe(0);
+  });
+
+  it("clusters the same story by link or title, newest cluster first", () => {
+    const aggregated = aggregateItems(items, { similarity: 0.6 });
+
+    expect(aggregated.map((item) => item.title)).toEqual([
+      "New telescope images of distant galaxy",
+      "Central bank raises interest rates to fight inflation - Reuters",
+    ]);
+
+    const story = aggregated[1];
+    expect(story.url).toBe("https://www.reuters.com/markets/rates-hike");
+    expect(story.publishedAt).toBe("2026-03-17T09:00:00.000Z");
+    expect(story.clusterSize).toBe(3);
+    expect(story.tags).toEqual(["economy"]);
+    expect(story.sources.map((source) => source.source)).toEqual([
+      "https://reuters.com/feed",
+      "https://news.example.org/rss",
+      "https://aggregator.example.net/rss",
+    ]);
+    expect(aggregated[0]).toEqual(expect.objectContaining({ clusterSize: 1, tags: ["space"] }));
+  });
+
+  it("keeps short titles apart unless they match exactly", () => {
+    const aggregated = aggregateItems([
+      { title: "Weekly update", url: "https://a.example.com/1" },
+      { title: "Weekly roundup", url: "https://b.example.com/2" },
+      { title: "Weekly update", url: "https://c.example.com/3" },
+    ]);
+
+    expect(aggregated.map((item) => item.clusterSize)).toEqual([2, 1]);
+  });
+
+  it("builds a feed listing the other sources of each story", () => {
+    const feed = buildCombinedFeed(aggregateItems(items, { similarity: 0.6 }));
+    const { body } = renderFeed(feed, "rss2");
+
+    expect(feed.items[1].content).toContain('Also reported by: <a href="https://news.example.org/economy/central-bank-rates">news.example.org</a>');
+    expect(feed.items[1].pubDate).toBe("2026-03-17T09:00:00.000Z");
+    expect(body).toContain("<title>Central bank raises interest rates to fight inflation - Reuters</title>");
+    expect(body).toContain("Items from 4 feeds");
+  });
+
+  it("gives the combined Atom feed and its linkless entries stable ids", async () => {
+    const newsletters = [
+      { title: "Weekly roundup of frontend tooling", url: "email", published: "Mon, 16 Mar 2026 08:00:00 GMT", source: "newsletter" },
+      { title: "Quarterly earnings preview for retailers", url: "email", published: "Tue, 17 Mar 2026 08:00:00 GMT", source: "newsletter" },
+    ];
+    const render = () => renderFeed(buildCombinedFeed(aggregateItems([...items, ...newsletters])), "atom").body;
+    const parsed = await parseStringPromise(render(), { explicitArray: false });
+    const ids = parsed.feed.entry.map(entry => entry.id);
+
+    expect(parsed.feed.id).toMatch(/^urn:uuid:[0-9a-f]{8}-[0-9a-f]{4}-5[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    expect(ids.every(Boolean)).toBe(true);
+    expect(new Set(ids).size).toBe(ids.length);
+    expect(ids).toContain("https://space.example.com/telescope");
+    expect(ids.filter(id => id.startsWith("urn:uuid:"))).toHaveLength(2);
+    expect((await parseStringPromise(render(), { explicitArray: false })).feed.id).toBe(parsed.feed.id);
+    expect(render()).not.toContain('href="email"');
+  });
+});
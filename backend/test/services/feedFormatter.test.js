@@ -0,0 +1,89 @@
+import { describe, it, expect } from "@jest/globals";
+import { parseStringPromise } from "xml2js";
+import { renderFeed, formatForMediaType } from "../../src/services/feedFormatter.js";
+
+const feed = {
+  title: "Example & Co",
+  description: "Example feed",
+  link: "https://example.com",
+  language: "en",
+  lastBuildDate: "Mon, 02 Mar 2026 10:00:00 GMT",
+  items: [
+    {
+      title: "First <post>",
+      link: "https://example.com/1",
+      guid: "tag:example.com,2026:1",
+      pubDate: "Mon, 02 Mar 2026 09:00:00 GMT",
+      creator: "Jane Doe",
+      content: "<p>Hello</p>",
+      contentSnippet: "Hello",
+      categories: ["news", { _: "tech", $: { domain: "x" } }],
+      thumbnail: "https://example.com/1.jpg",
+    },
+  ],
+};
+
+describe("Feed Formatter Service", () => {
+  it("renders RSS 2.0 with creators, categories and thumbnails", async () => {
+    const { contentType, body } = renderFeed(feed, "rss2");
+    expect(contentType).toBe("application/rss+xml");
+
+    const parsed = await parseStringPromise(body, { explicitArray: false });
+    const item = parsed.rss.channel.item;
+    expect(parsed.rss.channel.title).toBe("Example & Co");
+    expect(item.title).toBe("First <post>");
+    expect(item["dc:creator"]).toBe("Jane Doe");
+    expect(item.category).toEqual(["news", "tech"]);
+    expect(item["media:thumbnail"].$.url).toBe("https://example.com/1.jpg");
+    expect(item.guid.$.isPermaLink).toBe("false");
+  });
+
+  it("renders Atom 1.0 entries", async () => {
+    const { contentType, body } = renderFeed(feed, "atom", { selfUrl: "https://genie.test/f.atom" });
+    expect(contentType).toBe("application/atom+xml");
+
+    const parsed = await parseStringPromise(body, { explicitArray: false });
+    const entry = parsed.feed.entry;
+    expect(parsed.feed.id).toBe("https://genie.test/f.atom");
+    expect(entry.id).toBe("tag:example.com,2026:1");
+    expect(entry.author.name).toBe("Jane Doe");
+    expect(entry.category.map((c) => c.$.term)).toEqual(["news", "tech"]);
+    expect(entry.published).toBe("2026-03-02T09:00:00.000Z");
+    expect(entry["media:thumbnail"].$.url).toBe("https://example.com/1.jpg");
+  });
+
+  it("renders JSON Feed 1.1", () => {
+    const { contentType, body } = renderFeed(feed, "jsonfeed");
+    expect(contentType).toBe("application/feed+json");
+
+    const parsed = JSON.parse(body);
+    expect(parsed.version).toBe("https://jsonfeed.org/version/1.1");
+    expect(parsed.home_page_url).toBe("https://example.com");
+    expect(parsed.items[0]).toEqual(
+      expect.objectContaining({
+        id: "tag:example.com,2026:1",
+        url: "https://example.com/1",
+        content_html: "<p>Hello</p>",
+        image: "https://example.com/1.jpg",
+        authors: [{ name: "Jane Doe" }],
+        tags: ["news", "tech"],
+        date_published: "2026-03-02T09:00:00.000Z",
+      })
+    );
+  });
+
+  it("falls back to content_text when an item has no HTML content", () => {
+    const { body } = renderFeed({ items: [{ title: "Bare", link: "https://example.com/b" }] }, "jsonfeed");
+    expect(JSON.parse(body).items[0].content_text).toBe("Bare");
+  });
+
+  it("rejects unknown formats", () => {
+    expect(() => renderFeed(feed, "rss1")).toThrow("Unsupported feed format: rss1");
+  });
+
+  it("maps negotiated media types to formats", () => {
+    expect(formatForMediaType("application/atom+xml")).toBe("atom");
+    expect(formatForMediaType("text/xml")).toBe("rss2");
+    expect(formatForMediaType(false)).toBe("json");
+  });
+});
@@ -0,0 +1,136 @@
+import { describe, it, expect, beforeEach, afterAll } from "@jest/globals";
+
+const { feedHealth: healthConfig } = await import("../../src/config/index.js");
+const { clearAllCollections } = await import("../../src/services/storage.js");
+const { createSubscription, getSubscription } = await import("../../src/services/subscriptions.js");
+const {
+  permanentRedirectTarget,
+  averageItemIntervalSec,
+  recordFeedCheck,
+  evaluateFeedHealth,
+  getFeedHealth,
+} = await import("../../src/services/feedHealth.js");
+
+const DAY_MS = 86400 * 1000;
+
+function itemsPublished(...daysAgo) {
+  return daysAgo.map((days, index) => ({
+    title: `Item ${index}`,
+    link: `https://example.com/${index}`,
+    pubDate: new Date(Date.now() - days * DAY_MS).toUTCString(),
+  }));
+}
+
+describe("Feed Health Service", () => {
+  let subscription;
+
+  beforeEach(async () => {
+    await clearAllCollections();
+    healthConfig.followPermanentRedirects = false;
+    subscription = await createSubscription("tenant_a", {
+      url: "https://example.com",
+      feedUrl: "https://example.com/feed.xml",
+    });
+  });
+
+  afterAll(() => {
+    healthConfig.followPermanentRedirects = false;
+  });
+
+  it("finds the target of leading permanent redirects only", () => {
+    expect(permanentRedirectTarget([
+      { status: 301, url: "https://example.com/rss" },
+      { status: 308, url: "https://feeds.example.com/rss" },
+      { status: 302, url: "https://cdn.example.com/rss?sig=1" },
+    ])).toBe("https://feeds.example.com/rss");
+    expect(permanentRedirectTarget([{ status: 302, url: "https://example.com/rss" }])).toBeNull();
+    expect(permanentRedirectTarget([])).toBeNull();
+  });
+
+  it("averages the gap between item publication dates", () => {
+    expect(averageItemIntervalSec(itemsPublished(1, 3, 5))).toBe(2 * 86400);
+    expect(averageItemIntervalSec([{ title: "undated" }])).toBeNull();
+  });
+
+  it("reports a feed with recent items as healthy", async () => {
+    const record = await recordFeedCheck(subscription, {
+      ok: true,
+      status: 200,
+      items: itemsPublished(0, 1, 2),
+      newItemCount: 3,
+      durationMs: 12,
+    });
+
+    expect(evaluateFeedHealth(record)).toEqual({ status: "healthy", reasons: [] });
+    expect(record.lastNewItemAt).not.toBeNull();
+    expect(record.checks[0]).toEqual(expect.objectContaining({ ok: true, status: 200, itemCount: 3, newItemCount: 3 }));
+  });
+
+  it("flags a feed as erroring after consecutive failures, keeping parse failures apart", async () => {
+    for (let i = 0; i < healthConfig.errorThreshold; i += 1) {
+      await recordFeedCheck(subscription, { ok: false, status: 200, code: "PARSE_FAILED", error: "Non-whitespace before first tag." });
+    }
+
+    const { feeds } = await getFeedHealth("tenant_a");
+
+    expect(feeds[0].status).toBe("erroring");
+    expect(feeds[0].consecutiveFailures).toBe(healthConfig.errorThreshold);
+    expect(feeds[0].history).toHaveLength(healthConfig.errorThreshold);
+    expect(feeds[0].history[0]).toEqual(expect.objectContaining({ ok: false, code: "PARSE_FAILED" }));
+  });
+
+  it("flags a feed as stale once it is quiet for several of its usual gaps", async () => {
+    const record = await recordFeedCheck(subscription, {
+      ok: true,
+      status: 200,
+      items: itemsPublished(10, 11, 12),
+      newItemCount: 0,
+    });
+
+    const health = evaluateFeedHealth(record);
+    expect(health.status).toBe("stale");
+    expect(health.reasons[0]).toMatch(/No new items since/);
+  });
+
+  it("reports permanent redirects as moved without touching the subscription", async () => {
+    await recordFeedCheck(subscription, {
+      ok: true,
+      status: 200,
+      items: itemsPublished(0),
+      redirects: [{ status: 301, url: "https://feeds.example.com/feed.xml" }],
+    });
+
+    const { feeds } = await getFeedHealth("tenant_a", { status: "moved" });
+
+    expect(feeds).toHaveLength(1);
+    expect(feeds[0].movedTo).toBe("https://feeds.example.com/feed.xml");
+    expect((await getSubscription("tenant_a", subscription.id)).feedUrl).toBe("https://example.com/feed.xml");
+  });
+
+  it("updates the stored feed URL on a permanent redirect when enabled", async () => {
+    healthConfig.followPermanentRedirects = true;
+
+    const record = await recordFeedCheck(subscription, {
+      ok: true,
+      status: 200,
+      items: itemsPublished(0),
+      redirects: [{ status: 301, url: "https://feeds.example.com/feed.xml" }],
+    });
+
+    expect((await getSubscription("tenant_a", subscription.id)).feedUrl).toBe("https://feeds.example.com/feed.xml");
+    expect(record.movedTo).toBeNull();
+    expect(record.movedFrom).toBe("https://example.com/feed.xml");
+    expect(evaluateFeedHealth(record).status).toBe("healthy");
+  });
+
+  it("counts feeds per state and lists feeds not polled yet as unchecked", async () => {
+    await createSubscription("tenant_a", { url: "https://other.example.com", feedUrl: "https://other.example.com/rss" });
+    await recordFeedCheck(subscription, { ok: true, status: 200, items: itemsPublished(0), newItemCount: 1 });
+
+    const { counts, feeds } = await getFeedHealth("tenant_a");
+
+    expect(counts).toEqual({ erroring: 0, moved: 0, stale: 0, healthy: 1, unchecked: 1 });
+    expect(feeds.map((feed) => feed.status)).toEqual(["healthy", "unchecked"]);
+    expect((await getFeedHealth("tenant_b")).feeds).toEqual([]);
+  });
+});
@@ -1,4 +1,4 @@
-import { describe, it, expect, beforeEach, jest } from "@jest/globals";
+import { describe, it, expect, beforeEach, afterEach, jest } from "@jest/globals";
 import zlib from "zlib";
 
 const mockAxiosGet = jest.fn();
@@ -16,12 +16,17 @@ jest.unstable_mockModule("imap-simple", () => ({
   },
 }));
 
+const { robots: robotsConfig } = await import("../../src/config/index.js");
 const {
   hashId,
   parseRSS,
   fetchDirect,
+  smartFetch,
+  smartFetchWithSource,
+  collectIntel,
   processFeeds,
 } = await import("../../src/services/feedprocess.js");
+const { setRenderer } = await import("../../src/services/renderer.js");
 
 describe("Feed Process Service", () => {
   beforeEach(() => {
@@ -86,6 +91,12 @@ describe("Feed Process Service", () => {
     );
   });
 
+  it("processFeeds rejects unknown subscriptions", async () => {
+    await expect(
+      processFeeds({ subscriptionId: "missing", tenantId: "tenant_a" })
+    ).rejects.toMatchObject({ code: "SUBSCRIPTION_NOT_FOUND" });
+  });
+
   it("processFeeds returns normalized output shape", async () => {
     const xml = `
       <rss><channel>
@@ -110,4 +121,316 @@ describe("Feed Process Service", () => {
     expect(result.engine).toMatch(/Third Eye/i);
     expect(typeof result.timestamp).toBe("string");
   });
+
+  it("processFeeds reports each feed to onFeed as it completes", async () => {
+    mockAxiosGet.mockImplementation(async (url) => {
+      const host = new URL(url).hostname;
+      await new Promise((resolve) => setTimeout(resolve, host.startsWith("slow") ? 20 : 0));
+      return {
+        status: 200,
+        data: Buffer.from(`<rss><channel><item><title>${host}</title><link>https://${host}/1</link></item></channel></rss>`),
+        headers: {},
+      };
+    });
+    const onFeed = jest.fn();
+
+    const result = await processFeeds(
+      { feeds: ["https://slow.example.com/feed", "https://fast.example.com/feed"] },
+      { onFeed }
+    );
+
+    expect(onFeed.mock.calls.map(([feed]) => [feed.source.url, feed.completed, feed.total])).toEqual([
+      ["https://fast.example.com/feed", 1, 2],
+      ["https://slow.example.com/feed", 2, 2],
+    ]);
+    expect(onFeed.mock.calls[0][0].items.map((item) => item.title)).toEqual(["fast.example.com"]);
+    expect(result.total_items).toBe(2);
+  });
+
+  it("processFeeds drops and tags items with filter rules", async () => {
+    mockAxiosGet.mockResolvedValueOnce({
+      status: 200,
+      data: Buffer.from(`<rss><channel>
+        <item><title>Ransomware hits hospital</title><link>https://example.com/a</link></item>
+        <item><title>Sponsored: cloud backup</title><link>https://example.com/b</link></item>
+      </channel></rss>`),
+      headers: {},
+    });
+
+    const result = await processFeeds({
+      url: "https://example.com/feed.xml",
+      filters: [
+        { action: "exclude", field: "title", keywords: ["sponsored"] },
+        { action: "tag", keywords: ["ransomware"], tags: ["security"] },
+      ],
+    });
+
+    expect(result.feed.items.map((item) => [item.title, item.tags])).toEqual([
+      ["Ransomware hits hospital", ["security"]],
+    ]);
+  });
+
+  it("processFeeds merges the same story from several feeds with aggregate", async () => {
+    mockAxiosGet.mockImplementation(async (url) => {
+      const host = new URL(url).hostname;
+      const hour = host === "a.example.com" ? "08" : "09";
+      return {
+        status: 200,
+        data: Buffer.from(`<rss><channel>
+          <item><title>Ransomware gang targets hospitals across Europe - ${host}</title><link>https://${host}/ransomware?utm_source=rss</link><pubDate>Mon, 16 Mar 2026 ${hour}:00:00 GMT</pubDate></item>
+          <item><title>Only on ${host}</title><link>https://${host}/only</link><pubDate>Sun, 15 Mar 2026 00:00:00 GMT</pubDate></item>
+        </channel></rss>`),
+        headers: {},
+      };
+    });
+
+    const result = await processFeeds({
+      feeds: ["https://a.example.com/feed", "https://news.example.org/feed"],
+      aggregate: true,
+    });
+
+    expect(result.aggregation).toEqual({ itemCount: 4, clusterCount: 3 });
+    expect(result.total_items).toBe(3);
+    expect(result.feed.items[0].clusterSize).toBe(2);
+    expect(result.feed.items[0].sources.map((source) => source.url)).toEqual([
+      "https://a.example.com/ransomware",
+      "https://news.example.org/ransomware",
+    ]);
+  });
+
+  it("smartFetch does not scrape pages robots.txt disallows", async () => {
+    robotsConfig.enabled = true;
+    try {
+      mockAxiosGet.mockImplementation(async (url) => {
+        if (url === "https://closed.example.com/robots.txt") {
+          return { status: 200, data: "User-agent: *\nDisallow: /\n" };
+        }
+        return { status: 200, data: Buffer.from("<html><body>Not a feed</body></html>"), headers: {} };
+      });
+
+      await expect(smartFetch("https://closed.example.com/news"))
+        .rejects.toMatchObject({ code: "ROBOTS_DISALLOWED" });
+      // Only the direct feed attempt and robots.txt were fetched
+      expect(mockAxiosGet.mock.calls.map(([url]) => url)).toEqual([
+        "https://closed.example.com/news",
+        "https://closed.example.com/robots.txt",
+      ]);
+    } finally {
+      robotsConfig.enabled = false;
+    }
+  });
+
+  it("smartFetchWithSource fails where smartFetch returns nothing", async () => {
+    mockAxiosGet.mockRejectedValue(Object.assign(new Error("Request failed with status code 410"), {
+      response: { status: 410, headers: {} },
+    }));
+
+    await expect(smartFetch("https://gone.example.com/")).resolves.toEqual([]);
+    await expect(smartFetchWithSource("https://gone.example.com/")).rejects.toMatchObject({
+      name: "FeedCollectionError",
+      code: "NO_FEED_FOUND",
+      status: 410,
+    });
+  });
+
+  describe("collectIntel", () => {
+    const feedXml = (title) => Buffer.from(`
+      <rss><channel>
+        <item>
+          <title>${title}</title>
+          <link>https://example.com/${encodeURIComponent(title)}</link>
+          <pubDate>Mon, 01 Jan 2026 00:00:00 GMT</pubDate>
+        </item>
+      </channel></rss>
+    `, "utf-8");
+
+    it("fetches feeds concurrently up to the limit and keeps input order", async () => {
+      let active = 0;
+      let peak = 0;
+      mockAxiosGet.mockImplementation(async (url) => {
+        active += 1;
+        peak = Math.max(peak, active);
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        active -= 1;
+        return { status: 200, data: feedXml(new URL(url).hostname), headers: {} };
+      });
+
+      const feeds = ["https://a.example.com/feed", "https://b.example.com/feed", "https://c.example.com/feed"];
+      const result = await collectIntel(feeds, { concurrency: 2 });
+
+      expect(peak).toBe(2);
+      expect(result.data.map((item) => item.title)).toEqual(["a.example.com", "b.example.com", "c.example.com"]);
+      expect(result.sources).toEqual(feeds.map((url) => expect.objectContaining({
+        url,
+        ok: true,
+        itemCount: 1,
+        durationMs: expect.any(Number),
+      })));
+      expect(result.errors).toEqual([]);
+      expect(result.partial).toBe(false);
+    });
+
+    it("returns partial results with an error per failed feed", async () => {
+      mockAxiosGet.mockResolvedValueOnce({ status: 200, data: feedXml("Good"), headers: {} });
+
+      const result = await collectIntel(["https://good.example.com/feed", "http://localhost/feed"]);
+
+      expect(result.data).toHaveLength(1);
+      expect(result.errors).toEqual([
+        { url: "http://localhost/feed", error: expect.any(String), code: "BLOCKED_HOSTNAME" },
+      ]);
+      expect(result.sources[1]).toEqual(expect.objectContaining({ ok: false, itemCount: 0 }));
+    });
+
+    it("aborts feeds still running at the deadline", async () => {
+      mockAxiosGet.mockImplementation((url, config) => {
+        if (url.startsWith("https://fast.example.com")) {
+          return Promise.resolve({ status: 200, data: feedXml("Fast"), headers: {} });
+        }
+        return new Promise((_resolve, reject) => {
+          config.signal.addEventListener("abort", () =>
+            reject(Object.assign(new Error("canceled"), { code: "ERR_CANCELED" }))
+          );
+        });
+      });
+
+      const result = await collectIntel(
+        ["https://fast.example.com/feed", "https://slow.example.com/feed"],
+        { deadlineMs: 30 }
+      );
+
+      expect(result.partial).toBe(true);
+      expect(result.data.map((item) => item.title)).toEqual(["Fast"]);
+      expect(result.errors).toEqual([
+        { url: "https://slow.example.com/feed", error: expect.stringMatching(/Deadline/), code: "DEADLINE_EXCEEDED" },
+      ]);
+    });
+
+    describe("sources", () => {
+      const notFound = () => Object.assign(new Error("Request failed with status code 404"), {
+        response: { status: 404, headers: {} },
+      });
+
+      it("reports an empty feed as a successful direct fetch without scraping", async () => {
+        mockAxiosGet.mockResolvedValueOnce({
+          status: 200,
+          data: Buffer.from("<rss><channel><title>Quiet</title></channel></rss>"),
+          headers: {},
+        });
+
+        const { sources, errors } = await collectIntel(["https://quiet.example.com/feed"]);
+
+        expect(sources[0]).toEqual(expect.objectContaining({
+          ok: true,
+          tier: "direct",
+          feedUrl: "https://quiet.example.com/feed",
+          httpStatus: 200,
+          itemCount: 0,
+        }));
+        expect(errors).toEqual([]);
+        expect(mockAxiosGet).toHaveBeenCalledTimes(1);
+      });
+
+      it("names the tier and feed found through the page's <link> tags", async () => {
+        mockAxiosGet.mockImplementation(async (url) => {
+          if (url === "https://blog.example.com/") {
+            return {
+              status: 200,
+              data: '<html><head><link rel="alternate" type="application/rss+xml" href="/index.xml"></head></html>',
+              headers: { "content-type": "text/html" },
+            };
+          }
+          return { status: 200, data: feedXml("Linked"), headers: {} };
+        });
+
+        const { sources } = await collectIntel(["https://blog.example.com/"]);
+
+        expect(sources[0]).toEqual(expect.objectContaining({
+          ok: true,
+          tier: "html-discovery",
+          feedUrl: "https://blog.example.com/index.xml",
+          discoveredFeeds: ["https://blog.example.com/index.xml"],
+          itemCount: 1,
+        }));
+        expect(sources[0].attempts.map(({ tier, url }) => [tier, url])).toEqual([
+          ["direct", "https://blog.example.com/"],
+          ["html-discovery", "https://blog.example.com/"],
+          ["html-discovery", "https://blog.example.com/index.xml"],
+        ]);
+      });
+
+      it("tells a dead feed apart, with the status and error of every tier", async () => {
+        mockAxiosGet.mockRejectedValue(notFound());
+
+        const { sources, errors } = await collectIntel(["https://gone.example.com/feed"]);
+
+        expect(sources[0]).toEqual(expect.objectContaining({
+          ok: false,
+          tier: null,
+          renderer: null,
+          httpStatus: 404,
+          itemCount: 0,
+          code: "NO_FEED_FOUND",
+          error: "No feed found (direct fetch: Request failed with status code 404)",
+        }));
+        expect(sources[0].attempts).toEqual([
+          expect.objectContaining({ tier: "direct", httpStatus: 404 }),
+          expect.objectContaining({ tier: "html-discovery", httpStatus: 404 }),
+        ]);
+        expect(errors).toEqual([{ url: "https://gone.example.com/feed", error: sources[0].error, code: "NO_FEED_FOUND" }]);
+      });
+
+      describe("with a renderer", () => {
+        const mockRender = jest.fn();
+
+        beforeEach(() => {
+          mockRender.mockReset();
+          setRenderer({ name: "stub", render: mockRender });
+        });
+
+        afterEach(() => {
+          setRenderer(undefined);
+        });
+
+        it("finds the feed link of a page built by JavaScript", async () => {
+          mockAxiosGet.mockImplementation(async (url) => {
+            if (url === "https://app.example.com/") {
+              return { status: 200, data: '<html><body><div id="root"></div></body></html>', headers: { "content-type": "text/html" } };
+            }
+            return { status: 200, data: feedXml("Rendered"), headers: {} };
+          });
+          mockRender.mockResolvedValue({
+            html: '<html><head><link rel="alternate" type="application/rss+xml" href="/feed.xml"></head></html>',
+            status: 200,
+            url: "https://app.example.com/",
+          });
+
+          const { sources } = await collectIntel(["https://app.example.com/"]);
+
+          expect(mockRender).toHaveBeenCalledWith("https://app.example.com/", expect.anything());
+          expect(sources[0]).toEqual(expect.objectContaining({
+            ok: true,
+            tier: "scrapingbee-discovery",
+            renderer: "stub",
+            feedUrl: "https://app.example.com/feed.xml",
+            itemCount: 1,
+          }));
+        });
+
+        it("records the renderer's error in the rendered tiers", async () => {
+          mockAxiosGet.mockRejectedValue(notFound());
+          mockRender.mockRejectedValue(new Error("Navigation timeout"));
+
+          const { sources } = await collectIntel(["https://gone.example.com/feed"]);
+
+          expect(sources[0].attempts.map(({ tier, error }) => [tier, error])).toEqual([
+            ["direct", "Request failed with status code 404"],
+            ["html-discovery", "Request failed with status code 404"],
+            ["scrapingbee-discovery", "Navigation timeout"],
+            ["scrapingbee-rss", "Navigation timeout"],
+          ]);
+        });
+      });
+    });
+  });
 });
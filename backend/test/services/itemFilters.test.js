@@ -0,0 +1,145 @@
+import { describe, it, expect, beforeEach } from "@jest/globals";
+
+const { clearAllCollections } = await import("../../src/services/storage.js");
+const {
+  applyFilters,
+  compileRule,
+  createFilterSet,
+  updateFilterSet,
+  resolveFilterRules,
+  hasNestedQuantifier,
+  FilterError,
+} = await import("../../src/services/itemFilters.js");
+
+const NOW = Date.parse("2026-03-20T12:00:00Z");
+
+const items = [
+  {
+    title: "Zero-day in popular VPN appliance",
+    link: "https://news.security.example.com/vpn",
+    content: "Attackers exploit the flaw in the wild.",
+    categories: ["Security", { _: "Networking" }],
+    creator: "Jane Doe",
+    pubDate: "2026-03-20T08:00:00Z",
+  },
+  {
+    title: "Sponsored: the best VPN deals",
+    link: "https://ads.example.net/deal",
+    content: "Save 80% today.",
+    categories: ["Deals"],
+    creator: "Marketing",
+    pubDate: "2026-03-19T08:00:00Z",
+  },
+  {
+    // feedprocess items use url / published
+    title: "Quarterly results said to beat estimates",
+    url: "https://finance.example.org/q1",
+    content: "Revenue grew.",
+    published: "2026-03-01T08:00:00Z",
+  },
+];
+
+const titles = (list) => list.map((item) => item.title);
+
+describe("Item Filters Service", () => {
+  beforeEach(async () => {
+    await clearAllCollections();
+  });
+
+  it("keeps only items matching an include rule and drops excluded ones", () => {
+    const result = applyFilters(items, [
+      { action: "include", keywords: ["vpn"] },
+      { action: "exclude", field: "title", keywords: ["sponsored"] },
+    ], NOW);
+
+    expect(titles(result)).toEqual(["Zero-day in popular VPN appliance"]);
+  });
+
+  it("matches keywords as whole words only", () => {
+    const result = applyFilters(items, [{ action: "include", keywords: ["AI"] }], NOW);
+
+    // "said" and "appliance" must not match
+    expect(result).toEqual([]);
+  });
+
+  it("matches categories, creators and link domains with subdomains", () => {
+    expect(titles(applyFilters(items, [{ action: "include", field: "categories", keywords: ["networking"] }], NOW)))
+      .toEqual(["Zero-day in popular VPN appliance"]);
+    expect(titles(applyFilters(items, [{ action: "exclude", field: "creator", keywords: ["Marketing"] }], NOW)))
+      .toHaveLength(2);
+    expect(titles(applyFilters(items, [{ action: "include", field: "domain", keywords: ["example.com", "example.org"] }], NOW)))
+      .toEqual(["Zero-day in popular VPN appliance", "Quarterly results said to beat estimates"]);
+  });
+
+  it("supports regexes and date windows", () => {
+    expect(titles(applyFilters(items, [{ action: "include", field: "title", regex: "^(zero|quarterly)" }], NOW)))
+      .toEqual(["Zero-day in popular VPN appliance", "Quarterly results said to beat estimates"]);
+    expect(titles(applyFilters(items, [{ action: "include", withinHours: 24 }], NOW)))
+      .toEqual(["Zero-day in popular VPN appliance"]);
+    expect(titles(applyFilters(items, [{ action: "include", after: "2026-03-15T00:00:00Z", before: "2026-03-20T00:00:00Z" }], NOW)))
+      .toEqual(["Sponsored: the best VPN deals"]);
+  });
+
+  it("adds tags from every matching tag rule", () => {
+    const result = applyFilters(items, [
+      { action: "tag", keywords: ["zero-day", "exploit"], tags: ["Security"] },
+      { action: "tag", field: "domain", keywords: ["example.com"], tags: ["trusted", "security"] },
+    ], NOW);
+
+    expect(result).toHaveLength(3);
+    expect(result[0].tags).toEqual(["security", "trusted"]);
+    expect(result[1].tags).toBeUndefined();
+  });
+
+  it("rejects invalid regexes", () => {
+    expect(() => compileRule({ action: "include", regex: "(" })).toThrow(FilterError);
+    // RE2 has no backreferences or lookaround
+    expect(() => compileRule({ action: "include", regex: "(a)\\1" })).toThrow(FilterError);
+  });
+
+  it("rejects repeated groups that repeat or alternate", () => {
+    for (const regex of ["^(a+)+$", "(\\w*\\s?)*x", "(a|ab)*c", "((ab){2,})+", "(x+){2,5}"]) {
+      expect(hasNestedQuantifier(regex)).toBe(true);
+    }
+    for (const regex of ["^(zero|quarterly)", "CVE-\\d{4}-\\d+", "(ab)+c", "[(+)]+", "\\(a+\\)+", "(a{3})+"]) {
+      expect(hasNestedQuantifier(regex)).toBe(false);
+    }
+    expect(() => compileRule({ action: "include", regex: "^(a+)+$" })).toThrow(
+      expect.objectContaining({ code: "INVALID_REGEX" })
+    );
+  });
+
+  it("matches regexes in linear time", () => {
+    const rule = compileRule({ action: "include", field: "title", regex: ".*.*.*x" });
+    const startedAt = Date.now();
+
+    expect(rule.matches({ title: "a".repeat(20000) }, NOW)).toBe(false);
+    expect(Date.now() - startedAt).toBeLessThan(1000);
+  });
+
+  it("resolves saved sets before inline rules and scopes them to the tenant", async () => {
+    const set = await createFilterSet("tenant_a", {
+      name: "No ads",
+      rules: [{ action: "exclude", field: "title", keywords: ["sponsored"] }],
+    });
+    const inline = [{ action: "include", keywords: ["vpn"] }];
+
+    const rules = await resolveFilterRules("tenant_a", { filters: inline, filterSetIds: [set.id] });
+
+    expect(rules).toEqual([...set.rules, ...inline]);
+    await expect(resolveFilterRules("tenant_b", { filterSetIds: [set.id] }))
+      .rejects.toMatchObject({ code: "FILTER_SET_NOT_FOUND", statusCode: 404 });
+  });
+
+  it("validates rules when a set is saved or updated", async () => {
+    await expect(createFilterSet("tenant_a", { name: "Bad", rules: [{ action: "include", regex: "[" }] }))
+      .rejects.toMatchObject({ code: "INVALID_REGEX" });
+
+    const set = await createFilterSet("tenant_a", { name: "VPN", rules: [{ action: "include", keywords: ["vpn"] }] });
+    const updated = await updateFilterSet("tenant_a", set.id, { name: " VPN only " });
+
+    expect(updated.name).toBe("VPN only");
+    expect(updated.rules).toEqual(set.rules);
+    expect(await updateFilterSet("tenant_b", set.id, { name: "x" })).toBeNull();
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, it, expect, beforeEach } from "@jest/globals";
+import { clearAllCollections } from "../../src/services/storage.js";
+import {
+  normalizeItemLink,
+  getItemKey,
+  recordItems,
+  selectNewItems,
+  getCurrentCursor,
+  pruneItems,
+} from "../../src/services/itemStore.js";
+
+describe("Item Store Service", () => {
+  beforeEach(async () => {
+    await clearAllCollections();
+  });
+
+  it("normalizes links for identity", () => {
+    expect(normalizeItemLink("https://Example.com/post/?utm_source=x&b=2&a=1#top")).toBe(
+      "https://example.com/post?a=1&b=2"
+    );
+    expect(normalizeItemLink("tag:example.com,2026:1")).toBe("tag:example.com,2026:1");
+  });
+
+  it("keys items by guid, then link or url", () => {
+    expect(getItemKey({ guid: "https://example.com/a" })).toBe(
+      getItemKey({ url: "https://example.com/a/?utm_medium=rss" })
+    );
+    expect(getItemKey({ content: "no identity" })).toBeNull();
+  });
+
+  it("keys linkless newsletter items by id, or title, date and sender", async () => {
+    const first = { id: "n1", title: "Weekly digest", url: "email", source: "newsletter" };
+    const second = { id: "n2", title: "Product update", url: "email", source: "newsletter" };
+
+    expect(getItemKey(first)).not.toBe(getItemKey(second));
+    expect(getItemKey({ title: "Digest", published: "Mon, 5 Oct 2026", url: "email" })).not.toBe(
+      getItemKey({ title: "Digest", published: "Mon, 12 Oct 2026", url: "email" })
+    );
+
+    const recorded = await recordItems("tenant_a", [first, second]);
+    expect(recorded[0].seq).not.toBe(recorded[1].seq);
+    expect(recorded[0].key).not.toBe(recorded[1].key);
+  });
+
+  it("records first-seen timestamps once", async () => {
+    const [first] = await recordItems("tenant_a", [{ link: "https://example.com/a" }]);
+    const [again] = await recordItems("tenant_a", [{ link: "https://example.com/a" }]);
+
+    expect(again.firstSeenAt).toBe(first.firstSeenAt);
+    expect(again.seq).toBe(first.seq);
+  });
+
+  it("deduplicates items within a fetch", async () => {
+    const records = await recordItems("tenant_a", [
+      { link: "https://example.com/a" },
+      { link: "https://example.com/a#comments" },
+    ]);
+
+    expect(records[0].seq).toBe(records[1].seq);
+  });
+
+  it("returns items only once per tenant with onlyNew", async () => {
+    const batch = [{ link: "https://example.com/a" }, { link: "https://example.com/b" }];
+
+    const first = await selectNewItems("tenant_a", batch, { onlyNew: true });
+    const second = await selectNewItems("tenant_a", batch, { onlyNew: true });
+    const otherTenant = await selectNewItems("tenant_b", batch, { onlyNew: true });
+
+    expect(first.items).toHaveLength(2);
+    expect(second.items).toHaveLength(0);
+    expect(otherTenant.items).toHaveLength(2);
+  });
+
+  it("returns items first seen after a cursor", async () => {
+    const first = await selectNewItems("tenant_a", [{ link: "https://example.com/a" }]);
+    const next = await selectNewItems(
+      "tenant_a",
+      [{ link: "https://example.com/a" }, { link: "https://example.com/b" }],
+      { cursor: first.cursor }
+    );
+
+    expect(next.items.map((item) => item.link)).toEqual(["https://example.com/b"]);
+    expect(Number(next.cursor)).toBeGreaterThan(Number(first.cursor));
+  });
+
+  it("gives concurrent fetches of a tenant distinct sequence numbers", async () => {
+    const batches = ["a", "b", "c", "d"].map((name) => [
+      { link: `https://example.com/${name}/1` },
+      { link: `https://example.com/${name}/2` },
+    ]);
+
+    const results = await Promise.all(batches.map((batch) => recordItems("tenant_a", batch)));
+
+    const seqs = results.flat().map((record) => record.seq).sort((a, b) => a - b);
+    expect(seqs).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+    expect(await getCurrentCursor("tenant_a")).toBe("8");
+  });
+
+  it("returns an item to only one of several concurrent onlyNew selections", async () => {
+    const batch = [{ link: "https://example.com/a" }];
+
+    const selections = await Promise.all([1, 2, 3].map(() => selectNewItems("tenant_a", batch, { onlyNew: true })));
+
+    expect(selections.map((selection) => selection.items.length)).toEqual([1, 0, 0]);
+  });
+
+  it("prunes items outside the retention window", async () => {
+    await recordItems("tenant_a", [{ link: "https://example.com/a" }]);
+
+    expect(await pruneItems(Date.now())).toBe(0);
+    expect(await pruneItems(Date.now() + 365 * 86400 * 1000)).toBe(1);
+  });
+});
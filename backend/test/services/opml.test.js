@@ -0,0 +1,120 @@
+import { describe, it, expect, beforeEach, jest } from "@jest/globals";
+
+const mockDiscoverRssFeed = jest.fn();
+
+jest.unstable_mockModule("../../src/services/rssDiscovery.js", () => ({
+  discoverRssFeed: mockDiscoverRssFeed,
+}));
+
+const { clearAllCollections } = await import("../../src/services/storage.js");
+const { listSubscriptions } = await import("../../src/services/subscriptions.js");
+const { parseOpml, importOpml, buildOpml, OpmlError } = await import("../../src/services/opml.js");
+
+const OPML = `<?xml version="1.0" encoding="UTF-8"?>
+<opml version="2.0">
+  <head><title>Analyst feeds</title></head>
+  <body>
+    <outline text="Tech">
+      <outline text="AI">
+        <outline type="rss" text="AI Blog" xmlUrl="https://ai.example.com/feed.xml" htmlUrl="https://ai.example.com/"/>
+      </outline>
+      <outline type="rss" text="Dev News" xmlUrl="https://dev.example.com/rss" category="/News,Daily"/>
+    </outline>
+    <outline type="rss" text="Internal" xmlUrl="http://localhost:8080/feed"/>
+    <outline text="Site only" htmlUrl="https://site.example.com/"/>
+  </body>
+</opml>`;
+
+describe("OPML Service", () => {
+  beforeEach(async () => {
+    mockDiscoverRssFeed.mockReset();
+    await clearAllCollections();
+  });
+
+  it("flattens nested folders and categories into tags", async () => {
+    const entries = await parseOpml(OPML);
+
+    expect(entries).toHaveLength(4);
+    expect(entries[0]).toEqual({
+      title: "AI Blog",
+      xmlUrl: "https://ai.example.com/feed.xml",
+      htmlUrl: "https://ai.example.com/",
+      tags: ["tech", "ai"],
+    });
+    expect(entries[1].tags).toEqual(["tech", "news", "daily"]);
+    expect(entries[3]).toEqual(expect.objectContaining({ xmlUrl: null, htmlUrl: "https://site.example.com/" }));
+  });
+
+  it("rejects documents that are not OPML", async () => {
+    await expect(parseOpml("<rss><channel/></rss>")).rejects.toBeInstanceOf(OpmlError);
+    await expect(parseOpml("not xml <")).rejects.toThrow(/Invalid OPML/);
+  });
+
+  it("imports feeds and reports each entry", async () => {
+    const { summary, entries } = await importOpml("tenant_a", OPML);
+
+    expect(summary).toEqual({ total: 4, created: 2, duplicate: 0, invalid: 1, skipped: 1, failed: 0 });
+    expect(entries.map((entry) => entry.status)).toEqual(["created", "created", "invalid", "skipped"]);
+    // xmlUrl entries are trusted as feeds without discovery
+    expect(mockDiscoverRssFeed).not.toHaveBeenCalled();
+
+    const subs = await listSubscriptions("tenant_a");
+    expect(subs[0]).toEqual(
+      expect.objectContaining({
+        url: "https://ai.example.com/",
+        feedUrl: "https://ai.example.com/feed.xml",
+        title: "AI Blog",
+        tags: ["tech", "ai"],
+      })
+    );
+  });
+
+  it("reports duplicates on re-import and discovers htmlUrl-only entries on request", async () => {
+    await importOpml("tenant_a", OPML);
+    mockDiscoverRssFeed.mockResolvedValueOnce("https://site.example.com/feed");
+
+    const { summary, entries } = await importOpml("tenant_a", OPML, { discover: true, tags: ["Imported"] });
+
+    expect(summary.duplicate).toBe(2);
+    expect(entries[3]).toEqual(
+      expect.objectContaining({ status: "created", feedUrl: "https://site.example.com/feed", tags: ["imported"] })
+    );
+  });
+
+  it("fits imported tags to the subscriptions API limits", async () => {
+    const longName = "Very long folder name ".repeat(4).trim();
+    const categories = Array.from({ length: 24 }, (_, index) => `c${index + 1}`).join(",");
+    const opml = `<opml version="2.0"><body>
+      <outline text="${longName}">
+        <outline type="rss" text="Busy" xmlUrl="https://busy.example.com/feed" category="${categories}"/>
+      </outline>
+      <outline type="rss" text="Plain" xmlUrl="https://plain.example.com/feed" category="news"/>
+    </body></opml>`;
+
+    const { entries } = await importOpml("tenant_a", opml);
+
+    expect(entries[0].status).toBe("created");
+    expect(entries[0].tags).toHaveLength(20);
+    expect(entries[0].tags[0]).toBe(longName.toLowerCase().slice(0, 50));
+    expect(entries[0].tagWarnings).toEqual([
+      expect.stringMatching(/^Truncated to 50 characters: very long folder name/),
+      "Dropped past the maximum of 20 tags: c20, c21, c22, c23, c24",
+    ]);
+    expect(entries[1]).not.toHaveProperty("tagWarnings");
+
+    const [busy] = await listSubscriptions("tenant_a");
+    expect(busy.tags).toEqual(entries[0].tags);
+  });
+
+  it("exports subscriptions grouped by first tag and round-trips", async () => {
+    await importOpml("tenant_a", OPML);
+    const xml = buildOpml(await listSubscriptions("tenant_a"));
+
+    expect(xml).toContain('<opml version="2.0">');
+    const entries = await parseOpml(xml);
+    expect(entries.map((entry) => [entry.xmlUrl, entry.tags])).toEqual([
+      ["https://ai.example.com/feed.xml", ["tech", "ai"]],
+      ["https://dev.example.com/rss", ["tech", "news", "daily"]],
+    ]);
+  });
+});
@@ -0,0 +1,142 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from "@jest/globals";
+
+const mockAxiosGet = jest.fn();
+
+jest.unstable_mockModule("axios", () => ({
+  default: {
+    get: mockAxiosGet,
+  },
+}));
+
+const { clearAllCollections } = await import("../../src/services/storage.js");
+const { watch: watchConfig } = await import("../../src/config/index.js");
+const {
+  extractPageText,
+  createWatch,
+  updateWatch,
+  checkWatch,
+  buildWatchFeed,
+  WatchError,
+} = await import("../../src/services/pageWatches.js");
+
+const DEFAULT_MAX_CHANGES = watchConfig.maxChanges;
+const START = Date.parse("2026-03-16T12:00:00Z");
+const LATER = START + watchConfig.minIntervalSec * 1000;
+
+function page(plans) {
+  return {
+    data: `<html><body>
+      <nav>Home | Pricing</nav>
+      <main><section class="plans">${plans.map((plan) => `<div class="plan"><h3>${plan[0]}</h3><p>${plan[1]}</p></div>`).join("")}</section></main>
+      <script>window.renderedAt = ${Date.now()}</script>
+    </body></html>`,
+  };
+}
+
+describe("Page Watches Service", () => {
+  beforeEach(async () => {
+    mockAxiosGet.mockReset();
+    await clearAllCollections();
+  });
+
+  afterEach(() => {
+    watchConfig.maxChanges = DEFAULT_MAX_CHANGES;
+  });
+
+  it("normalizes page text into lines, optionally of one region", () => {
+    const html = `<html><body><header>Acme</header>
+      <div class="terms"><h2>Terms</h2><p>Refunds   within <b>30</b> days.<br>No fees.</p><ul><li>One</li><li>Two</li></ul></div>
+      <style>.x { color: red }</style></body></html>`;
+
+    expect(extractPageText(html)).toEqual(["Acme", "Terms", "Refunds within 30 days.", "No fees.", "One", "Two"]);
+    expect(extractPageText(html, ".terms li")).toEqual(["One", "Two"]);
+    expect(extractPageText(html, ".missing")).toBeNull();
+  });
+
+  it("takes a baseline, then records each change with a diff", async () => {
+    const watch = await createWatch("t1", { url: "https://example.com/pricing", name: "Acme pricing", selector: ".plans" });
+
+    mockAxiosGet.mockResolvedValueOnce(page([["Basic", "$5"], ["Pro", "$10"]]));
+    const baseline = await checkWatch("t1", watch.id, { now: START });
+    expect(baseline.change).toBeNull();
+    expect(baseline.watch.snapshot.lines).toEqual(["Basic", "$5", "Pro", "$10"]);
+
+    mockAxiosGet.mockResolvedValueOnce(page([["Basic", "$5"], ["Pro", "$10"]]));
+    const unchanged = await checkWatch("t1", watch.id, { now: LATER });
+    expect(unchanged).toEqual(expect.objectContaining({ change: null, checked: true }));
+
+    mockAxiosGet.mockResolvedValueOnce(page([["Basic", "$5"], ["Pro", "$12"]]));
+    const changed = await checkWatch("t1", watch.id, { now: LATER * 2 });
+    expect(changed.change).toEqual(expect.objectContaining({
+      added: 1,
+      removed: 1,
+      summary: "1 line added, 1 line removed",
+      text: "  $5\n  Pro\n- $10\n+ $12",
+    }));
+
+    const feed = buildWatchFeed(changed.watch);
+    expect(feed.title).toBe("Changes to Acme pricing");
+    expect(feed.items).toEqual([expect.objectContaining({
+      title: "Acme pricing: 1 line added, 1 line removed",
+      link: "https://example.com/pricing",
+      guid: `${watch.id}:${changed.change.id}`,
+      content: expect.stringContaining("<ins>+ $12</ins>"),
+    })]);
+  });
+
+  it("skips checks more recent than the minimum interval unless forced", async () => {
+    const watch = await createWatch("t1", { url: "https://example.com/policy" });
+    mockAxiosGet.mockResolvedValue(page([["Policy", "v1"]]));
+
+    await checkWatch("t1", watch.id, { now: START });
+    const skipped = await checkWatch("t1", watch.id, { now: START + 1000 });
+    const forced = await checkWatch("t1", watch.id, { now: START + 1000, force: true });
+
+    expect(skipped.checked).toBe(false);
+    expect(forced.checked).toBe(true);
+    expect(mockAxiosGet).toHaveBeenCalledTimes(2);
+  });
+
+  it("keeps the newest changes only", async () => {
+    watchConfig.maxChanges = 2;
+    const watch = await createWatch("t1", { url: "https://example.com/notices" });
+
+    for (let version = 1; version <= 4; version += 1) {
+      mockAxiosGet.mockResolvedValueOnce(page([["Notice", `v${version}`]]));
+      await checkWatch("t1", watch.id, { force: true, now: START + version * 1000 });
+    }
+
+    const { watch: latest } = await checkWatch("t1", watch.id, { now: START + 5000 });
+    expect(latest.changes.map((change) => change.text)).toEqual([
+      expect.stringMatching(/- v3\n\+ v4$/),
+      expect.stringMatching(/- v2\n\+ v3$/),
+    ]);
+  });
+
+  it("records failed checks and rejects duplicate or invalid watches", async () => {
+    const watch = await createWatch("t1", { url: "https://example.com/pricing", selector: ".gone" });
+    mockAxiosGet.mockResolvedValueOnce(page([["Basic", "$5"]]));
+
+    await expect(checkWatch("t1", watch.id)).rejects.toMatchObject({ code: "SELECTOR_NOT_FOUND", statusCode: 422 });
+    const { watch: failed } = await checkWatch("t1", watch.id);
+    expect(failed.lastError).toMatch(/matches nothing/);
+
+    await expect(createWatch("t1", { url: "https://example.com/pricing", selector: ".gone" }))
+      .rejects.toMatchObject({ code: "DUPLICATE_WATCH", statusCode: 409 });
+    await expect(createWatch("t1", { url: "https://example.com/pricing", selector: "div[[" }))
+      .rejects.toBeInstanceOf(WatchError);
+    expect(await updateWatch("t2", watch.id, { name: "Other tenant" })).toBeNull();
+  });
+
+  it("takes a new baseline after the selector changes", async () => {
+    const watch = await createWatch("t1", { url: "https://example.com/pricing" });
+    mockAxiosGet.mockResolvedValue(page([["Basic", "$5"]]));
+    await checkWatch("t1", watch.id, { now: START });
+
+    const updated = await updateWatch("t1", watch.id, { selector: ".plans" });
+    expect(updated.snapshot).toBeNull();
+
+    const { change } = await checkWatch("t1", watch.id, { now: LATER });
+    expect(change).toBeNull();
+  });
+});
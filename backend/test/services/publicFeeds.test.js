@@ -0,0 +1,93 @@
+import { describe, it, expect, beforeEach, jest } from "@jest/globals";
+
+const mockScrapeWebsite = jest.fn();
+const mockScrapeSitemap = jest.fn();
+
+jest.unstable_mockModule("../../src/utils/scraper.js", () => ({
+  scrapeWebsite: mockScrapeWebsite,
+}));
+
+jest.unstable_mockModule("../../src/utils/sitemap.js", () => ({
+  scrapeSitemap: mockScrapeSitemap,
+}));
+
+const { clearAllCollections } = await import("../../src/services/storage.js");
+const { publishGeneratedFeed, getPublicFeed, getPublicFeedUrls } = await import(
+  "../../src/services/publicFeeds.js"
+);
+const { publicFeeds: publicFeedsConfig } = await import("../../src/config/index.js");
+
+const BASE_URL = "https://genie.test";
+
+const scraped = (titles) => ({
+  title: "Example Site",
+  items: titles.map((title) => ({ title, link: `https://example.com/${title}` })),
+});
+
+describe("Public Feeds Service", () => {
+  beforeEach(async () => {
+    await clearAllCollections();
+    mockScrapeWebsite.mockReset();
+    mockScrapeSitemap.mockReset();
+  });
+
+  it("builds URLs for every served format", () => {
+    expect(getPublicFeedUrls(BASE_URL, "abc")).toEqual({
+      rss2: "https://genie.test/feeds/abc.xml",
+      atom: "https://genie.test/feeds/abc.atom",
+      jsonfeed: "https://genie.test/feeds/abc.json",
+    });
+  });
+
+  it("reuses the same id for the same tenant and site", async () => {
+    const first = await publishGeneratedFeed("t1", "https://example.com", scraped(["a"]), BASE_URL);
+    const second = await publishGeneratedFeed("t1", "https://example.com", scraped(["b"]), BASE_URL);
+    const other = await publishGeneratedFeed("t2", "https://example.com", scraped(["a"]), BASE_URL);
+
+    expect(second.id).toBe(first.id);
+    expect(other.id).not.toBe(first.id);
+
+    const feed = await getPublicFeed(first.id, BASE_URL);
+    expect(feed.items.map((item) => item.title)).toEqual(["b"]);
+  });
+
+  it("returns null for unknown ids", async () => {
+    expect(await getPublicFeed("missing", BASE_URL)).toBeNull();
+  });
+
+  it("regenerates the snapshot once it is older than the TTL, crawling as deep as before", async () => {
+    const { id } = await publishGeneratedFeed("t1", "https://example.com", scraped(["a"]), BASE_URL, { pages: 3 });
+    mockScrapeWebsite.mockResolvedValueOnce(scraped(["a", "b"]));
+
+    const later = Date.now() + publicFeedsConfig.ttlSec * 1000 + 1;
+    const feed = await getPublicFeed(id, BASE_URL, later);
+
+    expect(mockScrapeWebsite).toHaveBeenCalledWith("https://example.com", { pages: 3 });
+    expect(feed.items).toHaveLength(2);
+  });
+
+  it("regenerates sitemap feeds from the sitemaps", async () => {
+    const { id } = await publishGeneratedFeed("t1", "https://example.com", scraped(["a"]), BASE_URL, {
+      strategy: "sitemap",
+      fetchTitles: true,
+    });
+    mockScrapeSitemap.mockResolvedValueOnce(scraped(["a", "b", "c"]));
+
+    const later = Date.now() + publicFeedsConfig.ttlSec * 1000 + 1;
+    const feed = await getPublicFeed(id, BASE_URL, later);
+
+    expect(mockScrapeSitemap).toHaveBeenCalledWith("https://example.com", { fetchTitles: true });
+    expect(mockScrapeWebsite).not.toHaveBeenCalled();
+    expect(feed.items).toHaveLength(3);
+  });
+
+  it("serves the stale snapshot when regeneration fails", async () => {
+    const { id } = await publishGeneratedFeed("t1", "https://example.com", scraped(["a"]), BASE_URL);
+    mockScrapeWebsite.mockRejectedValueOnce(new Error("site down"));
+
+    const later = Date.now() + publicFeedsConfig.ttlSec * 1000 + 1;
+    const feed = await getPublicFeed(id, BASE_URL, later);
+
+    expect(feed.items.map((item) => item.title)).toEqual(["a"]);
+  });
+});
@@ -0,0 +1,164 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from "@jest/globals";
+
+const mockAxiosGet = jest.fn();
+const mockAxiosPost = jest.fn();
+const mockLookup = jest.fn();
+
+jest.unstable_mockModule("axios", () => ({
+  default: {
+    get: mockAxiosGet,
+    post: mockAxiosPost,
+  },
+}));
+
+jest.unstable_mockModule("dns", () => ({
+  default: { lookup: mockLookup },
+}));
+
+const {
+  RendererError,
+  createHttpRenderer,
+  createScrapingBeeRenderer,
+  registerRendererDriver,
+  setRenderer,
+  getRenderer,
+  renderPage,
+} = await import("../../src/services/renderer.js");
+const { renderer: rendererConfig } = await import("../../src/config/index.js");
+
+const DEFAULT_DRIVER = rendererConfig.driver;
+
+// Hostnames ending in .internal resolve to a private address, everything else to a public one
+function resolveHosts() {
+  mockLookup.mockImplementation((hostname, options, callback) => {
+    const address = hostname.endsWith(".internal") ? "10.0.0.8" : "93.184.216.34";
+    callback(null, [{ address, family: 4 }]);
+  });
+}
+
+describe("Renderer Service", () => {
+  beforeEach(() => {
+    mockAxiosGet.mockReset();
+    mockAxiosPost.mockReset();
+    mockLookup.mockReset();
+    resolveHosts();
+    setRenderer(undefined);
+  });
+
+  afterEach(() => {
+    rendererConfig.driver = DEFAULT_DRIVER;
+    setRenderer(undefined);
+  });
+
+  it("posts to the rendering service and returns its html", async () => {
+    mockAxiosPost.mockResolvedValueOnce({
+      status: 200,
+      data: { html: "<html><body>Hello</body></html>", status: 200, url: "https://app.example.com/home" },
+    });
+    const renderer = createHttpRenderer({ url: "http://renderer:3000", token: "secret", timeout: 15000 });
+
+    const result = await renderer.render("https://app.example.com/");
+
+    expect(mockAxiosPost).toHaveBeenCalledWith(
+      "http://renderer:3000/render",
+      { url: "https://app.example.com/", timeoutMs: 15000, blockPrivateNetworks: true },
+      expect.objectContaining({
+        headers: expect.objectContaining({ Authorization: "Bearer secret" }),
+      })
+    );
+    expect(result).toEqual({ html: "<html><body>Hello</body></html>", status: 200, url: "https://app.example.com/home" });
+  });
+
+  it("rejects a rendering service answer without html", async () => {
+    mockAxiosPost.mockResolvedValueOnce({ status: 200, data: { error: "crashed" } });
+    const renderer = createHttpRenderer({ url: "http://renderer:3000" });
+
+    await expect(renderer.render("https://app.example.com/")).rejects.toThrow(RendererError);
+  });
+
+  it("reports rendering services that fail or do not answer as RENDER_FAILED", async () => {
+    mockAxiosPost.mockRejectedValueOnce(Object.assign(new Error("Request failed with status code 503"), { response: { status: 503 } }));
+    mockAxiosPost.mockRejectedValueOnce(Object.assign(new Error("connect ECONNREFUSED"), { code: "ECONNREFUSED" }));
+    mockAxiosGet.mockRejectedValueOnce(Object.assign(new Error("timeout of 30000ms exceeded"), { code: "ECONNABORTED" }));
+    const renderer = createHttpRenderer({ url: "http://renderer:3000" });
+    const scrapingBee = createScrapingBeeRenderer({ apiKey: "key" });
+
+    await expect(renderer.render("https://app.example.com/")).rejects.toMatchObject({
+      code: "RENDER_FAILED",
+      statusCode: 502,
+      message: expect.stringContaining("HTTP 503"),
+    });
+    await expect(renderer.render("https://app.example.com/")).rejects.toMatchObject({
+      code: "RENDER_FAILED",
+      message: expect.stringContaining("ECONNREFUSED"),
+    });
+    await expect(scrapingBee.render("https://app.example.com/")).rejects.toMatchObject({
+      code: "RENDER_FAILED",
+      message: expect.stringContaining("ECONNABORTED"),
+    });
+  });
+
+  it("does not send pages on private networks to the rendering service", async () => {
+    const renderer = createHttpRenderer({ url: "http://renderer:3000" });
+
+    await expect(renderer.render("https://metadata.internal/")).rejects.toMatchObject({ code: "PRIVATE_IP" });
+    expect(mockAxiosPost).not.toHaveBeenCalled();
+  });
+
+  it("refuses a page the rendering service followed to a private address", async () => {
+    mockAxiosPost.mockResolvedValueOnce({
+      status: 200,
+      data: { html: "<html>secrets</html>", status: 200, url: "http://db.internal/admin" },
+    });
+    const renderer = createHttpRenderer({ url: "http://renderer:3000" });
+
+    await expect(renderer.render("https://app.example.com/")).rejects.toMatchObject({ code: "PRIVATE_IP" });
+  });
+
+  it("refuses what any renderer returns from a private final URL", async () => {
+    const render = jest.fn().mockResolvedValue({
+      html: "<html>ami-id</html>",
+      status: 200,
+      url: "http://10.0.0.8/latest/meta-data/",
+    });
+    setRenderer({ name: "stub", render });
+
+    await expect(renderPage("https://app.example.com/")).rejects.toMatchObject({ code: "PRIVATE_IP" });
+    await expect(renderPage("http://localhost:8080/")).rejects.toMatchObject({ code: "BLOCKED_HOSTNAME" });
+    expect(render).toHaveBeenCalledTimes(1);
+  });
+
+  it("requires the service URL or API key of its driver", () => {
+    expect(() => createHttpRenderer({ url: "" })).toThrow(
+      expect.objectContaining({ code: "RENDERER_NOT_CONFIGURED" })
+    );
+    expect(() => createScrapingBeeRenderer({ apiKey: undefined })).toThrow(
+      expect.objectContaining({ code: "RENDERER_NOT_CONFIGURED" })
+    );
+  });
+
+  it("turns rendering off with the none driver or a misconfigured one", async () => {
+    rendererConfig.driver = "none";
+    expect(getRenderer()).toBeNull();
+    await expect(renderPage("https://app.example.com/")).rejects.toThrow(
+      expect.objectContaining({ code: "RENDERER_NOT_CONFIGURED" })
+    );
+
+    setRenderer(undefined);
+    rendererConfig.driver = "broken";
+    registerRendererDriver("broken", () => {
+      throw new RendererError("missing URL", "RENDERER_NOT_CONFIGURED");
+    });
+    expect(getRenderer()).toBeNull();
+  });
+
+  it("renders through a registered driver", async () => {
+    const render = jest.fn().mockResolvedValue({ html: "<p>ok</p>", status: 200, url: "https://app.example.com/" });
+    registerRendererDriver("stub", () => ({ name: "stub", render }));
+    rendererConfig.driver = "stub";
+
+    const result = await renderPage("https://app.example.com/");
+
+    expect(result).toEqual({ html: "<p>ok</p>", status: 200, url: "https://app.example.com/", renderer: "stub" });
+  });
+});
@@ -11,11 +11,13 @@ jest.unstable_mockModule('axios', () => ({
 }));
 
 const { discoverRssFeed } = await import('../../src/services/rssDiscovery.js');
+const { clearAllCaches } = await import('../../src/services/cache.js');
 
 describe('RSS Discovery Service', () => {
-  beforeEach(() => {
+  beforeEach(async () => {
     mockAxiosGet.mockReset();
     mockAxiosHead.mockReset();
+    await clearAllCaches();
   });
 
   it('returns input URL when it is already a feed', async () => {
@@ -65,4 +67,27 @@ describe('RSS Discovery Service', () => {
       })
     );
   });
+
+  it('caches discovery results per site', async () => {
+    const feedUrl = 'https://example.com/feed.xml';
+    mockAxiosHead.mockResolvedValueOnce({
+      headers: { 'content-type': 'application/rss+xml' }
+    });
+
+    expect(await discoverRssFeed(feedUrl)).toBe(feedUrl);
+    expect(await discoverRssFeed(feedUrl)).toBe(feedUrl);
+    expect(mockAxiosHead).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not cache lookups that failed', async () => {
+    const pageUrl = 'https://example.com/down';
+    mockAxiosHead.mockRejectedValue(new Error('timeout'));
+    mockAxiosGet.mockRejectedValue(new Error('timeout'));
+
+    expect(await discoverRssFeed(pageUrl)).toBeNull();
+    const calls = mockAxiosGet.mock.calls.length;
+
+    expect(await discoverRssFeed(pageUrl)).toBeNull();
+    expect(mockAxiosGet.mock.calls.length).toBeGreaterThan(calls);
+  });
 });
@@ -0,0 +1,76 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+
+const mockAxiosGet = jest.fn();
+
+jest.unstable_mockModule('axios', () => ({
+  default: { get: mockAxiosGet }
+}));
+
+const { fetchAndParseRss, invalidateAllFeedCache, getFeedCacheStats } = await import('../../src/services/rssFetcher.js');
+
+const FEED_URL = 'https://example.com/conditional.xml';
+const FEED_XML = `<?xml version="1.0"?>
+<rss version="2.0"><channel><title>Conditional</title>
+  <item><title>One</title><link>https://example.com/1</link></item>
+</channel></rss>`;
+
+describe('RSS Fetcher Conditional Requests', () => {
+  beforeEach(async () => {
+    mockAxiosGet.mockReset();
+    await invalidateAllFeedCache();
+  });
+
+  it('sends stored validators and reuses the parsed feed on 304', async () => {
+    mockAxiosGet
+      .mockResolvedValueOnce({
+        status: 200,
+        headers: { etag: '"v1"', 'last-modified': 'Mon, 02 Mar 2026 10:00:00 GMT' },
+        data: FEED_XML
+      })
+      .mockResolvedValueOnce({ status: 304, headers: { etag: '"v1"' }, data: '' });
+
+    const first = await fetchAndParseRss(FEED_URL, { bypassCache: true });
+    const second = await fetchAndParseRss(FEED_URL, { bypassCache: true });
+
+    expect(mockAxiosGet.mock.calls[0][1].headers).not.toHaveProperty('If-None-Match');
+    expect(mockAxiosGet.mock.calls[1][1].headers).toEqual(expect.objectContaining({
+      'If-None-Match': '"v1"',
+      'If-Modified-Since': 'Mon, 02 Mar 2026 10:00:00 GMT'
+    }));
+    expect(first._cache.notModified).toBe(false);
+    expect(second._cache.notModified).toBe(true);
+    expect(second.items.map(item => item.title)).toEqual(['One']);
+
+    // The 304 refreshed the cache entry
+    const cached = await fetchAndParseRss(FEED_URL);
+    expect(cached._cache.hit).toBe(true);
+    expect(mockAxiosGet).toHaveBeenCalledTimes(2);
+
+    expect((await getFeedCacheStats()).conditional.feeds).toEqual(expect.objectContaining({
+      entries: 1,
+      conditionalRequests: 1,
+      notModified: 1
+    }));
+  });
+
+  it('does not send validators for responses without ETag or Last-Modified', async () => {
+    mockAxiosGet.mockResolvedValue({ status: 200, headers: {}, data: FEED_XML });
+
+    await fetchAndParseRss(FEED_URL, { bypassCache: true });
+    await fetchAndParseRss(FEED_URL, { bypassCache: true });
+
+    expect(mockAxiosGet.mock.calls[1][1].headers).not.toHaveProperty('If-None-Match');
+    expect(mockAxiosGet.mock.calls[1][1].headers).not.toHaveProperty('If-Modified-Since');
+  });
+
+  it('keeps HTTP status on fetch errors', async () => {
+    mockAxiosGet.mockRejectedValueOnce(Object.assign(new Error('Request failed with status code 503'), {
+      response: { status: 503, headers: { 'retry-after': '120' } }
+    }));
+
+    await expect(fetchAndParseRss(FEED_URL, { bypassCache: true })).rejects.toMatchObject({
+      status: 503,
+      retryAfter: 120
+    });
+  });
+});
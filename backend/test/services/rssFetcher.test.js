@@ -4,18 +4,21 @@ import {
   invalidateAllFeedCache,
   getFeedCacheStats,
   isFeedCached,
-  getFeedCacheTtl
+  getFeedCacheTtl,
+  listFeedCacheEntries,
+  parseRetryAfter
 } from '../../src/services/rssFetcher.js';
+import { getCache } from '../../src/services/cache.js';
 
 describe('RSS Feed Cache', () => {
-  beforeEach(() => {
+  beforeEach(async () => {
     // Clear cache before each test
-    invalidateAllFeedCache();
+    await invalidateAllFeedCache();
   });
 
   describe('Cache Statistics', () => {
-    it('should return cache statistics', () => {
-      const stats = getFeedCacheStats();
+    it('should return cache statistics', async () => {
+      const stats = await getFeedCacheStats();
 
       expect(stats).toHaveProperty('keys');
       expect(stats).toHaveProperty('hits');
@@ -24,41 +27,75 @@ describe('RSS Feed Cache', () => {
       expect(typeof stats.keys).toBe('number');
     });
 
-    it('should start with empty cache', () => {
-      const stats = getFeedCacheStats();
+    it('should start with empty cache', async () => {
+      const stats = await getFeedCacheStats();
       expect(stats.keys).toBe(0);
     });
   });
 
   describe('Cache Invalidation', () => {
-    it('should invalidate specific feed cache', () => {
+    it('should invalidate specific feed cache', async () => {
       const feedUrl = 'https://example.com/feed';
 
       // Initially not cached
-      expect(isFeedCached(feedUrl)).toBe(false);
+      expect(await isFeedCached(feedUrl)).toBe(false);
 
-      // Invalidate returns false when key doesn't exist
-      expect(invalidateFeedCache(feedUrl)).toBe(false);
+      // Invalidate deletes nothing when the feed is not cached
+      expect(await invalidateFeedCache(feedUrl)).toBe(0);
     });
 
-    it('should invalidate all feed cache', () => {
-      const count = invalidateAllFeedCache();
+    it('should invalidate every since variant of a feed', async () => {
+      const feeds = getCache('feeds');
+      await feeds.set('https://example.com/feed:since:none', { items: [] });
+      await feeds.set('https://example.com/feed:since:2026-01-01T00:00:00.000Z', { items: [] });
+      await feeds.set('https://example.com/feed/other:since:none', { items: [] });
+
+      expect(await isFeedCached('https://example.com/feed')).toBe(true);
+      expect(await getFeedCacheTtl('https://example.com/feed')).toBeGreaterThan(0);
+      expect(await invalidateFeedCache('https://example.com/feed')).toBe(2);
+      expect(await isFeedCached('https://example.com/feed')).toBe(false);
+      expect(await isFeedCached('https://example.com/feed/other')).toBe(true);
+    });
+
+    it('should list cached entries with their since filter', async () => {
+      await getCache('feeds').set('https://example.com/feed:since:2026-01-01T00:00:00.000Z', { items: [] });
+
+      const entries = await listFeedCacheEntries();
+      expect(entries).toEqual([expect.objectContaining({
+        key: 'https://example.com/feed:since:2026-01-01T00:00:00.000Z',
+        feedUrl: 'https://example.com/feed',
+        since: '2026-01-01T00:00:00.000Z',
+        ttlMs: expect.any(Number)
+      })]);
+    });
+
+    it('should invalidate all feed cache', async () => {
+      const count = await invalidateAllFeedCache();
       expect(typeof count).toBe('number');
 
-      const stats = getFeedCacheStats();
+      const stats = await getFeedCacheStats();
       expect(stats.keys).toBe(0);
     });
   });
 
   describe('Cache State Checks', () => {
-    it('should check if feed is cached', () => {
+    it('should check if feed is cached', async () => {
       const feedUrl = 'https://example.com/uncached';
-      expect(isFeedCached(feedUrl)).toBe(false);
+      expect(await isFeedCached(feedUrl)).toBe(false);
     });
 
-    it('should return null TTL for uncached feeds', () => {
+    it('should return null TTL for uncached feeds', async () => {
       const feedUrl = 'https://example.com/uncached';
-      expect(getFeedCacheTtl(feedUrl)).toBeNull();
+      expect(await getFeedCacheTtl(feedUrl)).toBeNull();
+    });
+  });
+
+  describe('parseRetryAfter', () => {
+    it('parses delta-seconds and HTTP dates', () => {
+      expect(parseRetryAfter('120')).toBe(120);
+      expect(parseRetryAfter(new Date(Date.now() + 60000).toUTCString())).toBeGreaterThan(50);
+      expect(parseRetryAfter(undefined)).toBeNull();
+      expect(parseRetryAfter('soon')).toBeNull();
     });
   });
 });
@@ -1,25 +1,32 @@
 import { describe, it, expect, beforeEach, jest } from '@jest/globals';
 
-const mockParseURL = jest.fn();
+const mockParseString = jest.fn();
+const mockAxiosGet = jest.fn();
 
 jest.unstable_mockModule('rss-parser', () => ({
   default: class MockParser {
-    parseURL(...args) {
-      return mockParseURL(...args);
+    parseString(...args) {
+      return mockParseString(...args);
     }
   }
 }));
 
+jest.unstable_mockModule('axios', () => ({
+  default: { get: mockAxiosGet }
+}));
+
 const { fetchAndParseRss, invalidateAllFeedCache } = await import('../../src/services/rssFetcher.js');
 
 describe('RSS Fetcher YouTube Content Extraction', () => {
-  beforeEach(() => {
-    mockParseURL.mockReset();
-    invalidateAllFeedCache();
+  beforeEach(async () => {
+    mockParseString.mockReset();
+    mockAxiosGet.mockReset();
+    mockAxiosGet.mockResolvedValue({ status: 200, headers: {}, data: '<feed/>' });
+    await invalidateAllFeedCache();
   });
 
   it('extracts media group description when item content is missing', async () => {
-    mockParseURL.mockResolvedValueOnce({
+    mockParseString.mockResolvedValueOnce({
       title: 'YouTube Channel',
       link: 'https://www.youtube.com/feeds/videos.xml?channel_id=test',
       items: [
@@ -0,0 +1,249 @@
+import { describe, it, expect, beforeEach, jest } from "@jest/globals";
+
+const mockFetchAndParseRss = jest.fn();
+const mockSmartFetchWithSource = jest.fn();
+const mockListAllEnabledSubscriptions = jest.fn();
+const mockRecordFeedCheck = jest.fn();
+
+jest.unstable_mockModule("../../src/services/rssFetcher.js", () => ({
+  fetchAndParseRss: mockFetchAndParseRss,
+}));
+
+jest.unstable_mockModule("../../src/services/feedprocess.js", () => ({
+  smartFetchWithSource: mockSmartFetchWithSource,
+}));
+
+jest.unstable_mockModule("../../src/services/subscriptions.js", () => ({
+  listAllEnabledSubscriptions: mockListAllEnabledSubscriptions,
+}));
+
+jest.unstable_mockModule("../../src/services/feedHealth.js", () => ({
+  recordFeedCheck: mockRecordFeedCheck,
+}));
+
+const {
+  computeNextDelayMs,
+  hintIntervalSec,
+  pollSubscription,
+  runDueFeeds,
+  getSchedulerStatus,
+  resetScheduler,
+} = await import("../../src/services/scheduler.js");
+const { scheduler: schedulerConfig } = await import("../../src/config/index.js");
+
+const noJitter = () => 0.5;
+
+const feedSub = {
+  id: "sub-feed",
+  tenantId: "tenant_a",
+  url: "https://example.com/",
+  feedUrl: "https://example.com/feed.xml",
+  pollIntervalSec: null,
+};
+
+describe("Scheduler Service", () => {
+  beforeEach(() => {
+    mockFetchAndParseRss.mockReset();
+    mockSmartFetchWithSource.mockReset();
+    mockListAllEnabledSubscriptions.mockReset();
+    mockRecordFeedCheck.mockReset();
+    resetScheduler();
+  });
+
+  describe("hintIntervalSec", () => {
+    it("converts ttl minutes and sy:updatePeriod into seconds", () => {
+      expect(hintIntervalSec({ ttl: 120 })).toBe(7200);
+      expect(hintIntervalSec({ updatePeriod: "daily", updateFrequency: 2 })).toBe(43200);
+      expect(hintIntervalSec({ ttl: 60, updatePeriod: "daily" })).toBe(86400);
+      expect(hintIntervalSec({ ttl: null, updatePeriod: null })).toBeNull();
+    });
+  });
+
+  describe("computeNextDelayMs", () => {
+    it("uses the base interval without jitter at the midpoint", () => {
+      expect(computeNextDelayMs({ baseIntervalSec: 3600, random: noJitter })).toBe(3600 * 1000);
+    });
+
+    it("respects publisher hints that ask for slower polling", () => {
+      const delay = computeNextDelayMs({
+        baseIntervalSec: 3600,
+        hints: { ttl: 240 },
+        random: noJitter,
+      });
+      expect(delay).toBe(240 * 60 * 1000);
+    });
+
+    it("backs off exponentially after failures", () => {
+      const delay = computeNextDelayMs({
+        baseIntervalSec: 3600,
+        consecutiveFailures: 3,
+        random: noJitter,
+      });
+      expect(delay).toBe(4 * 3600 * 1000);
+    });
+
+    it("waits at least Retry-After", () => {
+      const delay = computeNextDelayMs({
+        baseIntervalSec: 600,
+        retryAfterSec: 7200,
+        random: noJitter,
+      });
+      expect(delay).toBe(7200 * 1000);
+
+      const jittered = computeNextDelayMs({
+        baseIntervalSec: 600,
+        retryAfterSec: 7200,
+        random: () => 0,
+      });
+      expect(jittered).toBe(7200 * 1000);
+    });
+
+    it("applies bounded jitter", () => {
+      const low = computeNextDelayMs({ baseIntervalSec: 3600, random: () => 0 });
+      const high = computeNextDelayMs({ baseIntervalSec: 3600, random: () => 0.999 });
+      expect(low).toBeLessThan(3600 * 1000);
+      expect(high).toBeGreaterThan(3600 * 1000);
+      expect(high - low).toBeLessThanOrEqual(2 * 0.1 * 3600 * 1000);
+    });
+  });
+
+  describe("pollSubscription", () => {
+    it("records success and hints for parsed feeds", async () => {
+      mockFetchAndParseRss.mockResolvedValueOnce({
+        items: [{ title: "A" }, { title: "B" }],
+        refreshHints: { ttl: 180 },
+      });
+
+      const state = await pollSubscription(feedSub);
+
+      expect(mockFetchAndParseRss).toHaveBeenCalledWith(feedSub.feedUrl, { bypassCache: true });
+      expect(state.lastItemCount).toBe(2);
+      expect(state.lastSuccessAt).not.toBeNull();
+      expect(state.consecutiveFailures).toBe(0);
+      expect(state.nextRunAt - Date.now()).toBeGreaterThan(150 * 60 * 1000);
+    });
+
+    it("adds each poll to the feed's health history", async () => {
+      const redirects = [{ status: 301, url: "https://feeds.example.com/feed.xml" }];
+      mockFetchAndParseRss.mockResolvedValueOnce({
+        items: [{ title: "A", link: "https://example.com/health-a" }],
+        refreshHints: null,
+        _fetch: { status: 200, redirects },
+      });
+      mockFetchAndParseRss.mockRejectedValueOnce(Object.assign(new Error("Failed to fetch RSS feed: bad XML"), {
+        status: null,
+        code: "PARSE_FAILED",
+      }));
+
+      await pollSubscription({ ...feedSub, id: "sub-health" });
+      await pollSubscription({ ...feedSub, id: "sub-health" });
+
+      expect(mockRecordFeedCheck).toHaveBeenNthCalledWith(1, expect.objectContaining({ id: "sub-health" }), expect.objectContaining({
+        ok: true,
+        status: 200,
+        newItemCount: 1,
+        redirects,
+        durationMs: expect.any(Number),
+      }));
+      expect(mockRecordFeedCheck).toHaveBeenNthCalledWith(2, expect.anything(), expect.objectContaining({
+        ok: false,
+        code: "PARSE_FAILED",
+      }));
+    });
+
+    it("uses smartFetch for subscriptions without a discovered feed", async () => {
+      mockSmartFetchWithSource.mockResolvedValueOnce({
+        items: [{ title: "A" }],
+        source: { tier: "html-discovery", httpStatus: 200 },
+      });
+
+      const state = await pollSubscription({ ...feedSub, id: "sub-site", feedUrl: null });
+
+      expect(mockSmartFetchWithSource).toHaveBeenCalledWith("https://example.com/");
+      expect(state.lastItemCount).toBe(1);
+    });
+
+    it("counts a site where no tier finds a feed as a failure", async () => {
+      mockSmartFetchWithSource.mockRejectedValue(Object.assign(
+        new Error("No feed found (direct fetch: Request failed with status code 404)"),
+        { code: "NO_FEED_FOUND", status: 404 }
+      ));
+      const siteSub = { ...feedSub, id: "sub-dead-site", feedUrl: null };
+
+      await pollSubscription(siteSub);
+      const state = await pollSubscription(siteSub);
+
+      expect(state.consecutiveFailures).toBe(2);
+      expect(state.lastSuccessAt).toBeNull();
+      expect(state.lastStatus).toBe(404);
+      expect(mockRecordFeedCheck).toHaveBeenLastCalledWith(expect.anything(), expect.objectContaining({
+        ok: false,
+        status: 404,
+        code: "NO_FEED_FOUND",
+      }));
+    });
+
+    it("tracks consecutive failures and last error", async () => {
+      const error = Object.assign(new Error("Failed to fetch RSS feed: Status code 503"), {
+        status: 503,
+        retryAfter: 90000,
+      });
+      mockFetchAndParseRss.mockRejectedValue(error);
+
+      await pollSubscription(feedSub);
+      const state = await pollSubscription(feedSub);
+
+      expect(state.consecutiveFailures).toBe(2);
+      expect(state.lastError).toMatch(/503/);
+      expect(state.lastStatus).toBe(503);
+      expect(state.nextRunAt - Date.now()).toBeGreaterThanOrEqual(86000 * 1000);
+    });
+  });
+
+  describe("runDueFeeds", () => {
+    it("polls due subscriptions and drops removed ones", async () => {
+      mockListAllEnabledSubscriptions.mockResolvedValue([feedSub]);
+      mockFetchAndParseRss.mockResolvedValue({ items: [], refreshHints: null });
+
+      // First sight schedules the feed within one tick; a tick later it is due
+      const now = Date.now();
+      await runDueFeeds(now);
+      await runDueFeeds(now + getSchedulerStatus().tickMs);
+
+      expect(mockFetchAndParseRss).toHaveBeenCalledTimes(1);
+      expect(getSchedulerStatus().feeds).toHaveLength(1);
+      expect(getSchedulerStatus().feeds[0].lastSuccessAt).not.toBeNull();
+
+      mockListAllEnabledSubscriptions.mockResolvedValueOnce([]);
+      await runDueFeeds();
+      expect(getSchedulerStatus().feeds).toHaveLength(0);
+    });
+
+    it("polls due subscriptions in parallel up to the configured concurrency", async () => {
+      const subscriptions = ["a", "b", "c", "d", "e"].map(id => ({ ...feedSub, id: `sub-${id}`, feedUrl: `https://example.com/${id}.xml` }));
+      mockListAllEnabledSubscriptions.mockResolvedValue(subscriptions);
+      let inFlight = 0;
+      let maxInFlight = 0;
+      mockFetchAndParseRss.mockImplementation(async () => {
+        inFlight += 1;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        inFlight -= 1;
+        return { items: [], refreshHints: null };
+      });
+
+      const defaultConcurrency = schedulerConfig.concurrency;
+      schedulerConfig.concurrency = 2;
+      try {
+        const now = Date.now();
+        await runDueFeeds(now);
+        expect(await runDueFeeds(now + getSchedulerStatus().tickMs)).toBe(5);
+      } finally {
+        schedulerConfig.concurrency = defaultConcurrency;
+      }
+
+      expect(mockFetchAndParseRss).toHaveBeenCalledTimes(5);
+      expect(maxInFlight).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,42 @@
+import { describe, it, expect, beforeEach } from "@jest/globals";
+
+const { clearAllCollections } = await import("../../src/services/storage.js");
+const {
+  createRecipe,
+  updateRecipe,
+  findRecipeForUrl,
+  RecipeError,
+} = await import("../../src/services/scraperRecipes.js");
+
+describe("Scraper Recipes Service", () => {
+  beforeEach(async () => {
+    await clearAllCollections();
+  });
+
+  it("finds the recipe of the closest domain", async () => {
+    await createRecipe({ domain: "example.com", itemSelector: "article" });
+    const blog = await createRecipe({ domain: "blog.example.com", itemSelector: ".post" });
+
+    expect((await findRecipeForUrl("https://www.blog.example.com/archive")).id).toBe(blog.id);
+    expect((await findRecipeForUrl("https://shop.example.com/")).domain).toBe("example.com");
+    expect(await findRecipeForUrl("https://notexample.com/")).toBeNull();
+  });
+
+  it("keeps one recipe per domain", async () => {
+    await createRecipe({ domain: "example.com", itemSelector: "article" });
+    const other = await createRecipe({ domain: "example.org", itemSelector: "article" });
+
+    await expect(createRecipe({ domain: "WWW.example.com", itemSelector: "li" }))
+      .rejects.toMatchObject({ code: "DUPLICATE_RECIPE", statusCode: 409 });
+    await expect(updateRecipe(other.id, { domain: "example.com" }))
+      .rejects.toBeInstanceOf(RecipeError);
+  });
+
+  it("validates selectors on update", async () => {
+    const recipe = await createRecipe({ domain: "example.com", itemSelector: "article" });
+
+    await expect(updateRecipe(recipe.id, { excludeSelectors: ["nav", "a[["] }))
+      .rejects.toMatchObject({ code: "INVALID_SELECTOR" });
+    expect(await updateRecipe("missing", { itemSelector: "li" })).toBeNull();
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it, expect, beforeEach, afterAll, jest } from "@jest/globals";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { getCollection, clearAllCollections, flushAllCollections } from "../../src/services/storage.js";
+import { storage as storageConfig } from "../../src/config/index.js";
+
+describe("Storage Service", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "genie-storage-"));
+
+  beforeEach(async () => {
+    await clearAllCollections();
+  });
+
+  afterAll(async () => {
+    await clearAllCollections();
+    await flushAllCollections();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("returns the same collection instance by name", () => {
+    expect(getCollection("things")).toBe(getCollection("things"));
+  });
+
+  it("stores, lists and deletes documents", async () => {
+    const things = getCollection("things");
+    await things.put("a", { id: "a", kind: "x" });
+    await things.put("b", { id: "b", kind: "y" });
+
+    expect(await things.get("a")).toEqual({ id: "a", kind: "x" });
+    expect(await things.list((doc) => doc.kind === "y")).toEqual([{ id: "b", kind: "y" }]);
+    expect(await things.delete("a")).toBe(true);
+    expect(await things.get("a")).toBeNull();
+  });
+
+  it("deletes several documents with one flush", async () => {
+    const things = getCollection("things");
+    await things.putMany([["a", { id: "a" }], ["b", { id: "b" }], ["c", { id: "c" }]]);
+    const persist = jest.spyOn(things, "persist");
+
+    expect(await things.deleteMany(["a", "c", "missing"])).toBe(2);
+    expect(await things.list()).toEqual([{ id: "b" }]);
+    expect(persist).toHaveBeenCalledTimes(1);
+
+    expect(await things.deleteMany(["missing"])).toBe(0);
+    expect(persist).toHaveBeenCalledTimes(1);
+    persist.mockRestore();
+  });
+
+  it("does not leak mutations of returned documents", async () => {
+    const things = getCollection("things");
+    await things.put("a", { id: "a", tags: ["one"] });
+
+    const doc = await things.get("a");
+    doc.tags.push("two");
+
+    expect((await things.get("a")).tags).toEqual(["one"]);
+  });
+
+  it("writes bursts of file collection changes once, through a temp file", async () => {
+    const { driver, dir: defaultDir } = storageConfig;
+    Object.assign(storageConfig, { driver: "file", dir });
+    const docs = getCollection("fileThings");
+    Object.assign(storageConfig, { driver, dir: defaultDir });
+    const writeFile = jest.spyOn(fs.promises, "writeFile");
+    const file = path.join(dir, "fileThings.json");
+
+    try {
+      await docs.put("a", { id: "a" });
+      await docs.put("b", { id: "b" });
+      await docs.delete("a");
+      expect(writeFile).not.toHaveBeenCalled();
+
+      await flushAllCollections();
+      expect(writeFile).toHaveBeenCalledTimes(1);
+      expect(writeFile).toHaveBeenCalledWith(`${file}.tmp`, expect.any(String), "utf8");
+      expect(JSON.parse(fs.readFileSync(file, "utf8"))).toEqual({ b: { id: "b" } });
+      expect(fs.existsSync(`${file}.tmp`)).toBe(false);
+    } finally {
+      writeFile.mockRestore();
+    }
+  });
+});
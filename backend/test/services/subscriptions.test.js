@@ -0,0 +1,101 @@
+import { describe, it, expect, beforeEach, jest } from "@jest/globals";
+
+const mockDiscoverRssFeed = jest.fn();
+
+jest.unstable_mockModule("../../src/services/rssDiscovery.js", () => ({
+  discoverRssFeed: mockDiscoverRssFeed,
+}));
+
+const { clearAllCollections } = await import("../../src/services/storage.js");
+const {
+  createSubscription,
+  listSubscriptions,
+  getSubscription,
+  updateSubscription,
+  deleteSubscription,
+  resolveSubscriptions,
+  getSubscriptionFetchUrl,
+  SubscriptionError,
+} = await import("../../src/services/subscriptions.js");
+
+describe("Subscriptions Service", () => {
+  beforeEach(async () => {
+    mockDiscoverRssFeed.mockReset();
+    await clearAllCollections();
+  });
+
+  it("stores the discovered feed URL and normalized tags", async () => {
+    mockDiscoverRssFeed.mockResolvedValueOnce("https://example.com/feed.xml");
+
+    const sub = await createSubscription("tenant_a", {
+      url: "https://example.com",
+      tags: [" News ", "news", "AI"],
+    });
+
+    expect(sub.feedUrl).toBe("https://example.com/feed.xml");
+    expect(sub.title).toBe("example.com");
+    expect(sub.tags).toEqual(["news", "ai"]);
+    expect(sub.enabled).toBe(true);
+    expect(getSubscriptionFetchUrl(sub)).toBe("https://example.com/feed.xml");
+  });
+
+  it("keeps the site URL when no feed is discovered", async () => {
+    mockDiscoverRssFeed.mockResolvedValueOnce(null);
+
+    const sub = await createSubscription("tenant_a", { url: "https://nofeed.example.com" });
+
+    expect(sub.feedUrl).toBeNull();
+    expect(getSubscriptionFetchUrl(sub)).toBe("https://nofeed.example.com/");
+  });
+
+  it("rejects duplicate subscriptions for the same tenant", async () => {
+    mockDiscoverRssFeed.mockResolvedValue("https://example.com/feed.xml");
+
+    await createSubscription("tenant_a", { url: "https://example.com" });
+    await expect(
+      createSubscription("tenant_a", { url: "https://example.com/blog" })
+    ).rejects.toMatchObject({ code: "DUPLICATE_SUBSCRIPTION", statusCode: 409 });
+
+    // Other tenants may follow the same feed
+    await expect(createSubscription("tenant_b", { url: "https://example.com" })).resolves.toBeDefined();
+  });
+
+  it("scopes reads, updates and deletes by tenant", async () => {
+    mockDiscoverRssFeed.mockResolvedValueOnce("https://example.com/feed.xml");
+    const sub = await createSubscription("tenant_a", { url: "https://example.com" });
+
+    expect(await getSubscription("tenant_b", sub.id)).toBeNull();
+    expect(await updateSubscription("tenant_b", sub.id, { title: "x" })).toBeNull();
+    expect(await deleteSubscription("tenant_b", sub.id)).toBe(false);
+    expect(await listSubscriptions("tenant_b")).toEqual([]);
+
+    const updated = await updateSubscription("tenant_a", sub.id, { title: "Example", enabled: false });
+    expect(updated.title).toBe("Example");
+    expect(updated.enabled).toBe(false);
+    expect(await deleteSubscription("tenant_a", sub.id)).toBe(true);
+  });
+
+  it("resolves enabled subscriptions by id and tag", async () => {
+    mockDiscoverRssFeed
+      .mockResolvedValueOnce("https://a.example.com/feed")
+      .mockResolvedValueOnce("https://b.example.com/feed")
+      .mockResolvedValueOnce("https://c.example.com/feed");
+
+    const a = await createSubscription("tenant_a", { url: "https://a.example.com", tags: ["sec"] });
+    await createSubscription("tenant_a", { url: "https://b.example.com", tags: ["sec"], enabled: false });
+    const c = await createSubscription("tenant_a", { url: "https://c.example.com" });
+
+    const resolved = await resolveSubscriptions("tenant_a", {
+      subscriptionIds: [c.id],
+      tags: ["SEC"],
+    });
+
+    expect(resolved.map((s) => s.id).sort()).toEqual([a.id, c.id].sort());
+  });
+
+  it("throws for unknown subscription ids", async () => {
+    await expect(
+      resolveSubscriptions("tenant_a", { subscriptionIds: ["missing"] })
+    ).rejects.toBeInstanceOf(SubscriptionError);
+  });
+});
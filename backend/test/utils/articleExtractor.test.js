@@ -0,0 +1,133 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+
+const mockAxiosGet = jest.fn();
+
+jest.unstable_mockModule('axios', () => ({
+  default: { get: mockAxiosGet }
+}));
+
+const { extractArticle, fetchArticle, addFullText, clearArticleCache } = await import('../../src/utils/articleExtractor.js');
+
+const ARTICLE_HTML = `<html><head><title>Site | Story</title><meta property="og:title" content="The Story"></head>
+<body>
+  <header><nav><a href="/">Home</a><a href="/about">About</a></nav></header>
+  <div class="sidebar"><p>Popular posts, trending now, many words here that are not the article at all.</p></div>
+  <article class="post">
+    <h1>The Story</h1>
+    <div class="share-buttons"><a href="#">Tweet</a></div>
+    <p>First paragraph of the article, with some commas, and enough text to be a real paragraph.</p>
+    <p>Second <a href="/more" onclick="track()">paragraph</a> continues the story with <strong>bold</strong> text.</p>
+    <figure><img src="/img.jpg" alt="pic" class="wide"><figcaption>Caption</figcaption></figure>
+    <p>Third paragraph wraps things up so the article body is comfortably long enough to be picked.</p>
+    <div class="comments"><p>Great article, thanks!</p></div>
+  </article>
+  <footer>Copyright</footer>
+  <script>alert(1)</script>
+</body></html>`;
+
+const htmlResponse = (data) => ({ status: 200, headers: { 'content-type': 'text/html; charset=utf-8' }, data });
+
+describe('Article Extractor', () => {
+  beforeEach(async () => {
+    mockAxiosGet.mockReset();
+    await clearArticleCache();
+  });
+
+  describe('extractArticle', () => {
+    it('extracts the article body without navigation or boilerplate', () => {
+      const article = extractArticle(ARTICLE_HTML, 'https://news.example.com/2026/story');
+
+      expect(article.title).toBe('The Story');
+      expect(article.text).toContain('First paragraph of the article');
+      expect(article.text).toContain('Third paragraph');
+      expect(article.text).not.toMatch(/Home|Tweet|Popular posts|Great article|Copyright|alert/);
+      expect(article.length).toBe(article.text.length);
+    });
+
+    it('keeps wrappers whose tokens only look like boilerplate', () => {
+      const html = ARTICLE_HTML
+        .replace('<article class="post">', '<div class="site-content has-sidebar"><article class="post share-enabled">')
+        .replace('</article>', '</article></div>');
+      const article = extractArticle(html, 'https://news.example.com/2026/story');
+
+      expect(article.text).toContain('First paragraph of the article');
+      expect(article.text).toContain('Third paragraph');
+      expect(article.text).not.toMatch(/Tweet|Popular posts|Great article/);
+    });
+
+    it('keeps a wrapper holding the story when there is no article markup', () => {
+      const paragraph = '<p>A long paragraph of the story, with commas, that keeps going for a while to carry weight.</p>';
+      const html = `<body><div class="sidebar-wrap">${paragraph.repeat(12)}</div>
+        <div class="related-posts"><p>Another story you may like, with a teaser of a reasonable length.</p></div></body>`;
+      const article = extractArticle(html, 'https://example.com/p');
+
+      expect(article.text).toMatch(/^A long paragraph of the story/);
+      expect(article.text).not.toContain('Another story');
+    });
+
+    it('keeps a small set of tags with absolute links', () => {
+      const { html } = extractArticle(ARTICLE_HTML, 'https://news.example.com/2026/story');
+
+      expect(html).toContain('<a href="https://news.example.com/more">paragraph</a>');
+      expect(html).toContain('<img src="https://news.example.com/img.jpg" alt="pic">');
+      expect(html).not.toMatch(/onclick|class=|<div|<script/);
+    });
+
+    it('falls back to paragraph scoring without article markup', () => {
+      const html = `<body><div id="menu"><a href="/a">A</a></div><div id="x">
+        <p>Plain layout paragraph one, with commas, and a decent amount of text in it.</p>
+        <p>Plain layout paragraph two, also with commas, and more text to score it.</p></div></body>`;
+
+      expect(extractArticle(html, 'https://example.com/p').text).toMatch(/^Plain layout paragraph one/);
+    });
+  });
+
+  describe('fetchArticle', () => {
+    it('caches extracted articles per URL', async () => {
+      mockAxiosGet.mockResolvedValue(htmlResponse(ARTICLE_HTML));
+
+      const first = await fetchArticle('https://news.example.com/2026/story');
+      const second = await fetchArticle('https://news.example.com/2026/story');
+
+      expect(second).toEqual(first);
+      expect(first.extractedAt).toEqual(expect.any(String));
+      expect(mockAxiosGet).toHaveBeenCalledTimes(1);
+    });
+
+    it('rejects blocked URLs before fetching', async () => {
+      await expect(fetchArticle('http://127.0.0.1/admin')).rejects.toThrow();
+      expect(mockAxiosGet).not.toHaveBeenCalled();
+    });
+
+    it('skips a domain after it refuses extraction', async () => {
+      mockAxiosGet.mockRejectedValueOnce(Object.assign(new Error('Request failed with status code 403'), {
+        response: { status: 403 }
+      }));
+
+      await expect(fetchArticle('https://paywall.example.com/a')).rejects.toMatchObject({ code: 'FETCH_FAILED' });
+      await expect(fetchArticle('https://paywall.example.com/b')).rejects.toMatchObject({ code: 'DOMAIN_BLOCKED' });
+      expect(mockAxiosGet).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('addFullText', () => {
+    it('adds fullText per item and reports failures without dropping items', async () => {
+      mockAxiosGet.mockImplementation(async (url) => {
+        if (url.includes('broken')) {
+          return { status: 200, headers: { 'content-type': 'application/pdf' }, data: '' };
+        }
+        return htmlResponse(ARTICLE_HTML);
+      });
+
+      const items = await addFullText([
+        { title: 'RSS item', link: 'https://news.example.com/2026/story', content: 'Teaser' },
+        { title: 'Processed item', url: 'https://broken.example.com/file.pdf', content: 'Teaser' }
+      ]);
+
+      expect(items[0].content).toBe('Teaser');
+      expect(items[0].fullText.text).toContain('First paragraph');
+      expect(items[1].fullText).toBeNull();
+      expect(items[1].fullTextError).toMatch(/Not an HTML page/);
+    });
+  });
+});
@@ -0,0 +1,24 @@
+import { describe, it, expect } from '@jest/globals';
+import { mapWithConcurrency } from '../../src/utils/concurrency.js';
+
+describe('mapWithConcurrency', () => {
+  it('keeps input order and never exceeds the limit', async () => {
+    let active = 0;
+    let peak = 0;
+
+    const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (delay, index) => {
+      active += 1;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      active -= 1;
+      return index * 10;
+    });
+
+    expect(results).toEqual([0, 10, 20, 30, 40]);
+    expect(peak).toBe(2);
+  });
+
+  it('handles empty input', async () => {
+    expect(await mapWithConcurrency([], 4, async () => 1)).toEqual([]);
+  });
+});
@@ -0,0 +1,32 @@
+import { describe, it, expect } from '@jest/globals';
+import { ConditionalStore, acceptNotModified } from '../../src/utils/conditionalRequest.js';
+
+describe('Conditional Request Store', () => {
+  it('accepts 2xx and 304 statuses only', () => {
+    expect(acceptNotModified(200)).toBe(true);
+    expect(acceptNotModified(304)).toBe(true);
+    expect(acceptNotModified(404)).toBe(false);
+  });
+
+  it('returns the stored payload only for 304 responses', () => {
+    const store = new ConditionalStore('test');
+    store.store('https://a.test', { headers: { etag: 'W/"1"' } }, false);
+
+    expect(store.headersFor('https://a.test')).toEqual({ 'If-None-Match': 'W/"1"' });
+    expect(store.notModifiedPayload('https://a.test', { status: 200 })).toBeUndefined();
+    expect(store.notModifiedPayload('https://a.test', { status: 304 })).toBe(false);
+    expect(store.stats()).toEqual(expect.objectContaining({ conditionalRequests: 1, notModified: 1 }));
+  });
+
+  it('evicts the least recently used entry beyond maxEntries', () => {
+    const store = new ConditionalStore('test', { maxEntries: 2 });
+    const response = { headers: { 'last-modified': 'Mon, 02 Mar 2026 10:00:00 GMT' } };
+    store.store('a', response, 'A');
+    store.store('b', response, 'B');
+    store.notModifiedPayload('a', { status: 304 });
+    store.store('c', response, 'C');
+
+    expect(store.headersFor('a')).toHaveProperty('If-Modified-Since');
+    expect(store.headersFor('b')).toEqual({});
+  });
+});
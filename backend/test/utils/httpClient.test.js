@@ -0,0 +1,146 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+
+const mockAxiosGet = jest.fn();
+const mockAxiosHead = jest.fn();
+const mockAxiosPost = jest.fn();
+
+jest.unstable_mockModule('axios', () => ({
+  default: { get: mockAxiosGet, head: mockAxiosHead, post: mockAxiosPost }
+}));
+
+const { httpClient: httpConfig } = await import('../../src/config/index.js');
+const {
+  httpGet,
+  httpPost,
+  getHttpMetrics,
+  resetHttpMetrics,
+  isRetryableError,
+  retryDelayMs
+} = await import('../../src/utils/httpClient.js');
+
+const httpError = (status) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status, headers: {} }
+});
+
+describe('HTTP Client', () => {
+  beforeEach(() => {
+    mockAxiosGet.mockReset();
+    mockAxiosHead.mockReset();
+    mockAxiosPost.mockReset();
+    resetHttpMetrics();
+    httpConfig.retryBaseDelayMs = 1;
+    httpConfig.hostDelayMs = 0;
+    httpConfig.maxPerHost = 4;
+  });
+
+  it('sends the configured User-Agent, size cap and SSRF-guarded agents', async () => {
+    mockAxiosGet.mockResolvedValueOnce({ status: 200, data: 'ok' });
+
+    await httpGet('https://example.com/feed', { headers: { Accept: 'text/xml' }, timeout: 1000 });
+
+    expect(mockAxiosGet).toHaveBeenCalledWith('https://example.com/feed', expect.objectContaining({
+      timeout: 1000,
+      maxContentLength: httpConfig.maxResponseBytes,
+      httpAgent: expect.anything(),
+      beforeRedirect: expect.any(Function),
+      headers: { 'User-Agent': httpConfig.userAgent, Accept: 'text/xml' }
+    }));
+  });
+
+  it('reports the redirects it followed', async () => {
+    mockAxiosGet.mockImplementationOnce(async (url, config) => {
+      config.beforeRedirect({ href: 'https://feeds.example.com/rss' }, { statusCode: 301, headers: {} });
+      return { status: 200, data: 'ok' };
+    });
+
+    const response = await httpGet('https://example.com/rss');
+
+    expect(response.redirects).toEqual([{ status: 301, url: 'https://feeds.example.com/rss' }]);
+  });
+
+  it('skips the SSRF guard when asked and passes the POST body', async () => {
+    mockAxiosPost.mockResolvedValueOnce({ status: 200, data: {} });
+
+    await httpPost('http://10.0.0.2/hook', { url: 'https://example.com' }, { ssrfGuard: false });
+
+    const [, body, config] = mockAxiosPost.mock.calls[0];
+    expect(body).toEqual({ url: 'https://example.com' });
+    expect(config.httpAgent).toBeUndefined();
+  });
+
+  it('retries 5xx responses and timeouts with backoff', async () => {
+    mockAxiosGet
+      .mockRejectedValueOnce(httpError(503))
+      .mockRejectedValueOnce(Object.assign(new Error('timeout'), { code: 'ECONNABORTED' }))
+      .mockResolvedValueOnce({ status: 200, data: 'ok' });
+
+    const response = await httpGet('https://example.com/flaky', { retries: 2 });
+
+    expect(response.data).toBe('ok');
+    expect(mockAxiosGet).toHaveBeenCalledTimes(3);
+    expect(getHttpMetrics().hosts['example.com']).toEqual(expect.objectContaining({
+      requests: 3,
+      succeeded: 1,
+      failed: 2,
+      retries: 2,
+      statuses: { 200: 1, 503: 1 }
+    }));
+  });
+
+  it('does not retry 4xx responses and gives up after the retry budget', async () => {
+    mockAxiosGet.mockRejectedValueOnce(httpError(404));
+    await expect(httpGet('https://example.com/missing', { retries: 3 })).rejects.toThrow('404');
+    expect(mockAxiosGet).toHaveBeenCalledTimes(1);
+
+    mockAxiosGet.mockReset();
+    mockAxiosGet.mockRejectedValue(httpError(500));
+    await expect(httpGet('https://example.com/broken', { retries: 1 })).rejects.toThrow('500');
+    expect(mockAxiosGet).toHaveBeenCalledTimes(2);
+  });
+
+  it('limits concurrent requests per host', async () => {
+    httpConfig.maxPerHost = 1;
+    let active = 0;
+    let peak = 0;
+    mockAxiosGet.mockImplementation(async (url) => {
+      active += 1;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      active -= 1;
+      return { status: 200, data: url };
+    });
+
+    await Promise.all([
+      httpGet('https://slow.example.com/a'),
+      httpGet('https://slow.example.com/b'),
+      httpGet('https://slow.example.com/c')
+    ]);
+
+    expect(peak).toBe(1);
+  });
+
+  it('spaces requests to the same host', async () => {
+    httpConfig.hostDelayMs = 30;
+    const startedAt = [];
+    mockAxiosGet.mockImplementation(async () => {
+      startedAt.push(Date.now());
+      return { status: 200 };
+    });
+
+    await Promise.all([httpGet('https://polite.example.com/1'), httpGet('https://polite.example.com/2')]);
+
+    expect(startedAt[1] - startedAt[0]).toBeGreaterThanOrEqual(25);
+  });
+
+  it('classifies retryable errors and grows the backoff', () => {
+    expect(isRetryableError(httpError(502))).toBe(true);
+    expect(isRetryableError(httpError(429))).toBe(false);
+    expect(isRetryableError(Object.assign(new Error('reset'), { code: 'ECONNRESET' }))).toBe(true);
+    expect(isRetryableError(Object.assign(new Error('private'), { code: 'PRIVATE_IP' }))).toBe(false);
+
+    httpConfig.retryBaseDelayMs = 100;
+    expect(retryDelayMs(1)).toBeGreaterThanOrEqual(100);
+    expect(retryDelayMs(3)).toBeGreaterThanOrEqual(400);
+    expect(retryDelayMs(3)).toBeLessThanOrEqual(600);
+  });
+});
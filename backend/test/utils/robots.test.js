@@ -0,0 +1,173 @@
+import { describe, it, expect, beforeEach, afterAll, jest } from "@jest/globals";
+import { Readable } from "stream";
+
+const mockAxiosGet = jest.fn();
+
+jest.unstable_mockModule("axios", () => ({
+  default: {
+    get: mockAxiosGet,
+  },
+}));
+
+const { robots: robotsConfig } = await import("../../src/config/index.js");
+const {
+  parseRobots,
+  isPathAllowed,
+  checkRobots,
+  assertRobotsAllowed,
+  clearRobotsCache,
+  robotsAgent,
+} = await import("../../src/utils/robots.js");
+const { scrapeWebsite } = await import("../../src/utils/scraper.js");
+
+const ROBOTS_TXT = `
+# Example robots.txt
+User-agent: *
+Disallow: /private/
+Allow: /private/press/
+Disallow: /*.pdf$
+
+User-agent: Genie-RSS
+User-agent: OtherBot
+Disallow: /drafts
+Crawl-delay: 2
+
+Sitemap: https://example.com/sitemap.xml
+`;
+
+describe("robots.txt", () => {
+  beforeEach(async () => {
+    mockAxiosGet.mockReset();
+    robotsConfig.enabled = true;
+    await clearRobotsCache();
+  });
+
+  afterAll(() => {
+    robotsConfig.enabled = false;
+  });
+
+  describe("parseRobots", () => {
+    it("derives the agent from the User-Agent product token", () => {
+      expect(robotsAgent()).toBe("genie-rss");
+    });
+
+    it("uses the group naming our agent over the * group", () => {
+      const policy = parseRobots(ROBOTS_TXT, "genie-rss");
+
+      expect(policy.rules).toEqual([{ allow: false, path: "/drafts" }]);
+      expect(policy.crawlDelaySec).toBe(2);
+    });
+
+    it("falls back to the * group", () => {
+      const policy = parseRobots(ROBOTS_TXT, "somebot");
+
+      expect(policy.rules).toHaveLength(3);
+      expect(policy.crawlDelaySec).toBe(0);
+    });
+
+    it("collects Sitemap lines outside and inside groups", () => {
+      const policy = parseRobots(
+        "Sitemap: https://example.com/sitemap.xml\nUser-agent: *\nDisallow: /tmp\nSitemap: https://example.com/news.xml\n",
+        "genie-rss"
+      );
+
+      expect(policy.sitemaps).toEqual(["https://example.com/sitemap.xml", "https://example.com/news.xml"]);
+      expect(policy.rules).toHaveLength(1);
+    });
+
+    it("treats an empty Disallow as allowing everything", () => {
+      const policy = parseRobots("User-agent: *\nDisallow:\n", "genie-rss");
+      expect(isPathAllowed(policy, "/anything")).toBe(true);
+    });
+  });
+
+  describe("isPathAllowed", () => {
+    const policy = parseRobots(ROBOTS_TXT, "somebot");
+
+    it("applies the longest matching rule", () => {
+      expect(isPathAllowed(policy, "/private/data")).toBe(false);
+      expect(isPathAllowed(policy, "/private/press/release")).toBe(true);
+      expect(isPathAllowed(policy, "/blog")).toBe(true);
+    });
+
+    it("supports * wildcards and $ anchors", () => {
+      expect(isPathAllowed(policy, "/files/report.pdf")).toBe(false);
+      expect(isPathAllowed(policy, "/files/report.pdf?download=1")).toBe(true);
+    });
+
+    it("prefers Allow when rules are equally long", () => {
+      const tie = { rules: [{ allow: false, path: "/page" }, { allow: true, path: "/page" }] };
+      expect(isPathAllowed(tie, "/page")).toBe(true);
+    });
+  });
+
+  describe("checkRobots", () => {
+    it("fetches robots.txt once per origin and honors Crawl-delay", async () => {
+      mockAxiosGet.mockResolvedValueOnce({ status: 200, data: ROBOTS_TXT });
+
+      const drafts = await checkRobots("https://example.com/drafts/1");
+      const blog = await checkRobots("https://example.com/blog");
+
+      expect(drafts).toEqual({ allowed: false, crawlDelayMs: 2000 });
+      expect(blog.allowed).toBe(true);
+      expect(mockAxiosGet).toHaveBeenCalledTimes(1);
+      expect(mockAxiosGet).toHaveBeenCalledWith("https://example.com/robots.txt", expect.any(Object));
+    });
+
+    it("caps Crawl-delay", async () => {
+      mockAxiosGet.mockResolvedValueOnce({ status: 200, data: "User-agent: *\nCrawl-delay: 3600\n" });
+
+      const { crawlDelayMs } = await checkRobots("https://slow.example.com/");
+
+      expect(crawlDelayMs).toBe(robotsConfig.maxCrawlDelaySec * 1000);
+    });
+
+    it("allows everything when robots.txt is missing", async () => {
+      mockAxiosGet.mockResolvedValueOnce({ status: 404, data: "Not found" });
+
+      expect((await checkRobots("https://norobots.example.com/private/")).allowed).toBe(true);
+    });
+
+    it("parses the first 500 KiB of an oversized robots.txt instead of ignoring it", async () => {
+      const padding = "# filler line to push the file past the size cap\n".repeat(12000);
+      const huge = `User-agent: *\nDisallow: /private/\n${padding}Disallow: /late/\n`;
+      mockAxiosGet.mockResolvedValueOnce({ status: 200, data: Readable.from([huge.slice(0, 300000), huge.slice(300000)]) });
+
+      expect((await checkRobots("https://big.example.com/private/1")).allowed).toBe(false);
+      // Rules past the cap are not read
+      expect((await checkRobots("https://big.example.com/late/1")).allowed).toBe(true);
+    });
+
+    it("disallows everything while robots.txt answers with a server error", async () => {
+      mockAxiosGet.mockResolvedValueOnce({ status: 503, data: "" });
+
+      expect((await checkRobots("https://down.example.com/")).allowed).toBe(false);
+    });
+
+    it("skips the check for the admin override and when disabled", async () => {
+      expect(await checkRobots("https://example.com/drafts", { respectRobots: false }))
+        .toEqual({ allowed: true, crawlDelayMs: 0 });
+
+      robotsConfig.enabled = false;
+      expect((await checkRobots("https://example.com/drafts")).allowed).toBe(true);
+      expect(mockAxiosGet).not.toHaveBeenCalled();
+    });
+
+    it("throws ROBOTS_DISALLOWED from assertRobotsAllowed", async () => {
+      mockAxiosGet.mockResolvedValueOnce({ status: 200, data: ROBOTS_TXT });
+
+      await expect(assertRobotsAllowed("https://example.com/drafts/2"))
+        .rejects.toMatchObject({ name: "RobotsDisallowedError", code: "ROBOTS_DISALLOWED" });
+    });
+  });
+
+  describe("scrapeWebsite", () => {
+    it("does not fetch pages robots.txt disallows", async () => {
+      mockAxiosGet.mockResolvedValueOnce({ status: 200, data: "User-agent: *\nDisallow: /\n" });
+
+      await expect(scrapeWebsite("https://closed.example.com/news"))
+        .rejects.toMatchObject({ code: "ROBOTS_DISALLOWED" });
+      expect(mockAxiosGet).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -1,4 +1,4 @@
-import { describe, it, expect, beforeEach, jest } from "@jest/globals";
+import { describe, it, expect, beforeEach, afterEach, jest } from "@jest/globals";
 
 const mockAxiosGet = jest.fn();
 
@@ -8,7 +8,8 @@ jest.unstable_mockModule("axios", () => ({
   },
 }));
 
-const { scrapeWebsite } = await import("../../src/utils/scraper.js");
+const { scrapeWebsite, parseDateWithFormat } = await import("../../src/utils/scraper.js");
+const { setRenderer } = await import("../../src/services/renderer.js");
 
 describe("Scraper Utils", () => {
   beforeEach(() => {
@@ -51,6 +52,183 @@ describe("Scraper Utils", () => {
     expect(result.items[0].link).toBe("https://example.com/posts/1");
   });
 
+  describe("pagination", () => {
+    function listing(titles, nav = "") {
+      return {
+        data: `<html><head><title>Archive</title></head><body>
+          ${titles.map((title) => `<article><h2>${title}</h2><a href="/posts/${title}">Read</a></article>`).join("")}
+          ${nav}
+        </body></html>`,
+      };
+    }
+
+    it("stays on the first page by default", async () => {
+      mockAxiosGet.mockResolvedValueOnce(listing(["alpha"], '<a rel="next" href="/page/2">Next</a>'));
+
+      const result = await scrapeWebsite("https://example.com");
+
+      expect(mockAxiosGet).toHaveBeenCalledTimes(1);
+      expect(result.pages).toEqual([{ url: "https://example.com", itemCount: 1 }]);
+    });
+
+    it("follows rel=next, ?page= and older posts links without repeating items", async () => {
+      mockAxiosGet.mockImplementation(async (url) => ({
+        "https://example.com/blog": listing(["alpha", "bravo"], '<link rel="next" href="/blog?page=2">'),
+        "https://example.com/blog?page=2": listing(["bravo", "charlie"], '<a href="/blog?page=1">1</a> <a href="/blog?page=3">3</a>'),
+        "https://example.com/blog?page=3": listing(["delta"], '<div class="nav-previous"><a href="/archive/old">&larr; Older posts</a></div>'),
+        "https://example.com/archive/old": listing(["echo"]),
+      })[url]);
+
+      const result = await scrapeWebsite("https://example.com/blog", { pages: 10 });
+
+      expect(result.items.map((item) => item.title)).toEqual(["alpha", "bravo", "charlie", "delta", "echo"]);
+      expect(result.pages).toEqual([
+        { url: "https://example.com/blog", itemCount: 2 },
+        { url: "https://example.com/blog?page=2", itemCount: 1 },
+        { url: "https://example.com/blog?page=3", itemCount: 1 },
+        { url: "https://example.com/archive/old", itemCount: 1 },
+      ]);
+    });
+
+    it("stops at the requested depth, at other sites and at pages with nothing new", async () => {
+      mockAxiosGet.mockImplementation(async (url) => ({
+        "https://example.com/": listing(["alpha"], '<a class="next" href="https://other.example.org/page/2">Next</a><a href="/page/2">Next page</a>'),
+        "https://example.com/page/2": listing(["alpha"], '<a href="/page/3">Next</a>'),
+      })[url]);
+
+      const deep = await scrapeWebsite("https://example.com/", { pages: 5 });
+      expect(deep.pages.map((page) => page.url)).toEqual(["https://example.com/", "https://example.com/page/2"]);
+      expect(deep.items).toHaveLength(1);
+
+      mockAxiosGet.mockClear();
+      const shallow = await scrapeWebsite("https://example.com/", { pages: 1 });
+      expect(shallow.pages).toHaveLength(1);
+      expect(mockAxiosGet).toHaveBeenCalledTimes(1);
+    });
+
+    it("keeps the pages crawled so far when a later page fails", async () => {
+      mockAxiosGet
+        .mockResolvedValueOnce(listing(["alpha"], '<a rel="next" href="/page/2">Next</a>'))
+        .mockRejectedValueOnce(new Error("timeout"));
+
+      const result = await scrapeWebsite("https://example.com", { pages: 3 });
+
+      expect(result.items).toHaveLength(1);
+      expect(result.pages[1]).toEqual({ url: "https://example.com/page/2", itemCount: 0, error: "timeout" });
+    });
+  });
+
+  it("prefers structured data and lets the heuristics add the items it does not describe", async () => {
+    mockAxiosGet.mockResolvedValueOnce({
+      data: `
+        <html><head>
+          <script type="application/ld+json">
+            {"@type": "BlogPosting", "headline": "First Post", "url": "https://example.com/posts/1",
+             "datePublished": "2026-01-15T09:00:00Z", "author": {"name": "Ada"}}
+          </script>
+        </head><body>
+          <article><h2>First Post (teaser)</h2><a href="/posts/1">Read</a></article>
+          <article><h2>Second Post</h2><a href="/posts/2">Read</a></article>
+        </body></html>
+      `,
+    });
+
+    const result = await scrapeWebsite("https://example.com");
+
+    expect(result.extractedWith).toBe("structured-data");
+    expect(result.items.map((item) => [item.title, item.creator, item.extractedWith])).toEqual([
+      ["First Post", "Ada", "json-ld"],
+      ["Second Post", undefined, "heuristics"],
+    ]);
+  });
+
+  describe("rendering", () => {
+    const mockRender = jest.fn();
+    const shell = "<html><head><title>App</title></head><body><div id=\"root\"></div></body></html>";
+    const renderedPage = `
+      <html><head><title>Rendered App</title></head><body>
+        <article><h2>Client-side Post</h2><a href="/posts/7">Read</a></article>
+      </body></html>`;
+
+    beforeEach(() => {
+      mockRender.mockReset();
+      setRenderer({ name: "stub", render: mockRender });
+    });
+
+    afterEach(() => {
+      setRenderer(undefined);
+    });
+
+    it("renders a page without items when a renderer is configured", async () => {
+      mockAxiosGet.mockResolvedValueOnce({ data: shell });
+      mockRender.mockResolvedValueOnce({ html: renderedPage, status: 200, url: "https://app.example.com/" });
+
+      const result = await scrapeWebsite("https://app.example.com/");
+
+      expect(mockRender).toHaveBeenCalledWith("https://app.example.com/", expect.anything());
+      expect(result.rendered).toBe(true);
+      expect(result.title).toBe("Rendered App");
+      expect(result.items.map((item) => item.link)).toEqual(["https://app.example.com/posts/7"]);
+    });
+
+    it("keeps the plain page when rendering fails or is turned off", async () => {
+      mockAxiosGet.mockResolvedValue({ data: shell });
+      mockRender.mockRejectedValueOnce(new Error("Navigation timeout"));
+
+      const failed = await scrapeWebsite("https://app.example.com/");
+      expect(failed.rendered).toBe(false);
+      expect(failed.title).toBe("App");
+
+      await scrapeWebsite("https://app.example.com/", { render: false });
+      expect(mockRender).toHaveBeenCalledTimes(1);
+    });
+
+    it("reports a missing renderer with render: true as a RendererError", async () => {
+      setRenderer(null);
+
+      await expect(scrapeWebsite("https://app.example.com/", { render: true })).rejects.toMatchObject({
+        name: "RendererError",
+        code: "RENDERER_NOT_CONFIGURED",
+        statusCode: 501,
+      });
+    });
+
+    it("only renders with render: true", async () => {
+      mockRender.mockResolvedValueOnce({ html: renderedPage, status: 200, url: "https://app.example.com/" });
+
+      const result = await scrapeWebsite("https://app.example.com/", { render: true });
+
+      expect(mockAxiosGet).not.toHaveBeenCalledWith("https://app.example.com/", expect.anything());
+      expect(result.rendered).toBe(true);
+      expect(result.items).toHaveLength(1);
+    });
+  });
+
+  it("leaves the page untouched for the fallbacks when a recipe matches nothing", async () => {
+    mockAxiosGet.mockResolvedValueOnce({
+      data: `
+        <html><body>
+          <div class="posts">
+            <article><h2>Kept Post</h2><a href="/posts/kept">Read</a></article>
+          </div>
+        </body></html>
+      `,
+    });
+
+    const result = await scrapeWebsite("https://example.com", {
+      recipe: { itemSelector: ".story", excludeSelectors: [".posts"] },
+    });
+
+    expect(result.items.map((item) => [item.title, item.extractedWith])).toEqual([["Kept Post", "heuristics"]]);
+  });
+
+  it("parses dates in a recipe's format", () => {
+    expect(parseDateWithFormat("15/03/2026", "DD/MM/YYYY")).toBe("2026-03-15T00:00:00.000Z");
+    expect(parseDateWithFormat("Posted March 5th, 2026 at 14:30", "MMMM D, YYYY at HH:mm")).toBe("2026-03-05T14:30:00.000Z");
+    expect(parseDateWithFormat("5 Sept. 26", "D MMM YY")).toBeNull();
+    expect(parseDateWithFormat("31/02/2026", "DD/MM/YYYY")).toBeNull();
+  });
+
   it("wraps axios errors with scraper context", async () => {
     mockAxiosGet.mockRejectedValueOnce(new Error("network down"));
 
@@ -0,0 +1,161 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from "@jest/globals";
+import zlib from "zlib";
+
+const mockAxiosGet = jest.fn();
+
+jest.unstable_mockModule("axios", () => ({
+  default: {
+    get: mockAxiosGet,
+  },
+}));
+
+const { sitemap: sitemapConfig } = await import("../../src/config/index.js");
+const { clearRobotsCache } = await import("../../src/utils/robots.js");
+const { scrapeSitemap, titleFromUrl } = await import("../../src/utils/sitemap.js");
+
+const DEFAULT_MAX_FILES = sitemapConfig.maxFiles;
+
+function serve(routes) {
+  mockAxiosGet.mockImplementation(async (url) => {
+    if (!(url in routes)) {
+      const error = new Error("Request failed with status code 404");
+      error.response = { status: 404 };
+      throw error;
+    }
+    return { status: 200, data: routes[url] };
+  });
+}
+
+function urlset(entries) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+    <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"
+            xmlns:news="http://www.google.com/schemas/sitemap-news/0.9">
+      ${entries.join("\n")}
+    </urlset>`;
+}
+
+function index(children) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+    <sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+      ${children.map(([loc, lastmod]) => `<sitemap><loc>${loc}</loc><lastmod>${lastmod}</lastmod></sitemap>`).join("\n")}
+    </sitemapindex>`;
+}
+
+describe("Sitemap feeds", () => {
+  beforeEach(async () => {
+    mockAxiosGet.mockReset();
+    await clearRobotsCache();
+  });
+
+  afterEach(() => {
+    sitemapConfig.maxFiles = DEFAULT_MAX_FILES;
+  });
+
+  it("rejects blocked URLs via SSRF validation", async () => {
+    await expect(scrapeSitemap("http://localhost:3000")).rejects.toThrow();
+    expect(mockAxiosGet).not.toHaveBeenCalled();
+  });
+
+  it("follows robots.txt Sitemap lines and indexes, newest pages first", async () => {
+    serve({
+      "https://www.example.com/robots.txt": "User-agent: *\nDisallow: /admin\nSitemap: https://www.example.com/sitemaps/index.xml\n",
+      "https://www.example.com/sitemaps/index.xml": index([
+        ["https://www.example.com/sitemaps/2025.xml", "2025-12-31"],
+        ["https://www.example.com/sitemaps/2026.xml", "2026-03-16"],
+      ]),
+      "https://www.example.com/sitemaps/2026.xml": urlset([
+        "<url><loc>https://www.example.com/blog/spring-release-notes</loc><lastmod>2026-03-10</lastmod></url>",
+        "<url><loc>https://example.com/blog/harbour-reopens.html</loc><lastmod>2026-03-15T09:00:00Z</lastmod></url>",
+        "<url><loc>https://cdn.other.com/blog/elsewhere</loc><lastmod>2026-03-16</lastmod></url>",
+      ]),
+      "https://www.example.com/sitemaps/2025.xml": urlset([
+        "<url><loc>https://www.example.com/about</loc></url>",
+        "<url><loc>https://www.example.com/blog/spring-release-notes</loc><lastmod>2026-03-10</lastmod></url>",
+      ]),
+    });
+
+    const result = await scrapeSitemap("https://www.example.com/");
+
+    expect(result.items.map((item) => [item.title, item.link, item.pubDate])).toEqual([
+      ["Harbour reopens", "https://example.com/blog/harbour-reopens.html", "2026-03-15T09:00:00.000Z"],
+      ["Spring release notes", "https://www.example.com/blog/spring-release-notes", "2026-03-10T00:00:00.000Z"],
+      ["About", "https://www.example.com/about", null],
+    ]);
+    expect(result.items.every((item) => item.extractedWith === "sitemap")).toBe(true);
+    expect(result.sitemaps.map((sitemap) => sitemap.url)).toEqual([
+      "https://www.example.com/sitemaps/index.xml",
+      "https://www.example.com/sitemaps/2026.xml",
+      "https://www.example.com/sitemaps/2025.xml",
+    ]);
+  });
+
+  it("stops after SITEMAP_MAX_FILES documents", async () => {
+    sitemapConfig.maxFiles = 2;
+    serve({
+      "https://example.com/sitemap_index.xml": index([
+        ["https://example.com/new.xml", "2026-03-16"],
+        ["https://example.com/old.xml", "2025-01-01"],
+      ]),
+      "https://example.com/new.xml": urlset(["<url><loc>https://example.com/fresh-post</loc></url>"]),
+      "https://example.com/old.xml": urlset(["<url><loc>https://example.com/stale-post</loc></url>"]),
+    });
+
+    const result = await scrapeSitemap("https://example.com/");
+
+    expect(result.items.map((item) => item.link)).toEqual(["https://example.com/fresh-post"]);
+    expect(mockAxiosGet).not.toHaveBeenCalledWith("https://example.com/old.xml", expect.anything());
+  });
+
+  it("reads gzipped Google News sitemaps from the default location", async () => {
+    serve({
+      "https://news.example.com/sitemap.xml": zlib.gzipSync(urlset([
+        `<url><loc>https://news.example.com/a/123</loc><lastmod>2026-03-16T12:00:00Z</lastmod>
+          <news:news><news:publication><news:name>Example News</news:name></news:publication>
+            <news:publication_date>2026-03-14T08:00:00Z</news:publication_date>
+            <news:title>Council approves budget</news:title></news:news></url>`,
+        `<url><loc>https://news.example.com/a/124</loc>
+          <news:news><news:publication_date>2026-03-15T08:00:00Z</news:publication_date>
+            <news:title>Storm closes harbour</news:title></news:news></url>`,
+      ])),
+    });
+
+    const result = await scrapeSitemap("https://news.example.com/");
+
+    expect(result.items.map((item) => [item.title, item.pubDate])).toEqual([
+      ["Storm closes harbour", "2026-03-15T08:00:00.000Z"],
+      ["Council approves budget", "2026-03-14T08:00:00.000Z"],
+    ]);
+    // The missing /sitemap_index.xml is a guess, not an error
+    expect(result.sitemaps).toEqual([{ url: "https://news.example.com/sitemap.xml", urlCount: 2 }]);
+  });
+
+  it("fetches page titles when asked to", async () => {
+    serve({
+      "https://example.com/sitemap.xml": urlset([
+        "<url><loc>https://example.com/p/42</loc><lastmod>2026-03-16</lastmod></url>",
+        "<url><loc>https://example.com/p/gone</loc><lastmod>2026-03-15</lastmod></url>",
+      ]),
+      "https://example.com/p/42": `<html><head>
+        <title>Fallback title</title>
+        <meta property="og:title" content="Tide tables explained">
+        <meta property="og:description" content="How to read them.">
+        <meta property="og:image" content="https://example.com/tides.png">
+      </head></html>`,
+    });
+
+    const result = await scrapeSitemap("https://example.com", { fetchTitles: true });
+
+    expect(result.items[0]).toEqual(expect.objectContaining({
+      title: "Tide tables explained",
+      content: "How to read them.",
+      thumbnail: "https://example.com/tides.png",
+      pubDate: "2026-03-16T00:00:00.000Z",
+    }));
+    expect(result.items[1].title).toBe("Gone");
+  });
+
+  it("derives titles from URL slugs", () => {
+    expect(titleFromUrl("https://example.com/2026/03/what%27s-new_in-v2.html")).toBe("What's new in v2");
+    expect(titleFromUrl("https://example.com/a/12345")).toBe("example.com/a/12345");
+  });
+});
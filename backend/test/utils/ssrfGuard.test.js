@@ -0,0 +1,100 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+
+const mockLookup = jest.fn();
+
+jest.unstable_mockModule('dns', () => ({
+  default: { lookup: mockLookup }
+}));
+
+const { safeLookup, validateRedirect, assertPublicUrl, guardedHttpAgent } = await import('../../src/utils/ssrfGuard.js');
+const { UrlValidationError } = await import('../../src/utils/urlValidator.js');
+
+function lookup(hostname, options) {
+  return new Promise((resolve, reject) => {
+    safeLookup(hostname, options, (error, address, family) => {
+      if (error) reject(error);
+      else resolve({ address, family });
+    });
+  });
+}
+
+function resolvesTo(...addresses) {
+  mockLookup.mockImplementation((hostname, options, callback) => {
+    callback(null, addresses.map(address => ({ address, family: address.includes(':') ? 6 : 4 })));
+  });
+}
+
+describe('SSRF Guard', () => {
+  beforeEach(() => {
+    mockLookup.mockReset();
+  });
+
+  describe('safeLookup', () => {
+    it('returns the first address of a public hostname', async () => {
+      resolvesTo('93.184.216.34', '2606:2800:220:1::1');
+
+      await expect(lookup('example.com', {})).resolves.toEqual({ address: '93.184.216.34', family: 4 });
+      expect(mockLookup).toHaveBeenCalledWith('example.com', { all: true }, expect.any(Function));
+    });
+
+    it('returns every address when the agent asks for all', async () => {
+      resolvesTo('93.184.216.34', '2606:2800:220:1::1');
+
+      const { address } = await lookup('example.com', { all: true });
+      expect(address).toHaveLength(2);
+    });
+
+    it('rejects hostnames resolving to private addresses', async () => {
+      resolvesTo('10.0.0.5');
+      await expect(lookup('internal.example.com', {})).rejects.toMatchObject({ code: 'PRIVATE_IP' });
+
+      resolvesTo('fd12:3456::1');
+      await expect(lookup('ula.example.com', {})).rejects.toBeInstanceOf(UrlValidationError);
+
+      resolvesTo('::ffff:169.254.169.254');
+      await expect(lookup('mapped.example.com', {})).rejects.toBeInstanceOf(UrlValidationError);
+    });
+
+    it('rejects mixed answers that include a private address', async () => {
+      resolvesTo('93.184.216.34', '127.0.0.1');
+      await expect(lookup('rebind.example.com', {})).rejects.toMatchObject({ code: 'PRIVATE_IP' });
+    });
+
+    it('passes DNS errors through', async () => {
+      mockLookup.mockImplementation((hostname, options, callback) => {
+        callback(Object.assign(new Error('not found'), { code: 'ENOTFOUND' }));
+      });
+      await expect(lookup('missing.example.com', {})).rejects.toMatchObject({ code: 'ENOTFOUND' });
+    });
+  });
+
+  describe('validateRedirect', () => {
+    it('rejects redirects to private or non-HTTP targets', () => {
+      expect(() => validateRedirect({ href: 'http://169.254.169.254/latest/meta-data/' })).toThrow(UrlValidationError);
+      expect(() => validateRedirect({ href: 'file:///etc/passwd' })).toThrow(UrlValidationError);
+      expect(() => validateRedirect({ href: 'https://example.com/next' })).not.toThrow();
+    });
+  });
+
+  describe('assertPublicUrl', () => {
+    it('resolves the hostname and rejects private answers', async () => {
+      resolvesTo('93.184.216.34');
+      await expect(assertPublicUrl('https://example.com/page')).resolves.toBeUndefined();
+
+      resolvesTo('10.0.0.5');
+      await expect(assertPublicUrl('https://intranet.example.com/')).rejects.toMatchObject({ code: 'PRIVATE_IP' });
+      await expect(assertPublicUrl('http://127.0.0.1/')).rejects.toBeInstanceOf(UrlValidationError);
+    });
+  });
+
+  describe('guarded agents', () => {
+    it('refuse connections to literal private IPs', async () => {
+      const error = await new Promise(resolve => {
+        guardedHttpAgent.createConnection({ host: '127.0.0.1', port: 80 }, resolve);
+      });
+
+      expect(error).toBeInstanceOf(UrlValidationError);
+      expect(mockLookup).not.toHaveBeenCalled();
+    });
+  });
+});
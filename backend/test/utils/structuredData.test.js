@@ -0,0 +1,141 @@
+import { describe, it, expect } from "@jest/globals";
+import * as cheerio from "cheerio";
+
+const {
+  extractJsonLdItems,
+  extractMicrodataItems,
+  extractOpenGraphItems,
+  extractStructuredItems,
+} = await import("../../src/utils/structuredData.js");
+
+const BASE_URL = new URL("https://news.example.com/section/");
+
+function load(html) {
+  return cheerio.load(`<html><head></head><body>${html}</body></html>`);
+}
+
+function jsonLd(data) {
+  return `<script type="application/ld+json">${JSON.stringify(data)}</script>`;
+}
+
+describe("Structured Data", () => {
+  it("reads articles from JSON-LD graphs and item lists", () => {
+    const $ = load(
+      jsonLd({
+        "@context": "https://schema.org",
+        "@graph": [
+          { "@type": "WebSite", name: "Example News", url: "https://news.example.com/" },
+          {
+            "@type": ["NewsArticle"],
+            headline: "Storm closes harbour",
+            mainEntityOfPage: { "@id": "/2026/03/storm" },
+            datePublished: "2026-03-16T08:30:00+01:00",
+            author: [{ "@type": "Person", name: "Ana Ruiz" }, { name: "Ben Ode" }],
+            image: { "@type": "ImageObject", url: "/img/storm.jpg" },
+            description: "Ferries cancelled.",
+          },
+        ],
+      }) +
+      jsonLd({
+        "@type": "ItemList",
+        itemListElement: [
+          { "@type": "ListItem", position: 1, url: "https://news.example.com/2026/03/vote", name: "Council vote delayed" },
+          { "@type": "ListItem", position: 2, item: { "@type": "BlogPosting", headline: "Editor's notes", url: "/blog/notes" } },
+        ],
+      }) +
+      '<script type="application/ld+json">{ not json</script>'
+    );
+
+    expect(extractJsonLdItems($, BASE_URL)).toEqual([
+      {
+        title: "Storm closes harbour",
+        link: "https://news.example.com/2026/03/storm",
+        content: "Ferries cancelled.",
+        pubDate: "2026-03-16T07:30:00.000Z",
+        creator: "Ana Ruiz, Ben Ode",
+        thumbnail: "https://news.example.com/img/storm.jpg",
+      },
+      expect.objectContaining({ title: "Council vote delayed", link: "https://news.example.com/2026/03/vote" }),
+      expect.objectContaining({ title: "Editor's notes", link: "https://news.example.com/blog/notes" }),
+    ]);
+  });
+
+  it("ignores breadcrumbs next to the article", () => {
+    const $ = load(
+      jsonLd({
+        "@context": "https://schema.org",
+        "@type": "BreadcrumbList",
+        itemListElement: [
+          { "@type": "ListItem", position: 1, name: "Home", item: "https://news.example.com/" },
+          { "@type": "ListItem", position: 2, name: "World", url: "https://news.example.com/world", item: { "@id": "https://news.example.com/world", name: "World" } },
+        ],
+      }) +
+      jsonLd({
+        "@context": "https://schema.org",
+        "@type": "Article",
+        headline: "Summit ends without a deal",
+        url: "https://news.example.com/world/summit",
+      })
+    );
+
+    expect(extractJsonLdItems($, BASE_URL)).toEqual([
+      expect.objectContaining({ title: "Summit ends without a deal", link: "https://news.example.com/world/summit" }),
+    ]);
+  });
+
+  it("reads schema.org microdata without mixing in nested items", () => {
+    const $ = load(`
+      <div itemscope itemtype="https://schema.org/BlogPosting">
+        <h2 itemprop="headline"><a href="/posts/tides">Reading the tides</a></h2>
+        <span itemprop="author" itemscope itemtype="https://schema.org/Person"><span itemprop="name">Chi Park</span></span>
+        <time itemprop="datePublished" datetime="2026-03-14">March 14</time>
+        <img itemprop="image" src="/img/tides.png">
+      </div>
+      <div itemscope itemtype="https://schema.org/Product"><span itemprop="name">Boat</span></div>
+    `);
+
+    expect(extractMicrodataItems($, BASE_URL)).toEqual([{
+      title: "Reading the tides",
+      link: "https://news.example.com/posts/tides",
+      content: "",
+      pubDate: "2026-03-14T00:00:00.000Z",
+      creator: "Chi Park",
+      thumbnail: "https://news.example.com/img/tides.png",
+    }]);
+  });
+
+  it("reads the page itself from Open Graph only when it is an article", () => {
+    const article = cheerio.load(`<html><head>
+      <meta property="og:type" content="article">
+      <meta property="og:title" content="Lighthouse restored">
+      <meta property="og:url" content="https://news.example.com/lighthouse">
+      <meta property="article:published_time" content="2026-03-12T10:00:00Z">
+      <meta property="article:author" content="https://news.example.com/staff/dee">
+      <meta name="author" content="Dee Hale">
+    </head></html>`);
+    const website = cheerio.load('<html><head><meta property="og:type" content="website"><meta property="og:title" content="Home"></head></html>');
+
+    expect(extractOpenGraphItems(article, BASE_URL)).toEqual([
+      expect.objectContaining({ title: "Lighthouse restored", creator: "Dee Hale", pubDate: "2026-03-12T10:00:00.000Z" }),
+    ]);
+    expect(extractOpenGraphItems(website, BASE_URL)).toEqual([]);
+  });
+
+  it("keeps one item per link, JSON-LD first and filled in from microdata", () => {
+    const $ = load(
+      jsonLd({ "@type": "Article", headline: "Tides", url: "https://news.example.com/posts/tides" }) + `
+      <article itemscope itemtype="http://schema.org/Article">
+        <a itemprop="url" href="/posts/tides"><span itemprop="headline">Reading the tides</span></a>
+        <meta itemprop="datePublished" content="2026-03-14T06:00:00Z">
+      </article>`
+    );
+
+    expect(extractStructuredItems($, BASE_URL)).toEqual([
+      expect.objectContaining({
+        title: "Tides",
+        pubDate: "2026-03-14T06:00:00.000Z",
+        extractedWith: "json-ld",
+      }),
+    ]);
+  });
+});
@@ -0,0 +1,39 @@
+import { describe, it, expect } from "@jest/globals";
+
+const { diffLines, diffHunks, formatDiffText, formatDiffHtml } = await import("../../src/utils/textDiff.js");
+
+describe("Text Diff", () => {
+  it("marks added and removed lines between unchanged ones", () => {
+    const ops = diffLines(["Plans", "Basic $5", "Pro $10", "Contact"], ["Plans", "Basic $5", "Pro $12", "Team $30", "Contact"]);
+
+    expect(ops).toEqual([
+      { type: "equal", line: "Plans" },
+      { type: "equal", line: "Basic $5" },
+      { type: "removed", line: "Pro $10" },
+      { type: "added", line: "Pro $12" },
+      { type: "added", line: "Team $30" },
+      { type: "equal", line: "Contact" },
+    ]);
+  });
+
+  it("keeps moved lines in order", () => {
+    const ops = diffLines(["a", "b", "c"], ["b", "c", "a"]);
+    expect(ops.filter((op) => op.type !== "equal")).toEqual([
+      { type: "removed", line: "a" },
+      { type: "added", line: "a" },
+    ]);
+  });
+
+  it("groups changes into hunks with context and renders them", () => {
+    const before = Array.from({ length: 12 }, (_, index) => `line ${index}`);
+    const after = before.map((line) => (line === "line 1" || line === "line 10" ? `${line} <b>` : line));
+    const hunks = diffHunks(diffLines(before, after), 1);
+
+    expect(hunks).toHaveLength(2);
+    expect(formatDiffText(hunks)).toBe(
+      "  line 0\n- line 1\n+ line 1 <b>\n  line 2\n…\n  line 9\n- line 10\n+ line 10 <b>\n  line 11"
+    );
+    expect(formatDiffHtml(hunks)).toContain("<ins>+ line 1 &lt;b&gt;</ins>");
+    expect(formatDiffHtml(hunks)).toContain("<del>- line 10</del>");
+  });
+});
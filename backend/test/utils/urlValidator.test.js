@@ -1,5 +1,5 @@
 import { describe, it, expect } from '@jest/globals';
-import { validateUrl, isValidUrl, validateUrls, UrlValidationError } from '../../src/utils/urlValidator.js';
+import { validateUrl, isValidUrl, validateUrls, isPrivateAddress, UrlValidationError } from '../../src/utils/urlValidator.js';
 
 describe('URL Validator', () => {
   describe('validateUrl', () => {
@@ -78,6 +78,17 @@ describe('URL Validator', () => {
       it('should block 0.0.0.0', () => {
         expect(() => validateUrl('http://0.0.0.0')).toThrow(UrlValidationError);
       });
+
+      it('should block private IPv6 and IPv4-mapped literals', () => {
+        expect(() => validateUrl('http://[fd00::1]/')).toThrow(UrlValidationError);
+        expect(() => validateUrl('http://[fe80::1]/')).toThrow(UrlValidationError);
+        expect(() => validateUrl('http://[::ffff:127.0.0.1]/')).toThrow(UrlValidationError);
+        expect(() => validateUrl('http://[::ffff:a9fe:a9fe]/')).toThrow(UrlValidationError);
+      });
+
+      it('should allow public IPv6 literals', () => {
+        expect(validateUrl('http://[2606:4700:4700::1111]/').isValid).toBe(true);
+      });
     });
 
     describe('SSRF protection - metadata endpoints', () => {
@@ -140,4 +151,23 @@ describe('URL Validator', () => {
       expect(result.invalid[0].error).toBeDefined();
     });
   });
+
+  describe('isPrivateAddress', () => {
+    it('should classify resolved IPv4 and IPv6 addresses', () => {
+      expect(isPrivateAddress('10.1.2.3')).toBe(true);
+      expect(isPrivateAddress('169.254.169.254')).toBe(true);
+      expect(isPrivateAddress('93.184.216.34')).toBe(false);
+      expect(isPrivateAddress('::1')).toBe(true);
+      expect(isPrivateAddress('fc00::5')).toBe(true);
+      expect(isPrivateAddress('fe80::1%eth0')).toBe(true);
+      expect(isPrivateAddress('2606:4700::1111')).toBe(false);
+    });
+
+    it('should check IPv4 addresses embedded in IPv6', () => {
+      expect(isPrivateAddress('::ffff:10.0.0.1')).toBe(true);
+      expect(isPrivateAddress('::ffff:7f00:1')).toBe(true);
+      expect(isPrivateAddress('64:ff9b::a9fe:a9fe')).toBe(true);
+      expect(isPrivateAddress('::ffff:93.184.216.34')).toBe(false);
+    });
+  });
 });